@@ -0,0 +1,49 @@
+// Service worker de notificaciones push: muestra las alertas aunque la pestaña del dashboard esté cerrada
+// El servidor envía { title, body, url, tag, alertId, priority } (notificationDispatcher.buildPushPayload)
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch (error) {
+    data = { body: event.data ? event.data.text() : '' }
+  }
+
+  const title = data.title || 'Alerta de stock'
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || '',
+      icon: '/favicon.png',
+      badge: '/favicon.png',
+      tag: data.tag,
+      renotify: !!data.tag,
+      requireInteraction: data.priority === 'critical',
+      data: { url: data.url || '/dashboard/alerts', alertId: data.alertId || null }
+    })
+  )
+})
+
+// Al hacer clic: enfocar una pestaña del dashboard abierta o abrir una nueva
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = new URL(event.notification.data?.url || '/dashboard/alerts', self.location.origin).href
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const dashboard = windows.find(client => client.url.startsWith(self.location.origin))
+      if (dashboard) {
+        dashboard.navigate(url)
+        return dashboard.focus()
+      }
+      return self.clients.openWindow(url)
+    })
+  )
+})
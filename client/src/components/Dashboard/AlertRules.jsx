@@ -0,0 +1,428 @@
+import React, { useState, useEffect } from 'react'
+import { apiService } from '../../services/api'
+
+const OPERATOR_LABELS = {
+  lt: '<',
+  lte: '≤',
+  gt: '>',
+  gte: '≥',
+  eq: '=',
+  neq: '≠',
+  in: 'es uno de',
+  not_in: 'no es uno de'
+}
+
+const PRIORITY_OPTIONS = [
+  { value: 'critical', label: 'Crítica', badge: 'bg-danger' },
+  { value: 'warning', label: 'Advertencia', badge: 'bg-warning text-dark' },
+  { value: 'informative', label: 'Informativa', badge: 'bg-secondary' }
+]
+
+const EMPTY_CONDITION = { field: 'available_quantity', operator: 'lt', value: '' }
+const EMPTY_RULE = { name: '', enabled: true, match: 'all', priority: 'warning', conditions: [EMPTY_CONDITION] }
+
+const isListOperator = (operator) => operator === 'in' || operator === 'not_in'
+
+// Valor del formulario → valor que espera la API según tipo de campo y operador
+const toApiValue = (condition, fieldType) => {
+  if (isListOperator(condition.operator)) {
+    return String(condition.value).split(',').map(value => value.trim()).filter(Boolean)
+  }
+  if (fieldType === 'number') return Number(condition.value)
+  if (fieldType === 'boolean') return condition.value === true || condition.value === 'true'
+  return String(condition.value).trim()
+}
+
+const toFormValue = (condition) => {
+  if (Array.isArray(condition.value)) return condition.value.join(', ')
+  return condition.value
+}
+
+// Reglas de alerta personalizadas: condiciones sobre campos del producto y cambios del webhook
+function AlertRules() {
+  const [rules, setRules] = useState([])
+  const [schema, setSchema] = useState(null)
+  const [form, setForm] = useState(EMPTY_RULE)
+  const [editingId, setEditingId] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const loadRules = async () => {
+    try {
+      const response = await apiService.getAlertRules()
+      if (response?.success) {
+        setRules(response.rules || [])
+        setSchema(response.schema)
+      }
+    } catch (error) {
+      console.error('Error cargando reglas de alerta:', error)
+      setError('No se pudieron cargar las reglas')
+    }
+  }
+
+  const fields = schema?.fields || {}
+  const getFieldType = (field) => fields[field]?.type || 'string'
+
+  const buildRule = () => ({
+    ...form,
+    id: editingId || undefined,
+    name: form.name.trim(),
+    conditions: form.conditions.map(condition => ({
+      field: condition.field,
+      operator: condition.operator,
+      value: toApiValue(condition, getFieldType(condition.field))
+    }))
+  })
+
+  const validateForm = () => {
+    if (!form.name.trim()) return 'La regla necesita un nombre'
+    if (form.conditions.some(condition => condition.value === '' && getFieldType(condition.field) !== 'boolean')) {
+      return 'Completa el valor de todas las condiciones'
+    }
+    return null
+  }
+
+  const resetForm = () => {
+    setForm(EMPTY_RULE)
+    setEditingId(null)
+    setShowForm(false)
+    setPreview(null)
+    setError(null)
+  }
+
+  const handleEdit = (rule) => {
+    setForm({
+      name: rule.name,
+      enabled: rule.enabled,
+      match: rule.match,
+      priority: rule.priority,
+      conditions: rule.conditions.map(condition => ({ ...condition, value: toFormValue(condition) }))
+    })
+    setEditingId(rule.id)
+    setShowForm(true)
+    setPreview(null)
+    setError(null)
+  }
+
+  const updateCondition = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition
+        const updated = { ...condition, ...changes }
+        // Al cambiar de campo, el operador y el valor deben ser válidos para el nuevo tipo
+        if (changes.field) {
+          const fieldType = getFieldType(changes.field)
+          const operators = schema?.operators?.[fieldType] || []
+          if (!operators.includes(updated.operator)) updated.operator = operators[0]
+          updated.value = fieldType === 'boolean' ? true : ''
+        }
+        return updated
+      })
+    }))
+    setPreview(null)
+  }
+
+  const addCondition = () => {
+    setForm(prev => ({ ...prev, conditions: [...prev.conditions, EMPTY_CONDITION] }))
+  }
+
+  const removeCondition = (index) => {
+    setForm(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }))
+    setPreview(null)
+  }
+
+  const handlePreview = async () => {
+    const validationError = validateForm()
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    try {
+      setError(null)
+      const response = await apiService.previewAlertRule(buildRule())
+      setPreview(response)
+    } catch (error) {
+      console.error('Error probando regla:', error)
+      setError('No se pudo probar la regla (las reglas que solo usan cambios no se pueden probar contra el catálogo)')
+    }
+  }
+
+  const handleSave = async () => {
+    const validationError = validateForm()
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    try {
+      setSaving(true)
+      await apiService.saveAlertRule(buildRule())
+      await loadRules()
+      resetForm()
+    } catch (error) {
+      console.error('Error guardando regla:', error)
+      setError('Error al guardar la regla')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (rule) => {
+    try {
+      await apiService.saveAlertRule({ ...rule, enabled: !rule.enabled })
+      setRules(prev => prev.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r))
+    } catch (error) {
+      console.error('Error actualizando regla:', error)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`¿Eliminar la regla "${rule.name}"?`)) return
+
+    try {
+      await apiService.deleteAlertRule(rule.id)
+      setRules(prev => prev.filter(r => r.id !== rule.id))
+      if (editingId === rule.id) resetForm()
+    } catch (error) {
+      console.error('Error eliminando regla:', error)
+    }
+  }
+
+  const describeCondition = (condition) => {
+    const value = Array.isArray(condition.value) ? condition.value.join(', ') : String(condition.value)
+    return `${fields[condition.field]?.label || condition.field} ${OPERATOR_LABELS[condition.operator]} ${value}`
+  }
+
+  const getPriority = (value) => PRIORITY_OPTIONS.find(option => option.value === value) || PRIORITY_OPTIONS[1]
+
+  if (!schema) {
+    return null
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="card-title mb-0">Reglas de Alerta</h5>
+        {!showForm && rules.length < schema.maxRules && (
+          <button type="button" className="btn btn-sm btn-primary" onClick={() => setShowForm(true)}>
+            <i className="bi bi-plus-lg me-1"></i>
+            Nueva regla
+          </button>
+        )}
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          Generan alertas cuando un producto empieza a cumplir todas (o alguna) de las condiciones.
+          Las condiciones de cambio se evalúan al recibir cada webhook.
+        </p>
+
+        {error && <div className="alert alert-danger py-2">{error}</div>}
+
+        {showForm && (
+          <div className="border rounded p-3 mb-3">
+            <div className="row g-2 mb-2">
+              <div className="col-md-6">
+                <label htmlFor="ruleName" className="form-label">Nombre</label>
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  id="ruleName"
+                  maxLength={80}
+                  placeholder="Ej: Full de Hogar con poco stock"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="ruleMatch" className="form-label">Cumplir</label>
+                <select
+                  className="form-select form-select-sm"
+                  id="ruleMatch"
+                  value={form.match}
+                  onChange={(e) => setForm(prev => ({ ...prev, match: e.target.value }))}
+                >
+                  <option value="all">Todas las condiciones</option>
+                  <option value="any">Alguna condición</option>
+                </select>
+              </div>
+              <div className="col-md-3">
+                <label htmlFor="rulePriority" className="form-label">Prioridad</label>
+                <select
+                  className="form-select form-select-sm"
+                  id="rulePriority"
+                  value={form.priority}
+                  onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value }))}
+                >
+                  {PRIORITY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {form.conditions.map((condition, index) => {
+              const fieldType = getFieldType(condition.field)
+              return (
+                <div key={index} className="row g-2 mb-2 align-items-center">
+                  <div className="col-md-5">
+                    <select
+                      className="form-select form-select-sm"
+                      aria-label="Campo"
+                      value={condition.field}
+                      onChange={(e) => updateCondition(index, { field: e.target.value })}
+                    >
+                      {Object.entries(fields).map(([field, fieldConfig]) => (
+                        <option key={field} value={field}>
+                          {fieldConfig.label}{fieldConfig.delta ? ' (cambio)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-md-2">
+                    <select
+                      className="form-select form-select-sm"
+                      aria-label="Operador"
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                    >
+                      {(schema.operators[fieldType] || []).map(operator => (
+                        <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-md-4">
+                    {fieldType === 'boolean' ? (
+                      <select
+                        className="form-select form-select-sm"
+                        aria-label="Valor"
+                        value={String(condition.value)}
+                        onChange={(e) => updateCondition(index, { value: e.target.value === 'true' })}
+                      >
+                        <option value="true">Sí</option>
+                        <option value="false">No</option>
+                      </select>
+                    ) : (
+                      <input
+                        type={fieldType === 'number' && !isListOperator(condition.operator) ? 'number' : 'text'}
+                        className="form-control form-control-sm"
+                        aria-label="Valor"
+                        placeholder={isListOperator(condition.operator) ? 'Valores separados por coma' : ''}
+                        value={condition.value}
+                        onChange={(e) => updateCondition(index, { value: e.target.value })}
+                      />
+                    )}
+                  </div>
+                  <div className="col-md-1">
+                    {form.conditions.length > 1 && (
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => removeCondition(index)}
+                        title="Quitar condición"
+                      >
+                        <i className="bi bi-x-lg"></i>
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+
+            <button type="button" className="btn btn-sm btn-link p-0 mb-3" onClick={addCondition}>
+              <i className="bi bi-plus me-1"></i>
+              Agregar condición
+            </button>
+
+            {preview && (
+              <div className="alert alert-info py-2 small">
+                <strong>{preview.total}</strong> de {preview.evaluated} productos cumplen la regla hoy
+                {preview.ignoredConditions > 0 && ` (sin contar ${preview.ignoredConditions} condiciones de cambio)`}
+                {preview.products?.length > 0 && (
+                  <ul className="mb-0 mt-1">
+                    {preview.products.slice(0, 10).map(product => (
+                      <li key={product.id}>
+                        {product.title} <span className="text-muted">({product.seller_sku || product.id}, stock {product.available_quantity})</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div>
+              <button type="button" className="btn btn-sm btn-primary me-2" onClick={handleSave} disabled={saving}>
+                {editingId ? 'Actualizar regla' : 'Guardar regla'}
+              </button>
+              <button type="button" className="btn btn-sm btn-outline-primary me-2" onClick={handlePreview} disabled={saving}>
+                Probar contra el catálogo
+              </button>
+              <button type="button" className="btn btn-sm btn-outline-secondary" onClick={resetForm} disabled={saving}>
+                Cancelar
+              </button>
+            </div>
+          </div>
+        )}
+
+        {rules.length === 0 ? (
+          <p className="text-muted mb-0">No hay reglas configuradas</p>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Activa</th>
+                  <th>Regla</th>
+                  <th>Condiciones</th>
+                  <th>Prioridad</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map(rule => (
+                  <tr key={rule.id}>
+                    <td>
+                      <div className="form-check form-switch mb-0">
+                        <input
+                          className="form-check-input"
+                          type="checkbox"
+                          checked={!!rule.enabled}
+                          onChange={() => handleToggle(rule)}
+                          aria-label={`Activar ${rule.name}`}
+                        />
+                      </div>
+                    </td>
+                    <td>{rule.name}</td>
+                    <td className="small">
+                      {rule.conditions.map(describeCondition).join(rule.match === 'any' ? ' o ' : ' y ')}
+                    </td>
+                    <td>
+                      <span className={`badge ${getPriority(rule.priority).badge}`}>{getPriority(rule.priority).label}</span>
+                    </td>
+                    <td className="text-end text-nowrap">
+                      <button type="button" className="btn btn-sm btn-outline-primary me-1" onClick={() => handleEdit(rule)}>
+                        <i className="bi bi-pencil"></i>
+                      </button>
+                      <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => handleDelete(rule)}>
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AlertRules
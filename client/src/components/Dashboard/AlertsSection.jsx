@@ -1,9 +1,35 @@
-import React, { useEffect } from 'react'
+import React, { useState, useEffect } from 'react'
 import { useAppContext } from '../../context/AppContext'
 import { apiService } from '../../services/api'
+import UndeliveredNotifications from './UndeliveredNotifications'
+import SnoozeControl from './SnoozeControl'
+
+const ALERT_TYPE_OPTIONS = [
+  { value: 'all', label: 'Todos los tipos' },
+  { value: 'LOW_STOCK', label: 'Stock bajo' },
+  { value: 'LOW_COVER', label: 'Cobertura baja' },
+  { value: 'STOCK_DECREASE', label: 'Disminución de stock' },
+  { value: 'STOCK_INCREASE', label: 'Incremento de stock' },
+  { value: 'PRODUCT_DELETED', label: 'Publicación eliminada' },
+  { value: 'STATUS_CHANGE', label: 'Cambio de estado' },
+  { value: 'PRICE_CHANGE', label: 'Cambio de precio' },
+  { value: 'HANDLING_TIME_CHANGE', label: 'Cambio de disponibilidad' },
+  { value: 'RULE_MATCH', label: 'Reglas personalizadas' }
+]
+
+const TIME_RANGE_OPTIONS = [
+  { value: 'all', label: 'Todo el historial' },
+  { value: 'today', label: 'Hoy' },
+  { value: 'week', label: 'Últimos 7 días' },
+  { value: 'month', label: 'Últimos 30 días' }
+]
+
+// Tipos que registran valores antes/después en lugar de stock
+const VALUE_ALERT_TYPES = ['STATUS_CHANGE', 'PRICE_CHANGE', 'HANDLING_TIME_CHANGE']
 
 function AlertsSection() {
-  const { alerts, alertFilters, alertCounts, loading, actions, products } = useAppContext()
+  const { alerts, alertFilters, alertCounts, loading, actions, products, settings } = useAppContext()
+  const [hasMore, setHasMore] = useState(false)
 
   useEffect(() => {
     loadAlerts()
@@ -14,6 +40,7 @@ function AlertsSection() {
       actions.setLoading('alerts', true)
       const response = await apiService.getAlerts(alertFilters)
       actions.setAlerts(response.alerts || [])
+      setHasMore(!!response.pagination?.hasMore)
       
       // Actualizar contadores globales desde la respuesta del backend
       if (response.summary) {
@@ -21,9 +48,23 @@ function AlertsSection() {
           total: response.summary.total || 0,
           critical: response.summary.critical || 0,
           warning: response.summary.warning || 0,
-          info: response.summary.info || 0
+          info: response.summary.info || 0,
+          unread: {
+            total: response.summary.unread?.total || 0,
+            critical: response.summary.unread?.critical || 0,
+            warning: response.summary.unread?.warning || 0,
+            info: response.summary.unread?.info || 0
+          }
         })
       }
+
+      // Marcar automáticamente como leídas las alertas mostradas si el usuario lo configuró
+      if (settings.autoMarkAsRead) {
+        const unreadIds = (response.alerts || []).filter(alert => !alert.isRead).map(alert => alert.id)
+        if (unreadIds.length > 0) {
+          await actions.markAlertsAsRead(unreadIds)
+        }
+      }
     } catch (error) {
       console.error('Error cargando alertas:', error)
       actions.setError('alerts', error.message)
@@ -36,6 +77,60 @@ function AlertsSection() {
     actions.setAlertFilters({ priority, page: 0 })
   }
 
+  const handleAlertTypeChange = (alertType) => {
+    actions.setAlertFilters({ alertType, page: 0 })
+  }
+
+  const handleTimeRangeChange = (timeRange) => {
+    actions.setAlertFilters({ timeRange, page: 0 })
+  }
+
+  const handlePageChange = (page) => {
+    actions.setAlertFilters({ page })
+  }
+
+  const handleToggleUnread = () => {
+    actions.setAlertFilters({ onlyUnread: !alertFilters.onlyUnread, page: 0 })
+  }
+
+  const handleClearProductFilter = () => {
+    actions.setAlertFilters({ productId: null, page: 0 })
+  }
+
+  const handleToggleSnoozed = () => {
+    actions.setAlertFilters({ onlySnoozed: !alertFilters.onlySnoozed, page: 0 })
+  }
+
+  const handleAcknowledge = async (target) => {
+    try {
+      await actions.acknowledgeAlerts(target)
+    } catch (error) {
+      console.error('Error reconociendo alertas:', error)
+      actions.setError('alerts', error.message)
+    }
+  }
+
+  const handleMarkRead = async (alertIds) => {
+    try {
+      await actions.markAlertsAsRead(alertIds)
+    } catch (error) {
+      console.error('Error marcando alertas como leídas:', error)
+      actions.setError('alerts', error.message)
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    try {
+      await actions.markAllAlertsAsRead()
+      if (alertFilters.onlyUnread) {
+        await loadAlerts()
+      }
+    } catch (error) {
+      console.error('Error marcando todas las alertas como leídas:', error)
+      actions.setError('alerts', error.message)
+    }
+  }
+
   const getPriorityIcon = (priority) => {
     switch (priority) {
       case 'critical':
@@ -66,8 +161,95 @@ function AlertsSection() {
     <div>
       <div className="d-flex justify-content-between flex-wrap flex-md-nowrap align-items-center pt-3 pb-2 mb-3 border-bottom">
         <h1 className="h2">Alertas</h1>
+        <div className="d-flex align-items-center">
+          <select
+            className="form-select form-select-sm me-3"
+            style={{ width: 'auto' }}
+            aria-label="Filtrar por tipo de alerta"
+            value={alertFilters.alertType || 'all'}
+            onChange={(e) => handleAlertTypeChange(e.target.value)}
+          >
+            {ALERT_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            className="form-select form-select-sm me-3"
+            style={{ width: 'auto' }}
+            aria-label="Filtrar por fecha"
+            value={alertFilters.timeRange || 'all'}
+            onChange={(e) => handleTimeRangeChange(e.target.value)}
+          >
+            {TIME_RANGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="form-check form-switch me-3 mb-0">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="onlyUnreadAlerts"
+              checked={alertFilters.onlyUnread}
+              onChange={handleToggleUnread}
+            />
+            <label className="form-check-label" htmlFor="onlyUnreadAlerts">
+              Solo no leídas
+              <span className="badge bg-secondary ms-2">{alertCounts.unread.total}</span>
+            </label>
+          </div>
+          <div className="form-check form-switch me-3 mb-0">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="onlySnoozedAlerts"
+              checked={!!alertFilters.onlySnoozed}
+              onChange={handleToggleSnoozed}
+            />
+            <label className="form-check-label" htmlFor="onlySnoozedAlerts">
+              Pospuestas
+            </label>
+          </div>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary"
+            onClick={handleMarkAllRead}
+            disabled={alertCounts.unread.total === 0}
+          >
+            <i className="bi bi-check2-all me-1"></i>
+            Marcar todas como leídas
+          </button>
+          <div className="btn-group btn-group-sm ms-2" role="group" aria-label="Exportar alertas">
+            <a
+              className="btn btn-outline-secondary"
+              href={apiService.getAlertsExportUrl(alertFilters, 'csv')}
+              title="Descargar las alertas filtradas para planillas"
+            >
+              <i className="bi bi-download me-1"></i>
+              CSV
+            </a>
+            <a
+              className="btn btn-outline-secondary"
+              href={apiService.getAlertsExportUrl(alertFilters, 'json')}
+            >
+              JSON
+            </a>
+          </div>
+        </div>
       </div>
 
+      {alertFilters.productId && (
+        <div className="alert alert-light border d-flex align-items-center py-2 mb-3">
+          <i className="bi bi-funnel me-2"></i>
+          <span className="me-auto">
+            Alertas de <strong>{getProductName(alertFilters.productId) || alertFilters.productId}</strong>
+          </span>
+          <button type="button" className="btn btn-sm btn-outline-secondary" onClick={handleClearProductFilter}>
+            <i className="bi bi-x-lg me-1"></i>
+            Ver todos los productos
+          </button>
+        </div>
+      )}
+
       <div className="row mb-4">
         <div className="col-md-3">
           <button 
@@ -149,7 +331,7 @@ function AlertsSection() {
                 const productName = alert.product_id ? getProductName(alert.product_id) : null;
                 
                 return (
-                  <div key={index} className="list-group-item p-3">
+                  <div key={index} className={`list-group-item p-3 ${alert.isRead ? 'opacity-75' : ''}`}>
                     <div className="d-flex align-items-start">
                       <i className={`${getPriorityIcon(alert.priority)} me-3 mt-1 fs-5`}></i>
                       <div className="flex-grow-1">
@@ -176,7 +358,21 @@ function AlertsSection() {
                               )}
                             </div>
                           )}
-                          <small className="text-muted">{formatTime(alert.created_at)}</small>
+                          <small className="text-muted">
+                            {alert.escalation_level > 0 && (
+                              <span className="badge bg-danger me-2" title={alert.escalated_at ? `Último escalamiento: ${formatTime(alert.escalated_at)}` : ''}>
+                                <i className="bi bi-arrow-up-circle me-1"></i>
+                                Escalada {alert.escalation_level}
+                              </span>
+                            )}
+                            {alert.change_count > 1 && (
+                              <span className="badge bg-light text-dark border me-2" title={`Último cambio: ${formatTime(alert.last_changed_at)}`}>
+                                <i className="bi bi-arrow-repeat me-1"></i>
+                                {alert.change_count} cambios
+                              </span>
+                            )}
+                            {formatTime(alert.created_at)}
+                          </small>
                         </div>
                         <p className="mb-2">{alert.message}</p>
                       <div className="row">
@@ -194,7 +390,19 @@ function AlertsSection() {
                             </small>
                           </div>
                         )}
-                        {alert.previous_stock !== undefined && (
+                        {VALUE_ALERT_TYPES.includes(alert.alert_type) ? (
+                          <div className="col-md-4">
+                            <small className="text-muted">
+                              <strong>Antes → Después:</strong> {alert.previous_value ?? '-'} → {alert.new_value ?? '-'}
+                            </small>
+                          </div>
+                        ) : alert.alert_type === 'LOW_COVER' ? (
+                          <div className="col-md-4">
+                            <small className="text-muted">
+                              <strong>Cobertura:</strong> {alert.previous_value ?? '-'} → {alert.new_value ?? '-'} días
+                            </small>
+                          </div>
+                        ) : alert.previous_stock !== undefined && (
                           <div className="col-md-4">
                             <small className="text-muted">
                               <strong>Stock anterior:</strong> {alert.previous_stock}
@@ -202,19 +410,63 @@ function AlertsSection() {
                           </div>
                         )}
                       </div>
-                      {productUrl && (
-                        <div className="mt-2">
+                      <div className="mt-2">
+                        {productUrl && (
                           <a 
                             href={productUrl}
                             target="_blank"
                             rel="noopener noreferrer"
-                            className="btn btn-sm btn-outline-primary"
+                            className="btn btn-sm btn-outline-primary me-2"
                           >
                             <i className="bi bi-box-arrow-up-right me-1"></i>
                             Ver producto
                           </a>
-                        </div>
-                      )}
+                        )}
+                        {alert.isRead ? (
+                          <small className="text-muted me-2">
+                            <i className="bi bi-check2 me-1"></i>
+                            Leída {alert.read_at ? formatTime(alert.read_at) : ''}
+                          </small>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-outline-secondary me-2"
+                            onClick={() => handleMarkRead([alert.id])}
+                          >
+                            <i className="bi bi-check2 me-1"></i>
+                            Marcar como leída
+                          </button>
+                        )}
+                        {alert.isAcknowledged ? (
+                          <small className="text-muted me-2">
+                            <i className="bi bi-hand-thumbs-up me-1"></i>
+                            Reconocida
+                          </small>
+                        ) : (
+                          <div className="btn-group btn-group-sm me-2">
+                            <button
+                              type="button"
+                              className="btn btn-outline-success"
+                              onClick={() => handleAcknowledge({ alertIds: [alert.id] })}
+                              title="Ya lo sé: reconocer esta alerta"
+                            >
+                              <i className="bi bi-hand-thumbs-up me-1"></i>
+                              Reconocer
+                            </button>
+                            {alert.product_id && (
+                              <button
+                                type="button"
+                                className="btn btn-outline-success"
+                                onClick={() => handleAcknowledge({ productId: alert.product_id })}
+                                title="Reconocer todas las alertas de este producto"
+                              >
+                                Todas del producto
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        <SnoozeControl alert={alert} />
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -222,8 +474,33 @@ function AlertsSection() {
               })}
             </div>
           )}
+          {!loading.alerts && (alertFilters.page > 0 || hasMore) && (
+            <div className="d-flex justify-content-between align-items-center mt-3">
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                onClick={() => handlePageChange(alertFilters.page - 1)}
+                disabled={alertFilters.page === 0}
+              >
+                <i className="bi bi-chevron-left me-1"></i>
+                Anteriores
+              </button>
+              <small className="text-muted">Página {alertFilters.page + 1}</small>
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                onClick={() => handlePageChange(alertFilters.page + 1)}
+                disabled={!hasMore}
+              >
+                Siguientes
+                <i className="bi bi-chevron-right ms-1"></i>
+              </button>
+            </div>
+          )}
         </div>
       </div>
+
+      <UndeliveredNotifications />
     </div>
   )
 }
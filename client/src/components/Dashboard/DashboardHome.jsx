@@ -2,8 +2,10 @@ import React, { useEffect, useState, useMemo } from 'react'
 import { useAppContext } from '../../context/AppContext'
 import { useCategories } from '../../hooks/useCategories'
 import { useDepartmentFilter } from '../../hooks/useDepartmentFilter'
+import { useStockThreshold } from '../../hooks/useStockThreshold'
 import { apiService } from '../../services/api'
 import StatsCards from './StatsCards'
+import InventoryValuation from './InventoryValuation'
 import RecentAlerts from './RecentAlerts'
 import ProductsTable from './ProductsTable'
 import MonitoringControls from './MonitoringControls'
@@ -12,7 +14,7 @@ import DepartmentButtons from './DepartmentButtons'
 import MultiCategorySelector from './MultiCategorySelector'
 
 function DashboardHome() {
-  const { products, alerts, stats, loading, actions } = useAppContext()
+  const { products, alerts, alertCounts, stats, loading, actions } = useAppContext()
   const [monitorStatus, setMonitorStatus] = useState(null)
   const [syncProgress, setSyncProgress] = useState(null)
   const [currentPage, setCurrentPage] = useState(0)
@@ -129,10 +131,12 @@ function DashboardHome() {
     }
   }
 
-  const recentAlerts = alerts.slice(0, 5)
+  // Solo alertas no leídas: las ya atendidas por otro miembro del equipo no se muestran
+  const recentAlerts = alerts.filter(alert => !alert.isRead).slice(0, 5)
   
   // Aplicar filtro de departamento primero
   const { filteredProducts: departmentFilteredProducts, departmentName, isFiltered } = useDepartmentFilter(products)
+  const { getThreshold } = useStockThreshold()
   
   // Filtrar productos con bajo stock aplicando filtros del dashboard
   const lowStockProducts = useMemo(() => {
@@ -142,7 +146,7 @@ function DashboardHome() {
       return [];
     }
     
-    let filtered = departmentFilteredProducts.filter(p => p.available_quantity <= 5)
+    let filtered = departmentFilteredProducts.filter(p => p.available_quantity <= getThreshold(p))
     
     // Filtro por nivel de stock específico
     if (dashboardFilters.stockLevel !== 'all') {
@@ -181,7 +185,7 @@ function DashboardHome() {
     }
     
     return filtered
-  }, [departmentFilteredProducts, dashboardFilters])
+  }, [departmentFilteredProducts, dashboardFilters, getThreshold])
   
   // Obtener categorías únicas para el dropdown
   const availableCategories = useMemo(() => {
@@ -272,6 +276,8 @@ function DashboardHome() {
       
       <StatsCards stats={stats} alerts={alerts} />
       
+      <InventoryValuation />
+      
       {/* Botones de departamentos */}
       <div className="row mt-4">
         <div className="col-12">
@@ -509,10 +515,14 @@ function DashboardHome() {
           <div className="card">
             <div className="card-header d-flex justify-content-between align-items-center">
               <h5 className="card-title mb-0">Alertas recientes</h5>
-              <span className="badge bg-warning">{recentAlerts.length}</span>
+              <span className="badge bg-warning">{alertCounts.unread.total}</span>
             </div>
             <div className="card-body">
-              <RecentAlerts alerts={recentAlerts} loading={loading.alerts} />
+              <RecentAlerts
+                alerts={recentAlerts}
+                loading={loading.alerts}
+                onMarkRead={(alertIds) => actions.markAlertsAsRead(alertIds)}
+              />
             </div>
           </div>
         </div>
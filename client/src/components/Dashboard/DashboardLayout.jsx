@@ -8,6 +8,8 @@ import Header from './Header'
 import DashboardHome from './DashboardHome'
 import ProductsSection from './ProductsSection'
 import AlertsSection from './AlertsSection'
+import ReorderSection from './ReorderSection'
+import ReportsSection from './ReportsSection'
 import SettingsSection from './SettingsSection'
 
 function DashboardLayout() {
@@ -22,6 +24,12 @@ function DashboardLayout() {
     }
   }, [isAuthenticated, user])
 
+  // Alertas y productos en tiempo real (SSE o polling) mientras haya sesión
+  useEffect(() => {
+    if (!isAuthenticated || !user) return
+    return actions.connectRealtime()
+  }, [isAuthenticated, user])
+
   const loadInitialData = async () => {
     try {
       actions.setLoading('products', true)
@@ -46,7 +54,13 @@ function DashboardLayout() {
           total: alerts.summary.total || 0,
           critical: alerts.summary.critical || 0,
           warning: alerts.summary.warning || 0,
-          info: alerts.summary.info || 0
+          info: alerts.summary.info || 0,
+          unread: {
+            total: alerts.summary.unread?.total || 0,
+            critical: alerts.summary.unread?.critical || 0,
+            warning: alerts.summary.unread?.warning || 0,
+            info: alerts.summary.unread?.info || 0
+          }
         })
       }
     } catch (error) {
@@ -71,6 +85,8 @@ function DashboardLayout() {
             <Route path="/" element={<DashboardHome />} />
             <Route path="/products" element={<ProductsSection />} />
             <Route path="/alerts" element={<AlertsSection />} />
+            <Route path="/reorder" element={<ReorderSection />} />
+            <Route path="/reports" element={<ReportsSection />} />
             <Route path="/settings" element={<SettingsSection />} />
           </Routes>
         </main>
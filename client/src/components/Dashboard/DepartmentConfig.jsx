@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react'
 import { useAppContext } from '../../context/AppContext'
 import { useCategories } from '../../hooks/useCategories'
 import { apiService } from '../../services/api'
+import { ALERT_TYPE_LABELS } from './NotificationChannels'
+
+const EMPTY_RECIPIENTS = { email: '', telegramChatId: '', alertTypes: ['LOW_STOCK'] }
+const EMPTY_REORDER = { supplier: '', leadTimeDays: '', targetCoverDays: '', minOrderQty: '' }
 
 function DepartmentConfig() {
   const { products, departments, actions } = useAppContext()
@@ -9,7 +13,10 @@ function DepartmentConfig() {
     id: '',
     name: '',
     icon: 'bi-collection',
-    categories: []
+    categories: [],
+    lowStockThreshold: '',
+    recipients: EMPTY_RECIPIENTS,
+    reorder: EMPTY_REORDER
   })
   const [isEditing, setIsEditing] = useState(false)
   const [editingIndex, setEditingIndex] = useState(-1)
@@ -48,6 +55,28 @@ function DepartmentConfig() {
     }))
   }
 
+  const handleRecipientsChange = (field, value) => {
+    setDepartmentForm(prev => ({
+      ...prev,
+      recipients: { ...prev.recipients, [field]: value }
+    }))
+  }
+
+  const handleReorderChange = (field, value) => {
+    setDepartmentForm(prev => ({
+      ...prev,
+      reorder: { ...prev.reorder, [field]: value }
+    }))
+  }
+
+  const handleRecipientAlertTypeToggle = (alertType) => {
+    const alertTypes = departmentForm.recipients.alertTypes || []
+    handleRecipientsChange(
+      'alertTypes',
+      alertTypes.includes(alertType) ? alertTypes.filter(type => type !== alertType) : [...alertTypes, alertType]
+    )
+  }
+
   const handleCategoryToggle = (categoryId) => {
     const categoryName = getCategoryName(categoryId)
     setDepartmentForm(prev => {
@@ -86,7 +115,8 @@ function DepartmentConfig() {
       const newDepartment = {
         ...departmentForm,
         id: departmentForm.id || `dept_${Date.now()}`,
-        name: departmentForm.name.trim()
+        name: departmentForm.name.trim(),
+        lowStockThreshold: departmentForm.lowStockThreshold === '' ? null : parseInt(departmentForm.lowStockThreshold)
       }
 
       let newConfig = [...departments.config]
@@ -117,7 +147,17 @@ function DepartmentConfig() {
 
   const handleEditDepartment = (index) => {
     const department = departments.config[index]
-    setDepartmentForm({ ...department })
+    setDepartmentForm({
+      ...department,
+      lowStockThreshold: department.lowStockThreshold ?? '',
+      recipients: { ...EMPTY_RECIPIENTS, ...(department.recipients || {}) },
+      reorder: {
+        supplier: department.reorder?.supplier || '',
+        leadTimeDays: department.reorder?.leadTimeDays ?? '',
+        targetCoverDays: department.reorder?.targetCoverDays ?? '',
+        minOrderQty: department.reorder?.minOrderQty ?? ''
+      }
+    })
     setIsEditing(true)
     setEditingIndex(index)
   }
@@ -153,7 +193,10 @@ function DepartmentConfig() {
       id: '',
       name: '',
       icon: 'bi-collection',
-      categories: []
+      categories: [],
+      lowStockThreshold: '',
+      recipients: EMPTY_RECIPIENTS,
+      reorder: EMPTY_REORDER
     })
     setIsEditing(false)
     setEditingIndex(-1)
@@ -242,6 +285,113 @@ function DepartmentConfig() {
             </div>
           </div>
 
+          <div className="row g-3 mt-1">
+            <div className="col-md-3">
+              <label className="form-label" htmlFor="departmentThreshold">Umbral de stock bajo</label>
+              <input
+                type="number"
+                className="form-control"
+                id="departmentThreshold"
+                min="0"
+                placeholder="General"
+                value={departmentForm.lowStockThreshold}
+                onChange={(e) => handleInputChange('lowStockThreshold', e.target.value)}
+              />
+              <div className="form-text">Vacío = umbral general</div>
+            </div>
+            <div className="col-md-5">
+              <label className="form-label" htmlFor="departmentEmail">Emails del responsable</label>
+              <input
+                type="text"
+                className="form-control"
+                id="departmentEmail"
+                placeholder="compras@empresa.com, otro@empresa.com"
+                value={departmentForm.recipients.email}
+                onChange={(e) => handleRecipientsChange('email', e.target.value)}
+              />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label" htmlFor="departmentTelegram">Chat de Telegram</label>
+              <input
+                type="text"
+                className="form-control"
+                id="departmentTelegram"
+                placeholder="-1001234567890 o @canal"
+                value={departmentForm.recipients.telegramChatId}
+                onChange={(e) => handleRecipientsChange('telegramChatId', e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="mt-2">
+            <span className="form-label d-block">Alertas que reciben los responsables</span>
+            {Object.entries(ALERT_TYPE_LABELS).map(([alertType, label]) => (
+              <div key={alertType} className="form-check form-check-inline">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id={`departmentAlertType-${alertType}`}
+                  checked={(departmentForm.recipients.alertTypes || []).includes(alertType)}
+                  onChange={() => handleRecipientAlertTypeToggle(alertType)}
+                />
+                <label className="form-check-label" htmlFor={`departmentAlertType-${alertType}`}>
+                  {label}
+                </label>
+              </div>
+            ))}
+          </div>
+
+          <div className="row g-3 mt-1">
+            <div className="col-md-3">
+              <label className="form-label" htmlFor="departmentSupplier">Proveedor</label>
+              <input
+                type="text"
+                className="form-control"
+                id="departmentSupplier"
+                placeholder="Sin proveedor"
+                value={departmentForm.reorder.supplier}
+                onChange={(e) => handleReorderChange('supplier', e.target.value)}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label" htmlFor="departmentLeadTime">Lead time (días)</label>
+              <input
+                type="number"
+                className="form-control"
+                id="departmentLeadTime"
+                min="1"
+                placeholder="General"
+                value={departmentForm.reorder.leadTimeDays}
+                onChange={(e) => handleReorderChange('leadTimeDays', e.target.value)}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label" htmlFor="departmentTargetCover">Cobertura objetivo (días)</label>
+              <input
+                type="number"
+                className="form-control"
+                id="departmentTargetCover"
+                min="1"
+                placeholder="General"
+                value={departmentForm.reorder.targetCoverDays}
+                onChange={(e) => handleReorderChange('targetCoverDays', e.target.value)}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label" htmlFor="departmentMinOrder">Pedido mínimo</label>
+              <input
+                type="number"
+                className="form-control"
+                id="departmentMinOrder"
+                min="1"
+                placeholder="1"
+                value={departmentForm.reorder.minOrderQty}
+                onChange={(e) => handleReorderChange('minOrderQty', e.target.value)}
+              />
+            </div>
+            <div className="form-text mt-1">Reposición: vacío = valores generales. Cada SKU puede sobrescribirlos desde Reponer</div>
+          </div>
+
           <div className="mt-3 d-flex gap-2">
             <button
               type="button"
@@ -293,6 +443,9 @@ function DepartmentConfig() {
                     <th>Departamento</th>
                     <th>Categorías</th>
                     <th>Productos</th>
+                    <th>Umbral</th>
+                    <th>Proveedor</th>
+                    <th>Responsables</th>
                     <th>Acciones</th>
                   </tr>
                 </thead>
@@ -328,6 +481,26 @@ function DepartmentConfig() {
                         <td>
                           <span className="badge bg-primary">{productsInDept}</span>
                         </td>
+                        <td>
+                          {department.lowStockThreshold ?? <small className="text-muted">General</small>}
+                        </td>
+                        <td>
+                          {department.reorder?.supplier || <small className="text-muted">-</small>}
+                          {department.reorder?.leadTimeDays && (
+                            <div className="small text-muted">Lead time {department.reorder.leadTimeDays} días</div>
+                          )}
+                        </td>
+                        <td>
+                          {department.recipients?.email && (
+                            <div className="small"><i className="bi bi-envelope me-1"></i>{department.recipients.email}</div>
+                          )}
+                          {department.recipients?.telegramChatId && (
+                            <div className="small"><i className="bi bi-telegram me-1"></i>{department.recipients.telegramChatId}</div>
+                          )}
+                          {!department.recipients?.email && !department.recipients?.telegramChatId && (
+                            <small className="text-muted">-</small>
+                          )}
+                        </td>
                         <td>
                           <div className="btn-group btn-group-sm">
                             <button
@@ -0,0 +1,83 @@
+import React from 'react'
+
+const HOUR_FIELDS = [
+  { field: 'afterHours', label: 'Escalar después de (horas)', fallback: 4, max: 720 },
+  { field: 'repeatHours', label: 'Re-notificar cada (horas)', fallback: 2, max: 168 },
+  { field: 'maxRepeatHours', label: 'Intervalo máximo (horas)', fallback: 24, max: 720 }
+]
+
+function EscalationPolicy({ escalation = {}, onChange }) {
+  const updateEscalation = (changes) => {
+    onChange({ ...escalation, ...changes })
+  }
+
+  return (
+    <div className="mb-3">
+      <h6 className="mb-2">Escalamiento de stock bajo</h6>
+      <div className="form-check form-switch mb-2">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="escalationEnabled"
+          checked={!!escalation.enabled}
+          onChange={(e) => updateEscalation({ enabled: e.target.checked })}
+        />
+        <label className="form-check-label" htmlFor="escalationEnabled">
+          Escalar alertas de stock bajo que nadie resuelve
+        </label>
+      </div>
+
+      {escalation.enabled && (
+        <div className="border rounded p-3">
+          <div className="row mb-2">
+            {HOUR_FIELDS.map(({ field, label, fallback, max }) => (
+              <div key={field} className="col-md-4">
+                <label htmlFor={`escalation-${field}`} className="form-label">{label}</label>
+                <input
+                  type="number"
+                  className="form-control form-control-sm"
+                  id={`escalation-${field}`}
+                  value={escalation[field] ?? fallback}
+                  onChange={(e) => updateEscalation({ [field]: parseInt(e.target.value) })}
+                  min="1"
+                  max={max}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="row mb-2">
+            <div className="col-md-7">
+              <label htmlFor="escalationEmail" className="form-label">Emails de escalamiento</label>
+              <input
+                type="text"
+                className="form-control form-control-sm"
+                id="escalationEmail"
+                placeholder="jefe@empresa.com, compras@empresa.com"
+                value={escalation.email || ''}
+                onChange={(e) => updateEscalation({ email: e.target.value })}
+              />
+            </div>
+            <div className="col-md-5">
+              <label htmlFor="escalationTelegram" className="form-label">Chat de Telegram</label>
+              <input
+                type="text"
+                className="form-control form-control-sm"
+                id="escalationTelegram"
+                placeholder="-1001234567890 o @canal"
+                value={escalation.telegramChatId || ''}
+                onChange={(e) => updateEscalation({ telegramChatId: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="form-text">
+            La alerta pasa a crítica y se re-notifica duplicando el intervalo hasta el máximo, hasta que se repone el stock o alguien la reconoce.
+            Sin destinatarios de escalamiento se usan los canales habituales de stock bajo.
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EscalationPolicy
@@ -2,10 +2,11 @@ import React from 'react'
 import { useLocation } from 'react-router-dom'
 import { useAuthContext } from '../../context/AuthContext'
 import { useAppContext } from '../../context/AppContext'
+import NotificationCenter from './NotificationCenter'
 
 function Header({ user }) {
   const { logout } = useAuthContext()
-  const { alertCounts } = useAppContext()
+  const { realtime } = useAppContext()
   const location = useLocation()
   
   // Obtener el título basado en la ruta
@@ -24,8 +25,6 @@ function Header({ user }) {
     }
   }
   
-  const criticalAlertsCount = alertCounts.critical
-  
   const handleLogout = () => {
     if (window.confirm('¿Estás seguro que deseas cerrar sesión?')) {
       logout()
@@ -37,29 +36,18 @@ function Header({ user }) {
       <h1 className="h2">{getPageTitle()}</h1>
       
       <div className="btn-toolbar mb-2 mb-md-0">
-        <div className="btn-group me-3">
-          <div className="notification-bell me-3" style={{ position: 'relative', display: 'inline-block' }}>
-            <i className="bi bi-bell fs-5 text-secondary"></i>
-            {criticalAlertsCount > 0 && (
-              <span 
-                className="badge bg-danger rounded-pill" 
-                style={{ 
-                  position: 'absolute', 
-                  top: '-5px', 
-                  right: '-5px', 
-                  fontSize: '0.65rem',
-                  minWidth: '18px',
-                  height: '18px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center'
-                }}
-              >
-                {criticalAlertsCount}
-              </span>
-            )}
-          </div>
-        </div>
+        {realtime.mode !== 'off' && (
+          <span
+            className={`badge align-self-center me-3 ${realtime.mode === 'live' ? 'bg-success' : 'bg-secondary'}`}
+            title={realtime.mode === 'live'
+              ? 'Las alertas y el stock se actualizan al instante'
+              : `Se actualiza cada ${Math.round((realtime.pollIntervalMs || 60000) / 1000)} segundos`}
+          >
+            <i className={`bi ${realtime.mode === 'live' ? 'bi-broadcast' : 'bi-arrow-repeat'} me-1`}></i>
+            {realtime.mode === 'live' ? 'En vivo' : 'Actualización periódica'}
+          </span>
+        )}
+        <NotificationCenter />
         
         <div className="dropdown">
           <button 
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { apiService } from '../../services/api'
+import { useCategories } from '../../hooks/useCategories'
+
+const RANGE_OPTIONS = [7, 30, 90, 365]
+
+const BREAKDOWNS = [
+  { key: 'byDepartment', label: 'Departamento' },
+  { key: 'byCategory', label: 'Categoría' },
+  { key: 'byFulfillment', label: 'Depósito' },
+  { key: 'byStatus', label: 'Estado' }
+]
+
+const STATUS_LABELS = {
+  active: 'Activo',
+  paused: 'Pausado',
+  closed: 'Finalizado',
+  under_review: 'En revisión',
+  inactive: 'Inactivo'
+}
+
+const CHART_WIDTH = 640
+const CHART_HEIGHT = 160
+const PADDING = { top: 12, right: 12, bottom: 24, left: 64 }
+
+const formatMoney = (value) => `$${(value || 0).toLocaleString('es-AR', { maximumFractionDigits: 0 })}`
+
+// Evolución diaria del valor del inventario
+function ValuationChart({ trend, valueKey }) {
+  const maxValue = Math.max(1, ...trend.map(point => point[valueKey]))
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+
+  const x = (index) => PADDING.left + (trend.length > 1 ? (index / (trend.length - 1)) * plotWidth : 0)
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight
+
+  const path = trend
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point[valueKey])}`)
+    .join('')
+
+  const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { day: '2-digit', month: '2-digit' })
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-100" role="img" aria-label="Evolución del valor del inventario">
+      {[0, 0.5, 1].map(ratio => (
+        <g key={ratio}>
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={y(maxValue * ratio)}
+            y2={y(maxValue * ratio)}
+            stroke="#dee2e6"
+          />
+          <text x={PADDING.left - 6} y={y(maxValue * ratio) + 4} fontSize="11" textAnchor="end" fill="#6c757d">
+            {formatMoney(maxValue * ratio)}
+          </text>
+        </g>
+      ))}
+      <path d={path} fill="none" stroke="#198754" strokeWidth="2" />
+      {trend.length > 0 && (
+        <>
+          <text x={PADDING.left} y={CHART_HEIGHT - 6} fontSize="11" fill="#6c757d">{formatDate(trend[0].date)}</text>
+          <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} fontSize="11" textAnchor="end" fill="#6c757d">
+            {formatDate(trend[trend.length - 1].date)}
+          </text>
+        </>
+      )}
+    </svg>
+  )
+}
+
+// Tarjeta del dashboard con el valor del inventario (GET /api/reports/valuation)
+function InventoryValuation() {
+  const [days, setDays] = useState(30)
+  const [breakdown, setBreakdown] = useState('byDepartment')
+  const [atCost, setAtCost] = useState(false)
+  const [valuation, setValuation] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadValuation()
+  }, [days])
+
+  const loadValuation = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      setValuation(await apiService.getInventoryValuation({ days }))
+    } catch (loadError) {
+      console.error('Error cargando valuación de inventario:', loadError)
+      setError(loadError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const categoryIds = useMemo(
+    () => (valuation?.byCategory || []).map(row => row.categoryId).filter(Boolean),
+    [valuation]
+  )
+  const { getCategoryName } = useCategories(categoryIds)
+
+  const getLabel = (row) => {
+    switch (breakdown) {
+      case 'byDepartment':
+        return row.department
+      case 'byCategory':
+        return row.categoryId ? getCategoryName(row.categoryId) : 'Sin categoría'
+      case 'byFulfillment':
+        return row.label
+      default:
+        return STATUS_LABELS[row.status] || row.status || 'Sin estado'
+    }
+  }
+
+  const valueKey = atCost ? 'costValue' : 'listValue'
+  const totals = valuation?.totals
+  const costedShare = totals?.units > 0 ? Math.round((totals.costedUnits / totals.units) * 100) : 0
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex align-items-center flex-wrap gap-2">
+        <h5 className="card-title mb-0 me-auto">
+          <i className="bi bi-cash-stack me-2"></i>
+          Valor del Inventario
+        </h5>
+        <div className="btn-group btn-group-sm" role="group" aria-label="Valuar a">
+          <button
+            type="button"
+            className={`btn ${atCost ? 'btn-outline-secondary' : 'btn-secondary'}`}
+            onClick={() => setAtCost(false)}
+          >
+            Precio de lista
+          </button>
+          <button
+            type="button"
+            className={`btn ${atCost ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            onClick={() => setAtCost(true)}
+          >
+            Costo
+          </button>
+        </div>
+        <select
+          className="form-select form-select-sm w-auto"
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          aria-label="Período de la evolución"
+        >
+          {RANGE_OPTIONS.map(option => (
+            <option key={option} value={option}>{option} días</option>
+          ))}
+        </select>
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="text-center py-4">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Calculando valuación...</span>
+            </div>
+          </div>
+        ) : error ? (
+          <div className="alert alert-danger mb-0">{error}</div>
+        ) : (
+          <>
+            <div className="row text-center mb-3">
+              <div className="col-md-4">
+                <div className="fs-4 fw-bold">{formatMoney(totals.listValue)}</div>
+                <small className="text-muted">A precio de lista</small>
+              </div>
+              <div className="col-md-4">
+                <div className="fs-4 fw-bold">{formatMoney(totals.costValue)}</div>
+                <small className="text-muted">
+                  A costo ({costedShare}% de las unidades tienen costo cargado)
+                </small>
+              </div>
+              <div className="col-md-4">
+                <div className="fs-4 fw-bold">{totals.units.toLocaleString('es-AR')}</div>
+                <small className="text-muted">Unidades en {totals.products} productos</small>
+              </div>
+            </div>
+
+            <ValuationChart trend={valuation.trend} valueKey={valueKey} />
+
+            <ul className="nav nav-tabs mt-3">
+              {BREAKDOWNS.map(option => (
+                <li className="nav-item" key={option.key}>
+                  <button
+                    type="button"
+                    className={`nav-link ${breakdown === option.key ? 'active' : ''}`}
+                    onClick={() => setBreakdown(option.key)}
+                  >
+                    {option.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="table-responsive">
+              <table className="table table-sm table-hover mb-0">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Productos</th>
+                    <th>Unidades</th>
+                    <th>A lista</th>
+                    <th>A costo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {valuation[breakdown].map(row => (
+                    <tr key={getLabel(row)}>
+                      <td>{getLabel(row)}</td>
+                      <td>{row.products}</td>
+                      <td>{row.units.toLocaleString('es-AR')}</td>
+                      <td className={atCost ? '' : 'fw-bold'}>{formatMoney(row.listValue)}</td>
+                      <td className={atCost ? 'fw-bold' : ''}>
+                        {row.costedUnits > 0 ? formatMoney(row.costValue) : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {valuation.costedSkus === 0 && (
+              <small className="text-muted d-block mt-2">
+                Sin costos cargados: se configuran en Configuración → Costos por SKU.
+              </small>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default InventoryValuation
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAppContext } from '../../context/AppContext'
+
+const ALERT_TYPE_LABELS = {
+  LOW_STOCK: 'Stock bajo',
+  LOW_COVER: 'Cobertura baja',
+  STOCK_DECREASE: 'Disminución de stock',
+  STOCK_INCREASE: 'Incremento de stock',
+  PRODUCT_DELETED: 'Publicación eliminada',
+  STATUS_CHANGE: 'Cambio de estado',
+  PRICE_CHANGE: 'Cambio de precio',
+  HANDLING_TIME_CHANGE: 'Cambio de disponibilidad',
+  RULE_MATCH: 'Regla personalizada'
+}
+
+const formatTimeAgo = (timestamp) => {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000))
+  if (seconds < 60) return 'recién'
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `hace ${minutes} min`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `hace ${hours} h`
+  const days = Math.floor(hours / 24)
+  return `hace ${days} ${days === 1 ? 'día' : 'días'}`
+}
+
+// Las alertas que llegan en tiempo real no traen stock_delta: se calcula igual que en el servidor
+const getStockDelta = (alert) => {
+  if (alert.stock_delta !== undefined && alert.stock_delta !== null) return alert.stock_delta
+  if (Number.isFinite(alert.previous_stock) && Number.isFinite(alert.new_stock)) {
+    return alert.new_stock - alert.previous_stock
+  }
+  return null
+}
+
+const PRIORITY_ICONS = {
+  critical: 'bi-exclamation-triangle-fill text-danger',
+  warning: 'bi-info-circle-fill text-warning'
+}
+
+// Campana del header: últimas alertas no leídas y contador de nuevas desde la última vez que se abrió
+function NotificationCenter() {
+  const { notifications, products, actions } = useAppContext()
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  // Marca vigente al abrir, para resaltar lo nuevo aunque el contador ya se haya reiniciado
+  const [seenBefore, setSeenBefore] = useState(null)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    actions.loadNotifications().catch(error => {
+      console.error('Error cargando notificaciones:', error)
+    })
+  }, [])
+
+  // Cerrar al hacer clic fuera del menú
+  useEffect(() => {
+    if (!open) return
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [open])
+
+  const handleToggle = async () => {
+    if (open) {
+      setOpen(false)
+      return
+    }
+
+    setSeenBefore(notifications.lastSeenAt)
+    setOpen(true)
+    if (notifications.newCount > 0) {
+      try {
+        await actions.markNotificationsSeen()
+      } catch (error) {
+        console.error('Error guardando notificaciones vistas:', error)
+      }
+    }
+  }
+
+  const runAction = async (alertId, action) => {
+    try {
+      setBusyId(alertId)
+      await action()
+    } catch (error) {
+      console.error('Error en el centro de notificaciones:', error)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleMarkRead = (alert) => runAction(alert.id, () => actions.markAlertsAsRead([alert.id]))
+
+  const handleSnooze = (alert) => runAction(alert.id, () => actions.snoozeProduct(alert.product_id, {
+    until: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  }))
+
+  const handleMarkAllRead = () => runAction('all', () => actions.markAllAlertsAsRead())
+
+  // Ir a la lista de alertas filtrada a la publicación
+  const handleOpenProduct = (alert) => {
+    actions.setAlertFilters({
+      productId: alert.product_id,
+      priority: 'all',
+      alertType: 'all',
+      timeRange: 'all',
+      onlyUnread: false,
+      onlySnoozed: false,
+      page: 0
+    })
+    setOpen(false)
+    navigate('/dashboard/alerts')
+  }
+
+  const handleOpenAll = () => {
+    actions.setAlertFilters({ productId: null, page: 0 })
+    setOpen(false)
+    navigate('/dashboard/alerts')
+  }
+
+  const getThumbnail = (alert) =>
+    alert.thumbnail || products.find(product => product.id === alert.product_id)?.thumbnail || null
+
+  const isNew = (alert) => !seenBefore || new Date(alert.created_at) > new Date(seenBefore)
+
+  return (
+    <div className="dropdown me-3" ref={containerRef}>
+      <button
+        type="button"
+        className="btn btn-link p-0 text-secondary position-relative"
+        onClick={handleToggle}
+        aria-expanded={open}
+        aria-label="Notificaciones"
+      >
+        <i className="bi bi-bell fs-5"></i>
+        {notifications.newCount > 0 && (
+          <span
+            className="badge bg-danger rounded-pill"
+            style={{
+              position: 'absolute',
+              top: '-5px',
+              right: '-8px',
+              fontSize: '0.65rem',
+              minWidth: '18px',
+              height: '18px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}
+          >
+            {notifications.newCount > 99 ? '99+' : notifications.newCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className="dropdown-menu dropdown-menu-end show p-0 shadow"
+          style={{ width: '380px', right: 0, left: 'auto', top: '100%' }}
+        >
+          <div className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+            <strong>Notificaciones</strong>
+            <button
+              type="button"
+              className="btn btn-sm btn-link p-0"
+              onClick={handleMarkAllRead}
+              disabled={notifications.items.length === 0 || busyId === 'all'}
+            >
+              Marcar todas como leídas
+            </button>
+          </div>
+
+          {notifications.items.length === 0 ? (
+            <div className="text-center text-muted py-4">
+              <i className="bi bi-check-circle fs-4 d-block mb-2"></i>
+              No hay alertas sin leer
+            </div>
+          ) : (
+            <div style={{ maxHeight: '420px', overflowY: 'auto' }}>
+              {notifications.items.map(alert => {
+                const thumbnail = getThumbnail(alert)
+                const delta = getStockDelta(alert)
+
+                return (
+                  <div
+                    key={alert.id}
+                    className={`d-flex align-items-start px-3 py-2 border-bottom ${isNew(alert) ? 'bg-light' : ''}`}
+                  >
+                    {thumbnail ? (
+                      <img
+                        src={thumbnail}
+                        alt=""
+                        className="rounded me-2 flex-shrink-0"
+                        style={{ width: '40px', height: '40px', objectFit: 'cover' }}
+                      />
+                    ) : (
+                      <div
+                        className="rounded bg-secondary bg-opacity-10 me-2 flex-shrink-0 d-flex align-items-center justify-content-center"
+                        style={{ width: '40px', height: '40px' }}
+                      >
+                        <i className="bi bi-box text-muted"></i>
+                      </div>
+                    )}
+
+                    <div className="flex-grow-1" style={{ minWidth: 0 }}>
+                      <div className="d-flex align-items-center">
+                        <i className={`bi ${PRIORITY_ICONS[alert.priority] || 'bi-info-circle text-info'} me-1`}></i>
+                        <button
+                          type="button"
+                          className="btn btn-link p-0 text-start text-truncate small fw-semibold"
+                          onClick={() => handleOpenProduct(alert)}
+                          disabled={!alert.product_id}
+                          title="Ver alertas de esta publicación"
+                        >
+                          {alert.product_title || alert.product_id || alert.title}
+                        </button>
+                      </div>
+                      <div className="small text-muted">
+                        {ALERT_TYPE_LABELS[alert.alert_type] || alert.alert_type}
+                        {delta !== null && (
+                          <span className={`ms-2 fw-semibold ${delta < 0 ? 'text-danger' : 'text-success'}`}>
+                            {delta > 0 ? `+${delta}` : delta} u. ({alert.previous_stock} → {alert.new_stock})
+                          </span>
+                        )}
+                      </div>
+                      <div className="d-flex align-items-center small mt-1">
+                        <span className="text-muted me-auto">{formatTimeAgo(alert.created_at)}</span>
+                        <button
+                          type="button"
+                          className="btn btn-sm btn-link p-0 me-2"
+                          onClick={() => handleMarkRead(alert)}
+                          disabled={busyId === alert.id}
+                        >
+                          Leída
+                        </button>
+                        {alert.product_id && (alert.snooze ? (
+                          <span className="badge bg-secondary" title="Notificaciones pospuestas">
+                            <i className="bi bi-bell-slash me-1"></i>
+                            Pospuesta
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-link p-0"
+                            onClick={() => handleSnooze(alert)}
+                            disabled={busyId === alert.id}
+                            title="No notificar este producto durante 1 día"
+                          >
+                            Posponer 1 día
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
+          <div className="text-center py-2">
+            <button type="button" className="btn btn-sm btn-link" onClick={handleOpenAll}>
+              Ver todas las alertas
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationCenter
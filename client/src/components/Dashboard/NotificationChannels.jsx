@@ -0,0 +1,121 @@
+import React from 'react'
+
+export const ALERT_TYPE_LABELS = {
+  LOW_STOCK: 'Stock bajo',
+  LOW_COVER: 'Cobertura',
+  STOCK_DECREASE: 'Disminución',
+  STOCK_INCREASE: 'Incremento',
+  PRODUCT_DELETED: 'Eliminada',
+  STATUS_CHANGE: 'Estado',
+  PRICE_CHANGE: 'Precio',
+  HANDLING_TIME_CHANGE: 'Disponibilidad',
+  RULE_MATCH: 'Reglas'
+}
+
+const CHANNELS = [
+  { id: 'console', label: 'Registro del servidor', icon: 'bi-terminal' },
+  { id: 'email', label: 'Email', icon: 'bi-envelope', targetField: 'to', targetLabel: 'Email de destino', targetPlaceholder: 'Vacío = cuenta configurada en el servidor' },
+  { id: 'telegram', label: 'Telegram', icon: 'bi-telegram', targetField: 'chatId', targetLabel: 'Chat ID', targetPlaceholder: 'Vacío = chat configurado en el servidor' },
+  { id: 'webhook', label: 'Webhook firmado', icon: 'bi-broadcast', targetField: 'url', targetLabel: 'URL del webhook', targetPlaceholder: 'https://tu-sistema.com/alertas' },
+  { id: 'push', label: 'Notificaciones del navegador', icon: 'bi-bell' }
+]
+
+function NotificationChannels({ channels = {}, onChange }) {
+  const updateChannel = (channelId, changes) => {
+    onChange({
+      ...channels,
+      [channelId]: { ...(channels[channelId] || {}), ...changes }
+    })
+  }
+
+  const toggleAlertType = (channelId, alertType) => {
+    const current = channels[channelId]?.alertTypes || []
+    const alertTypes = current.includes(alertType)
+      ? current.filter(type => type !== alertType)
+      : [...current, alertType]
+    updateChannel(channelId, { alertTypes })
+  }
+
+  return (
+    <div className="mb-3">
+      <h6 className="mb-2">Canales de notificación</h6>
+      <div className="form-text mb-2">
+        Cada canal recibe al instante los tipos de alerta seleccionados
+      </div>
+      <ul className="list-group">
+        {CHANNELS.map(channel => {
+          const channelSettings = channels[channel.id] || {}
+          return (
+            <li key={channel.id} className="list-group-item">
+              <div className="form-check form-switch">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id={`channel-${channel.id}`}
+                  checked={!!channelSettings.enabled}
+                  onChange={(e) => updateChannel(channel.id, { enabled: e.target.checked })}
+                />
+                <label className="form-check-label" htmlFor={`channel-${channel.id}`}>
+                  <i className={`bi ${channel.icon} me-2`}></i>
+                  {channel.label}
+                </label>
+              </div>
+
+              {channelSettings.enabled && (
+                <div className="mt-2 ms-4">
+                  {channel.targetField && (
+                    <input
+                      type="text"
+                      className="form-control form-control-sm mb-2"
+                      aria-label={channel.targetLabel}
+                      placeholder={channel.targetPlaceholder}
+                      value={channelSettings[channel.targetField] || ''}
+                      onChange={(e) => updateChannel(channel.id, { [channel.targetField]: e.target.value })}
+                    />
+                  )}
+                  {channel.id === 'webhook' && (
+                    <div className="input-group input-group-sm mb-2">
+                      <span className="input-group-text">Secreto HMAC</span>
+                      <input
+                        type="text"
+                        className="form-control font-monospace"
+                        aria-label="Secreto de firma del webhook"
+                        value={channelSettings.regenerateSecret ? 'Se generará al guardar' : (channelSettings.secret || 'Se generará al guardar')}
+                        readOnly
+                      />
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary"
+                        onClick={() => updateChannel(channel.id, { regenerateSecret: true })}
+                        disabled={!channelSettings.secret || channelSettings.regenerateSecret}
+                      >
+                        <i className="bi bi-arrow-repeat me-1"></i>
+                        Regenerar
+                      </button>
+                    </div>
+                  )}
+                  {Object.entries(ALERT_TYPE_LABELS).map(([alertType, label]) => (
+                    <div key={alertType} className="form-check form-check-inline">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        id={`channel-${channel.id}-${alertType}`}
+                        checked={(channelSettings.alertTypes || []).includes(alertType)}
+                        onChange={() => toggleAlertType(channel.id, alertType)}
+                      />
+                      <label className="form-check-label" htmlFor={`channel-${channel.id}-${alertType}`}>
+                        {label}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default NotificationChannels
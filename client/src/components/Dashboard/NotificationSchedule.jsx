@@ -0,0 +1,146 @@
+import React from 'react'
+
+const DAYS = [
+  { value: 1, label: 'Lun' },
+  { value: 2, label: 'Mar' },
+  { value: 3, label: 'Mié' },
+  { value: 4, label: 'Jue' },
+  { value: 5, label: 'Vie' },
+  { value: 6, label: 'Sáb' },
+  { value: 0, label: 'Dom' }
+]
+
+const FALLBACK_TIMEZONES = [
+  'UTC',
+  'America/Argentina/Buenos_Aires',
+  'America/Mexico_City',
+  'America/Sao_Paulo',
+  'America/Santiago',
+  'America/Bogota',
+  'America/Lima',
+  'America/Montevideo',
+  'Europe/Madrid'
+]
+
+const getTimezones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return ['UTC', ...Intl.supportedValuesOf('timeZone')]
+  }
+  return FALLBACK_TIMEZONES
+}
+
+function NotificationSchedule({ schedule = {}, onChange }) {
+  const updateSchedule = (changes) => {
+    onChange({ ...schedule, ...changes })
+  }
+
+  const handleToggleEnabled = (enabled) => {
+    // Al activarlo por primera vez usar la zona horaria del navegador
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+    const timezone = enabled && (!schedule.timezone || schedule.timezone === 'UTC') && browserTimezone
+      ? browserTimezone
+      : schedule.timezone
+    updateSchedule({ enabled, timezone })
+  }
+
+  const toggleDay = (day) => {
+    const days = schedule.days || []
+    updateSchedule({
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day]
+    })
+  }
+
+  return (
+    <div className="mb-3">
+      <h6 className="mb-2">Horario de notificaciones</h6>
+      <div className="form-check form-switch mb-2">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="scheduleEnabled"
+          checked={!!schedule.enabled}
+          onChange={(e) => handleToggleEnabled(e.target.checked)}
+        />
+        <label className="form-check-label" htmlFor="scheduleEnabled">
+          Retener notificaciones fuera de horario
+        </label>
+      </div>
+
+      {schedule.enabled && (
+        <div className="border rounded p-3">
+          <div className="row mb-2">
+            <div className="col-md-6">
+              <label htmlFor="scheduleTimezone" className="form-label">Zona horaria</label>
+              <select
+                className="form-select form-select-sm"
+                id="scheduleTimezone"
+                value={schedule.timezone || 'UTC'}
+                onChange={(e) => updateSchedule({ timezone: e.target.value })}
+              >
+                {getTimezones().map(timezone => (
+                  <option key={timezone} value={timezone}>{timezone}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-3">
+              <label htmlFor="quietStart" className="form-label">Silencio desde</label>
+              <input
+                type="time"
+                className="form-control form-control-sm"
+                id="quietStart"
+                value={schedule.quietStart || '22:00'}
+                onChange={(e) => updateSchedule({ quietStart: e.target.value })}
+              />
+            </div>
+            <div className="col-md-3">
+              <label htmlFor="quietEnd" className="form-label">Hasta</label>
+              <input
+                type="time"
+                className="form-control form-control-sm"
+                id="quietEnd"
+                value={schedule.quietEnd || '08:00'}
+                onChange={(e) => updateSchedule({ quietEnd: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="mb-2">
+            <span className="form-label d-block">Días con notificaciones</span>
+            {DAYS.map(day => (
+              <div key={day.value} className="form-check form-check-inline">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id={`scheduleDay-${day.value}`}
+                  checked={(schedule.days || []).includes(day.value)}
+                  onChange={() => toggleDay(day.value)}
+                />
+                <label className="form-check-label" htmlFor={`scheduleDay-${day.value}`}>
+                  {day.label}
+                </label>
+              </div>
+            ))}
+          </div>
+
+          <div className="form-check">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="criticalOverride"
+              checked={!!schedule.criticalOverride}
+              onChange={(e) => updateSchedule({ criticalOverride: e.target.checked })}
+            />
+            <label className="form-check-label" htmlFor="criticalOverride">
+              Las alertas críticas (stock bajo) se envían igual durante el silencio
+            </label>
+          </div>
+          <div className="form-text">
+            Las alertas retenidas se envían juntas en un solo mensaje al terminar el horario de silencio
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationSchedule
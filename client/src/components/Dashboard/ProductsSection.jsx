@@ -2,6 +2,7 @@ import React, { useMemo } from 'react'
 import { useAppContext } from '../../context/AppContext'
 import { useCategories } from '../../hooks/useCategories'
 import { useDepartmentFilter } from '../../hooks/useDepartmentFilter'
+import { useStockThreshold } from '../../hooks/useStockThreshold'
 import ProductsTable from './ProductsTable'
 import DepartmentButtons from './DepartmentButtons'
 import MultiCategorySelector from './MultiCategorySelector'
@@ -11,6 +12,7 @@ function ProductsSection() {
   
   // Aplicar filtro de departamento primero
   const { filteredProducts: departmentFilteredProducts, departmentName, isFiltered } = useDepartmentFilter(products)
+  const { getThreshold } = useStockThreshold()
 
   // Filtrar y ordenar productos
   const filteredProducts = useMemo(() => {
@@ -28,10 +30,10 @@ function ProductsSection() {
       filtered = filtered.filter(p => p.status === productFilters.statusFilter)
     }
     
-    // Filtro por nivel de stock
+    // Filtro por nivel de stock (umbral efectivo de cada producto)
     if (productFilters.stockFilter && productFilters.stockFilter !== 'all') {
       if (productFilters.stockFilter === 'low') {
-        filtered = filtered.filter(p => p.available_quantity <= 5 && p.available_quantity > 0)
+        filtered = filtered.filter(p => p.available_quantity <= getThreshold(p) && p.available_quantity > 0)
       } else if (productFilters.stockFilter === 'out') {
         filtered = filtered.filter(p => p.available_quantity === 0)
       }
@@ -94,13 +96,26 @@ function ProductsSection() {
       case 'stock-desc':
         filtered.sort((a, b) => b.available_quantity - a.available_quantity)
         break
+      case 'velocity-desc':
+        filtered.sort((a, b) => (b.units_per_day_30d ?? -1) - (a.units_per_day_30d ?? -1))
+        break
+      case 'velocity-asc':
+        filtered.sort((a, b) => (a.units_per_day_30d ?? Infinity) - (b.units_per_day_30d ?? Infinity))
+        break
+      case 'cover-asc':
+        // Sin ventas (cobertura null) al final: no se agotan
+        filtered.sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity))
+        break
+      case 'cover-desc':
+        filtered.sort((a, b) => (b.days_of_cover ?? -1) - (a.days_of_cover ?? -1))
+        break
       default:
         // Mantener orden original
         break
     }
     
     return filtered
-  }, [departmentFilteredProducts, productFilters])
+  }, [departmentFilteredProducts, productFilters, getThreshold])
 
   const handleFilterChange = (filterType, value) => {
     actions.setProductFilters({ [filterType]: value })
@@ -279,6 +294,10 @@ function ProductsSection() {
                 <option value="default">Orden original</option>
                 <option value="stock-asc">Stock: menor a mayor</option>
                 <option value="stock-desc">Stock: mayor a menor</option>
+                <option value="velocity-desc">Ventas/día: mayor a menor</option>
+                <option value="velocity-asc">Ventas/día: menor a mayor</option>
+                <option value="cover-asc">Cobertura: se agota antes</option>
+                <option value="cover-desc">Cobertura: mayor a menor</option>
               </select>
             </div>
 
@@ -378,7 +397,7 @@ function ProductsSection() {
       <div className="card">
         <div className="card-body">
           <div style={{ maxHeight: '600px', overflowY: 'auto' }}>
-            <ProductsTable products={filteredProducts} loading={loading.products} />
+            <ProductsTable products={filteredProducts} loading={loading.products} sortable />
           </div>
         </div>
       </div>
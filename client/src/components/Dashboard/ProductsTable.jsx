@@ -1,5 +1,15 @@
 import React, { useState } from 'react'
 import { useLinkPreview } from '../../hooks/useLinkPreview'
+import { useStockThreshold } from '../../hooks/useStockThreshold'
+import { useAppContext } from '../../context/AppContext'
+import StockHistory from './StockHistory'
+
+const THRESHOLD_SOURCE_LABELS = {
+  product: 'Publicación',
+  sku: 'SKU',
+  department: 'Departamento',
+  user: 'General'
+}
 
 // Componente para el link con preview simple
 function ProductLinkWithPreview({ product }) {
@@ -101,16 +111,159 @@ function ProductLinkWithPreview({ product }) {
   )
 }
 
-function ProductsTable({ products, loading }) {
-  const getStockBadge = (stock) => {
+// Umbral efectivo editable: override por publicación o por SKU
+function ThresholdEditor({ product, resolved }) {
+  const { thresholds, actions } = useAppContext()
+  const [editing, setEditing] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [targetType, setTargetType] = useState(resolved.source === 'sku' ? 'sku' : 'product')
+  const [value, setValue] = useState(resolved.threshold)
+
+  const targetId = targetType === 'sku' ? product.seller_sku : product.id
+  const hasOverride = thresholds.some(t => t.target_type === targetType && t.target_id === targetId)
+
+  const handleSave = async () => {
+    const threshold = parseInt(value)
+    if (isNaN(threshold) || threshold < 0) return
+    try {
+      setSaving(true)
+      await actions.saveThreshold(targetType, targetId, threshold)
+      setEditing(false)
+    } catch (error) {
+      console.error('Error guardando umbral:', error)
+      alert('Error al guardar el umbral')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      setSaving(true)
+      await actions.deleteThreshold(targetType, targetId)
+      setEditing(false)
+    } catch (error) {
+      console.error('Error eliminando umbral:', error)
+      alert('Error al eliminar el umbral')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!editing) {
+    return (
+      <button
+        type="button"
+        className="btn btn-link btn-sm p-0 text-decoration-none"
+        title="Editar umbral de stock bajo"
+        onClick={() => {
+          setValue(resolved.threshold)
+          setEditing(true)
+        }}
+      >
+        <span className="fw-semibold text-dark">{resolved.threshold}</span>
+        <small className="text-muted ms-1">({THRESHOLD_SOURCE_LABELS[resolved.source]})</small>
+        <i className="bi bi-pencil ms-1 small"></i>
+      </button>
+    )
+  }
+
+  return (
+    <div style={{ minWidth: '160px' }}>
+      <div className="input-group input-group-sm mb-1">
+        <input
+          type="number"
+          className="form-control"
+          min="0"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          aria-label="Umbral de stock bajo"
+        />
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving} title="Guardar">
+          <i className="bi bi-check"></i>
+        </button>
+        <button className="btn btn-outline-secondary" onClick={() => setEditing(false)} disabled={saving} title="Cancelar">
+          <i className="bi bi-x"></i>
+        </button>
+      </div>
+      <div className="d-flex align-items-center">
+        <select
+          className="form-select form-select-sm me-1"
+          value={targetType}
+          onChange={(e) => setTargetType(e.target.value)}
+          aria-label="Aplicar umbral a"
+        >
+          <option value="product">Esta publicación</option>
+          {product.seller_sku && <option value="sku">Todo el SKU</option>}
+        </select>
+        {hasOverride && (
+          <button className="btn btn-link btn-sm text-danger p-0" onClick={handleRemove} disabled={saving} title="Quitar override">
+            <i className="bi bi-trash"></i>
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Columnas ordenables: primer click en el orden más útil, segundo click invierte
+const SORT_COLUMNS = {
+  stock: ['stock-asc', 'stock-desc'],
+  velocity: ['velocity-desc', 'velocity-asc'],
+  cover: ['cover-asc', 'cover-desc']
+}
+
+const formatVelocity = (unitsPerDay) => {
+  if (unitsPerDay === null || unitsPerDay === undefined) return '—'
+  return unitsPerDay.toLocaleString('es-AR', { maximumFractionDigits: 1 })
+}
+
+const formatCover = (days) => {
+  if (days === null || days === undefined) return 'Sin ventas'
+  if (days < 1) return 'Menos de 1 día'
+  const rounded = Math.round(days)
+  return `${rounded} día${rounded === 1 ? '' : 's'}`
+}
+
+function ProductsTable({ products, loading, sortable = false }) {
+  const { resolveThreshold } = useStockThreshold()
+  const { productFilters, settings, actions } = useAppContext()
+  const leadTimeDays = settings.leadTimeDays || 7
+
+  const getCoverBadge = (days) => {
+    if (days === null || days === undefined) return 'bg-light text-muted'
+    if (days < leadTimeDays) return 'bg-danger'
+    if (days < leadTimeDays * 2) return 'bg-warning'
+    return 'bg-success'
+  }
+
+  const renderHeader = (label, column) => {
+    if (!sortable || !column) return label
+    const [first, second] = SORT_COLUMNS[column]
+    const active = productFilters.stockSort === first || productFilters.stockSort === second
+    const ascending = productFilters.stockSort?.endsWith('-asc')
+    return (
+      <button
+        type="button"
+        className="btn btn-link p-0 fw-bold text-dark text-decoration-none"
+        onClick={() => actions.setProductFilters({ stockSort: productFilters.stockSort === first ? second : first })}
+        title={`Ordenar por ${label.toLowerCase()}`}
+      >
+        {label}
+        <i className={`bi ${active ? (ascending ? 'bi-sort-up' : 'bi-sort-down') : 'bi-arrow-down-up text-muted'} ms-1 small`}></i>
+      </button>
+    )
+  }
+
+  const getStockBadge = (stock, threshold) => {
     if (stock <= 0) return 'bg-danger'
-    if (stock <= 5) return 'bg-warning'
+    if (stock <= threshold) return 'bg-warning'
     return 'bg-success'
   }
 
-  const getStockText = (stock) => {
+  const getStockText = (stock, threshold) => {
     if (stock <= 0) return 'Sin stock'
-    if (stock <= 5) return 'Stock bajo'
+    if (stock <= threshold) return 'Stock bajo'
     return 'Stock normal'
   }
 
@@ -194,8 +347,11 @@ function ProductsTable({ products, loading }) {
               <tr>
                 <th className="border-top-0">Producto</th>
                 <th className="border-top-0">SKU</th>
-                <th className="border-top-0">Stock</th>
+                <th className="border-top-0">{renderHeader('Stock', 'stock')}</th>
+                <th className="border-top-0">{renderHeader('Ventas/día', 'velocity')}</th>
+                <th className="border-top-0">{renderHeader('Cobertura', 'cover')}</th>
                 <th className="border-top-0">Estado Stock</th>
+                <th className="border-top-0">Umbral</th>
                 <th className="border-top-0">Estado Publicación</th>
                 <th className="border-top-0">Fulfillment</th>
                 <th className="border-top-0">Última actualización</th>
@@ -214,7 +370,10 @@ function ProductsTable({ products, loading }) {
               <th>Producto</th>
               <th>SKU</th>
               <th>Stock</th>
+              <th>Ventas/día</th>
+              <th>Cobertura</th>
               <th>Estado Stock</th>
+              <th>Umbral</th>
               <th>Estado Publicación</th>
               <th>Fulfillment</th>
               <th>Última actualización</th>
@@ -222,7 +381,9 @@ function ProductsTable({ products, loading }) {
             </tr>
           </thead>
         <tbody>
-          {products.map((product) => (
+          {products.map((product) => {
+            const resolvedThreshold = resolveThreshold(product)
+            return (
             <tr key={product.id}>
               <td>
                 <div className="d-flex align-items-center">
@@ -247,12 +408,31 @@ function ProductsTable({ products, loading }) {
               </td>
               <td>
                 <span className="fw-bold">{product.available_quantity}</span>
+                <StockHistory product={product} />
+              </td>
+              <td>
+                <span
+                  title={`7 días: ${formatVelocity(product.units_per_day_7d)} · 30 días: ${formatVelocity(product.units_per_day_30d)} · 90 días: ${formatVelocity(product.units_per_day_90d)}`}
+                >
+                  {formatVelocity(product.units_per_day_30d)}
+                </span>
               </td>
               <td>
-                <span className={`badge ${getStockBadge(product.available_quantity)}`}>
-                  {getStockText(product.available_quantity)}
+                <span
+                  className={`badge ${getCoverBadge(product.days_of_cover)}`}
+                  title={`Lead time de reposición: ${leadTimeDays} días`}
+                >
+                  {formatCover(product.days_of_cover)}
                 </span>
               </td>
+              <td>
+                <span className={`badge ${getStockBadge(product.available_quantity, resolvedThreshold.threshold)}`}>
+                  {getStockText(product.available_quantity, resolvedThreshold.threshold)}
+                </span>
+              </td>
+              <td>
+                <ThresholdEditor product={product} resolved={resolvedThreshold} />
+              </td>
               <td>
                 <span className={`badge ${getStatusBadgeWithDelay(product)}`} style={{ whiteSpace: 'pre-line' }}>
                   {product.status_display || getStatusText(product.status)}
@@ -279,7 +459,8 @@ function ProductsTable({ products, loading }) {
                 </span>
               </td>
             </tr>
-          ))}
+            )
+          })}
         </tbody>
       </table>
       </div>
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react'
+import { apiService } from '../../services/api'
+import { isPushSupported, getCurrentSubscription, subscribeToPush, unsubscribeFromPush } from '../../services/push'
+
+// Notificaciones push del navegador: activa el canal "push" y suscribe este navegador
+function PushNotifications({ enabled = false, onChange }) {
+  const [subscribed, setSubscribed] = useState(false)
+  const [deviceCount, setDeviceCount] = useState(0)
+  const [available, setAvailable] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const supported = isPushSupported()
+
+  useEffect(() => {
+    loadStatus()
+  }, [])
+
+  const loadStatus = async () => {
+    try {
+      const [status, subscription] = await Promise.all([
+        apiService.getPushStatus(),
+        getCurrentSubscription()
+      ])
+      setAvailable(!!status.available)
+      setDeviceCount(status.subscriptions?.length || 0)
+      setSubscribed(!!subscription && (status.subscriptions || []).some(s => s.endpoint === subscription.endpoint))
+    } catch (loadError) {
+      console.error('Error cargando estado de notificaciones push:', loadError)
+    }
+  }
+
+  const run = async (task) => {
+    try {
+      setWorking(true)
+      setError(null)
+      await task()
+      await loadStatus()
+    } catch (taskError) {
+      console.error('Error en notificaciones push:', taskError)
+      setError(taskError.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  // Al activar se suscribe este navegador (pide permiso); al desactivar el canal deja de enviar
+  const handleToggle = (checked) => {
+    if (!checked) {
+      onChange(false)
+      return
+    }
+    run(async () => {
+      if (!subscribed) await subscribeToPush()
+      onChange(true)
+    })
+  }
+
+  const handleTest = () => run(async () => {
+    await apiService.sendTestPush()
+  })
+
+  return (
+    <div className="mb-3">
+      <div className="form-check">
+        <input
+          className="form-check-input"
+          type="checkbox"
+          id="enablePushNotifications"
+          checked={enabled}
+          disabled={working || (!enabled && (!supported || !available))}
+          onChange={(e) => handleToggle(e.target.checked)}
+        />
+        <label className="form-check-label" htmlFor="enablePushNotifications">
+          Habilitar notificaciones push
+        </label>
+      </div>
+      <div className="form-text">
+        {!supported
+          ? 'Este navegador no soporta notificaciones push'
+          : !available
+            ? 'Las notificaciones push no están configuradas en el servidor (claves VAPID)'
+            : 'Las alertas de stock bajo llegan al navegador aunque el dashboard esté cerrado'}
+      </div>
+
+      {enabled && supported && (
+        <div className="d-flex align-items-center flex-wrap mt-2 ms-4">
+          <span className={`badge me-2 ${subscribed ? 'bg-success' : 'bg-secondary'}`}>
+            {subscribed ? 'Este navegador recibe notificaciones' : 'Este navegador no está suscripto'}
+          </span>
+          <small className="text-muted me-3">
+            {deviceCount} {deviceCount === 1 ? 'navegador suscripto' : 'navegadores suscriptos'}
+          </small>
+          {subscribed ? (
+            <button
+              type="button"
+              className="btn btn-sm btn-link p-0 me-3"
+              onClick={() => run(unsubscribeFromPush)}
+              disabled={working}
+            >
+              Quitar este navegador
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="btn btn-sm btn-link p-0 me-3"
+              onClick={() => run(subscribeToPush)}
+              disabled={working}
+            >
+              Suscribir este navegador
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-secondary"
+            onClick={handleTest}
+            disabled={working || deviceCount === 0}
+          >
+            <i className="bi bi-bell me-1"></i>
+            Enviar prueba
+          </button>
+        </div>
+      )}
+
+      {error && <div className="text-danger small mt-1 ms-4">{error}</div>}
+    </div>
+  )
+}
+
+export default PushNotifications
@@ -1,6 +1,18 @@
 import React from 'react'
+import { useAppContext } from '../../context/AppContext'
+import SnoozeControl from './SnoozeControl'
+
+function RecentAlerts({ alerts, loading, onMarkRead }) {
+  const { actions } = useAppContext()
+
+  const handleAcknowledge = async (alertId) => {
+    try {
+      await actions.acknowledgeAlerts({ alertIds: [alertId] })
+    } catch (error) {
+      console.error('Error reconociendo alerta:', error)
+    }
+  }
 
-function RecentAlerts({ alerts, loading }) {
   const getPriorityIcon = (priority) => {
     switch (priority) {
       case 'critical':
@@ -37,7 +49,7 @@ function RecentAlerts({ alerts, loading }) {
     return (
       <div className="text-center py-3 text-muted">
         <i className="bi bi-check-circle fs-4 mb-2"></i>
-        <p className="mb-0">No hay alertas recientes</p>
+        <p className="mb-0">No hay alertas sin leer</p>
       </div>
     )
   }
@@ -89,19 +101,40 @@ function RecentAlerts({ alerts, loading }) {
                 {alert.seller_sku && (
                   <small className="text-muted">SKU: {alert.seller_sku}</small>
                 )}
-                {productUrl && (
-                  <div className="mt-2">
+                <div className="mt-2">
+                  {productUrl && (
                     <a 
                       href={productUrl}
                       target="_blank"
                       rel="noopener noreferrer"
-                      className="btn btn-sm btn-outline-primary"
+                      className="btn btn-sm btn-outline-primary me-2"
                     >
                       <i className="bi bi-box-arrow-up-right me-1"></i>
                       Ver producto
                     </a>
-                  </div>
-                )}
+                  )}
+                  {onMarkRead && alert.id && (
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-secondary me-2"
+                      onClick={() => onMarkRead([alert.id])}
+                    >
+                      <i className="bi bi-check2 me-1"></i>
+                      Marcar leída
+                    </button>
+                  )}
+                  {alert.id && !alert.isAcknowledged && (
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-success me-2"
+                      onClick={() => handleAcknowledge(alert.id)}
+                      title="Ya lo sé: reconocer esta alerta"
+                    >
+                      <i className="bi bi-hand-thumbs-up"></i>
+                    </button>
+                  )}
+                  <SnoozeControl alert={alert} compact />
+                </div>
               </div>
             </div>
           </div>
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react'
+import { apiService } from '../../services/api'
+
+const SOURCE_LABELS = {
+  sku: 'SKU',
+  department: 'Departamento',
+  user: 'General'
+}
+
+const formatNumber = (value, decimals = 0) => {
+  if (value === null || value === undefined) return '—'
+  return value.toLocaleString('es-AR', { maximumFractionDigits: decimals })
+}
+
+// Parámetros propios de un SKU; los campos vacíos heredan del departamento o de la configuración general
+function ReorderSettingsEditor({ item, current, onSaved, onCancel }) {
+  const [form, setForm] = useState({
+    supplier: current?.supplier || '',
+    leadTimeDays: current?.lead_time_days ?? '',
+    targetCoverDays: current?.target_cover_days ?? '',
+    minOrderQty: current?.min_order_qty ?? ''
+  })
+  const [saving, setSaving] = useState(false)
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      await apiService.saveReorderSetting(item.sku, form)
+      onSaved()
+    } catch (error) {
+      console.error('Error guardando reposición del SKU:', error)
+      alert('Error guardando los parámetros del SKU')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      setSaving(true)
+      await apiService.deleteReorderSetting(item.sku)
+      onSaved()
+    } catch (error) {
+      console.error('Error eliminando reposición del SKU:', error)
+      alert('Error eliminando los parámetros del SKU')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <tr className="table-light">
+      <td colSpan="10">
+        <div className="row g-2 align-items-end">
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor={`reorderSupplier-${item.sku}`}>Proveedor</label>
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              id={`reorderSupplier-${item.sku}`}
+              placeholder="Heredado"
+              value={form.supplier}
+              onChange={(e) => handleChange('supplier', e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="form-label small mb-1" htmlFor={`reorderLeadTime-${item.sku}`}>Lead time (días)</label>
+            <input
+              type="number"
+              className="form-control form-control-sm"
+              id={`reorderLeadTime-${item.sku}`}
+              min="1"
+              placeholder={String(item.leadTimeDays)}
+              value={form.leadTimeDays}
+              onChange={(e) => handleChange('leadTimeDays', e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="form-label small mb-1" htmlFor={`reorderTarget-${item.sku}`}>Cobertura objetivo</label>
+            <input
+              type="number"
+              className="form-control form-control-sm"
+              id={`reorderTarget-${item.sku}`}
+              min="1"
+              placeholder={String(item.targetCoverDays)}
+              value={form.targetCoverDays}
+              onChange={(e) => handleChange('targetCoverDays', e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="form-label small mb-1" htmlFor={`reorderMinQty-${item.sku}`}>Pedido mínimo</label>
+            <input
+              type="number"
+              className="form-control form-control-sm"
+              id={`reorderMinQty-${item.sku}`}
+              min="1"
+              placeholder={String(item.minOrderQty)}
+              value={form.minOrderQty}
+              onChange={(e) => handleChange('minOrderQty', e.target.value)}
+            />
+          </div>
+          <div className="col-md-3 d-flex gap-1">
+            <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={saving}>
+              <i className="bi bi-check me-1"></i>
+              Guardar
+            </button>
+            <button className="btn btn-outline-secondary btn-sm" onClick={onCancel} disabled={saving}>
+              Cancelar
+            </button>
+            {current && (
+              <button className="btn btn-link btn-sm text-danger" onClick={handleRemove} disabled={saving} title="Volver a heredar">
+                <i className="bi bi-trash"></i>
+              </button>
+            )}
+          </div>
+        </div>
+      </td>
+    </tr>
+  )
+}
+
+function SupplierCard({ group, skuSettings, editingSku, onEdit, onSaved }) {
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex align-items-center">
+        <h5 className="card-title mb-0 me-auto">
+          <i className="bi bi-truck me-2"></i>
+          {group.supplier}
+          <small className="text-muted ms-2">
+            {group.items.length} SKU{group.items.length === 1 ? '' : 's'} · {formatNumber(group.totalUnits)} unidades
+          </small>
+        </h5>
+        {group.urgentCount > 0 && (
+          <span className="badge bg-danger me-2">{group.urgentCount} urgente{group.urgentCount === 1 ? '' : 's'}</span>
+        )}
+        <a
+          className="btn btn-outline-secondary btn-sm"
+          href={apiService.getReorderExportUrl('csv', group.supplier)}
+          title="Descargar la lista de compras de este proveedor"
+        >
+          <i className="bi bi-download me-1"></i>
+          CSV
+        </a>
+      </div>
+      <div className="table-responsive">
+        <table className="table table-hover mb-0">
+          <thead>
+            <tr>
+              <th>SKU</th>
+              <th>Producto</th>
+              <th>Stock</th>
+              <th>Ventas/día</th>
+              <th>Cobertura</th>
+              <th>Lead time</th>
+              <th>Objetivo</th>
+              <th>Mínimo</th>
+              <th>Sugerido</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {group.items.map(item => (
+              <React.Fragment key={item.sku || item.productIds[0]}>
+                <tr className={item.urgent ? 'table-danger' : ''}>
+                  <td>
+                    {item.sku ? <code className="small">{item.sku}</code> : <small className="text-muted">Sin SKU</small>}
+                  </td>
+                  <td>
+                    <div>{item.title}</div>
+                    <small className="text-muted">{item.productIds.join(', ')}</small>
+                  </td>
+                  <td className="fw-bold">{item.stock}</td>
+                  <td>{formatNumber(item.unitsPerDay, 1)}</td>
+                  <td>
+                    <div>{formatNumber(item.daysOfCover, 1)} días</div>
+                    <small className="text-muted">Sin stock ~{new Date(`${item.stockoutDate}T00:00:00`).toLocaleDateString()}</small>
+                  </td>
+                  <td title={SOURCE_LABELS[item.sources.leadTimeDays]}>{item.leadTimeDays} días</td>
+                  <td title={SOURCE_LABELS[item.sources.targetCoverDays]}>{item.targetCoverDays} días</td>
+                  <td title={SOURCE_LABELS[item.sources.minOrderQty]}>{item.minOrderQty}</td>
+                  <td>
+                    <span className="badge bg-primary fs-6">{formatNumber(item.suggestedQuantity)}</span>
+                  </td>
+                  <td>
+                    {item.sku && (
+                      <button
+                        type="button"
+                        className="btn btn-link btn-sm p-0"
+                        onClick={() => onEdit(editingSku === item.sku ? null : item.sku)}
+                        title="Parámetros de reposición del SKU"
+                      >
+                        <i className="bi bi-sliders"></i>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {editingSku === item.sku && (
+                  <ReorderSettingsEditor
+                    item={item}
+                    current={skuSettings[item.sku]}
+                    onSaved={onSaved}
+                    onCancel={() => onEdit(null)}
+                  />
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Sección "Reponer": qué pedir a cada proveedor según la velocidad de ventas (GET /api/reorder)
+function ReorderSection() {
+  const [plan, setPlan] = useState(null)
+  const [skuSettings, setSkuSettings] = useState({})
+  const [editingSku, setEditingSku] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadPlan()
+  }, [])
+
+  const loadPlan = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [suggestions, settings] = await Promise.all([
+        apiService.getReorderSuggestions(),
+        apiService.getReorderSettings()
+      ])
+      setPlan(suggestions)
+      setSkuSettings(Object.fromEntries((settings.settings || []).map(setting => [setting.sku, setting])))
+    } catch (loadError) {
+      console.error('Error cargando sugerencias de reposición:', loadError)
+      setError(loadError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaved = () => {
+    setEditingSku(null)
+    loadPlan()
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between flex-wrap flex-md-nowrap align-items-center pt-3 pb-2 mb-3 border-bottom">
+        <h1 className="h2">Reponer</h1>
+        <div className="btn-toolbar mb-2 mb-md-0">
+          <button type="button" className="btn btn-outline-primary btn-sm" onClick={loadPlan} disabled={loading}>
+            <i className="bi bi-arrow-clockwise me-1"></i>
+            Actualizar
+          </button>
+          <div className="btn-group btn-group-sm ms-2" role="group" aria-label="Exportar lista de compras">
+            <a
+              className="btn btn-outline-secondary"
+              href={apiService.getReorderExportUrl('csv')}
+              title="Descargar la lista de compras completa"
+            >
+              <i className="bi bi-download me-1"></i>
+              CSV
+            </a>
+            <a className="btn btn-outline-secondary" href={apiService.getReorderExportUrl('json')}>
+              JSON
+            </a>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Calculando reposición...</span>
+          </div>
+        </div>
+      ) : error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : (
+        <>
+          <p className="text-muted">
+            Cantidad sugerida = ventas/día (últimos 30 días) × (lead time + cobertura objetivo) − stock, como mínimo el pedido mínimo.
+            Valores generales: lead time {plan.defaults?.leadTimeDays ?? 7} días y cobertura objetivo {plan.defaults?.targetCoverDays ?? 30} días
+            (Configuración); cada SKU o departamento puede sobrescribirlos.
+          </p>
+
+          <div className="row mb-4">
+            <div className="col-md-4">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className="fs-3 fw-bold">{plan.totals.skus}</div>
+                  <small className="text-muted">SKUs para reponer</small>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-4">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className="fs-3 fw-bold">{formatNumber(plan.totals.units)}</div>
+                  <small className="text-muted">Unidades sugeridas</small>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-4">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className={`fs-3 fw-bold ${plan.totals.urgent > 0 ? 'text-danger' : ''}`}>{plan.totals.urgent}</div>
+                  <small className="text-muted">Se agotan antes de que llegue el pedido</small>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {plan.suppliers.length === 0 ? (
+            <div className="text-center text-muted py-5">
+              <i className="bi bi-check-circle fs-3 d-block mb-2"></i>
+              Nada para reponer: el stock cubre el lead time y la cobertura objetivo de todos los SKUs con ventas
+            </div>
+          ) : (
+            plan.suppliers.map(group => (
+              <SupplierCard
+                key={group.supplier}
+                group={group}
+                skuSettings={skuSettings}
+                editingSku={editingSku}
+                onEdit={setEditingSku}
+                onSaved={handleSaved}
+              />
+            ))
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReorderSection
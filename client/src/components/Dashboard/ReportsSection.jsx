@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { apiService } from '../../services/api'
+import { useCategories } from '../../hooks/useCategories'
+
+const QUICK_RANGES = [7, 30, 90]
+
+const toDateInput = (date) => date.toISOString().slice(0, 10)
+
+const daysAgo = (days) => toDateInput(new Date(Date.now() - days * 24 * 60 * 60 * 1000))
+
+const formatNumber = (value, decimals = 0) => {
+  if (value === null || value === undefined) return '—'
+  return value.toLocaleString('es-AR', { maximumFractionDigits: decimals })
+}
+
+const formatMoney = (value) => {
+  if (value === null || value === undefined) return '—'
+  return `$${value.toLocaleString('es-AR', { maximumFractionDigits: 0 })}`
+}
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString()
+
+function SummaryTable({ title, icon, rows, getLabel }) {
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <i className={`bi ${icon} me-2`}></i>
+          {title}
+        </h5>
+      </div>
+      <div className="table-responsive">
+        <table className="table table-hover mb-0">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Quiebres</th>
+              <th>Productos</th>
+              <th>Días sin stock</th>
+              <th>Unidades perdidas</th>
+              <th>Ventas perdidas</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={getLabel(row)}>
+                <td>{getLabel(row)}</td>
+                <td>{row.stockouts}</td>
+                <td>{row.products}</td>
+                <td>{formatNumber(row.days, 1)}</td>
+                <td>{formatNumber(row.lostUnits, 1)}</td>
+                <td className="fw-bold">{formatMoney(row.lostRevenue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Sección "Reportes": quiebres de stock del período y ventas perdidas estimadas (GET /api/reports/stockouts)
+function ReportsSection() {
+  const [range, setRange] = useState({ from: daysAgo(30), to: toDateInput(new Date()) })
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadReport()
+  }, [])
+
+  const loadReport = async (nextRange = range) => {
+    try {
+      setLoading(true)
+      setError(null)
+      setReport(await apiService.getStockoutReport(nextRange))
+    } catch (loadError) {
+      console.error('Error cargando reporte de quiebres:', loadError)
+      setError(loadError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleQuickRange = (days) => {
+    const nextRange = { from: daysAgo(days), to: toDateInput(new Date()) }
+    setRange(nextRange)
+    loadReport(nextRange)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    loadReport()
+  }
+
+  const categoryIds = useMemo(
+    () => (report?.byCategory || []).map(row => row.categoryId).filter(Boolean),
+    [report]
+  )
+  const { getCategoryName } = useCategories(categoryIds)
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between flex-wrap flex-md-nowrap align-items-center pt-3 pb-2 mb-3 border-bottom">
+        <h1 className="h2">Reportes</h1>
+      </div>
+
+      <form className="row g-2 align-items-end mb-4" onSubmit={handleSubmit}>
+        <div className="col-auto">
+          <label className="form-label small mb-1" htmlFor="reportFrom">Desde</label>
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            id="reportFrom"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+          />
+        </div>
+        <div className="col-auto">
+          <label className="form-label small mb-1" htmlFor="reportTo">Hasta</label>
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            id="reportTo"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+          />
+        </div>
+        <div className="col-auto">
+          <button type="submit" className="btn btn-primary btn-sm" disabled={loading}>
+            <i className="bi bi-search me-1"></i>
+            Ver reporte
+          </button>
+        </div>
+        <div className="col-auto">
+          <div className="btn-group btn-group-sm" role="group" aria-label="Rangos rápidos">
+            {QUICK_RANGES.map(days => (
+              <button
+                key={days}
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={() => handleQuickRange(days)}
+                disabled={loading}
+              >
+                {days} días
+              </button>
+            ))}
+          </div>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Generando reporte...</span>
+          </div>
+        </div>
+      ) : error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : (
+        <>
+          <p className="text-muted">
+            Cada quiebre es un período con stock disponible en 0 según el historial de stock.
+            Las ventas perdidas se estiman con las ventas/día de los 30 días previos al quiebre y el precio de ese momento.
+            {report.totals.withoutVelocity > 0 && (
+              <> {report.totals.withoutVelocity} quiebre{report.totals.withoutVelocity === 1 ? '' : 's'} sin historial previo no se estiman.</>
+            )}
+            {report.totals.unknownStart > 0 && (
+              <> {report.totals.unknownStart} quiebre{report.totals.unknownStart === 1 ? '' : 's'} sin fecha de inicio conocida no suman a los totales.</>
+            )}
+          </p>
+
+          <div className="row mb-4">
+            <div className="col-md-3">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className="fs-3 fw-bold">{report.totals.stockouts}</div>
+                  <small className="text-muted">Quiebres en {report.totals.products} producto{report.totals.products === 1 ? '' : 's'}</small>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-3">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className="fs-3 fw-bold">{formatNumber(report.totals.days, 1)}</div>
+                  <small className="text-muted">Días sin stock (suma)</small>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-3">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className="fs-3 fw-bold">{formatNumber(report.totals.lostUnits)}</div>
+                  <small className="text-muted">Unidades perdidas</small>
+                </div>
+              </div>
+            </div>
+            <div className="col-md-3">
+              <div className="card text-center">
+                <div className="card-body">
+                  <div className={`fs-3 fw-bold ${report.totals.lostRevenue > 0 ? 'text-danger' : ''}`}>
+                    {formatMoney(report.totals.lostRevenue)}
+                  </div>
+                  <small className="text-muted">Ventas perdidas estimadas</small>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {report.periods.length === 0 ? (
+            <div className="text-center text-muted py-5">
+              <i className="bi bi-check-circle fs-3 d-block mb-2"></i>
+              Sin quiebres de stock en el período
+            </div>
+          ) : (
+            <>
+              <div className="row">
+                <div className="col-lg-6">
+                  <SummaryTable
+                    title="Por departamento"
+                    icon="bi-diagram-3"
+                    rows={report.byDepartment}
+                    getLabel={row => row.department}
+                  />
+                </div>
+                <div className="col-lg-6">
+                  <SummaryTable
+                    title="Por categoría"
+                    icon="bi-tags"
+                    rows={report.byCategory}
+                    getLabel={row => (row.categoryId ? getCategoryName(row.categoryId) : 'Sin categoría')}
+                  />
+                </div>
+              </div>
+
+              <div className="card mb-4">
+                <div className="card-header">
+                  <h5 className="card-title mb-0">
+                    <i className="bi bi-list-ul me-2"></i>
+                    Quiebres
+                  </h5>
+                </div>
+                <div className="table-responsive">
+                  <table className="table table-hover mb-0">
+                    <thead>
+                      <tr>
+                        <th>Producto</th>
+                        <th>Desde</th>
+                        <th>Hasta</th>
+                        <th>Duración</th>
+                        <th>Ventas/día previas</th>
+                        <th>Unidades perdidas</th>
+                        <th>Ventas perdidas</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.periods.map(period => (
+                        <tr key={`${period.productId}-${period.start}`}>
+                          <td>
+                            <div>{period.title}</div>
+                            <small className="text-muted">
+                              {period.sku ? <code className="small me-2">{period.sku}</code> : null}
+                              {period.productId}
+                            </small>
+                          </td>
+                          <td>
+                            {formatDate(period.start)}
+                            {period.unknownStart
+                              ? <small className="text-muted d-block">inicio desconocido</small>
+                              : period.startedBefore && <small className="text-muted d-block">o antes</small>}
+                          </td>
+                          <td>
+                            {period.ongoing ? <span className="badge bg-danger">Sigue sin stock</span> : formatDate(period.end)}
+                          </td>
+                          <td>{formatNumber(period.durationDays, 1)} días</td>
+                          <td>{formatNumber(period.unitsPerDay, 1)}</td>
+                          <td>{formatNumber(period.lostUnits, 1)}</td>
+                          <td className="fw-bold">{formatMoney(period.lostRevenue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReportsSection
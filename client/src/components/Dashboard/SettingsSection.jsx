@@ -2,14 +2,30 @@ import React, { useState, useEffect } from 'react'
 import { useAppContext } from '../../context/AppContext'
 import { apiService } from '../../services/api'
 import DepartmentConfig from './DepartmentConfig'
+import NotificationChannels from './NotificationChannels'
+import NotificationSchedule from './NotificationSchedule'
+import EscalationPolicy from './EscalationPolicy'
+import AlertRules from './AlertRules'
+import SkuCosts from './SkuCosts'
+import PushNotifications from './PushNotifications'
 
 function SettingsSection() {
   const { settings, actions } = useAppContext()
   const [alertSettings, setAlertSettings] = useState({
-    criticalThreshold: 0,
-    warningThreshold: 5,
-    enableEmailAlerts: false,
-    enablePushNotifications: true
+    lowStockThreshold: settings.lowStockThreshold,
+    showCriticalOnly: settings.criticalOnly,
+    autoMarkAsRead: settings.autoMarkAsRead,
+    popupsEnabled: settings.popupsEnabled,
+    soundEnabled: settings.soundEnabled,
+    enablePushNotifications: true,
+    burstWindowMinutes: 60,
+    cooldownHours: 24,
+    channels: {},
+    digest: { frequency: 'off', to: '' },
+    schedule: { enabled: false },
+    escalation: { enabled: false },
+    retention: { hotDays: 90, archive: true },
+    coverage: { enabled: true, leadTimeDays: 7, targetCoverDays: 30 }
   })
   const [loading, setLoading] = useState(false)
   const [saving, setSaving] = useState(false)
@@ -36,12 +52,21 @@ function SettingsSection() {
   const handleSaveSettings = async () => {
     try {
       setSaving(true)
-      await apiService.updateAlertSettings(alertSettings)
+      const response = await apiService.updateAlertSettings({
+        ...alertSettings,
+        enablePushNotifications: !!alertSettings.channels?.push?.enabled
+      })
+      const savedSettings = response.settings || alertSettings
+      setAlertSettings(savedSettings)
       
       // Actualizar configuración local también
       actions.setSettings({
-        popupsEnabled: alertSettings.enablePushNotifications,
-        criticalOnly: alertSettings.criticalThreshold > 0
+        popupsEnabled: savedSettings.popupsEnabled,
+        soundEnabled: savedSettings.soundEnabled,
+        criticalOnly: savedSettings.showCriticalOnly,
+        autoMarkAsRead: savedSettings.autoMarkAsRead,
+        lowStockThreshold: savedSettings.lowStockThreshold,
+        leadTimeDays: savedSettings.coverage?.leadTimeDays ?? 7
       })
       
       // Mostrar mensaje de éxito
@@ -54,6 +79,19 @@ function SettingsSection() {
     }
   }
 
+  // El toggle de push activa el canal "push" (por defecto solo stock bajo)
+  const handlePushToggle = (enabled) => {
+    const pushChannel = alertSettings.channels?.push || {}
+    setAlertSettings(prev => ({
+      ...prev,
+      enablePushNotifications: enabled,
+      channels: {
+        ...prev.channels,
+        push: { ...pushChannel, enabled, alertTypes: pushChannel.alertTypes || ['LOW_STOCK'] }
+      }
+    }))
+  }
+
   const handleInputChange = (field, value) => {
     setAlertSettings(prev => ({
       ...prev,
@@ -81,6 +119,14 @@ function SettingsSection() {
         <div className="col-12 mb-4">
           <DepartmentConfig />
         </div>
+
+        <div className="col-12 mb-4">
+          <AlertRules />
+        </div>
+
+        <div className="col-12 mb-4">
+          <SkuCosts />
+        </div>
         
         <div className="col-md-8">
           <div className="card">
@@ -91,35 +137,57 @@ function SettingsSection() {
               <form>
                 <div className="row mb-3">
                   <div className="col-md-6">
-                    <label htmlFor="criticalThreshold" className="form-label">
-                      Umbral crítico (stock)
+                    <label htmlFor="lowStockThreshold" className="form-label">
+                      Umbral de stock bajo
+                    </label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="lowStockThreshold"
+                      value={alertSettings.lowStockThreshold}
+                      onChange={(e) => handleInputChange('lowStockThreshold', parseInt(e.target.value))}
+                      min="1"
+                      max="100"
+                    />
+                    <div className="form-text">
+                      Se genera una alerta crítica cuando el stock queda igual o por debajo de este valor
+                    </div>
+                  </div>
+                </div>
+
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="burstWindowMinutes" className="form-label">
+                      Agrupar cambios repetidos (minutos)
                     </label>
                     <input
                       type="number"
                       className="form-control"
-                      id="criticalThreshold"
-                      value={alertSettings.criticalThreshold}
-                      onChange={(e) => handleInputChange('criticalThreshold', parseInt(e.target.value))}
+                      id="burstWindowMinutes"
+                      value={alertSettings.burstWindowMinutes}
+                      onChange={(e) => handleInputChange('burstWindowMinutes', parseInt(e.target.value))}
                       min="0"
+                      max="1440"
                     />
                     <div className="form-text">
-                      Cantidad de stock por debajo de la cual se considera crítico
+                      Cambios del mismo producto y tipo dentro de esta ventana actualizan una sola alerta (0 = no agrupar)
                     </div>
                   </div>
                   <div className="col-md-6">
-                    <label htmlFor="warningThreshold" className="form-label">
-                      Umbral de advertencia (stock)
+                    <label htmlFor="cooldownHours" className="form-label">
+                      Espera entre notificaciones (horas)
                     </label>
                     <input
                       type="number"
                       className="form-control"
-                      id="warningThreshold"
-                      value={alertSettings.warningThreshold}
-                      onChange={(e) => handleInputChange('warningThreshold', parseInt(e.target.value))}
+                      id="cooldownHours"
+                      value={alertSettings.cooldownHours}
+                      onChange={(e) => handleInputChange('cooldownHours', parseFloat(e.target.value))}
                       min="0"
+                      max="168"
                     />
                     <div className="form-text">
-                      Cantidad de stock por debajo de la cual se considera advertencia
+                      No se vuelve a notificar el mismo producto y tipo de alerta durante este tiempo (0 = sin espera)
                     </div>
                   </div>
                 </div>
@@ -129,12 +197,12 @@ function SettingsSection() {
                     <input
                       className="form-check-input"
                       type="checkbox"
-                      id="enableEmailAlerts"
-                      checked={alertSettings.enableEmailAlerts}
-                      onChange={(e) => handleInputChange('enableEmailAlerts', e.target.checked)}
+                      id="showCriticalOnly"
+                      checked={alertSettings.showCriticalOnly}
+                      onChange={(e) => handleInputChange('showCriticalOnly', e.target.checked)}
                     />
-                    <label className="form-check-label" htmlFor="enableEmailAlerts">
-                      Habilitar alertas por email
+                    <label className="form-check-label" htmlFor="showCriticalOnly">
+                      Mostrar solo alertas críticas
                     </label>
                   </div>
                 </div>
@@ -144,13 +212,187 @@ function SettingsSection() {
                     <input
                       className="form-check-input"
                       type="checkbox"
-                      id="enablePushNotifications"
-                      checked={alertSettings.enablePushNotifications}
-                      onChange={(e) => handleInputChange('enablePushNotifications', e.target.checked)}
+                      id="autoMarkAsRead"
+                      checked={alertSettings.autoMarkAsRead}
+                      onChange={(e) => handleInputChange('autoMarkAsRead', e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor="autoMarkAsRead">
+                      Marcar alertas como leídas al verlas
+                    </label>
+                  </div>
+                </div>
+
+                <div className="mb-3">
+                  <div className="form-check">
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id="popupsEnabled"
+                      checked={alertSettings.popupsEnabled}
+                      onChange={(e) => handleInputChange('popupsEnabled', e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor="popupsEnabled">
+                      Mostrar popups de alertas
+                    </label>
+                  </div>
+                </div>
+
+                <div className="mb-3">
+                  <div className="form-check">
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id="soundEnabled"
+                      checked={alertSettings.soundEnabled}
+                      onChange={(e) => handleInputChange('soundEnabled', e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor="soundEnabled">
+                      Reproducir sonido en alertas nuevas
+                    </label>
+                  </div>
+                </div>
+
+                <PushNotifications
+                  enabled={!!alertSettings.channels?.push?.enabled}
+                  onChange={handlePushToggle}
+                />
+
+                <NotificationChannels
+                  channels={alertSettings.channels}
+                  onChange={(channels) => handleInputChange('channels', channels)}
+                />
+
+                <NotificationSchedule
+                  schedule={alertSettings.schedule}
+                  onChange={(schedule) => handleInputChange('schedule', schedule)}
+                />
+
+                <EscalationPolicy
+                  escalation={alertSettings.escalation}
+                  onChange={(escalation) => handleInputChange('escalation', escalation)}
+                />
+
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="digestFrequency" className="form-label">
+                      Resumen por email
+                    </label>
+                    <select
+                      className="form-select"
+                      id="digestFrequency"
+                      value={alertSettings.digest?.frequency || 'off'}
+                      onChange={(e) => handleInputChange('digest', { ...alertSettings.digest, frequency: e.target.value })}
+                    >
+                      <option value="off">Desactivado</option>
+                      <option value="daily">Diario</option>
+                      <option value="weekly">Semanal (lunes)</option>
+                    </select>
+                    <div className="form-text">
+                      Un único email con conteos por prioridad, mayores caídas de stock y productos sin stock
+                    </div>
+                  </div>
+                  {alertSettings.digest?.frequency && alertSettings.digest.frequency !== 'off' && (
+                    <div className="col-md-6">
+                      <label htmlFor="digestTo" className="form-label">
+                        Destinatario del resumen
+                      </label>
+                      <input
+                        type="email"
+                        className="form-control"
+                        id="digestTo"
+                        placeholder="Vacío = email del canal o del servidor"
+                        value={alertSettings.digest.to || ''}
+                        onChange={(e) => handleInputChange('digest', { ...alertSettings.digest, to: e.target.value })}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="coverageLeadTimeDays" className="form-label">
+                      Lead time de reposición (días)
+                    </label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="coverageLeadTimeDays"
+                      value={alertSettings.coverage?.leadTimeDays ?? 7}
+                      onChange={(e) => handleInputChange('coverage', { ...alertSettings.coverage, leadTimeDays: parseInt(e.target.value) })}
+                      min="1"
+                      max="180"
                     />
-                    <label className="form-check-label" htmlFor="enablePushNotifications">
-                      Habilitar notificaciones push
+                    <div className="form-text">
+                      Días que tarda en llegar la reposición: la cobertura por debajo de este valor se resalta en Productos
+                    </div>
+                  </div>
+                  <div className="col-md-6 d-flex align-items-center">
+                    <div className="form-check">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        id="coverageEnabled"
+                        checked={alertSettings.coverage?.enabled !== false}
+                        onChange={(e) => handleInputChange('coverage', { ...alertSettings.coverage, enabled: e.target.checked })}
+                      />
+                      <label className="form-check-label" htmlFor="coverageEnabled">
+                        Alertar cuando la cobertura baja del lead time
+                      </label>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="coverageTargetDays" className="form-label">
+                      Cobertura objetivo al reponer (días)
+                    </label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="coverageTargetDays"
+                      value={alertSettings.coverage?.targetCoverDays ?? 30}
+                      onChange={(e) => handleInputChange('coverage', { ...alertSettings.coverage, targetCoverDays: parseInt(e.target.value) })}
+                      min="1"
+                      max="365"
+                    />
+                    <div className="form-text">
+                      Días de venta que debe cubrir cada pedido sugerido en Reponer, además del lead time
+                    </div>
+                  </div>
+                </div>
+
+                <div className="row mb-3">
+                  <div className="col-md-6">
+                    <label htmlFor="retentionHotDays" className="form-label">
+                      Conservar alertas (días)
                     </label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="retentionHotDays"
+                      value={alertSettings.retention?.hotDays ?? 90}
+                      onChange={(e) => handleInputChange('retention', { ...alertSettings.retention, hotDays: parseInt(e.target.value) })}
+                      min="30"
+                      max="3650"
+                    />
+                    <div className="form-text">
+                      Las alertas más antiguas se eliminan en el mantenimiento diario (mínimo 30 días)
+                    </div>
+                  </div>
+                  <div className="col-md-6 d-flex align-items-center">
+                    <div className="form-check">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        id="retentionArchive"
+                        checked={alertSettings.retention?.archive !== false}
+                        onChange={(e) => handleInputChange('retention', { ...alertSettings.retention, archive: e.target.checked })}
+                      />
+                      <label className="form-check-label" htmlFor="retentionArchive">
+                        Guardar un resumen diario antes de eliminarlas
+                      </label>
+                    </div>
                   </div>
                 </div>
 
@@ -189,11 +431,11 @@ function SettingsSection() {
               <ul className="list-unstyled">
                 <li className="mb-2">
                   <i className="bi bi-exclamation-triangle-fill text-danger me-2"></i>
-                  <strong>Crítica:</strong> Stock igual o menor al umbral crítico
+                  <strong>Crítica:</strong> Stock igual o menor al umbral de stock bajo
                 </li>
                 <li className="mb-2">
                   <i className="bi bi-info-circle-fill text-warning me-2"></i>
-                  <strong>Advertencia:</strong> Stock igual o menor al umbral de advertencia
+                  <strong>Advertencia:</strong> Disminución de stock con 10 unidades o menos
                 </li>
                 <li className="mb-2">
                   <i className="bi bi-info-circle text-info me-2"></i>
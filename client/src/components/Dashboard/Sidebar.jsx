@@ -5,7 +5,7 @@ import { useAppContext } from '../../context/AppContext'
 function Sidebar() {
   const { alertCounts, stats } = useAppContext()
   
-  const criticalAlertsCount = alertCounts.critical
+  const criticalAlertsCount = alertCounts.unread.critical
   const totalProducts = stats?.totalProducts || 0
 
   return (
@@ -54,6 +54,26 @@ function Sidebar() {
             </NavLink>
           </li>
           
+          <li className="nav-item">
+            <NavLink 
+              className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
+              to="/dashboard/reorder"
+            >
+              <i className="bi bi-cart me-2"></i>
+              Reponer
+            </NavLink>
+          </li>
+          
+          <li className="nav-item">
+            <NavLink 
+              className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
+              to="/dashboard/reports"
+            >
+              <i className="bi bi-bar-chart me-2"></i>
+              Reportes
+            </NavLink>
+          </li>
+          
           <li className="nav-item">
             <NavLink 
               className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}
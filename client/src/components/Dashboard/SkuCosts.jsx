@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { useAppContext } from '../../context/AppContext'
+import { apiService } from '../../services/api'
+
+const MAX_VISIBLE_SKUS = 50
+
+// Costo unitario opcional por SKU para valuar el inventario a costo (GET/PUT/DELETE /api/reports/costs)
+function SkuCosts() {
+  const { products } = useAppContext()
+  const [costs, setCosts] = useState({})
+  const [drafts, setDrafts] = useState({})
+  const [search, setSearch] = useState('')
+  const [savingSku, setSavingSku] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadCosts()
+  }, [])
+
+  const loadCosts = async () => {
+    try {
+      setLoading(true)
+      const response = await apiService.getSkuCosts()
+      setCosts(Object.fromEntries((response.costs || []).map(cost => [cost.sku, Number(cost.unit_cost)])))
+    } catch (error) {
+      console.error('Error cargando costos por SKU:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Un SKU por fila con el título y precio de su primera publicación
+  const skus = useMemo(() => {
+    const bySku = new Map()
+    products.forEach(product => {
+      if (product.seller_sku && !bySku.has(product.seller_sku)) {
+        bySku.set(product.seller_sku, { sku: product.seller_sku, title: product.title, price: product.price })
+      }
+    })
+    return Array.from(bySku.values()).sort((a, b) => a.sku.localeCompare(b.sku))
+  }, [products])
+
+  const filteredSkus = useMemo(() => {
+    const term = search.trim().toLowerCase()
+    if (!term) return skus
+    return skus.filter(item => item.sku.toLowerCase().includes(term) || (item.title || '').toLowerCase().includes(term))
+  }, [skus, search])
+
+  const handleSave = async (sku) => {
+    const draft = drafts[sku]
+    try {
+      setSavingSku(sku)
+      if (draft === '') {
+        await apiService.deleteSkuCost(sku)
+      } else {
+        await apiService.saveSkuCost(sku, draft)
+      }
+      setDrafts(prev => {
+        const next = { ...prev }
+        delete next[sku]
+        return next
+      })
+      await loadCosts()
+    } catch (error) {
+      console.error('Error guardando costo del SKU:', error)
+      alert('Error guardando el costo del SKU')
+    } finally {
+      setSavingSku(null)
+    }
+  }
+
+  const costedCount = Object.keys(costs).length
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex align-items-center">
+        <h5 className="card-title mb-0 me-auto">
+          <i className="bi bi-currency-dollar me-2"></i>
+          Costos por SKU
+        </h5>
+        <small className="text-muted">{costedCount} de {skus.length} SKUs con costo</small>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          El costo es opcional y se usa para mostrar el valor del inventario a costo además de a precio de lista.
+          Dejar el campo vacío y guardar elimina el costo.
+        </p>
+        <input
+          type="search"
+          className="form-control form-control-sm mb-3"
+          placeholder="Buscar por SKU o título..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+
+        {loading ? (
+          <div className="text-center py-3">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Cargando costos...</span>
+            </div>
+          </div>
+        ) : filteredSkus.length === 0 ? (
+          <div className="text-center text-muted py-3">No hay productos con SKU</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm table-hover mb-0">
+              <thead>
+                <tr>
+                  <th>SKU</th>
+                  <th>Producto</th>
+                  <th>Precio</th>
+                  <th style={{ width: '220px' }}>Costo unitario</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredSkus.slice(0, MAX_VISIBLE_SKUS).map(item => {
+                  const draft = drafts[item.sku]
+                  const value = draft ?? (costs[item.sku] ?? '')
+                  return (
+                    <tr key={item.sku}>
+                      <td><code className="small">{item.sku}</code></td>
+                      <td className="small">{item.title}</td>
+                      <td className="small">${Number(item.price || 0).toLocaleString('es-AR')}</td>
+                      <td>
+                        <div className="input-group input-group-sm">
+                          <span className="input-group-text">$</span>
+                          <input
+                            type="number"
+                            className="form-control"
+                            min="0"
+                            step="0.01"
+                            value={value}
+                            onChange={(e) => setDrafts(prev => ({ ...prev, [item.sku]: e.target.value }))}
+                            aria-label={`Costo de ${item.sku}`}
+                          />
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary"
+                            onClick={() => handleSave(item.sku)}
+                            disabled={draft === undefined || savingSku === item.sku}
+                          >
+                            <i className="bi bi-check"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+            {filteredSkus.length > MAX_VISIBLE_SKUS && (
+              <small className="text-muted d-block mt-2">
+                Mostrando {MAX_VISIBLE_SKUS} de {filteredSkus.length} SKUs; buscar para ver el resto.
+              </small>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SkuCosts
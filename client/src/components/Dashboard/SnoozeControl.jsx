@@ -0,0 +1,174 @@
+import React, { useState } from 'react'
+import { useAppContext } from '../../context/AppContext'
+
+const SNOOZE_PRESETS = [
+  { value: '1', label: '1 día' },
+  { value: '3', label: '3 días' },
+  { value: '7', label: '1 semana' },
+  { value: 'date', label: 'Hasta una fecha' },
+  { value: 'none', label: 'Sin fecha' }
+]
+
+const addDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+const describeSnooze = (snooze) => {
+  const parts = []
+  if (snooze.snoozed_until) {
+    parts.push(`hasta ${new Date(snooze.snoozed_until).toLocaleDateString()}`)
+  }
+  if (snooze.until_stock_above !== null && snooze.until_stock_above !== undefined) {
+    parts.push(`hasta stock > ${snooze.until_stock_above}`)
+  }
+  return parts.join(' o ')
+}
+
+// Posponer notificaciones del producto de una alerta ("ya lo sé, el proveedor entrega el viernes")
+function SnoozeControl({ alert, compact = false }) {
+  const { actions } = useAppContext()
+  const [open, setOpen] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [preset, setPreset] = useState('3')
+  const [date, setDate] = useState('')
+  const [untilStockAbove, setUntilStockAbove] = useState('')
+  const [reason, setReason] = useState('')
+
+  if (!alert.product_id) return null
+
+  const handleUnsnooze = async () => {
+    try {
+      setSaving(true)
+      await actions.unsnoozeProduct(alert.product_id)
+    } catch (error) {
+      console.error('Error reactivando notificaciones:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSnooze = async () => {
+    let until = null
+    if (preset === 'date') {
+      // Fin del día elegido en la zona del navegador
+      until = date ? new Date(`${date}T23:59:59`).toISOString() : null
+    } else if (preset !== 'none') {
+      until = addDays(parseInt(preset)).toISOString()
+    }
+
+    if (!until && untilStockAbove === '') {
+      window.alert('Indica una fecha o un stock para terminar el snooze')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await actions.snoozeProduct(alert.product_id, {
+        until,
+        untilStockAbove: untilStockAbove === '' ? null : parseInt(untilStockAbove),
+        reason: reason.trim() || null
+      })
+      setOpen(false)
+    } catch (error) {
+      console.error('Error posponiendo producto:', error)
+      window.alert('Error al posponer el producto')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (alert.snooze) {
+    return (
+      <span className="d-inline-flex align-items-center">
+        <span className="badge bg-secondary me-2" title={alert.snooze.reason || ''}>
+          <i className="bi bi-moon me-1"></i>
+          Pospuesta {describeSnooze(alert.snooze)}
+        </span>
+        <button
+          type="button"
+          className="btn btn-sm btn-link p-0"
+          onClick={handleUnsnooze}
+          disabled={saving}
+        >
+          Reactivar
+        </button>
+      </span>
+    )
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={() => setOpen(true)}
+        title="Dejar de notificar este producto por un tiempo"
+      >
+        <i className="bi bi-moon me-1"></i>
+        {compact ? 'Posponer' : 'Posponer producto'}
+      </button>
+    )
+  }
+
+  return (
+    <div className="border rounded p-2 mt-2 bg-light">
+      <div className="row g-2 align-items-end">
+        <div className="col-sm-4">
+          <label className="form-label small mb-1" htmlFor={`snoozePreset-${alert.id}`}>Posponer</label>
+          <select
+            className="form-select form-select-sm"
+            id={`snoozePreset-${alert.id}`}
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+          >
+            {SNOOZE_PRESETS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {preset === 'date' && (
+          <div className="col-sm-4">
+            <label className="form-label small mb-1" htmlFor={`snoozeDate-${alert.id}`}>Fecha</label>
+            <input
+              type="date"
+              className="form-control form-control-sm"
+              id={`snoozeDate-${alert.id}`}
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+            />
+          </div>
+        )}
+        <div className="col-sm-4">
+          <label className="form-label small mb-1" htmlFor={`snoozeStock-${alert.id}`}>O hasta stock mayor a</label>
+          <input
+            type="number"
+            min="0"
+            className="form-control form-control-sm"
+            id={`snoozeStock-${alert.id}`}
+            placeholder={String(alert.new_stock ?? '')}
+            value={untilStockAbove}
+            onChange={(e) => setUntilStockAbove(e.target.value)}
+          />
+        </div>
+        <div className="col-12">
+          <input
+            type="text"
+            className="form-control form-control-sm"
+            placeholder="Motivo (opcional), ej: el proveedor entrega el viernes"
+            maxLength={200}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+      </div>
+      <div className="mt-2">
+        <button type="button" className="btn btn-sm btn-primary me-2" onClick={handleSnooze} disabled={saving}>
+          Posponer
+        </button>
+        <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setOpen(false)} disabled={saving}>
+          Cancelar
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SnoozeControl
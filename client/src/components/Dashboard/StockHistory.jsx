@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react'
+import { apiService } from '../../services/api'
+
+const RANGE_OPTIONS = [
+  { value: '7d', label: '7 días' },
+  { value: '30d', label: '30 días' },
+  { value: '90d', label: '90 días' }
+]
+
+const CHART_WIDTH = 640
+const CHART_HEIGHT = 220
+const PADDING = { top: 12, right: 12, bottom: 24, left: 40 }
+
+// Gráfico escalonado del stock (el valor se mantiene hasta el siguiente cambio)
+function StockChart({ points, from, to }) {
+  const start = new Date(from).getTime()
+  const end = new Date(to).getTime()
+  const maxStock = Math.max(1, ...points.map(point => point.max ?? point.stock ?? 0))
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+
+  const x = (time) => PADDING.left + ((time - start) / (end - start)) * plotWidth
+  const y = (stock) => PADDING.top + plotHeight - (stock / maxStock) * plotHeight
+
+  let path = ''
+  let lastY = null
+  points.forEach(point => {
+    const pointX = x(new Date(point.at).getTime())
+    const pointY = y(point.stock)
+    path += lastY === null ? `M${pointX},${pointY}` : `H${pointX}V${pointY}`
+    lastY = pointY
+  })
+  if (lastY !== null) path += `H${x(end)}`
+
+  const formatDate = (time) => new Date(time).toLocaleDateString(undefined, { day: '2-digit', month: '2-digit' })
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-100" role="img" aria-label="Historial de stock">
+      {[0, 0.5, 1].map(ratio => (
+        <g key={ratio}>
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={y(maxStock * ratio)}
+            y2={y(maxStock * ratio)}
+            stroke="#dee2e6"
+          />
+          <text x={PADDING.left - 6} y={y(maxStock * ratio) + 4} fontSize="11" textAnchor="end" fill="#6c757d">
+            {Math.round(maxStock * ratio)}
+          </text>
+        </g>
+      ))}
+      <path d={path} fill="none" stroke="#0d6efd" strokeWidth="2" />
+      <text x={PADDING.left} y={CHART_HEIGHT - 6} fontSize="11" fill="#6c757d">{formatDate(start)}</text>
+      <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} fontSize="11" textAnchor="end" fill="#6c757d">
+        {formatDate(end)}
+      </text>
+    </svg>
+  )
+}
+
+// Botón con el historial de stock de un producto (GET /api/products/:id/history)
+function StockHistory({ product }) {
+  const [open, setOpen] = useState(false)
+  const [range, setRange] = useState('90d')
+  const [history, setHistory] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (open) loadHistory()
+  }, [open, range])
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      setHistory(await apiService.getProductHistory(product.id, { range }))
+    } catch (loadError) {
+      console.error('Error cargando historial de stock:', loadError)
+      setError(loadError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const points = history?.points || []
+  const stocks = points.map(point => point.stock).filter(stock => stock !== null)
+
+  return (
+    <>
+      <button
+        type="button"
+        className="btn btn-link btn-sm p-0 ms-1 text-muted"
+        onClick={() => setOpen(true)}
+        title="Ver historial de stock"
+      >
+        <i className="bi bi-graph-down"></i>
+      </button>
+
+      {open && (
+        <>
+          <div className="modal d-block" tabIndex="-1" role="dialog" onClick={() => setOpen(false)}>
+            <div className="modal-dialog modal-lg modal-dialog-centered" onClick={(e) => e.stopPropagation()}>
+              <div className="modal-content">
+                <div className="modal-header">
+                  <h5 className="modal-title text-truncate">
+                    <i className="bi bi-graph-down me-2"></i>
+                    {product.title}
+                  </h5>
+                  <button type="button" className="btn-close" aria-label="Cerrar" onClick={() => setOpen(false)}></button>
+                </div>
+                <div className="modal-body">
+                  <div className="d-flex align-items-center mb-3">
+                    <div className="btn-group btn-group-sm me-auto" role="group" aria-label="Rango del historial">
+                      {RANGE_OPTIONS.map(option => (
+                        <button
+                          key={option.value}
+                          type="button"
+                          className={`btn ${range === option.value ? 'btn-primary' : 'btn-outline-primary'}`}
+                          onClick={() => setRange(option.value)}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                    {history && (
+                      <small className="text-muted">
+                        {history.totalChanges} cambios
+                        {stocks.length > 0 && ` · mín. ${Math.min(...stocks)} · máx. ${Math.max(...stocks)}`}
+                      </small>
+                    )}
+                  </div>
+
+                  {loading ? (
+                    <div className="text-center py-5">
+                      <div className="spinner-border" role="status">
+                        <span className="visually-hidden">Cargando historial...</span>
+                      </div>
+                    </div>
+                  ) : error ? (
+                    <div className="alert alert-danger mb-0">{error}</div>
+                  ) : points.length === 0 ? (
+                    <div className="text-center text-muted py-5">
+                      Sin cambios de stock registrados en este período
+                    </div>
+                  ) : (
+                    <StockChart points={points} from={history.range.from} to={history.range.to} />
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+          <div className="modal-backdrop show"></div>
+        </>
+      )}
+    </>
+  )
+}
+
+export default StockHistory
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react'
+import { apiService } from '../../services/api'
+
+const CHANNEL_LABELS = {
+  console: 'Servidor',
+  email: 'Email',
+  telegram: 'Telegram',
+  webhook: 'Webhook'
+}
+
+function UndeliveredNotifications() {
+  const [deliveries, setDeliveries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadDeliveries()
+  }, [])
+
+  const loadDeliveries = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await apiService.getDeadLetterDeliveries()
+      setDeliveries(response.deliveries || [])
+      setTotal(response.pagination?.total || 0)
+    } catch (err) {
+      console.error('Error cargando notificaciones no entregadas:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Sin fallos definitivos no se muestra nada
+  if (!loading && !error && total === 0) {
+    return null
+  }
+
+  return (
+    <div className="card mt-4 border-danger">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="card-title mb-0">
+          <i className="bi bi-envelope-x text-danger me-2"></i>
+          Notificaciones no entregadas
+          <span className="badge bg-danger ms-2">{total}</span>
+        </h5>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={loadDeliveries}
+          disabled={loading}
+        >
+          <i className="bi bi-arrow-clockwise"></i>
+        </button>
+      </div>
+      <div className="card-body p-0">
+        {error && (
+          <div className="alert alert-danger m-3 mb-0">{error}</div>
+        )}
+        {loading ? (
+          <div className="text-center py-3">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Cargando...</span>
+            </div>
+          </div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm table-hover mb-0">
+              <thead>
+                <tr>
+                  <th>Producto</th>
+                  <th>Alerta</th>
+                  <th>Canal</th>
+                  <th>Intentos</th>
+                  <th>Último error</th>
+                  <th>Fecha</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id}>
+                    <td>
+                      <div className="text-truncate" style={{ maxWidth: '220px' }}>
+                        {delivery.productTitle || delivery.productId}
+                      </div>
+                      {delivery.sellerSku && <small className="text-muted">SKU: {delivery.sellerSku}</small>}
+                    </td>
+                    <td><span className="badge bg-secondary">{delivery.alertType}</span></td>
+                    <td>{CHANNEL_LABELS[delivery.channel] || delivery.channel}</td>
+                    <td>{delivery.attempts}</td>
+                    <td>
+                      <small className="text-danger text-truncate d-inline-block" style={{ maxWidth: '260px' }} title={delivery.lastError}>
+                        {delivery.lastError}
+                      </small>
+                    </td>
+                    <td><small>{new Date(delivery.failedAt).toLocaleString()}</small></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UndeliveredNotifications
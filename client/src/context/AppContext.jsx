@@ -1,7 +1,10 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react'
 
 const AppContext = createContext()
 
+// Alertas no leídas que se muestran en el centro de notificaciones
+const NOTIFICATION_CENTER_LIMIT = 10
+
 const initialState = {
   // Datos
   products: [],
@@ -13,7 +16,20 @@ const initialState = {
     total: 0,
     critical: 0,
     warning: 0,
-    info: 0
+    info: 0,
+    unread: {
+      total: 0,
+      critical: 0,
+      warning: 0,
+      info: 0
+    }
+  },
+  
+  // Centro de notificaciones: últimas no leídas y nuevas desde la última vez que se abrió la campana
+  notifications: {
+    items: [],
+    newCount: 0,
+    lastSeenAt: null
   },
   
   // Estados de carga
@@ -27,6 +43,11 @@ const initialState = {
   currentSection: 'dashboard',
   alertFilters: {
     priority: 'all',
+    alertType: 'all',
+    timeRange: 'all',
+    onlyUnread: false,
+    onlySnoozed: false,
+    productId: null, // Alertas de una sola publicación (desde el centro de notificaciones)
     page: 0,
     limit: 20
   },
@@ -51,6 +72,10 @@ const initialState = {
     popupsEnabled: true,
     soundEnabled: false,
     criticalOnly: false,
+    autoMarkAsRead: false,
+    lowStockThreshold: 5,
+    // Lead time de reposición (días): resalta la cobertura en la tabla de productos
+    leadTimeDays: 7,
     autoRefresh: true
   },
   
@@ -60,6 +85,16 @@ const initialState = {
     selectedDepartment: 'all' // Departamento actualmente seleccionado
   },
   
+  // Overrides de umbral de stock bajo: [{ target_type: 'product'|'sku', target_id, threshold }]
+  thresholds: [],
+  
+  // Actualizaciones en tiempo real: 'off' | 'live' (SSE) | 'polling' (serverless o conexión caída)
+  realtime: {
+    mode: 'off',
+    pollIntervalMs: null,
+    monitor: null
+  },
+  
   // Errores
   errors: {}
 }
@@ -84,6 +119,135 @@ function appReducer(state, action) {
     case 'SET_ALERT_COUNTS':
       return { ...state, alertCounts: action.payload }
     
+    case 'MARK_ALERTS_READ': {
+      // null = todas las alertas del usuario
+      const ids = action.payload
+      const isTarget = (alert) => !alert.isRead && (ids === null || ids.includes(alert.id))
+      const newlyRead = state.alerts.filter(isTarget)
+      const unread = { ...state.alertCounts.unread }
+      
+      if (ids === null) {
+        unread.total = 0
+        unread.critical = 0
+        unread.warning = 0
+        unread.info = 0
+      } else {
+        newlyRead.forEach(alert => {
+          const key = alert.priority === 'informative' ? 'info' : alert.priority
+          unread.total = Math.max(0, unread.total - 1)
+          if (key in unread) {
+            unread[key] = Math.max(0, unread[key] - 1)
+          }
+        })
+      }
+      
+      const readAt = new Date().toISOString()
+      return {
+        ...state,
+        alerts: state.alerts.map(alert => isTarget(alert) ? { ...alert, isRead: true, read_at: readAt } : alert),
+        alertCounts: { ...state.alertCounts, unread },
+        notifications: {
+          ...state.notifications,
+          items: ids === null ? [] : state.notifications.items.filter(item => !ids.includes(item.id))
+        }
+      }
+    }
+    
+    case 'ACKNOWLEDGE_ALERTS': {
+      const ids = action.payload
+      const acknowledgedAt = new Date().toISOString()
+      return {
+        ...state,
+        alerts: state.alerts.map(alert => ids.includes(String(alert.id))
+          ? { ...alert, isAcknowledged: true, acknowledged_at: acknowledgedAt }
+          : alert)
+      }
+    }
+    
+    // Tiempo real: nueva alerta al principio de la primera página si cumple los filtros actuales
+    case 'ADD_REALTIME_ALERT': {
+      const alert = action.payload
+      const filters = state.alertFilters
+      const key = alert.priority === 'informative' ? 'info' : alert.priority
+      const matchesType = filters.alertType === 'all' || filters.alertType === alert.alert_type
+      const matchesList = matchesType && filters.page === 0 && !filters.onlySnoozed &&
+        (filters.priority === 'all' || filters.priority === alert.priority) &&
+        (!filters.productId || filters.productId === alert.product_id)
+      
+      // El centro de notificaciones recibe todas las alertas nuevas, sin importar los filtros de la lista
+      const notifications = state.notifications.items.some(item => item.id === alert.id)
+        ? state.notifications
+        : {
+            ...state.notifications,
+            items: [alert, ...state.notifications.items].slice(0, NOTIFICATION_CENTER_LIMIT),
+            newCount: state.notifications.newCount + 1
+          }
+      
+      if (!matchesType || state.alerts.some(existing => existing.id === alert.id)) {
+        return { ...state, notifications }
+      }
+      
+      const alertCounts = {
+        ...state.alertCounts,
+        total: state.alertCounts.total + 1,
+        unread: { ...state.alertCounts.unread, total: state.alertCounts.unread.total + 1 }
+      }
+      if (key in alertCounts.unread) {
+        alertCounts[key] = (alertCounts[key] || 0) + 1
+        alertCounts.unread[key] = (alertCounts.unread[key] || 0) + 1
+      }
+      
+      return {
+        ...state,
+        alerts: matchesList ? [alert, ...state.alerts].slice(0, filters.limit) : state.alerts,
+        alertCounts,
+        notifications
+      }
+    }
+    
+    case 'PATCH_ALERT': {
+      const { alert: changes, wasRead, previousChangedAt } = action.payload
+      const patch = (alert) => alert.id === changes.id ? { ...alert, ...changes } : alert
+      // Un cambio nuevo en una alerta leída o ya vista vuelve a contar como nuevo en la campana
+      const { lastSeenAt } = state.notifications
+      const wasCountedAsNew = !wasRead && (!lastSeenAt || new Date(previousChangedAt) > new Date(lastSeenAt))
+      return {
+        ...state,
+        alerts: state.alerts.map(patch),
+        notifications: {
+          ...state.notifications,
+          items: state.notifications.items.map(patch),
+          newCount: state.notifications.newCount + (wasCountedAsNew ? 0 : 1)
+        }
+      }
+    }
+    
+    case 'SET_NOTIFICATIONS':
+      return { ...state, notifications: { ...state.notifications, ...action.payload } }
+    
+    case 'PATCH_PRODUCT': {
+      const exists = state.products.some(product => product.id === action.payload.id)
+      return {
+        ...state,
+        products: exists
+          ? state.products.map(product => product.id === action.payload.id ? { ...product, ...action.payload } : product)
+          : [...state.products, action.payload]
+      }
+    }
+    
+    case 'SET_REALTIME':
+      return { ...state, realtime: { ...state.realtime, ...action.payload } }
+    
+    case 'SET_PRODUCT_SNOOZE': {
+      const { productId, snooze } = action.payload
+      const setSnooze = (alert) => alert.product_id === productId ? { ...alert, snooze } : alert
+      return {
+        ...state,
+        alerts: state.alerts.map(setSnooze),
+        notifications: { ...state.notifications, items: state.notifications.items.map(setSnooze) }
+      }
+    }
+    
     case 'SET_ALERT_FILTERS':
       return {
         ...state,
@@ -125,6 +289,24 @@ function appReducer(state, action) {
         departments: { ...state.departments, selectedDepartment: action.payload }
       }
     
+    // Umbrales
+    case 'SET_THRESHOLDS':
+      return { ...state, thresholds: action.payload }
+    
+    case 'UPSERT_THRESHOLD': {
+      const { target_type, target_id } = action.payload
+      const others = state.thresholds.filter(t => !(t.target_type === target_type && t.target_id === target_id))
+      return { ...state, thresholds: [action.payload, ...others] }
+    }
+    
+    case 'REMOVE_THRESHOLD': {
+      const { targetType, targetId } = action.payload
+      return {
+        ...state,
+        thresholds: state.thresholds.filter(t => !(t.target_type === targetType && t.target_id === targetId))
+      }
+    }
+    
     // Errores
     case 'SET_ERROR':
       return {
@@ -144,6 +326,11 @@ function appReducer(state, action) {
 
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState)
+  // Filtros vigentes para el polling (el intervalo no ve el estado actualizado)
+  const alertFiltersRef = useRef(state.alertFilters)
+  alertFiltersRef.current = state.alertFilters
+  // Timestamp del servidor de la última carga de productos: el polling solo pide los modificados desde ahí
+  const productsSyncRef = useRef(null)
 
   const loadInitialConfig = async () => {
     try {
@@ -155,6 +342,32 @@ export function AppProvider({ children }) {
         dispatch({ type: 'SET_SELECTED_DEPARTMENT', payload: selectedResponse.selectedDepartment })
         console.log(`✅ Departamento cargado desde Supabase: ${selectedResponse.selectedDepartment}`)
       }
+
+      // Cargar configuración de alertas del usuario
+      const alertSettingsResponse = await apiService.getAlertSettings()
+      if (alertSettingsResponse.success && alertSettingsResponse.settings) {
+        const alertSettings = alertSettingsResponse.settings
+        dispatch({
+          type: 'SET_SETTINGS',
+          payload: {
+            popupsEnabled: alertSettings.popupsEnabled,
+            soundEnabled: alertSettings.soundEnabled,
+            criticalOnly: alertSettings.showCriticalOnly,
+            autoMarkAsRead: alertSettings.autoMarkAsRead,
+            lowStockThreshold: alertSettings.lowStockThreshold,
+            leadTimeDays: alertSettings.coverage?.leadTimeDays ?? 7
+          }
+        })
+        if (alertSettings.showCriticalOnly) {
+          dispatch({ type: 'SET_ALERT_FILTERS', payload: { priority: 'critical' } })
+        }
+      }
+
+      // Cargar overrides de umbral por producto / SKU
+      const thresholdsResponse = await apiService.getThresholds()
+      if (thresholdsResponse.success) {
+        dispatch({ type: 'SET_THRESHOLDS', payload: thresholdsResponse.thresholds || [] })
+      }
     } catch (error) {
       console.error('Error cargando configuración inicial:', error)
     }
@@ -192,6 +405,7 @@ export function AppProvider({ children }) {
     }
     
     console.log('🔍 setProducts llamado con:', products, 'convertido a:', validProducts);
+    if (products?.timestamp) productsSyncRef.current = products.timestamp
     dispatch({ type: 'SET_PRODUCTS', payload: validProducts })
   }
 
@@ -203,6 +417,59 @@ export function AppProvider({ children }) {
     dispatch({ type: 'SET_ALERT_COUNTS', payload: counts })
   }
 
+  const markAlertsAsRead = async (alertIds) => {
+    const { apiService } = await import('../services/api')
+    await apiService.markAlertsAsRead(alertIds)
+    dispatch({ type: 'MARK_ALERTS_READ', payload: alertIds })
+  }
+
+  const markAllAlertsAsRead = async () => {
+    const { apiService } = await import('../services/api')
+    await apiService.markAllAlertsAsRead()
+    dispatch({ type: 'MARK_ALERTS_READ', payload: null })
+  }
+
+  // target: { alertIds } o { productId } (todas las alertas del producto)
+  const acknowledgeAlerts = async (target) => {
+    const { apiService } = await import('../services/api')
+    const response = await apiService.acknowledgeAlerts(target)
+    const acknowledgedIds = (response.acknowledgedIds || []).map(String)
+    dispatch({ type: 'MARK_ALERTS_READ', payload: state.alerts.filter(a => acknowledgedIds.includes(String(a.id))).map(a => a.id) })
+    dispatch({ type: 'ACKNOWLEDGE_ALERTS', payload: acknowledgedIds })
+  }
+
+  const snoozeProduct = async (productId, options) => {
+    const { apiService } = await import('../services/api')
+    const response = await apiService.snoozeProduct(productId, options)
+    dispatch({ type: 'SET_PRODUCT_SNOOZE', payload: { productId, snooze: response.snooze || null } })
+  }
+
+  const unsnoozeProduct = async (productId) => {
+    const { apiService } = await import('../services/api')
+    await apiService.unsnoozeProduct(productId)
+    dispatch({ type: 'SET_PRODUCT_SNOOZE', payload: { productId, snooze: null } })
+  }
+
+  const loadNotifications = async () => {
+    const { apiService } = await import('../services/api')
+    const response = await apiService.getNotifications()
+    dispatch({
+      type: 'SET_NOTIFICATIONS',
+      payload: {
+        items: response.alerts || [],
+        newCount: response.newCount || 0,
+        lastSeenAt: response.lastSeenAt || null
+      }
+    })
+  }
+
+  // Al abrir la campana: lo que hay hasta ahora deja de contar como nuevo
+  const markNotificationsSeen = async () => {
+    const { apiService } = await import('../services/api')
+    const response = await apiService.markNotificationsSeen(new Date().toISOString())
+    dispatch({ type: 'SET_NOTIFICATIONS', payload: { newCount: 0, lastSeenAt: response.lastSeenAt || null } })
+  }
+
   const setAlertFilters = (filters) => {
     dispatch({ type: 'SET_ALERT_FILTERS', payload: filters })
   }
@@ -249,6 +516,21 @@ export function AppProvider({ children }) {
     }
   }
 
+  const saveThreshold = async (targetType, targetId, threshold) => {
+    const { apiService } = await import('../services/api')
+    const response = await apiService.saveThreshold(targetType, targetId, threshold)
+    dispatch({
+      type: 'UPSERT_THRESHOLD',
+      payload: response.threshold || { target_type: targetType, target_id: targetId, threshold }
+    })
+  }
+
+  const deleteThreshold = async (targetType, targetId) => {
+    const { apiService } = await import('../services/api')
+    await apiService.deleteThreshold(targetType, targetId)
+    dispatch({ type: 'REMOVE_THRESHOLD', payload: { targetType, targetId } })
+  }
+
   const setError = (key, error) => {
     dispatch({ type: 'SET_ERROR', payload: { key, error } })
   }
@@ -273,6 +555,97 @@ export function AppProvider({ children }) {
     }
   }
 
+  // Modo polling: productos modificados desde la carga anterior (catálogo completo solo si no hubo ninguna),
+  // página actual de alertas y contadores
+  const pollLatestData = async () => {
+    try {
+      const productsSince = productsSyncRef.current
+      const { apiService } = await import('../services/api')
+      
+      const [products, alerts] = await Promise.all([
+        apiService.getProducts(productsSince ? { updatedSince: productsSince } : {}),
+        apiService.getAlerts(alertFiltersRef.current)
+      ])
+
+      if (productsSince) {
+        (products.products || []).forEach(product => dispatch({ type: 'PATCH_PRODUCT', payload: product }))
+        if (products.timestamp) productsSyncRef.current = products.timestamp
+      } else {
+        setProducts(products)
+      }
+      setAlerts(alerts.alerts || [])
+      await loadNotifications()
+      if (alerts.summary) {
+        setAlertCounts({
+          total: alerts.summary.total || 0,
+          critical: alerts.summary.critical || 0,
+          warning: alerts.summary.warning || 0,
+          info: alerts.summary.info || 0,
+          unread: {
+            total: alerts.summary.unread?.total || 0,
+            critical: alerts.summary.unread?.critical || 0,
+            warning: alerts.summary.unread?.warning || 0,
+            info: alerts.summary.unread?.info || 0
+          }
+        })
+      }
+    } catch (error) {
+      console.error('Error actualizando datos:', error)
+    }
+  }
+
+  // Suscribirse a /api/events y aplicar los cambios en el estado; si no hay tiempo real, polling
+  // Devuelve la función de limpieza para usar en un useEffect
+  const connectRealtime = () => {
+    let closeConnection = () => {}
+    let pollInterval = null
+    let cancelled = false
+    let polling = false
+
+    // Con la pestaña oculta no se consulta; al volver a verla se actualiza enseguida
+    const poll = async () => {
+      if (cancelled || polling || document.hidden) return
+      polling = true
+      await pollLatestData()
+      polling = false
+    }
+
+    const handleVisibilityChange = () => {
+      if (!document.hidden) poll()
+    }
+
+    import('../services/realtime').then(({ connectRealtime: connect }) => {
+      if (cancelled) return
+
+      closeConnection = connect({
+        onReady: () => dispatch({ type: 'SET_REALTIME', payload: { mode: 'live', pollIntervalMs: null } }),
+        onAlert: ({ updated, alert, wasRead, previousChangedAt }) => {
+          if (updated) {
+            dispatch({ type: 'PATCH_ALERT', payload: { alert, wasRead, previousChangedAt } })
+          } else {
+            dispatch({ type: 'ADD_REALTIME_ALERT', payload: alert })
+          }
+        },
+        onProduct: (product) => dispatch({ type: 'PATCH_PRODUCT', payload: product }),
+        onMonitor: (monitor) => dispatch({ type: 'SET_REALTIME', payload: { monitor } }),
+        onFallback: (pollIntervalMs) => {
+          if (cancelled) return
+          dispatch({ type: 'SET_REALTIME', payload: { mode: 'polling', pollIntervalMs } })
+          pollInterval = setInterval(poll, pollIntervalMs)
+          document.addEventListener('visibilitychange', handleVisibilityChange)
+        }
+      })
+    })
+
+    return () => {
+      cancelled = true
+      closeConnection()
+      if (pollInterval) clearInterval(pollInterval)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+      dispatch({ type: 'SET_REALTIME', payload: { mode: 'off', pollIntervalMs: null } })
+    }
+  }
+
   const exportToExcel = async (filteredProducts, filters) => {
     try {
       // Importar dinámicamente la librería de Excel
@@ -336,6 +709,13 @@ export function AppProvider({ children }) {
       setProducts,
       setAlerts,
       setAlertCounts,
+      markAlertsAsRead,
+      markAllAlertsAsRead,
+      acknowledgeAlerts,
+      snoozeProduct,
+      unsnoozeProduct,
+      loadNotifications,
+      markNotificationsSeen,
       setAlertFilters,
       setProductFilters,
       toggleProductCategory,
@@ -344,9 +724,12 @@ export function AppProvider({ children }) {
       setSettings,
       setDepartmentsConfig,
       setSelectedDepartment,
+      saveThreshold,
+      deleteThreshold,
       setError,
       clearError,
       refreshData,
+      connectRealtime,
       exportToExcel
     }
   }
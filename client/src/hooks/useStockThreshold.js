@@ -0,0 +1,56 @@
+import { useCallback, useMemo } from 'react'
+import { useAppContext } from '../context/AppContext'
+
+const parseThreshold = (value) => {
+  const threshold = parseInt(value)
+  return isNaN(threshold) || threshold < 0 ? null : threshold
+}
+
+// Umbral efectivo de stock bajo: producto → SKU → departamento → umbral del usuario
+// (misma resolución que src/utils/thresholdResolver.js en el servidor)
+export function useStockThreshold() {
+  const { thresholds, departments, settings } = useAppContext()
+
+  const overrides = useMemo(() => {
+    const byProduct = new Map()
+    const bySku = new Map()
+    thresholds.forEach(override => {
+      const threshold = parseThreshold(override.threshold)
+      if (threshold === null) return
+      if (override.target_type === 'product') byProduct.set(override.target_id, threshold)
+      if (override.target_type === 'sku') bySku.set(override.target_id, threshold)
+    })
+    return { byProduct, bySku }
+  }, [thresholds])
+
+  const departmentThresholds = useMemo(() => {
+    const byCategory = new Map()
+    // Una categoría pertenece al primer departamento que la incluye (tenga o no umbral propio)
+    departments.config.forEach(dept => {
+      const threshold = parseThreshold(dept.lowStockThreshold)
+      ;(dept.categories || []).forEach(cat => {
+        if (!byCategory.has(cat.id)) byCategory.set(cat.id, threshold)
+      })
+    })
+    return byCategory
+  }, [departments.config])
+
+  const defaultThreshold = parseThreshold(settings.lowStockThreshold) ?? 5
+
+  const resolveThreshold = useCallback((product) => {
+    if (overrides.byProduct.has(product.id)) {
+      return { threshold: overrides.byProduct.get(product.id), source: 'product' }
+    }
+    if (product.seller_sku && overrides.bySku.has(product.seller_sku)) {
+      return { threshold: overrides.bySku.get(product.seller_sku), source: 'sku' }
+    }
+    if (product.category_id && departmentThresholds.get(product.category_id) != null) {
+      return { threshold: departmentThresholds.get(product.category_id), source: 'department' }
+    }
+    return { threshold: defaultThreshold, source: 'user' }
+  }, [overrides, departmentThresholds, defaultThreshold])
+
+  const getThreshold = useCallback((product) => resolveThreshold(product).threshold, [resolveThreshold])
+
+  return { resolveThreshold, getThreshold, defaultThreshold }
+}
@@ -26,14 +26,22 @@ class ApiService {
   }
 
   // Products
-  async getProducts() {
-    return this.request('/api/products')
+  // options.updatedSince: solo productos modificados desde esa fecha (ISO)
+  async getProducts(options = {}) {
+    const params = new URLSearchParams(options)
+    return this.request(`/api/products${params.toString() ? `?${params}` : ''}`)
   }
 
   async getProductStats() {
     return this.request('/api/products/stats')
   }
 
+  // Historial de stock: options { range: '7d' | '30d' | '90d', interval: 'auto' | 'raw' | 'hour' | 'day' }
+  async getProductHistory(productId, options = {}) {
+    const params = new URLSearchParams(options)
+    return this.request(`/api/products/${encodeURIComponent(productId)}/history?${params}`)
+  }
+
   // Departments
   async getDepartmentsConfig() {
     try {
@@ -76,6 +84,130 @@ class ApiService {
     })
   }
 
+  // Umbrales por producto / SKU
+  async getThresholds() {
+    try {
+      return await this.request('/api/thresholds')
+    } catch (error) {
+      console.error('Error obteniendo umbrales:', error)
+      return {
+        success: true,
+        thresholds: []
+      }
+    }
+  }
+
+  async saveThreshold(targetType, targetId, threshold) {
+    return await this.request('/api/thresholds', {
+      method: 'PUT',
+      body: JSON.stringify({ targetType, targetId, threshold })
+    })
+  }
+
+  async deleteThreshold(targetType, targetId) {
+    const params = new URLSearchParams({ targetType, targetId })
+    return await this.request(`/api/thresholds?${params.toString()}`, {
+      method: 'DELETE'
+    })
+  }
+
+  // Planificador de reposición: sugerencias por SKU agrupadas por proveedor
+  async getReorderSuggestions() {
+    return await this.request('/api/reorder')
+  }
+
+  // URL de descarga de la lista de compras; supplier opcional (un solo proveedor)
+  getReorderExportUrl(format = 'csv', supplier = null) {
+    const params = new URLSearchParams({ format })
+    if (supplier) {
+      params.append('supplier', supplier)
+    }
+    return `${API_BASE_URL}/api/reorder/export?${params}`
+  }
+
+  async getReorderSettings() {
+    return await this.request('/api/reorder/settings')
+  }
+
+  // reorder: { supplier, leadTimeDays, targetCoverDays, minOrderQty } (vacíos = heredar)
+  async saveReorderSetting(sku, reorder) {
+    return await this.request('/api/reorder/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ sku, ...reorder })
+    })
+  }
+
+  async deleteReorderSetting(sku) {
+    const params = new URLSearchParams({ sku })
+    return await this.request(`/api/reorder/settings?${params.toString()}`, {
+      method: 'DELETE'
+    })
+  }
+
+  // Reporte de quiebres de stock y ventas perdidas; from/to en YYYY-MM-DD (por defecto últimos 30 días)
+  async getStockoutReport({ from, to } = {}) {
+    const params = new URLSearchParams()
+    if (from) params.append('from', from)
+    if (to) params.append('to', to)
+    const query = params.toString()
+    return await this.request(`/api/reports/stockouts${query ? `?${query}` : ''}`)
+  }
+
+  // Valuación del inventario (lista y costo) con la evolución de los últimos `days` días
+  async getInventoryValuation({ days = 30 } = {}) {
+    const params = new URLSearchParams({ days: String(days) })
+    return await this.request(`/api/reports/valuation?${params.toString()}`)
+  }
+
+  async getSkuCosts() {
+    return await this.request('/api/reports/costs')
+  }
+
+  async saveSkuCost(sku, unitCost) {
+    return await this.request('/api/reports/costs', {
+      method: 'PUT',
+      body: JSON.stringify({ sku, unitCost })
+    })
+  }
+
+  async deleteSkuCost(sku) {
+    const params = new URLSearchParams({ sku })
+    return await this.request(`/api/reports/costs?${params.toString()}`, {
+      method: 'DELETE'
+    })
+  }
+
+  // Reglas de alerta personalizadas
+  async getAlertRules() {
+    return await this.request('/api/alert-rules')
+  }
+
+  async saveAlertRule(rule) {
+    if (rule.id) {
+      return await this.request(`/api/alert-rules?id=${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(rule)
+      })
+    }
+    return await this.request('/api/alert-rules', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    })
+  }
+
+  async deleteAlertRule(ruleId) {
+    return await this.request(`/api/alert-rules?id=${encodeURIComponent(ruleId)}`, {
+      method: 'DELETE'
+    })
+  }
+
+  async previewAlertRule(rule) {
+    return await this.request('/api/alert-rules/preview', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    })
+  }
+
   // Alerts
   async getAlerts(filters = {}) {
     const params = new URLSearchParams()
@@ -83,30 +215,151 @@ class ApiService {
     if (filters.priority && filters.priority !== 'all') {
       params.append('priority', filters.priority)
     }
+    if (filters.alertType && filters.alertType !== 'all') {
+      params.append('alertType', filters.alertType)
+    }
+    if (filters.timeRange && filters.timeRange !== 'all') {
+      params.append('timeRange', filters.timeRange)
+    }
     if (filters.page !== undefined) {
       params.append('page', filters.page)
     }
     if (filters.limit) {
       params.append('limit', filters.limit)
     }
+    if (filters.onlyUnread) {
+      params.append('onlyUnread', 'true')
+    }
+    if (filters.onlySnoozed) {
+      params.append('snoozed', 'true')
+    }
+    if (filters.productId) {
+      params.append('productId', filters.productId)
+    }
 
     const query = params.toString()
     return this.request(`/api/stock-alerts${query ? `?${query}` : ''}`)
   }
 
+  // URL de descarga con los filtros de la lista (sin paginación); format: 'csv' | 'json'
+  getAlertsExportUrl(filters = {}, format = 'csv') {
+    const params = new URLSearchParams({ format })
+
+    if (filters.priority && filters.priority !== 'all') {
+      params.append('priority', filters.priority)
+    }
+    if (filters.alertType && filters.alertType !== 'all') {
+      params.append('alertType', filters.alertType)
+    }
+    if (filters.timeRange && filters.timeRange !== 'all') {
+      params.append('timeRange', filters.timeRange)
+    }
+    if (filters.onlyUnread) {
+      params.append('onlyUnread', 'true')
+    }
+    if (filters.onlySnoozed) {
+      params.append('snoozed', 'true')
+    }
+    if (filters.productId) {
+      params.append('productId', filters.productId)
+    }
+
+    return `${API_BASE_URL}/api/stock-alerts/export?${params}`
+  }
+
+  async markAlertsAsRead(alertIds) {
+    return this.request('/api/stock-alerts/mark-read', {
+      method: 'POST',
+      body: JSON.stringify({ alertIds })
+    })
+  }
+
+  async markAllAlertsAsRead() {
+    return this.request('/api/stock-alerts/mark-all-read', {
+      method: 'POST'
+    })
+  }
+
+  // target: { alertIds } o { productId }
+  async acknowledgeAlerts(target) {
+    return this.request('/api/stock-alerts/acknowledge', {
+      method: 'POST',
+      body: JSON.stringify(target)
+    })
+  }
+
+  // Centro de notificaciones: últimas no leídas y nuevas desde la última vez que se abrió
+  async getNotifications() {
+    return this.request('/api/stock-alerts/notifications')
+  }
+
+  async markNotificationsSeen(seenAt) {
+    return this.request('/api/stock-alerts/notifications/seen', {
+      method: 'POST',
+      body: JSON.stringify({ seenAt })
+    })
+  }
+
+  async getSnoozes() {
+    return this.request('/api/stock-alerts/snoozes')
+  }
+
+  // options: { until, untilStockAbove, reason }
+  async snoozeProduct(productId, options) {
+    return this.request('/api/stock-alerts/snooze', {
+      method: 'POST',
+      body: JSON.stringify({ productId, ...options })
+    })
+  }
+
+  async unsnoozeProduct(productId) {
+    return this.request('/api/stock-alerts/unsnooze', {
+      method: 'POST',
+      body: JSON.stringify({ productId })
+    })
+  }
+
+  // Web Push
+  async getPushStatus() {
+    return this.request('/api/push')
+  }
+
+  async savePushSubscription(subscription) {
+    return this.request('/api/push/subscribe', {
+      method: 'POST',
+      body: JSON.stringify({ subscription })
+    })
+  }
+
+  async deletePushSubscription(endpoint) {
+    return this.request('/api/push/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ endpoint })
+    })
+  }
+
+  async sendTestPush() {
+    return this.request('/api/push/test', { method: 'POST' })
+  }
+
   async getAlertStats() {
     return this.request('/api/stock-alerts/stats')
   }
 
   // Alert Settings
+  async getDeadLetterDeliveries(limit = 50, offset = 0) {
+    const params = new URLSearchParams({ limit, offset })
+    return this.request(`/api/stock-alerts/dead-letters?${params}`)
+  }
+
   async getAlertSettings() {
-    return this.request('/api/alert-settings')
+    return this.request('/api/stock-alerts/settings')
   }
 
   async updateAlertSettings(settings) {
-    return this.request('/api/alert-settings', {
-      method: 'POST',
-      body: JSON.stringify(settings)
+    return this.request('/api/stock-alerts/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ settings })
     })
   }
 
@@ -0,0 +1,62 @@
+import { apiService } from './api'
+
+// Registro del service worker y suscripción Web Push del navegador actual
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window
+
+// La clave VAPID llega en base64url y pushManager.subscribe la espera como bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = window.atob(base64)
+  return Uint8Array.from([...raw].map(char => char.charCodeAt(0)))
+}
+
+const getRegistration = () => navigator.serviceWorker.register('/sw.js')
+
+// Suscripción actual de este navegador (null si no hay)
+export async function getCurrentSubscription() {
+  if (!isPushSupported()) return null
+  const registration = await navigator.serviceWorker.getRegistration('/sw.js')
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+// Pedir permiso, suscribir el navegador y registrarlo en el servidor
+export async function subscribeToPush() {
+  if (!isPushSupported()) {
+    throw new Error('Este navegador no soporta notificaciones push')
+  }
+
+  const status = await apiService.getPushStatus()
+  if (!status.available || !status.publicKey) {
+    throw new Error('Las notificaciones push no están configuradas en el servidor')
+  }
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    throw new Error('Permiso de notificaciones denegado en el navegador')
+  }
+
+  const registration = await getRegistration()
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(status.publicKey)
+    })
+
+  await apiService.savePushSubscription(subscription.toJSON())
+  return subscription
+}
+
+// Dar de baja este navegador (en el servidor y en el navegador)
+export async function unsubscribeFromPush() {
+  const subscription = await getCurrentSubscription()
+  if (!subscription) return
+
+  await apiService.deletePushSubscription(subscription.endpoint)
+  await subscription.unsubscribe()
+}
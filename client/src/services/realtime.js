@@ -0,0 +1,75 @@
+const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3000' : ''
+
+// Errores seguidos sin llegar a conectar antes de pasar a polling
+const MAX_CONNECT_ERRORS = 3
+const DEFAULT_POLL_INTERVAL_MS = 60000
+
+const parseData = (event) => {
+  try {
+    return JSON.parse(event.data)
+  } catch (error) {
+    console.error('Evento en tiempo real inválido:', error)
+    return null
+  }
+}
+
+// Conectar a /api/events (SSE). handlers: { onReady, onAlert, onProduct, onMonitor, onFallback }
+// onFallback(pollIntervalMs) se llama una sola vez si el servidor no soporta tiempo real o la conexión falla
+// Devuelve una función para cerrar la conexión
+export function connectRealtime(handlers = {}) {
+  if (typeof window === 'undefined' || !window.EventSource) {
+    handlers.onFallback?.(DEFAULT_POLL_INTERVAL_MS)
+    return () => {}
+  }
+
+  const source = new EventSource(`${API_BASE_URL}/api/events`, { withCredentials: true })
+  let connectErrors = 0
+  let closed = false
+
+  const close = () => {
+    closed = true
+    source.close()
+  }
+
+  const fallback = (pollIntervalMs = DEFAULT_POLL_INTERVAL_MS) => {
+    if (closed) return
+    close()
+    handlers.onFallback?.(pollIntervalMs)
+  }
+
+  source.addEventListener('ready', (event) => {
+    connectErrors = 0
+    const data = parseData(event)
+    handlers.onReady?.(data)
+    if (data?.monitor) handlers.onMonitor?.(data.monitor)
+  })
+
+  source.addEventListener('fallback', (event) => {
+    fallback(parseData(event)?.pollIntervalMs)
+  })
+
+  source.addEventListener('alert', (event) => {
+    const data = parseData(event)
+    if (data) handlers.onAlert?.(data)
+  })
+
+  source.addEventListener('product', (event) => {
+    const data = parseData(event)
+    if (data) handlers.onProduct?.(data)
+  })
+
+  source.addEventListener('monitor', (event) => {
+    const data = parseData(event)
+    if (data) handlers.onMonitor?.(data)
+  })
+
+  // EventSource reconecta solo; tras varios intentos fallidos seguidos (401, proxy que corta) se pasa a polling
+  source.onerror = () => {
+    if (closed) return
+    if (source.readyState === EventSource.CLOSED || ++connectErrors >= MAX_CONNECT_ERRORS) {
+      fallback()
+    }
+  }
+
+  return close
+}
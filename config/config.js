@@ -65,6 +65,16 @@ module.exports = {
     telegram: {
       botToken: getEnvValue('TELEGRAM_BOT_TOKEN', '', true),
       chatId: getEnvValue('TELEGRAM_CHAT_ID')
+    },
+    // Web Push (claves VAPID: npm run generate-secrets)
+    push: {
+      vapidPublicKey: getEnvValue('VAPID_PUBLIC_KEY'),
+      vapidPrivateKey: getEnvValue('VAPID_PRIVATE_KEY', '', true),
+      subject: getEnvValue('VAPID_SUBJECT', 'mailto:admin@example.com')
+    },
+    delivery: {
+      maxAttempts: parseInt(getEnvValue('NOTIFICATION_MAX_ATTEMPTS', 5)),
+      retryBaseDelay: parseInt(getEnvValue('NOTIFICATION_RETRY_BASE_DELAY', 60000)) // 1 minuto, se duplica en cada intento
     }
   },
   admin: {
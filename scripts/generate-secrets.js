@@ -3,9 +3,11 @@
 /**
  * Script para generar claves secretas para utilizar en Railway
  * Genera los valores SECRET_KEY y SECRET_IV como variables de entorno
+ * y el par de claves VAPID para las notificaciones push del navegador
  */
 
 const crypto = require('crypto');
+const webpush = require('web-push');
 
 // Generar clave secreta (32 bytes = 256 bits)
 const secretKey = crypto.randomBytes(32).toString('hex');
@@ -13,13 +15,20 @@ const secretKey = crypto.randomBytes(32).toString('hex');
 // Generar vector de inicialización (16 bytes = 128 bits)
 const secretIv = crypto.randomBytes(16).toString('hex');
 
+// Claves VAPID (identifican al servidor ante los servicios push de los navegadores)
+const vapidKeys = webpush.generateVAPIDKeys();
+
 console.log('\n==================================================');
 console.log('        CLAVES PARA VARIABLES DE ENTORNO          ');
 console.log('==================================================');
 console.log('\nAnota estos valores para configurarlos en Railway:');
 console.log('\nSECRET_KEY=' + secretKey);
 console.log('SECRET_IV=' + secretIv);
+console.log('\nVAPID_PUBLIC_KEY=' + vapidKeys.publicKey);
+console.log('VAPID_PRIVATE_KEY=' + vapidKeys.privateKey);
+console.log('VAPID_SUBJECT=mailto:tu-email@dominio.com');
 console.log('\n==================================================');
 console.log('IMPORTANTE: Guarda estos valores en un lugar seguro.');
 console.log('Son necesarios para descifrar tus credenciales.');
+console.log('Si cambias las claves VAPID, los navegadores deben volver a suscribirse.');
 console.log('==================================================\n');
\ No newline at end of file
@@ -150,6 +150,9 @@ async function handleAdminRoutes(req, res) {
               case '/api/revoke-sessions':
                 return await adminController.revokeUserSessions(req, res);
               
+              case '/api/run-retention':
+                return await adminController.runAlertRetention(req, res);
+              
               default:
                 return res.status(404).json({
                   success: false,
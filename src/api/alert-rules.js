@@ -0,0 +1,227 @@
+/**
+ * API endpoint para reglas de alerta definidas por el usuario
+ * Las reglas se guardan en app_config (alert_rules_{userId}) y se evalúan en cada webhook (ver utils/alertRules)
+ */
+
+const crypto = require('crypto');
+const { withAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_PRIORITIES,
+  validateRule,
+  ruleUsesDeltaFields,
+  buildRuleContext,
+  evaluateRule
+} = require('../utils/alertRules');
+
+const MAX_RULES = 20;
+// Productos de ejemplo devueltos por la vista previa
+const PREVIEW_SAMPLE_SIZE = 50;
+
+/**
+ * Obtener reglas del usuario y el esquema disponible para construirlas
+ */
+async function getRules(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const rules = await databaseService.getUserAlertRules(userId);
+
+    res.json({
+      success: true,
+      rules,
+      schema: {
+        fields: RULE_FIELDS,
+        operators: RULE_OPERATORS,
+        priorities: RULE_PRIORITIES,
+        maxRules: MAX_RULES
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo reglas de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo reglas de alerta',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Crear una regla (POST) o reemplazar una existente (PUT ?id=)
+ */
+async function saveRule(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const ruleId = req.method === 'PUT' ? req.query?.id : null;
+
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      logger.warn(`🚨 Regla de alerta inválida desde IP: ${req.ip} - ${error}`);
+      return res.status(400).json({ success: false, error });
+    }
+
+    const rules = await databaseService.getUserAlertRules(userId);
+    let updatedRules;
+
+    if (ruleId) {
+      if (!rules.some(existing => existing.id === ruleId)) {
+        return res.status(404).json({ success: false, error: 'Regla no encontrada' });
+      }
+      rule.id = ruleId;
+      updatedRules = rules.map(existing => existing.id === ruleId ? rule : existing);
+    } else {
+      if (rules.length >= MAX_RULES) {
+        return res.status(400).json({ success: false, error: `Máximo ${MAX_RULES} reglas por usuario` });
+      }
+      rule.id = `rule_${crypto.randomBytes(6).toString('hex')}`;
+      updatedRules = [...rules, rule];
+    }
+
+    await databaseService.saveUserAlertRules(userId, updatedRules);
+
+    res.json({
+      success: true,
+      rule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error guardando regla de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error guardando regla de alerta',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar una regla (?id=)
+ */
+async function deleteRule(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const ruleId = req.query?.id;
+
+    const rules = await databaseService.getUserAlertRules(userId);
+    const updatedRules = rules.filter(rule => rule.id !== ruleId);
+
+    if (!ruleId || updatedRules.length === rules.length) {
+      return res.status(404).json({ success: false, error: 'Regla no encontrada' });
+    }
+
+    await databaseService.saveUserAlertRules(userId, updatedRules);
+
+    res.json({
+      success: true,
+      message: 'Regla eliminada',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error eliminando regla de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando regla de alerta',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Probar una regla (guardada o no) contra el catálogo actual
+ * Las condiciones de cambio (stock_change, ...) no se pueden evaluar sin un webhook y se ignoran
+ */
+async function previewRule(req, res) {
+  try {
+    const userId = req.auth.userId;
+
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const ignoredConditions = rule.conditions.filter(condition => RULE_FIELDS[condition.field].delta).length;
+    if (ignoredConditions === rule.conditions.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'La regla solo usa condiciones de cambio: no se puede probar contra el catálogo actual'
+      });
+    }
+
+    const [products, departments] = await Promise.all([
+      databaseService.getProducts(userId, {}),
+      databaseService.getUserDepartments(userId)
+    ]);
+
+    const matches = products.filter(product =>
+      evaluateRule(rule, buildRuleContext(product, null, departments), { ignoreDeltaFields: true })
+    );
+
+    res.json({
+      success: true,
+      total: matches.length,
+      evaluated: products.length,
+      ignoredConditions,
+      requiresChange: ruleUsesDeltaFields(rule),
+      products: matches.slice(0, PREVIEW_SAMPLE_SIZE).map(product => ({
+        id: product.id,
+        title: product.title,
+        seller_sku: product.seller_sku,
+        available_quantity: product.available_quantity,
+        price: product.price,
+        status: product.status
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error probando regla de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error probando regla de alerta',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handleAlertRules(req, res) {
+  const path = (req.url || '').split('?')[0];
+
+  if (path.endsWith('/preview')) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Método no permitido', allowedMethods: ['POST'] });
+    }
+    return await previewRule(req, res);
+  }
+
+  switch (req.method) {
+    case 'GET':
+      return await getRules(req, res);
+
+    case 'POST':
+    case 'PUT':
+      return await saveRule(req, res);
+
+    case 'DELETE':
+      return await deleteRule(req, res);
+
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Método no permitido',
+        allowedMethods: ['GET', 'POST', 'PUT', 'DELETE']
+      });
+  }
+}
+
+// Export con middleware de autenticación
+module.exports = withAuth(handleAlertRules);
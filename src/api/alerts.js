@@ -4,9 +4,28 @@
  * REFACTORIZADO: Usa middleware de autenticación centralizado
  */
 
+const crypto = require('crypto');
 const databaseService = require('../services/databaseService');
 const { withAuth } = require('../middleware/serverlessAuth');
 const logger = require('../utils/logger');
+const { ALERT_TYPES, classifyAlerts } = require('../utils/alertClassifier');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const { isValidTimezone } = require('../utils/notificationSchedule');
+const { EXPORT_FORMATS, formatAlertForExport, getCsvHeader, toCsvRow } = require('../utils/alertExport');
+const { MAX_REORDER_DAYS } = require('../utils/reorderPlanner');
+const { validateWebhookUrl, checkWebhookHostResolution } = require('../utils/webhookUrl');
+
+// Máximo de días que se puede posponer un producto
+const MAX_SNOOZE_DAYS = 90;
+// Máximo de emails a los que se escala una alerta
+const MAX_ESCALATION_EMAILS = 5;
+// Días mínimos de alertas "en caliente": el escalamiento revisa los últimos 30 días
+const MIN_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+// Lead time máximo (días) para la alerta de cobertura LOW_COVER
+const MAX_LEAD_TIME_DAYS = 180;
+// Alertas no leídas que muestra el centro de notificaciones de la campana
+const NOTIFICATION_CENTER_LIMIT = 10;
 
 /**
  * Obtener alertas con filtros y paginación
@@ -17,29 +36,8 @@ async function getAlerts(req, res) {
     const userId = req.auth.userId;
     
     // 2. Obtener y validar parámetros de filtros de forma segura
-    const {
-      alertType: rawAlertType,
-      priority: rawPriority, 
-      limit: rawLimit = 50,
-      offset: rawOffset = 0,
-      onlyUnread: rawOnlyUnread = false,
-      timeRange: rawTimeRange = 'all'
-    } = req.query;
-    
-    // Validación de seguridad que preserva comportamiento original
-    const validAlertTypes = ['LOW_STOCK', 'STOCK_DECREASE', 'STOCK_INCREASE'];
-    const validPriorities = ['critical', 'warning', 'info'];
-    const validTimeRanges = ['today', 'week', 'month', 'all'];
-    
-    // alertType: permitir undefined, validar solo si está presente
-    const alertType = rawAlertType && !validAlertTypes.includes(rawAlertType) 
-      ? (logger.warn(`🚨 alertType inválido: ${rawAlertType} desde IP: ${req.ip}`), undefined)
-      : rawAlertType;
-    
-    // priority: preservar undefined para lógica hasValidPriorityFilter
-    const priority = rawPriority && !validPriorities.includes(rawPriority)
-      ? (logger.warn(`🚨 priority inválido: ${rawPriority} desde IP: ${req.ip}`), undefined)
-      : rawPriority;
+    const { alertType, priority, onlyUnread, onlySnoozed, timeRange, productId } = parseAlertFilters(req);
+    const { limit: rawLimit = 50, offset: rawOffset, page: rawPage } = req.query;
     
     // limit: validar rango y convertir a número
     const limitNum = parseInt(rawLimit);
@@ -47,19 +45,12 @@ async function getAlerts(req, res) {
       ? (logger.warn(`🚨 limit inválido: ${rawLimit} desde IP: ${req.ip}`), 50)
       : limitNum;
     
-    // offset: validar no negativo
-    const offsetNum = parseInt(rawOffset);
+    // offset: validar no negativo (el cliente puede enviar page en lugar de offset)
+    const pageNum = parseInt(rawPage);
+    const offsetNum = rawOffset === undefined && !isNaN(pageNum) ? pageNum * limit : parseInt(rawOffset ?? 0);
     const offset = isNaN(offsetNum) || offsetNum < 0 || offsetNum > 100000
       ? (logger.warn(`🚨 offset inválido: ${rawOffset} desde IP: ${req.ip}`), 0)
       : offsetNum;
-    
-    // onlyUnread: validar boolean
-    const onlyUnread = rawOnlyUnread === 'true' || rawOnlyUnread === true;
-    
-    // timeRange: validar enum
-    const timeRange = !validTimeRanges.includes(rawTimeRange)
-      ? (logger.warn(`🚨 timeRange inválido: ${rawTimeRange} desde IP: ${req.ip}`), 'all')
-      : rawTimeRange;
 
     logger.info(`📋 Obteniendo alertas para usuario ${userId} con filtros:`, {
       alertType,
@@ -67,60 +58,53 @@ async function getAlerts(req, res) {
       limit,
       offset,
       onlyUnread,
-      timeRange
+      onlySnoozed,
+      timeRange,
+      productId
     });
+    
+    // Snoozes vigentes: para el filtro y para indicar en cada alerta si su producto está pospuesto
+    const activeSnoozes = await databaseService.getActiveProductSnoozes(userId);
+    const snoozeByProduct = new Map(activeSnoozes.map(snooze => [snooze.product_id, snooze]));
 
-    // 3. Preparar filtros para base de datos (sin paginación inicial si hay filtro de prioridad)
-    const hasValidPriorityFilter = priority && priority.trim() !== '' && priority !== 'all';
+    // 3. Filtrar y paginar en BD (prioridad guardada en stock_alerts.priority)
+    const since = getTimeRangeStart(timeRange);
     const filters = {
-      limit: hasValidPriorityFilter ? 500 : limit, // Si hay filtro de prioridad, traer más para filtrar después
-      offset: hasValidPriorityFilter ? 0 : offset,  // Si hay filtro de prioridad, empezar desde 0
-      alertType
+      limit: limit + 1, // Un registro extra para saber si hay más páginas
+      offset,
+      alertType,
+      priority,
+      since,
+      onlyUnread,
+      productIds: getFilterProductIds(productId, onlySnoozed ? [...snoozeByProduct.keys()] : undefined)
     };
 
-    // 4. SIEMPRE obtener todas las alertas para calcular contadores correctos
-    const allAlertsFilters = { limit: 1000, offset: 0, alertType };
-    const allAlerts = await databaseService.getStockAlerts(userId, allAlertsFilters);
-    
-    // 5. Clasificar TODAS las alertas por prioridad para contadores
-    const allClassifiedAlerts = classifyAlerts(allAlerts);
-    
-    // 6. Obtener alertas con filtros específicos para mostrar
-    const alerts = await databaseService.getStockAlerts(userId, filters);
-    const classifiedAlerts = classifyAlerts(alerts);
-    
-    // 7. Filtrar por prioridad si se especifica
-    let filteredAlerts = classifiedAlerts;
-    if (hasValidPriorityFilter) {
-      filteredAlerts = classifiedAlerts.filter(alert => alert.priority === priority);
-      logger.info(`🔍 Filtrando por prioridad '${priority}': ${filteredAlerts.length}/${classifiedAlerts.length} alertas`);
-    } else {
-      logger.info(`📋 Mostrando todas las alertas: ${classifiedAlerts.length}`);
-    }
-    
-    // 7. Aplicar paginación después de filtrar por prioridad
-    const startIndex = offset;
-    const endIndex = startIndex + limit;
-    const paginatedAlerts = filteredAlerts.slice(startIndex, endIndex);
-    
-    // 8. Obtener conteo por tipo de alerta
-    const alertCounts = await databaseService.getAlertsCount(userId);
-    
-    // 9. Preparar respuesta
+    // 4. Alertas de la página y contadores agregados en paralelo
+    const [alerts, summary, alertCounts] = await Promise.all([
+      databaseService.getStockAlerts(userId, filters),
+      databaseService.getAlertsSummary(userId, filters),
+      databaseService.getAlertsCount(userId)
+    ]);
+
+    const hasMore = alerts.length > limit;
+    const pageAlerts = classifyAlerts(alerts.slice(0, limit)).map(alert => ({
+      ...alert,
+      snooze: snoozeByProduct.get(alert.product_id) || null
+    }));
+
+    logger.info(`📋 Mostrando ${pageAlerts.length} alertas${priority ? ` de prioridad '${priority}'` : ''}`);
+
+    // 5. Preparar respuesta
     const response = {
       success: true,
-      alerts: paginatedAlerts,
+      alerts: pageAlerts,
       counts: alertCounts,
-      summary: {
-        total: allClassifiedAlerts.length, // Total real de todas las alertas
-        critical: allClassifiedAlerts.filter(a => a.priority === 'critical').length,
-        warning: allClassifiedAlerts.filter(a => a.priority === 'warning').length,
-        info: allClassifiedAlerts.filter(a => a.priority === 'informative').length
-      },
+      summary,
       pagination: {
         limit,
         offset,
-        hasMore: endIndex < filteredAlerts.length
+        page: Math.floor(offset / limit),
+        hasMore
       }
     };
 
@@ -136,6 +120,159 @@ async function getAlerts(req, res) {
   }
 }
 
+/**
+ * Validar los filtros compartidos por la lista y la exportación de alertas
+ * Los valores inválidos se ignoran (se registran como intento sospechoso) en lugar de fallar
+ * @returns {{ alertType, priority, onlyUnread, onlySnoozed, timeRange, productId }}
+ */
+function parseAlertFilters(req) {
+  const {
+    alertType: rawAlertType,
+    priority: rawPriority,
+    onlyUnread: rawOnlyUnread = false,
+    snoozed: rawSnoozed = false,
+    timeRange: rawTimeRange = 'all',
+    productId: rawProductId
+  } = req.query || {};
+  
+  // 'info' se acepta como alias de 'informative' (los contadores usan la clave info)
+  const validPriorities = ['critical', 'warning', 'informative', 'info'];
+  const validTimeRanges = ['today', 'week', 'month', 'all'];
+  
+  // alertType: un tipo o varios separados por coma (LOW_STOCK,STOCK_DECREASE); los inválidos se descartan
+  let alertType;
+  if (rawAlertType && rawAlertType !== 'all') {
+    const requestedTypes = String(rawAlertType).split(',').map(type => type.trim()).filter(Boolean);
+    const validTypes = requestedTypes.filter(type => ALERT_TYPES.includes(type));
+    if (validTypes.length !== requestedTypes.length) {
+      logger.warn(`🚨 alertType inválido: ${rawAlertType} desde IP: ${req.ip}`);
+    }
+    alertType = validTypes.length > 1 ? validTypes : validTypes[0];
+  }
+  
+  // priority: undefined o 'all' = sin filtro
+  const validPriority = rawPriority && rawPriority !== 'all' && !validPriorities.includes(rawPriority)
+    ? (logger.warn(`🚨 priority inválido: ${rawPriority} desde IP: ${req.ip}`), undefined)
+    : rawPriority;
+  const priority = !validPriority || validPriority === 'all'
+    ? undefined
+    : (validPriority === 'info' ? 'informative' : validPriority);
+  
+  // timeRange: validar enum
+  const timeRange = !validTimeRanges.includes(rawTimeRange)
+    ? (logger.warn(`🚨 timeRange inválido: ${rawTimeRange} desde IP: ${req.ip}`), 'all')
+    : rawTimeRange;
+  
+  // productId: alertas de una sola publicación (enlace desde el centro de notificaciones)
+  const productId = rawProductId && !isValidProductId(rawProductId)
+    ? (logger.warn(`🚨 productId inválido: ${rawProductId} desde IP: ${req.ip}`), undefined)
+    : rawProductId || undefined;
+  
+  return {
+    alertType,
+    priority,
+    onlyUnread: rawOnlyUnread === 'true' || rawOnlyUnread === true,
+    onlySnoozed: rawSnoozed === 'true' || rawSnoozed === true,
+    timeRange,
+    productId
+  };
+}
+
+/**
+ * Combinar el filtro por producto con la lista de productos pospuestos
+ * @returns {string[]|undefined} undefined = sin filtro por producto
+ */
+function getFilterProductIds(productId, snoozedProductIds) {
+  if (!productId) {
+    return snoozedProductIds;
+  }
+  return (snoozedProductIds || [productId]).filter(id => id === productId);
+}
+
+/**
+ * Exportar alertas con los filtros de la lista (?format=csv|json)
+ * Se escriben por lotes a medida que se leen de BD, sin tope de filas
+ */
+async function exportAlerts(req, res) {
+  const userId = req.auth.userId;
+  const format = req.query?.format || 'csv';
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format debe ser uno de: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  
+  try {
+    const { alertType, priority, onlyUnread, onlySnoozed, timeRange, productId } = parseAlertFilters(req);
+    
+    let snoozedProductIds;
+    if (onlySnoozed) {
+      const activeSnoozes = await databaseService.getActiveProductSnoozes(userId);
+      snoozedProductIds = activeSnoozes.map(snooze => snooze.product_id);
+    }
+    const productIds = getFilterProductIds(productId, snoozedProductIds);
+    
+    const filters = { alertType, priority, since: getTimeRangeStart(timeRange), onlyUnread, productIds };
+    const fileName = `alertas-${new Date().toISOString().slice(0, 10)}.${format}`;
+    
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    
+    // BOM para que Excel abra el CSV como UTF-8
+    res.write(format === 'csv' ? '\uFEFF' + getCsvHeader() : '[');
+    
+    let isFirstRow = true;
+    const total = await databaseService.forEachStockAlertBatch(userId, filters, async (alerts) => {
+      const rows = alerts.map(formatAlertForExport);
+      if (format === 'csv') {
+        res.write(rows.map(toCsvRow).join(''));
+      } else {
+        res.write((isFirstRow ? '' : ',') + rows.map(row => JSON.stringify(row)).join(','));
+      }
+      isFirstRow = false;
+    });
+    
+    res.end(format === 'csv' ? '' : ']');
+    logger.info(`📤 Exportadas ${total} alertas (${format}) para usuario ${userId}`);
+    
+  } catch (error) {
+    logger.error(`❌ Error exportando alertas: ${error.message}`);
+    
+    // Si ya se empezó a enviar el archivo solo queda cortarlo
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error al exportar alertas'
+    });
+  }
+}
+
+/**
+ * Inicio del rango de tiempo pedido (null = sin límite)
+ * today = desde las 00:00 UTC; week y month = últimos 7 y 30 días
+ */
+function getTimeRangeStart(timeRange, now = new Date()) {
+  switch (timeRange) {
+    case 'today': {
+      const startOfDay = new Date(now);
+      startOfDay.setUTCHours(0, 0, 0, 0);
+      return startOfDay.toISOString();
+    }
+    case 'week':
+      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    case 'month':
+      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    default:
+      return null;
+  }
+}
+
 /**
  * Marcar alertas como leídas
  */
@@ -145,60 +282,338 @@ async function markAlertsAsRead(req, res) {
     const userId = req.auth.userId;
     const { alertIds: rawAlertIds } = req.body;
 
-    // Validar alertIds array
-    if (!rawAlertIds || !Array.isArray(rawAlertIds)) {
-      logger.warn(`🚨 alertIds no es array desde IP: ${req.ip}`);
+    const { alertIds, error } = parseAlertIds(rawAlertIds, req);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Se requiere un array de alertIds'
-      });
-    }
-    
-    // Validar límite para prevenir DoS
-    if (rawAlertIds.length > 1000) {
-      logger.warn(`🚨 Demasiados alertIds (${rawAlertIds.length}) desde IP: ${req.ip}`);
-      return res.status(400).json({
-        success: false,
-        error: 'Máximo 1000 alertIds permitidos'
+        error
       });
     }
+
+    const markedCount = await databaseService.markAlertsAsRead(userId, alertIds);
+
+    res.json({
+      success: true,
+      message: `${markedCount} alertas marcadas como leídas`,
+      markedCount
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error marcando alertas como leídas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Validar y sanitizar lista de alertIds del body
+ * @returns {{alertIds?: string[], error?: string}}
+ */
+function parseAlertIds(rawAlertIds, req) {
+  // Validar alertIds array
+  if (!rawAlertIds || !Array.isArray(rawAlertIds)) {
+    logger.warn(`🚨 alertIds no es array desde IP: ${req.ip}`);
+    return { error: 'Se requiere un array de alertIds' };
+  }
+  
+  // Validar límite para prevenir DoS
+  if (rawAlertIds.length > 1000) {
+    logger.warn(`🚨 Demasiados alertIds (${rawAlertIds.length}) desde IP: ${req.ip}`);
+    return { error: 'Máximo 1000 alertIds permitidos' };
+  }
+  
+  // Validar y sanitizar cada alertId
+  const alertIds = [];
+  for (let i = 0; i < rawAlertIds.length; i++) {
+    const id = rawAlertIds[i];
     
-    // Validar y sanitizar cada alertId
-    const alertIds = [];
-    for (let i = 0; i < rawAlertIds.length; i++) {
-      const id = rawAlertIds[i];
+    // Validar que sea string/number y convertir a string
+    if (typeof id === 'string' || typeof id === 'number') {
+      const stringId = String(id).slice(0, 50); // Limitar longitud
       
-      // Validar que sea string/number y convertir a string
-      if (typeof id === 'string' || typeof id === 'number') {
-        const stringId = String(id).slice(0, 50); // Limitar longitud
-        
-        // Validar formato (números o UUIDs típicos)
-        if (/^[a-zA-Z0-9_-]+$/.test(stringId)) {
-          alertIds.push(stringId);
-        } else {
-          logger.warn(`🚨 alertId con formato inválido: ${stringId} desde IP: ${req.ip}`);
-        }
+      // Validar formato (números o UUIDs típicos)
+      if (/^[a-zA-Z0-9_-]+$/.test(stringId)) {
+        alertIds.push(stringId);
+      } else {
+        logger.warn(`🚨 alertId con formato inválido: ${stringId} desde IP: ${req.ip}`);
       }
     }
-    
-    if (alertIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No se encontraron alertIds válidos'
-      });
+  }
+  
+  if (alertIds.length === 0) {
+    return { error: 'No se encontraron alertIds válidos' };
+  }
+  
+  return { alertIds };
+}
+
+/**
+ * Validar ID de producto de Mercado Libre
+ */
+function isValidProductId(productId) {
+  return typeof productId === 'string' && /^[A-Za-z0-9_-]{1,50}$/.test(productId);
+}
+
+/**
+ * Reconocer alertas: por alertIds o todas las de un producto (productId)
+ */
+async function acknowledgeAlerts(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { alertIds: rawAlertIds, productId } = req.body || {};
+    let target;
+
+    if (productId !== undefined) {
+      if (!isValidProductId(productId)) {
+        logger.warn(`🚨 productId inválido para reconocer desde IP: ${req.ip}`);
+        return res.status(400).json({ success: false, error: 'productId inválido' });
+      }
+      target = { productId };
+    } else {
+      const { alertIds, error } = parseAlertIds(rawAlertIds, req);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      target = { alertIds };
     }
 
-    // TODO: Implementar función para marcar alertas como leídas
-    // const result = await databaseService.markAlertsAsRead(userId, alertIds);
+    const acknowledgedIds = await databaseService.acknowledgeAlerts(userId, target);
 
     res.json({
       success: true,
-      message: `${alertIds.length} alertas marcadas como leídas`,
-      markedCount: alertIds.length
+      message: `${acknowledgedIds.length} alertas reconocidas`,
+      acknowledgedIds
     });
 
   } catch (error) {
-    logger.error(`❌ Error marcando alertas como leídas: ${error.message}`);
+    logger.error(`❌ Error reconociendo alertas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Centro de notificaciones: últimas alertas no leídas (con miniatura y variación de stock)
+ * y cantidad de alertas nuevas desde la última vez que el usuario abrió la campana
+ */
+async function getNotifications(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const lastSeenAt = await databaseService.getAlertsLastSeen(userId);
+
+    const [alerts, newCount, activeSnoozes] = await Promise.all([
+      // Mismo criterio que newCount: una alerta colapsada con cambios recientes vuelve arriba
+      databaseService.getStockAlerts(userId, { limit: NOTIFICATION_CENTER_LIMIT, onlyUnread: true, orderBy: 'last_changed_at' }),
+      databaseService.countNewUnreadAlerts(userId, lastSeenAt),
+      databaseService.getActiveProductSnoozes(userId)
+    ]);
+
+    // Miniaturas y stock actual desde products (las alertas solo guardan título y SKU)
+    const productIds = [...new Set(alerts.map(alert => alert.product_id).filter(Boolean))];
+    const products = await databaseService.getProductsPreview(userId, productIds);
+    const productById = new Map(products.map(product => [product.id, product]));
+    const snoozeByProduct = new Map(activeSnoozes.map(snooze => [snooze.product_id, snooze]));
+
+    const notifications = classifyAlerts(alerts).map(alert => {
+      const product = productById.get(alert.product_id);
+      const hasStock = Number.isFinite(alert.previous_stock) && Number.isFinite(alert.new_stock);
+      return {
+        ...alert,
+        thumbnail: product?.thumbnail || null,
+        current_stock: product ? product.available_quantity : null,
+        stock_delta: hasStock ? alert.new_stock - alert.previous_stock : null,
+        snooze: snoozeByProduct.get(alert.product_id) || null
+      };
+    });
+
+    res.json({
+      success: true,
+      alerts: notifications,
+      newCount,
+      lastSeenAt
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo centro de notificaciones: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error al obtener notificaciones'
+    });
+  }
+}
+
+/**
+ * Guardar la marca de "visto hasta" al abrir el centro de notificaciones
+ * seenAt opcional (no puede ser futuro); la marca nunca retrocede
+ */
+async function markNotificationsSeen(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const rawSeenAt = req.body?.seenAt;
+    const now = new Date();
+
+    let seenAt = now;
+    if (rawSeenAt !== undefined && rawSeenAt !== null) {
+      seenAt = new Date(rawSeenAt);
+      if (isNaN(seenAt.getTime())) {
+        return res.status(400).json({ success: false, error: 'seenAt debe ser una fecha válida' });
+      }
+      if (seenAt > now) {
+        seenAt = now;
+      }
+    }
+
+    const previousSeenAt = await databaseService.getAlertsLastSeen(userId);
+    if (previousSeenAt && new Date(previousSeenAt) >= seenAt) {
+      return res.json({ success: true, lastSeenAt: previousSeenAt });
+    }
+
+    const lastSeenAt = await databaseService.setAlertsLastSeen(userId, seenAt.toISOString());
+
+    res.json({
+      success: true,
+      lastSeenAt
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error guardando marca de notificaciones vistas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener productos con notificaciones pospuestas vigentes
+ */
+async function getSnoozes(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const snoozes = await databaseService.getActiveProductSnoozes(userId);
+
+    res.json({
+      success: true,
+      snoozes
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo productos pospuestos: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Posponer notificaciones de un producto hasta una fecha y/o hasta que su stock supere un valor
+ */
+async function snoozeProduct(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { productId, until: rawUntil, untilStockAbove: rawUntilStockAbove, reason: rawReason } = req.body || {};
+
+    if (!isValidProductId(productId)) {
+      logger.warn(`🚨 productId inválido para posponer desde IP: ${req.ip}`);
+      return res.status(400).json({ success: false, error: 'productId inválido' });
+    }
+
+    let snoozedUntil = null;
+    if (rawUntil) {
+      const until = new Date(rawUntil);
+      const maxUntil = Date.now() + MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000;
+      if (isNaN(until.getTime()) || until.getTime() <= Date.now() || until.getTime() > maxUntil) {
+        return res.status(400).json({
+          success: false,
+          error: `until debe ser una fecha futura dentro de los próximos ${MAX_SNOOZE_DAYS} días`
+        });
+      }
+      snoozedUntil = until.toISOString();
+    }
+
+    let untilStockAbove = null;
+    if (rawUntilStockAbove !== undefined && rawUntilStockAbove !== null && rawUntilStockAbove !== '') {
+      untilStockAbove = parseInt(rawUntilStockAbove);
+      if (isNaN(untilStockAbove) || untilStockAbove < 0 || untilStockAbove > 100000) {
+        return res.status(400).json({ success: false, error: 'untilStockAbove debe ser un número entre 0 y 100000' });
+      }
+    }
+
+    // Sin condición de fin el snooze sería un silencio permanente
+    if (snoozedUntil === null && untilStockAbove === null) {
+      return res.status(400).json({ success: false, error: 'Se requiere until y/o untilStockAbove' });
+    }
+
+    const reason = typeof rawReason === 'string' ? rawReason.slice(0, 200).replace(/[<>]/g, '') : null;
+
+    const snooze = await databaseService.upsertProductSnooze(userId, productId, { snoozedUntil, untilStockAbove, reason });
+
+    res.json({
+      success: true,
+      snooze
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error posponiendo producto: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Reactivar notificaciones de un producto pospuesto
+ */
+async function unsnoozeProduct(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { productId } = req.body || {};
+
+    if (!isValidProductId(productId)) {
+      return res.status(400).json({ success: false, error: 'productId inválido' });
+    }
+
+    await databaseService.deleteProductSnooze(userId, productId);
+
+    res.json({
+      success: true,
+      message: 'Notificaciones reactivadas'
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error reactivando producto: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Marcar todas las alertas del usuario como leídas
+ */
+async function markAllAlertsAsRead(req, res) {
+  try {
+    // La autenticación ya fue validada por withAuth middleware
+    const userId = req.auth.userId;
+
+    const markedCount = await databaseService.markAllAlertsAsRead(userId);
+
+    res.json({
+      success: true,
+      message: `${markedCount} alertas marcadas como leídas`,
+      markedCount
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error marcando todas las alertas como leídas: ${error.message}`);
     res.status(500).json({
       success: false,
       error: error.message
@@ -214,21 +629,12 @@ async function getAlertSettings(req, res) {
     // La autenticación ya fue validada por withAuth middleware
     const userId = req.auth.userId;
 
-    // Configuración por defecto
-    const defaultSettings = {
-      popupsEnabled: true,
-      soundEnabled: false,
-      lowStockThreshold: 5,
-      showCriticalOnly: false,
-      autoMarkAsRead: false
-    };
-
-    // TODO: Implementar obtención de configuración desde base de datos
-    // const userSettings = await databaseService.getUserAlertSettings(userId);
+    // Configuración guardada del usuario combinada con valores por defecto
+    const userSettings = await databaseService.getUserAlertSettings(userId);
 
     res.json({
       success: true,
-      settings: defaultSettings
+      settings: userSettings
     });
 
   } catch (error) {
@@ -284,6 +690,32 @@ async function updateAlertSettings(req, res) {
       settings.lowStockThreshold = Math.floor(threshold);
     }
     
+    // burstWindowMinutes: number (0-1440, 0 = sin colapsar)
+    if ('burstWindowMinutes' in rawSettings) {
+      const burstWindow = Number(rawSettings.burstWindowMinutes);
+      if (isNaN(burstWindow) || burstWindow < 0 || burstWindow > 1440) {
+        logger.warn(`🚨 burstWindowMinutes inválido: ${rawSettings.burstWindowMinutes} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error: 'burstWindowMinutes debe ser un número entre 0 y 1440'
+        });
+      }
+      settings.burstWindowMinutes = Math.floor(burstWindow);
+    }
+    
+    // cooldownHours: number (0-168, 0 = sin cooldown)
+    if ('cooldownHours' in rawSettings) {
+      const cooldown = Number(rawSettings.cooldownHours);
+      if (isNaN(cooldown) || cooldown < 0 || cooldown > 168) {
+        logger.warn(`🚨 cooldownHours inválido: ${rawSettings.cooldownHours} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error: 'cooldownHours debe ser un número entre 0 y 168'
+        });
+      }
+      settings.cooldownHours = cooldown;
+    }
+    
     // showCriticalOnly: boolean
     if ('showCriticalOnly' in rawSettings) {
       settings.showCriticalOnly = Boolean(rawSettings.showCriticalOnly);
@@ -294,6 +726,135 @@ async function updateAlertSettings(req, res) {
       settings.autoMarkAsRead = Boolean(rawSettings.autoMarkAsRead);
     }
     
+    // channels: { [canal]: { enabled, alertTypes, ...destino } }
+    if ('channels' in rawSettings) {
+      const { channels, error } = sanitizeChannelSettings(rawSettings.channels);
+      if (error) {
+        logger.warn(`🚨 channels inválido: ${error} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      settings.channels = channels;
+      
+      // Generar secreto de firma del webhook al habilitarlo por primera vez o al regenerarlo
+      const webhookChannel = settings.channels.webhook;
+      if (webhookChannel) {
+        // El host debe resolver solo a direcciones públicas (se vuelve a comprobar en cada envío)
+        if (webhookChannel.url) {
+          const resolutionError = await checkWebhookHostResolution(new URL(webhookChannel.url));
+          if (resolutionError) {
+            logger.warn(`🚨 URL de webhook rechazada: ${resolutionError} desde IP: ${req.ip}`);
+            return res.status(400).json({
+              success: false,
+              error: resolutionError
+            });
+          }
+        }
+        
+        const currentSettings = await databaseService.getUserAlertSettings(userId);
+        const currentWebhook = currentSettings.channels.webhook || {};
+        const webhookEnabled = webhookChannel.enabled ?? currentWebhook.enabled;
+        if (webhookChannel.regenerateSecret || (webhookEnabled && !currentWebhook.secret)) {
+          webhookChannel.secret = crypto.randomBytes(32).toString('hex');
+          logger.info(`🔑 Secreto de webhook generado para usuario ${userId}`);
+        }
+        delete webhookChannel.regenerateSecret;
+      }
+    }
+    
+    // enablePushNotifications: boolean
+    if ('enablePushNotifications' in rawSettings) {
+      settings.enablePushNotifications = Boolean(rawSettings.enablePushNotifications);
+    }
+    
+    // digest: { frequency: 'off' | 'daily' | 'weekly', to }
+    if ('digest' in rawSettings) {
+      const rawDigest = rawSettings.digest;
+      if (!rawDigest || typeof rawDigest !== 'object' || Array.isArray(rawDigest)) {
+        return res.status(400).json({
+          success: false,
+          error: 'digest debe ser un objeto'
+        });
+      }
+      
+      const digest = {};
+      if ('frequency' in rawDigest) {
+        if (!['off', 'daily', 'weekly'].includes(rawDigest.frequency)) {
+          logger.warn(`🚨 digest.frequency inválido: ${rawDigest.frequency} desde IP: ${req.ip}`);
+          return res.status(400).json({
+            success: false,
+            error: 'digest.frequency debe ser off, daily o weekly'
+          });
+        }
+        digest.frequency = rawDigest.frequency;
+      }
+      if ('to' in rawDigest) {
+        const to = String(rawDigest.to || '').trim();
+        if (to && (to.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Email de destino del resumen inválido'
+          });
+        }
+        digest.to = to;
+      }
+      settings.digest = digest;
+    }
+    
+    // schedule: horario de silencio y días hábiles
+    if ('schedule' in rawSettings) {
+      const { schedule, error } = sanitizeScheduleSettings(rawSettings.schedule);
+      if (error) {
+        logger.warn(`🚨 schedule inválido: ${error} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      settings.schedule = schedule;
+    }
+    
+    // escalation: política de escalamiento de LOW_STOCK sin resolver
+    if ('escalation' in rawSettings) {
+      const { escalation, error } = sanitizeEscalationSettings(rawSettings.escalation);
+      if (error) {
+        logger.warn(`🚨 escalation inválido: ${error} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      settings.escalation = escalation;
+    }
+    
+    // retention: días de alertas en caliente y si se archivan antes de purgar
+    if ('retention' in rawSettings) {
+      const { retention, error } = sanitizeRetentionSettings(rawSettings.retention);
+      if (error) {
+        logger.warn(`🚨 retention inválido: ${error} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      settings.retention = retention;
+    }
+    
+    // coverage: alerta LOW_COVER cuando los días de cobertura bajan del lead time
+    if ('coverage' in rawSettings) {
+      const { coverage, error } = sanitizeCoverageSettings(rawSettings.coverage);
+      if (error) {
+        logger.warn(`🚨 coverage inválido: ${error} desde IP: ${req.ip}`);
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      settings.coverage = coverage;
+    }
+    
     // Verificar que al menos una configuración sea válida
     if (Object.keys(settings).length === 0) {
       return res.status(400).json({
@@ -304,13 +865,12 @@ async function updateAlertSettings(req, res) {
 
     logger.info(`⚙️ Actualizando configuración de alertas para usuario ${userId}:`, settings);
 
-    // TODO: Implementar actualización de configuración en base de datos
-    // const result = await databaseService.updateUserAlertSettings(userId, settings);
+    const updatedSettings = await databaseService.updateUserAlertSettings(userId, settings);
 
     res.json({
       success: true,
       message: 'Configuración de alertas actualizada',
-      settings: settings
+      settings: updatedSettings
     });
 
   } catch (error) {
@@ -323,116 +883,45 @@ async function updateAlertSettings(req, res) {
 }
 
 /**
- * Clasificar alertas por prioridad y agregar metadata
- */
-function classifyAlerts(alerts) {
-  return alerts.map(alert => {
-    const baseAlert = {
-      ...alert,
-      timeAgo: getTimeAgo(alert.created_at),
-      formattedTime: new Date(alert.created_at).toLocaleString()
-    };
-
-    // Clasificar por tipo y prioridad
-    switch (alert.alert_type) {
-      case 'LOW_STOCK':
-        return {
-          ...baseAlert,
-          priority: 'critical',
-          color: '#dc3545', // Rojo
-          bgColor: '#f8d7da',
-          icon: '🚨',
-          title: 'Stock Bajo',
-          description: `El producto "${alert.product_title}" tiene solo ${alert.new_stock} unidades disponibles`,
-          actionRequired: true
-        };
-      
-      case 'STOCK_DECREASE':
-        return {
-          ...baseAlert,
-          priority: alert.new_stock <= 10 ? 'warning' : 'informative',
-          color: alert.new_stock <= 10 ? '#fd7e14' : '#6c757d',
-          bgColor: alert.new_stock <= 10 ? '#fdefd5' : '#e9ecef',
-          icon: '📉',
-          title: 'Stock Disminuido',
-          description: `El stock del producto "${alert.product_title}" bajó de ${alert.previous_stock} a ${alert.new_stock} unidades`,
-          actionRequired: alert.new_stock <= 10
-        };
-      
-      case 'STOCK_INCREASE':
-        return {
-          ...baseAlert,
-          priority: 'informative',
-          color: '#28a745', // Verde
-          bgColor: '#d4edda',
-          icon: '📈',
-          title: 'Stock Aumentado',
-          description: `El stock del producto "${alert.product_title}" subió de ${alert.previous_stock} a ${alert.new_stock} unidades`,
-          actionRequired: false
-        };
-      
-      default:
-        return {
-          ...baseAlert,
-          priority: 'informative',
-          color: '#6c757d',
-          bgColor: '#e9ecef',
-          icon: '📦',
-          title: 'Alerta de Stock',
-          description: `Cambio en el producto "${alert.product_title}"`,
-          actionRequired: false
-        };
-    }
-  });
-}
-
-/**
- * Calcular tiempo transcurrido
- */
-function getTimeAgo(dateString) {
-  const date = new Date(dateString);
-  const now = new Date();
-  const diffInMs = now - date;
-  const diffInMinutes = Math.floor(diffInMs / (1000 * 60));
-  const diffInHours = Math.floor(diffInMinutes / 60);
-  const diffInDays = Math.floor(diffInHours / 24);
-
-  if (diffInMinutes < 1) {
-    return 'Hace menos de 1 minuto';
-  } else if (diffInMinutes < 60) {
-    return `Hace ${diffInMinutes} minuto${diffInMinutes > 1 ? 's' : ''}`;
-  } else if (diffInHours < 24) {
-    return `Hace ${diffInHours} hora${diffInHours > 1 ? 's' : ''}`;
-  } else if (diffInDays < 7) {
-    return `Hace ${diffInDays} día${diffInDays > 1 ? 's' : ''}`;
-  } else {
-    return date.toLocaleDateString();
-  }
-}
-
-/**
- * Obtener configuración de alertas del usuario (movido desde alert-settings.js)
+ * Obtener notificaciones que agotaron sus reintentos (dead-letter)
  */
-async function getAlertSettings(req, res) {
+async function getDeadLetterDeliveries(req, res) {
   try {
+    // La autenticación ya fue validada por withAuth middleware
     const userId = req.auth.userId;
 
-    // Configuración por defecto
-    const defaultSettings = {
-      popupsEnabled: true,
-      soundEnabled: false,
-      lowStockThreshold: 5,
-      showCriticalOnly: false,
-      autoMarkAsRead: false
-    };
+    const limitNum = parseInt(req.query.limit);
+    const limit = isNaN(limitNum) || limitNum < 1 || limitNum > 200 ? 50 : limitNum;
+    const offsetNum = parseInt(req.query.offset);
+    const offset = isNaN(offsetNum) || offsetNum < 0 ? 0 : offsetNum;
+
+    const { deliveries, total } = await databaseService.getDeadLetterDeliveries(userId, { limit, offset });
 
     res.json({
       success: true,
-      settings: defaultSettings
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.id,
+        alertId: delivery.alert_id,
+        channel: delivery.channel,
+        attempts: delivery.attempts,
+        lastError: delivery.last_error,
+        alertType: delivery.alert_snapshot?.alert_type,
+        productId: delivery.alert_snapshot?.product_id,
+        productTitle: delivery.alert_snapshot?.product_title,
+        sellerSku: delivery.alert_snapshot?.seller_sku,
+        createdAt: delivery.created_at,
+        failedAt: delivery.updated_at
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
     });
 
   } catch (error) {
-    logger.error(`❌ Error obteniendo configuración de alertas: ${error.message}`);
+    logger.error(`❌ Error obteniendo notificaciones no entregadas: ${error.message}`);
     res.status(500).json({
       success: false,
       error: error.message
@@ -441,35 +930,239 @@ async function getAlertSettings(req, res) {
 }
 
 /**
- * Actualizar configuración de alertas del usuario (movido desde alert-settings.js)
+ * Validar y sanitizar horario de notificaciones
+ * @returns {{schedule?: Object, error?: string}}
  */
-async function updateAlertSettings(req, res) {
-  try {
-    const userId = req.auth.userId;
-    const { settings } = req.body;
+function sanitizeScheduleSettings(rawSchedule) {
+  if (!rawSchedule || typeof rawSchedule !== 'object' || Array.isArray(rawSchedule)) {
+    return { error: 'schedule debe ser un objeto' };
+  }
 
-    if (!settings) {
-      return res.status(400).json({
-        success: false,
-        error: 'Se requiere el objeto settings'
-      });
+  const schedule = {};
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if ('enabled' in rawSchedule) {
+    schedule.enabled = Boolean(rawSchedule.enabled);
+  }
+
+  if ('criticalOverride' in rawSchedule) {
+    schedule.criticalOverride = Boolean(rawSchedule.criticalOverride);
+  }
+
+  if ('timezone' in rawSchedule) {
+    if (typeof rawSchedule.timezone !== 'string' || rawSchedule.timezone.length > 64 || !isValidTimezone(rawSchedule.timezone)) {
+      return { error: 'Zona horaria inválida' };
     }
+    schedule.timezone = rawSchedule.timezone;
+  }
 
-    logger.info(`⚙️ Actualizando configuración de alertas para usuario ${userId}:`, settings);
+  for (const field of ['quietStart', 'quietEnd']) {
+    if (field in rawSchedule) {
+      if (!timePattern.test(String(rawSchedule[field]))) {
+        return { error: `${field} debe tener formato HH:MM` };
+      }
+      schedule[field] = rawSchedule[field];
+    }
+  }
 
-    res.json({
-      success: true,
-      message: 'Configuración de alertas actualizada',
-      settings: settings
-    });
+  if ('days' in rawSchedule) {
+    if (!Array.isArray(rawSchedule.days) || rawSchedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'days debe ser una lista de días entre 0 (domingo) y 6 (sábado)' };
+    }
+    schedule.days = [...new Set(rawSchedule.days)].sort((a, b) => a - b);
+  }
 
-  } catch (error) {
-    logger.error(`❌ Error actualizando configuración de alertas: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  return { schedule };
+}
+
+/**
+ * Validar y sanitizar política de escalamiento
+ * @returns {{escalation?: Object, error?: string}}
+ */
+function sanitizeEscalationSettings(rawEscalation) {
+  if (!rawEscalation || typeof rawEscalation !== 'object' || Array.isArray(rawEscalation)) {
+    return { error: 'escalation debe ser un objeto' };
+  }
+
+  const escalation = {};
+
+  if ('enabled' in rawEscalation) {
+    escalation.enabled = Boolean(rawEscalation.enabled);
+  }
+
+  const hourLimits = { afterHours: [1, 720], repeatHours: [1, 168], maxRepeatHours: [1, 720] };
+  for (const [field, [min, max]] of Object.entries(hourLimits)) {
+    if (field in rawEscalation) {
+      const hours = Number(rawEscalation[field]);
+      if (!Number.isInteger(hours) || hours < min || hours > max) {
+        return { error: `${field} debe ser un número de horas entre ${min} y ${max}` };
+      }
+      escalation[field] = hours;
+    }
+  }
+
+  // Emails separados por coma
+  if ('email' in rawEscalation) {
+    const emails = String(rawEscalation.email || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+    if (emails.length > MAX_ESCALATION_EMAILS) {
+      return { error: `Máximo ${MAX_ESCALATION_EMAILS} emails de escalamiento` };
+    }
+    if (emails.some(email => email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+      return { error: 'Email de escalamiento inválido' };
+    }
+    escalation.email = emails.join(', ');
+  }
+
+  if ('telegramChatId' in rawEscalation) {
+    const chatId = String(rawEscalation.telegramChatId || '').trim();
+    if (chatId && !/^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/.test(chatId)) {
+      return { error: 'chatId de Telegram de escalamiento inválido' };
+    }
+    escalation.telegramChatId = chatId;
+  }
+
+  if (escalation.repeatHours && escalation.maxRepeatHours && escalation.maxRepeatHours < escalation.repeatHours) {
+    return { error: 'maxRepeatHours no puede ser menor que repeatHours' };
+  }
+
+  return { escalation };
+}
+
+/**
+ * Validar y sanitizar política de retención de alertas
+ * @returns {{retention?: Object, error?: string}}
+ */
+function sanitizeRetentionSettings(rawRetention) {
+  if (!rawRetention || typeof rawRetention !== 'object' || Array.isArray(rawRetention)) {
+    return { error: 'retention debe ser un objeto' };
+  }
+
+  const retention = {};
+
+  if ('hotDays' in rawRetention) {
+    const days = Number(rawRetention.hotDays);
+    if (!Number.isInteger(days) || days < MIN_RETENTION_DAYS || days > MAX_RETENTION_DAYS) {
+      return { error: `hotDays debe ser un número de días entre ${MIN_RETENTION_DAYS} y ${MAX_RETENTION_DAYS}` };
+    }
+    retention.hotDays = days;
+  }
+
+  if ('archive' in rawRetention) {
+    retention.archive = Boolean(rawRetention.archive);
+  }
+
+  return { retention };
+}
+
+/**
+ * Validar y sanitizar configuración de la alerta de cobertura
+ * @returns {{coverage?: Object, error?: string}}
+ */
+function sanitizeCoverageSettings(rawCoverage) {
+  if (!rawCoverage || typeof rawCoverage !== 'object' || Array.isArray(rawCoverage)) {
+    return { error: 'coverage debe ser un objeto' };
+  }
+
+  const coverage = {};
+
+  if ('enabled' in rawCoverage) {
+    coverage.enabled = Boolean(rawCoverage.enabled);
+  }
+
+  if ('leadTimeDays' in rawCoverage) {
+    const days = Number(rawCoverage.leadTimeDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LEAD_TIME_DAYS) {
+      return { error: `leadTimeDays debe ser un número de días entre 1 y ${MAX_LEAD_TIME_DAYS}` };
+    }
+    coverage.leadTimeDays = days;
+  }
+
+  if ('targetCoverDays' in rawCoverage) {
+    const days = Number(rawCoverage.targetCoverDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_REORDER_DAYS) {
+      return { error: `targetCoverDays debe ser un número de días entre 1 y ${MAX_REORDER_DAYS}` };
+    }
+    coverage.targetCoverDays = days;
+  }
+
+  return { coverage };
+}
+
+/**
+ * Validar y sanitizar configuración de canales de notificación
+ * @returns {{channels?: Object, error?: string}}
+ */
+function sanitizeChannelSettings(rawChannels) {
+  if (!rawChannels || typeof rawChannels !== 'object' || Array.isArray(rawChannels)) {
+    return { error: 'channels debe ser un objeto' };
+  }
+
+  const validChannels = notificationDispatcher.getChannelNames();
+  const channels = {};
+
+  for (const [channel, rawChannel] of Object.entries(rawChannels)) {
+    if (!validChannels.includes(channel)) {
+      return { error: `Canal no soportado: ${channel}` };
+    }
+    if (!rawChannel || typeof rawChannel !== 'object' || Array.isArray(rawChannel)) {
+      return { error: `Configuración inválida para el canal ${channel}` };
+    }
+
+    const channelSettings = {};
+
+    if ('enabled' in rawChannel) {
+      channelSettings.enabled = Boolean(rawChannel.enabled);
+    }
+
+    if ('alertTypes' in rawChannel) {
+      if (!Array.isArray(rawChannel.alertTypes) || rawChannel.alertTypes.some(type => !ALERT_TYPES.includes(type))) {
+        return { error: `alertTypes inválido para el canal ${channel}` };
+      }
+      channelSettings.alertTypes = [...new Set(rawChannel.alertTypes)];
+    }
+
+    // Destino del canal de email
+    if (channel === 'email' && 'to' in rawChannel) {
+      const to = String(rawChannel.to || '').trim();
+      if (to && (to.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to))) {
+        return { error: 'Email de destino inválido' };
+      }
+      channelSettings.to = to;
+    }
+
+    // Destino del canal de Telegram (ID numérico o @canal)
+    if (channel === 'telegram' && 'chatId' in rawChannel) {
+      const chatId = String(rawChannel.chatId || '').trim();
+      if (chatId && !/^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/.test(chatId)) {
+        return { error: 'chatId de Telegram inválido' };
+      }
+      channelSettings.chatId = chatId;
+    }
+
+    // Destino del canal webhook (solo HTTPS hacia hosts públicos)
+    if (channel === 'webhook' && 'url' in rawChannel) {
+      const url = String(rawChannel.url || '').trim();
+      if (url) {
+        const { error } = validateWebhookUrl(url);
+        if (error) {
+          return { error };
+        }
+      }
+      channelSettings.url = url;
+    }
+
+    // El secreto de firma nunca lo define el cliente: solo puede pedir regenerarlo
+    if (channel === 'webhook' && rawChannel.regenerateSecret === true) {
+      channelSettings.regenerateSecret = true;
+    }
+
+    channels[channel] = channelSettings;
   }
+
+  return { channels };
 }
 
 /**
@@ -491,12 +1184,39 @@ async function handleAlerts(req, res) {
   // Manejar rutas de alertas principales
   switch (req.method) {
     case 'GET':
+      if (req.url?.split('?')[0].endsWith('/dead-letters')) {
+        return await getDeadLetterDeliveries(req, res);
+      }
+      if (req.url?.split('?')[0].endsWith('/snoozes')) {
+        return await getSnoozes(req, res);
+      }
+      if (req.url?.split('?')[0].endsWith('/export')) {
+        return await exportAlerts(req, res);
+      }
+      if (req.url?.split('?')[0].endsWith('/notifications')) {
+        return await getNotifications(req, res);
+      }
       return await getAlerts(req, res);
     
     case 'POST':
       if (req.url?.endsWith('/mark-read')) {
         return await markAlertsAsRead(req, res);
       }
+      if (req.url?.endsWith('/mark-all-read')) {
+        return await markAllAlertsAsRead(req, res);
+      }
+      if (req.url?.endsWith('/acknowledge')) {
+        return await acknowledgeAlerts(req, res);
+      }
+      if (req.url?.endsWith('/snooze')) {
+        return await snoozeProduct(req, res);
+      }
+      if (req.url?.endsWith('/unsnooze')) {
+        return await unsnoozeProduct(req, res);
+      }
+      if (req.url?.endsWith('/notifications/seen')) {
+        return await markNotificationsSeen(req, res);
+      }
       return res.status(404).json({ error: 'Endpoint no encontrado' });
     
     default:
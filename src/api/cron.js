@@ -0,0 +1,136 @@
+/**
+ * API endpoint para tareas programadas (Vercel Cron)
+ * Vercel invoca estas rutas con GET y el header Authorization: Bearer <CRON_SECRET>
+ * En servidor local las mismas tareas se programan con node-cron (src/index.js)
+ */
+
+const crypto = require('crypto');
+const databaseService = require('../services/databaseService');
+const alertDigest = require('../services/alertDigest');
+const alertEscalation = require('../services/alertEscalation');
+const logger = require('../utils/logger');
+
+/**
+ * Validar que la invocación venga del scheduler (comparación en tiempo constante)
+ */
+function isAuthorizedCronRequest(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${cronSecret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Mantenimiento: reintentos de notificaciones y limpieza
+ */
+async function runMaintenance(req, res) {
+  try {
+    const report = await databaseService.runMaintenance();
+
+    res.json({
+      success: true,
+      job: 'maintenance',
+      retention: report?.retention || null,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error en cron de mantenimiento: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Resumen de alertas por email (?period=daily|weekly)
+ */
+async function sendDigests(req, res) {
+  try {
+    const period = req.query?.period || 'daily';
+
+    if (!alertDigest.getPeriods().includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `period debe ser uno de: ${alertDigest.getPeriods().join(', ')}`
+      });
+    }
+
+    const stats = await alertDigest.sendDigests(period);
+
+    res.json({
+      success: true,
+      job: 'digest',
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error en cron de resúmenes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Escalamiento de alertas LOW_STOCK sin resolver
+ */
+async function runEscalations(req, res) {
+  try {
+    const stats = await alertEscalation.evaluateEscalations();
+
+    res.json({
+      success: true,
+      job: 'escalations',
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error en cron de escalamientos: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handleCron(req, res) {
+  if (!isAuthorizedCronRequest(req)) {
+    logger.warn(`🚨 Invocación de cron no autorizada desde IP: ${req.ip}`);
+    return res.status(401).json({ success: false, error: 'No autorizado' });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  const path = (req.url || '').split('?')[0];
+
+  if (path.endsWith('/maintenance')) {
+    return await runMaintenance(req, res);
+  }
+
+  if (path.endsWith('/digest')) {
+    return await sendDigests(req, res);
+  }
+
+  if (path.endsWith('/escalations')) {
+    return await runEscalations(req, res);
+  }
+
+  return res.status(404).json({ error: 'Tarea no encontrada' });
+}
+
+module.exports = handleCron;
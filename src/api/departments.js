@@ -6,6 +6,58 @@
 const { withAuth } = require('../middleware/serverlessAuth');
 const logger = require('../utils/logger');
 const databaseService = require('../services/databaseService');
+const { ALERT_TYPES } = require('../utils/alertClassifier');
+const { sanitizeReorderSettings } = require('../utils/reorderPlanner');
+
+const MAX_DEPARTMENT_EMAILS = 5;
+
+/**
+ * Validar umbral y destinatarios de notificación de un departamento
+ * @returns {{ lowStockThreshold: number|null, recipients: Object } | { error: string }}
+ */
+function sanitizeDepartmentRouting(dept) {
+  // Umbral propio (null = usar el umbral general del usuario)
+  let lowStockThreshold = null;
+  if (dept.lowStockThreshold !== undefined && dept.lowStockThreshold !== null && dept.lowStockThreshold !== '') {
+    lowStockThreshold = parseInt(dept.lowStockThreshold);
+    if (isNaN(lowStockThreshold) || lowStockThreshold < 0 || lowStockThreshold > 10000) {
+      return { error: 'lowStockThreshold debe ser un número entre 0 y 10000' };
+    }
+  }
+
+  const rawRecipients = dept.recipients && typeof dept.recipients === 'object' ? dept.recipients : {};
+
+  // Emails separados por coma
+  const emails = String(rawRecipients.email || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+  if (emails.length > MAX_DEPARTMENT_EMAILS) {
+    return { error: `Máximo ${MAX_DEPARTMENT_EMAILS} emails por departamento` };
+  }
+  if (emails.some(email => email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    return { error: 'Email de destinatario inválido' };
+  }
+
+  const telegramChatId = String(rawRecipients.telegramChatId || '').trim();
+  if (telegramChatId && !/^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/.test(telegramChatId)) {
+    return { error: 'chatId de Telegram inválido' };
+  }
+
+  const alertTypes = Array.isArray(rawRecipients.alertTypes) ? rawRecipients.alertTypes : ['LOW_STOCK'];
+  if (alertTypes.some(type => !ALERT_TYPES.includes(type))) {
+    return { error: 'alertTypes inválido' };
+  }
+
+  return {
+    lowStockThreshold,
+    recipients: {
+      email: emails.join(', '),
+      telegramChatId,
+      alertTypes: [...new Set(alertTypes)]
+    }
+  };
+}
 
 /**
  * Obtener configuración de departamentos del usuario
@@ -131,10 +183,35 @@ async function saveDepartments(req, res) {
         }
       }
       
+      // Umbral y destinatarios propios del departamento
+      const routing = sanitizeDepartmentRouting(dept);
+      if (routing.error) {
+        logger.warn(`🚨 Departamento ${i} configuración de alertas inválida desde IP: ${req.ip} - ${routing.error}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Estructura de departamento inválida',
+          message: `Departamento ${i}: ${routing.error}`
+        });
+      }
+      
+      // Parámetros de reposición del departamento (los SKUs pueden sobrescribirlos)
+      const reorderSettings = sanitizeReorderSettings(dept.reorder || {});
+      if (reorderSettings.error) {
+        logger.warn(`🚨 Departamento ${i} reposición inválida desde IP: ${req.ip} - ${reorderSettings.error}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Estructura de departamento inválida',
+          message: `Departamento ${i}: ${reorderSettings.error}`
+        });
+      }
+      
       departments.push({
         id,
         name,
-        categories
+        categories,
+        lowStockThreshold: routing.lowStockThreshold,
+        recipients: routing.recipients,
+        reorder: reorderSettings.reorder
       });
     }
     
@@ -0,0 +1,86 @@
+/**
+ * API endpoint de eventos en tiempo real (Server-Sent Events)
+ * Envía al dashboard nuevas alertas, cambios de productos y estado del monitoreo del usuario logueado
+ *
+ * En serverless (Vercel) las conexiones largas se cortan y los webhooks se procesan en otras
+ * instancias: se responde un evento "fallback" y el cliente pasa a polling
+ */
+
+const { requireAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const realtimeEvents = require('../services/realtimeEvents');
+const stockMonitor = require('../services/stockMonitor');
+
+// Comentario periódico para que proxies y navegador no cierren la conexión por inactividad
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Espera del navegador antes de reconectar si se corta la conexión
+const RECONNECT_DELAY_MS = 5 * 1000;
+// Intervalo sugerido al cliente cuando no hay tiempo real
+const FALLBACK_POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Escribir un evento SSE
+ */
+function writeEvent(res, type, data, id = null) {
+  if (id !== null) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Manejador principal: mantiene la conexión abierta hasta que el cliente se desconecta
+ */
+async function handleEvents(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Método no permitido', allowedMethods: ['GET'] });
+  }
+
+  const auth = await requireAuth(req, res);
+  if (!auth) {
+    return;
+  }
+
+  const { userId } = auth;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Evitar que nginx u otros proxies acumulen el stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  if (!realtimeEvents.isSupported()) {
+    writeEvent(res, 'fallback', { pollIntervalMs: FALLBACK_POLL_INTERVAL_MS });
+    return res.end();
+  }
+
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Estado actual del monitoreo para que el cliente no tenga que pedirlo aparte (solo si es de este usuario)
+  const status = stockMonitor.getStatusForUser(userId);
+  const monitor = status
+    ? { active: status.active, totalProducts: status.totalProducts, lowStockCount: status.lowStockCount, lastCheckTime: status.lastCheckTime }
+    : null;
+  writeEvent(res, 'ready', { monitor });
+
+  const unsubscribe = realtimeEvents.subscribe(userId, (event) => {
+    writeEvent(res, event.type, event.data, event.id);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  logger.info(`📡 Cliente SSE conectado: usuario ${userId} (${realtimeEvents.getSubscriberCount()} conexiones)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`📡 Cliente SSE desconectado: usuario ${userId}`);
+  });
+}
+
+module.exports = handleEvents;
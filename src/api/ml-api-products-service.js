@@ -319,7 +319,8 @@ class ProductsService {
         'health',
         'catalog_listing',
         'category_id',
-        'attributes'        // Atributos adicionales que pueden incluir SKU
+        'attributes',       // Atributos adicionales que pueden incluir SKU
+        'sale_terms'        // MANUFACTURING_TIME (tiempo de disponibilidad)
       ];
       
       const productData = await mlApiClient.getProduct(productId, attributes);
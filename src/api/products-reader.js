@@ -6,6 +6,13 @@
 const databaseService = require('../services/databaseService');
 const { withAuth } = require('../middleware/serverlessAuth');
 const logger = require('../utils/logger');
+const { DEFAULT_MAX_POINTS, resolveHistoryInterval, downsampleStockHistory } = require('../utils/stockHistory');
+const { getVelocityFields } = require('../utils/salesVelocity');
+
+// Historial de stock: rango máximo consultable e intervalos aceptados
+const MAX_HISTORY_DAYS = 365;
+const DEFAULT_HISTORY_RANGE = '90d';
+const HISTORY_INTERVAL_OPTIONS = ['auto', 'raw', 'hour', 'day'];
 
 /**
  * Helper para mostrar estado del producto con información de demora
@@ -38,9 +45,34 @@ async function getProducts(req, res) {
     // La autenticación ya fue validada por withAuth middleware
     const userId = req.auth.userId;
     
-    logger.info(`📦 Obteniendo productos para usuario: ${userId}`);
-    const products = await databaseService.getAllProducts(userId);
+    // updatedSince: solo los productos modificados desde esa fecha (el cliente envía el timestamp de la respuesta anterior)
+    const rawUpdatedSince = req.query?.updatedSince;
+    const updatedSince = rawUpdatedSince ? new Date(rawUpdatedSince) : null;
+    if (updatedSince && isNaN(updatedSince.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'updatedSince debe ser una fecha ISO válida'
+      });
+    }
+    
+    // Se toma antes de consultar para que el próximo updatedSince no pierda cambios hechos durante la consulta
+    const timestamp = new Date().toISOString();
+    
+    logger.info(`📦 Obteniendo productos para usuario: ${userId}${updatedSince ? ` modificados desde ${updatedSince.toISOString()}` : ''}`);
+    const products = await databaseService.getAllProducts(userId, { updatedSince: updatedSince?.toISOString() });
     logger.info(`📦 Productos encontrados: ${products.length}`);
+
+    // Velocidad de ventas y cobertura: si falla se devuelven los productos con esos campos en null
+    // En el polling con updatedSince solo se calcula para los productos devueltos, no para todo el catálogo
+    let salesVelocity = new Map();
+    if (products.length > 0) {
+      try {
+        salesVelocity = await databaseService.getSalesVelocity(userId, updatedSince ? products.map(product => product.id) : null);
+      } catch (velocityError) {
+        logger.warn(`⚠️ Productos sin velocidad de ventas: ${velocityError.message}`);
+      }
+    }
+    const now = new Date();
     
     // Formatear productos para el frontend
     const productDetails = products.map(product => {
@@ -67,7 +99,9 @@ async function getProducts(req, res) {
         inventory_id: product.inventory_id,
         shipping_mode: product.shipping_mode,
         logistic_type: product.logistic_type,
-        thumbnail: null, // No tenemos thumbnails en BD
+        thumbnail: product.thumbnail || null,
+        // Unidades vendidas por día (7/30/90 días) y días estimados hasta quedarse sin stock
+        ...getVelocityFields(salesVelocity.get(product.id), product.available_quantity || 0, now),
         updated_at: product.updated_at || product.last_webhook_sync
       };
     });
@@ -76,7 +110,7 @@ async function getProducts(req, res) {
       success: true,
       products: productDetails,
       total: products.length,
-      timestamp: new Date().toISOString()
+      timestamp
     });
 
   } catch (error) {
@@ -101,11 +135,14 @@ async function getProductStats(req, res) {
     
     // Obtener productos y calcular estadísticas
     const products = await databaseService.getAllProducts(userId);
-    const lowStockProducts = await databaseService.getLowStockProducts(userId, 5);
+    const alertSettings = await databaseService.getUserAlertSettings(userId);
+    // Umbral efectivo por producto (override de producto/SKU, departamento o usuario)
+    const lowStockProducts = await databaseService.getLowStockProducts(userId);
     
     const stats = {
       totalProducts: products.length,
       lowStockProducts: lowStockProducts.length,
+      lowStockThreshold: alertSettings.lowStockThreshold,
       activeProducts: products.filter(p => p.status === 'active').length,
       pausedProducts: products.filter(p => p.status === 'paused').length,
       lastSync: products.length > 0 ? 
@@ -131,6 +168,110 @@ async function getProductStats(req, res) {
 }
 
 
+/**
+ * Validar los parámetros de rango del historial
+ * range = 24h | 7d | 90d ... (por defecto 90d) o from / to en ISO (tienen prioridad)
+ * @returns {{ from: Date, to: Date } | { error }}
+ */
+function parseHistoryRange(query = {}) {
+  const maxRangeMs = MAX_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const to = query.to ? new Date(query.to) : new Date();
+  if (isNaN(to.getTime())) {
+    return { error: 'to debe ser una fecha válida' };
+  }
+
+  let from;
+  if (query.from) {
+    from = new Date(query.from);
+    if (isNaN(from.getTime()) || from >= to) {
+      return { error: 'from debe ser una fecha válida anterior a to' };
+    }
+  } else {
+    const match = /^(\d{1,4})([hd])$/.exec(query.range || DEFAULT_HISTORY_RANGE);
+    if (!match || parseInt(match[1]) === 0) {
+      return { error: 'range debe tener el formato <número>h o <número>d (ej: 24h, 7d, 90d)' };
+    }
+    const unitMs = match[2] === 'h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    from = new Date(to.getTime() - parseInt(match[1]) * unitMs);
+  }
+
+  if (to.getTime() - from.getTime() > maxRangeMs) {
+    return { error: `El rango máximo es de ${MAX_HISTORY_DAYS} días` };
+  }
+
+  return { from, to };
+}
+
+/**
+ * Historial de stock, precio y estado de un producto (GET /api/products/:id/history)
+ * ?range=90d | from/to, interval=auto|raw|hour|day, maxPoints (para interval=auto)
+ */
+async function getProductHistory(req, res, productId) {
+  try {
+    const userId = req.auth.userId;
+
+    if (!/^[A-Za-z0-9_-]{1,50}$/.test(productId)) {
+      return res.status(400).json({ success: false, error: 'productId inválido' });
+    }
+
+    const { from, to, error } = parseHistoryRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const interval = req.query?.interval || 'auto';
+    if (!HISTORY_INTERVAL_OPTIONS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval debe ser uno de: ${HISTORY_INTERVAL_OPTIONS.join(', ')}`
+      });
+    }
+
+    const rawMaxPoints = parseInt(req.query?.maxPoints);
+    const maxPoints = isNaN(rawMaxPoints) ? DEFAULT_MAX_POINTS : Math.min(Math.max(rawMaxPoints, 10), 2000);
+
+    const [snapshots, initial, productRows] = await Promise.all([
+      databaseService.getStockSnapshots(userId, productId, { since: from.toISOString(), until: to.toISOString() }),
+      databaseService.getLastStockSnapshotBefore(userId, productId, from.toISOString()),
+      databaseService.getProductsPreview(userId, [productId])
+    ]);
+
+    const product = productRows[0] || null;
+    if (!product && snapshots.length === 0 && !initial) {
+      return res.status(404).json({ success: false, error: 'Producto no encontrado' });
+    }
+
+    const effectiveInterval = resolveHistoryInterval(interval, snapshots.length, to.getTime() - from.getTime(), maxPoints);
+    const points = downsampleStockHistory(snapshots, { interval: effectiveInterval, from, initial });
+
+    logger.info(`📈 Historial de ${productId}: ${snapshots.length} cambios, ${points.length} puntos (${effectiveInterval})`);
+
+    res.json({
+      success: true,
+      productId,
+      product: product && {
+        id: product.id,
+        title: product.title,
+        thumbnail: product.thumbnail || null,
+        available_quantity: product.available_quantity,
+        status: product.status
+      },
+      range: { from: from.toISOString(), to: to.toISOString() },
+      interval: effectiveInterval,
+      totalChanges: snapshots.length,
+      points
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo historial de stock: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo historial de stock',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Manejador principal de rutas
  */
@@ -138,11 +279,26 @@ async function handleProducts(req, res) {
   const { method, url } = req;
   
   switch (method) {
-    case 'GET':
+    case 'GET': {
+      const historyMatch = /\/products\/([^/?]+)\/history(\?|$)/.exec(url || '');
+      if (historyMatch) {
+        // Un id mal codificado (%E0%A4%A) haría fallar decodeURIComponent fuera del manejo de errores
+        let productId;
+        try {
+          productId = decodeURIComponent(historyMatch[1]);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: 'productId inválido'
+          });
+        }
+        return await getProductHistory(req, res, productId);
+      }
       if (url?.endsWith('/stats')) {
         return await getProductStats(req, res);
       }
       return await getProducts(req, res);
+    }
     
     default:
       return res.status(405).json({
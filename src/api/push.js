@@ -0,0 +1,199 @@
+/**
+ * API endpoint para notificaciones push del navegador (Web Push)
+ * Cada navegador / dispositivo del usuario guarda su suscripción en push_subscriptions
+ * y el canal "push" de notificationDispatcher envía las alertas a todas
+ */
+
+const { withAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const notifier = require('../utils/notifier');
+const databaseService = require('../services/databaseService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const { validateWebhookUrl } = require('../utils/webhookUrl');
+
+// Límite de navegadores suscriptos por usuario
+const MAX_SUBSCRIPTIONS = 10;
+
+/**
+ * Validar una PushSubscription serializada por el navegador
+ * @returns {{ subscription } | { error }}
+ */
+function parseSubscription(rawSubscription) {
+  const endpoint = rawSubscription?.endpoint;
+  const keys = rawSubscription?.keys;
+
+  if (typeof endpoint !== 'string' || endpoint.length > 2048) {
+    return { error: 'endpoint de suscripción inválido' };
+  }
+
+  // El endpoint lo manda el navegador: mismas reglas que un webhook (HTTPS y host público)
+  const { error: urlError } = validateWebhookUrl(endpoint);
+  if (urlError) {
+    return { error: 'El endpoint de suscripción debe ser una URL HTTPS de un host público' };
+  }
+
+  const isKey = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{16,200}={0,2}$/.test(value);
+  if (!isKey(keys?.p256dh) || !isKey(keys?.auth)) {
+    return { error: 'Claves de suscripción inválidas' };
+  }
+
+  return { subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } };
+}
+
+/**
+ * Clave pública VAPID y navegadores suscriptos del usuario
+ */
+async function getPushStatus(req, res) {
+  try {
+    const subscriptions = await databaseService.getPushSubscriptions(req.auth.userId);
+
+    res.json({
+      success: true,
+      available: notifier.isChannelAvailable('push'),
+      publicKey: config.notification.push.vapidPublicKey || null,
+      subscriptions: subscriptions.map(({ id, endpoint, user_agent, created_at }) => ({
+        id,
+        endpoint,
+        userAgent: user_agent,
+        createdAt: created_at
+      }))
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo estado push: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo suscripciones push',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Registrar la suscripción del navegador actual
+ */
+async function subscribe(req, res) {
+  try {
+    const userId = req.auth.userId;
+
+    if (!notifier.isChannelAvailable('push')) {
+      return res.status(503).json({ success: false, error: 'Notificaciones push no configuradas en el servidor' });
+    }
+
+    const { subscription, error } = parseSubscription(req.body?.subscription);
+    if (error) {
+      logger.warn(`🚨 Suscripción push inválida desde IP: ${req.ip} - ${error}`);
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existing = await databaseService.getPushSubscriptions(userId);
+    const isKnown = existing.some(current => current.endpoint === subscription.endpoint);
+    if (!isKnown && existing.length >= MAX_SUBSCRIPTIONS) {
+      return res.status(400).json({ success: false, error: `Máximo ${MAX_SUBSCRIPTIONS} navegadores suscriptos` });
+    }
+
+    const userAgent = String(req.headers['user-agent'] || '').substring(0, 300) || null;
+    const saved = await databaseService.savePushSubscription(userId, subscription, userAgent);
+
+    res.json({
+      success: true,
+      subscription: saved,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error registrando suscripción push: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error registrando suscripción push',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar la suscripción de un navegador ({ endpoint })
+ */
+async function unsubscribe(req, res) {
+  try {
+    const endpoint = req.body?.endpoint;
+    if (typeof endpoint !== 'string' || !endpoint) {
+      return res.status(400).json({ success: false, error: 'endpoint es requerido' });
+    }
+
+    await databaseService.deletePushSubscription(req.auth.userId, endpoint);
+
+    res.json({
+      success: true,
+      message: 'Suscripción eliminada',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error eliminando suscripción push: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando suscripción push',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Enviar una notificación de prueba a todos los navegadores del usuario
+ */
+async function sendTest(req, res) {
+  try {
+    if (!notifier.isChannelAvailable('push')) {
+      return res.status(503).json({ success: false, error: 'Notificaciones push no configuradas en el servidor' });
+    }
+
+    await notificationDispatcher.sendPushToUser(req.auth.userId, {
+      title: '🔔 Notificación de prueba',
+      body: 'Las alertas de stock bajo llegarán a este navegador',
+      url: '/dashboard/settings',
+      tag: 'push-test'
+    });
+
+    res.json({ success: true, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    logger.error(`❌ Error enviando push de prueba: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error enviando notificación de prueba',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handlePush(req, res) {
+  const path = (req.url || '').split('?')[0];
+
+  if (req.method === 'GET') {
+    return await getPushStatus(req, res);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Método no permitido', allowedMethods: ['GET', 'POST'] });
+  }
+
+  if (path.endsWith('/subscribe')) {
+    return await subscribe(req, res);
+  }
+  if (path.endsWith('/unsubscribe')) {
+    return await unsubscribe(req, res);
+  }
+  if (path.endsWith('/test')) {
+    return await sendTest(req, res);
+  }
+
+  return res.status(404).json({ success: false, error: 'Endpoint no encontrado' });
+}
+
+// Export con middleware de autenticación
+module.exports = withAuth(handlePush);
@@ -0,0 +1,257 @@
+/**
+ * API endpoint del planificador de reposición
+ * Sugerencias por SKU agrupadas por proveedor, lista de compras exportable y parámetros por SKU
+ * Los parámetros se resuelven: SKU → departamento → valores generales (Configuración → cobertura)
+ */
+
+const { withAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const { getVelocityFields } = require('../utils/salesVelocity');
+const { EXPORT_FORMATS, toCsvLine } = require('../utils/alertExport');
+const {
+  REORDER_EXPORT_COLUMNS,
+  sanitizeReorderSettings,
+  buildReorderSuggestions,
+  groupSuggestionsBySupplier,
+  formatSuggestionForExport
+} = require('../utils/reorderPlanner');
+
+/**
+ * SKU válido (mismo criterio que los overrides de umbral)
+ */
+function parseSku(rawSku) {
+  const sku = typeof rawSku === 'string' ? rawSku.trim().slice(0, 100) : '';
+  return sku && !/[<>"']/.test(sku) ? sku : null;
+}
+
+/**
+ * Calcular sugerencias con el stock y la velocidad de ventas actuales
+ */
+async function getSuggestions(userId) {
+  const [products, salesVelocity, context] = await Promise.all([
+    databaseService.getAllProducts(userId),
+    databaseService.getSalesVelocity(userId),
+    databaseService.getReorderContext(userId)
+  ]);
+
+  const now = new Date();
+  const productsWithVelocity = products.map(product => ({
+    ...product,
+    ...getVelocityFields(salesVelocity.get(product.id), product.available_quantity || 0, now)
+  }));
+
+  return {
+    suggestions: buildReorderSuggestions(productsWithVelocity, context, now),
+    defaults: context.defaults
+  };
+}
+
+/**
+ * Sugerencias de reposición agrupadas por proveedor
+ */
+async function getReorderSuggestions(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { suggestions, defaults } = await getSuggestions(userId);
+    const suppliers = groupSuggestionsBySupplier(suggestions);
+
+    logger.info(`🛒 ${suggestions.length} SKUs para reponer (${suppliers.length} proveedores) - usuario ${userId}`);
+
+    res.json({
+      success: true,
+      suppliers,
+      totals: {
+        skus: suggestions.length,
+        units: suggestions.reduce((sum, suggestion) => sum + suggestion.suggestedQuantity, 0),
+        urgent: suggestions.filter(suggestion => suggestion.urgent).length
+      },
+      defaults,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error calculando reposición: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error calculando sugerencias de reposición',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Lista de compras en CSV / JSON (?format=csv|json&supplier=...)
+ */
+async function exportReorderList(req, res) {
+  const format = req.query?.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format debe ser uno de: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const userId = req.auth.userId;
+    const { suggestions } = await getSuggestions(userId);
+    const supplier = typeof req.query?.supplier === 'string' ? req.query.supplier : null;
+
+    const rows = groupSuggestionsBySupplier(suggestions)
+      .filter(group => !supplier || group.supplier === supplier)
+      .flatMap(group => group.items.map(formatSuggestionForExport));
+
+    const fileName = `reposicion-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'csv') {
+      // BOM para que Excel abra el CSV como UTF-8
+      res.end('\uFEFF' +
+        toCsvLine(REORDER_EXPORT_COLUMNS.map(column => column.label)) +
+        rows.map(row => toCsvLine(REORDER_EXPORT_COLUMNS.map(column => row[column.key]))).join(''));
+    } else {
+      res.end(JSON.stringify(rows));
+    }
+
+    logger.info(`📤 Exportada lista de compras (${rows.length} SKUs, ${format}) para usuario ${userId}`);
+
+  } catch (error) {
+    logger.error(`❌ Error exportando lista de compras: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Error al exportar la lista de compras'
+    });
+  }
+}
+
+/**
+ * Parámetros de reposición guardados por SKU
+ */
+async function getSkuSettings(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const settings = await databaseService.getSkuReorderSettings(userId);
+
+    res.json({
+      success: true,
+      settings,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo reposición por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo parámetros de reposición',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Crear o actualizar parámetros de un SKU
+ * body: { sku, supplier, leadTimeDays, targetCoverDays, minOrderQty } (vacíos = heredar)
+ */
+async function saveSkuSettings(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { sku: rawSku, ...rawReorder } = req.body || {};
+
+    const sku = parseSku(rawSku);
+    if (!sku) {
+      return res.status(400).json({ success: false, error: 'sku inválido' });
+    }
+
+    const { reorder, error } = sanitizeReorderSettings(rawReorder);
+    if (error) {
+      logger.warn(`🚨 Reposición de SKU inválida desde IP: ${req.ip} - ${error}`);
+      return res.status(400).json({ success: false, error });
+    }
+
+    const saved = await databaseService.upsertSkuReorderSetting(userId, sku, reorder);
+
+    res.json({
+      success: true,
+      setting: saved,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error guardando reposición por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error guardando parámetros de reposición',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar parámetros de un SKU (?sku=...), vuelve a heredar departamento / usuario
+ */
+async function deleteSkuSettings(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const sku = parseSku(req.query?.sku);
+    if (!sku) {
+      return res.status(400).json({ success: false, error: 'sku inválido' });
+    }
+
+    await databaseService.deleteSkuReorderSetting(userId, sku);
+
+    res.json({
+      success: true,
+      message: 'Parámetros de reposición eliminados',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error eliminando reposición por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando parámetros de reposición',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handleReorder(req, res) {
+  const path = (req.url || '').split('?')[0];
+
+  if (path.endsWith('/settings')) {
+    switch (req.method) {
+      case 'GET':
+        return await getSkuSettings(req, res);
+      case 'PUT':
+      case 'POST':
+        return await saveSkuSettings(req, res);
+      case 'DELETE':
+        return await deleteSkuSettings(req, res);
+      default:
+        return res.status(405).json({
+          success: false,
+          error: 'Método no permitido',
+          allowedMethods: ['GET', 'PUT', 'POST', 'DELETE']
+        });
+    }
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Método no permitido', allowedMethods: ['GET'] });
+  }
+
+  if (path.endsWith('/export')) {
+    return await exportReorderList(req, res);
+  }
+
+  return await getReorderSuggestions(req, res);
+}
+
+// Export con middleware de autenticación
+module.exports = withAuth(handleReorder);
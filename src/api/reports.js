@@ -0,0 +1,269 @@
+/**
+ * API endpoint de reportes calculados sobre el historial de stock
+ * GET /api/reports/stockouts - Quiebres de stock y ventas perdidas estimadas
+ * GET /api/reports/valuation - Valuación del inventario (lista y costo) y su evolución
+ * GET/PUT/DELETE /api/reports/costs - Costo unitario por SKU
+ */
+
+const { withAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const { VELOCITY_LOOKBACK_DAYS, buildStockoutReport } = require('../utils/stockoutReport');
+const { sanitizeUnitCost, buildInventoryValuation, buildValuationTrend } = require('../utils/inventoryValuation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// El historial de stock se conserva 365 días
+const MAX_REPORT_DAYS = 365;
+const DEFAULT_REPORT_DAYS = 30;
+
+const MIN_TREND_DAYS = 7;
+
+function parseSku(rawSku) {
+  const sku = typeof rawSku === 'string' ? rawSku.trim().slice(0, 100) : '';
+  return sku && !/[<>"']/.test(sku) ? sku : null;
+}
+
+/**
+ * Validar el rango del reporte (from / to en YYYY-MM-DD o ISO; por defecto los últimos 30 días)
+ * Un to con solo fecha incluye el día completo
+ * @returns {{ from: Date, to: Date } | { error }}
+ */
+function parseReportRange(query = {}) {
+  let to = new Date();
+  if (query.to) {
+    to = new Date(/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to);
+    if (isNaN(to.getTime())) {
+      return { error: 'to debe ser una fecha válida' };
+    }
+  }
+
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+  if (isNaN(from.getTime()) || from >= to) {
+    return { error: 'from debe ser una fecha válida anterior a to' };
+  }
+
+  if (to - from > MAX_REPORT_DAYS * DAY_MS) {
+    return { error: `El rango máximo es de ${MAX_REPORT_DAYS} días` };
+  }
+
+  return { from, to };
+}
+
+/**
+ * Quiebres de stock del rango: duración y ventas perdidas estimadas, por departamento y categoría
+ */
+async function getStockoutReport(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    // Se cargan también los 30 días previos para estimar la velocidad antes de cada quiebre
+    const since = new Date(range.from.getTime() - VELOCITY_LOOKBACK_DAYS * DAY_MS).toISOString();
+    const [products, snapshotsByProduct, departments] = await Promise.all([
+      databaseService.getAllProducts(userId),
+      databaseService.getStockSnapshotsByProduct(userId, since),
+      databaseService.getUserDepartments(userId)
+    ]);
+
+    const report = buildStockoutReport(products, snapshotsByProduct, {
+      from: range.from,
+      to: range.to,
+      departments
+    });
+
+    logger.info(`📉 Reporte de quiebres: ${report.totals.stockouts} períodos, $${report.totals.lostRevenue} estimados - usuario ${userId}`);
+
+    res.json({
+      success: true,
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error generando reporte de quiebres: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error generando reporte de quiebres de stock',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Valuación actual del inventario y evolución diaria de los últimos ?days= días (7-365, por defecto 30)
+ */
+async function getValuationReport(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const days = req.query?.days === undefined ? DEFAULT_REPORT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < MIN_TREND_DAYS || days > MAX_REPORT_DAYS) {
+      return res.status(400).json({ success: false, error: `days debe ser un entero entre ${MIN_TREND_DAYS} y ${MAX_REPORT_DAYS}` });
+    }
+
+    const now = new Date();
+    const from = new Date(now.getTime() - days * DAY_MS);
+    const [products, costsBySku, departments, snapshotsByProduct] = await Promise.all([
+      databaseService.getAllProducts(userId),
+      databaseService.getSkuCostMap(userId),
+      databaseService.getUserDepartments(userId),
+      databaseService.getStockSnapshotsByProduct(userId, from.toISOString())
+    ]);
+
+    const valuation = buildInventoryValuation(products, { departments, costsBySku });
+    const trend = buildValuationTrend(products, snapshotsByProduct, { from, now, costsBySku });
+
+    logger.info(`💰 Valuación de inventario: $${valuation.totals.listValue} a lista, $${valuation.totals.costValue} a costo - usuario ${userId}`);
+
+    res.json({
+      success: true,
+      ...valuation,
+      costedSkus: costsBySku.size,
+      trend,
+      timestamp: now.toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error generando valuación de inventario: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error generando valuación de inventario',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Costos unitarios cargados por SKU
+ */
+async function getSkuCosts(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const costs = await databaseService.getSkuCosts(userId);
+
+    res.json({
+      success: true,
+      costs,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo costos por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo costos por SKU',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Crear o actualizar el costo de un SKU
+ * body: { sku, unitCost }
+ */
+async function saveSkuCost(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const sku = parseSku(req.body?.sku);
+    if (!sku) {
+      return res.status(400).json({ success: false, error: 'sku inválido' });
+    }
+
+    const { unitCost, error } = sanitizeUnitCost(req.body?.unitCost);
+    if (error) {
+      logger.warn(`🚨 Costo de SKU inválido desde IP: ${req.ip} - ${error}`);
+      return res.status(400).json({ success: false, error });
+    }
+
+    const saved = await databaseService.upsertSkuCost(userId, sku, unitCost);
+
+    res.json({
+      success: true,
+      cost: saved,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error guardando costo por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error guardando costo por SKU',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar el costo de un SKU (?sku=...)
+ */
+async function deleteSkuCost(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const sku = parseSku(req.query?.sku);
+    if (!sku) {
+      return res.status(400).json({ success: false, error: 'sku inválido' });
+    }
+
+    await databaseService.deleteSkuCost(userId, sku);
+
+    res.json({
+      success: true,
+      message: 'Costo eliminado',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error eliminando costo por SKU: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando costo por SKU',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handleReports(req, res) {
+  const path = (req.url || '').split('?')[0];
+
+  if (path.endsWith('/costs')) {
+    switch (req.method) {
+      case 'GET':
+        return await getSkuCosts(req, res);
+      case 'PUT':
+      case 'POST':
+        return await saveSkuCost(req, res);
+      case 'DELETE':
+        return await deleteSkuCost(req, res);
+      default:
+        return res.status(405).json({
+          success: false,
+          error: 'Método no permitido',
+          allowedMethods: ['GET', 'PUT', 'POST', 'DELETE']
+        });
+    }
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Método no permitido', allowedMethods: ['GET'] });
+  }
+
+  if (path.endsWith('/stockouts')) {
+    return await getStockoutReport(req, res);
+  }
+
+  if (path.endsWith('/valuation')) {
+    return await getValuationReport(req, res);
+  }
+
+  return res.status(404).json({ success: false, error: 'Endpoint no encontrado' });
+}
+
+// Export con middleware de autenticación
+module.exports = withAuth(handleReports);
@@ -0,0 +1,148 @@
+/**
+ * API endpoint para umbrales de stock bajo por producto y por SKU
+ * El umbral efectivo se resuelve: producto → SKU → departamento → umbral del usuario
+ */
+
+const { withAuth } = require('../middleware/serverlessAuth');
+const logger = require('../utils/logger');
+const databaseService = require('../services/databaseService');
+const { THRESHOLD_TARGET_TYPES } = require('../utils/thresholdResolver');
+
+const MAX_THRESHOLD = 10000;
+
+/**
+ * Validar tipo e identificador del override
+ * @returns {{ targetType, targetId } | { error }}
+ */
+function validateTarget(rawTargetType, rawTargetId) {
+  if (!THRESHOLD_TARGET_TYPES.includes(rawTargetType)) {
+    return { error: `targetType debe ser uno de: ${THRESHOLD_TARGET_TYPES.join(', ')}` };
+  }
+
+  const targetId = typeof rawTargetId === 'string' ? rawTargetId.trim().slice(0, 100) : '';
+  if (!targetId || /[<>"']/.test(targetId)) {
+    return { error: 'targetId inválido' };
+  }
+
+  return { targetType: rawTargetType, targetId };
+}
+
+/**
+ * Obtener overrides de umbral del usuario
+ */
+async function getThresholds(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const thresholds = await databaseService.getProductThresholds(userId);
+
+    res.json({
+      success: true,
+      thresholds,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error obteniendo umbrales: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo umbrales',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Crear o actualizar un override de umbral
+ */
+async function saveThreshold(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const { targetType: rawTargetType, targetId: rawTargetId, threshold: rawThreshold } = req.body || {};
+
+    const target = validateTarget(rawTargetType, rawTargetId);
+    if (target.error) {
+      logger.warn(`🚨 Override de umbral inválido desde IP: ${req.ip} - ${target.error}`);
+      return res.status(400).json({ success: false, error: target.error });
+    }
+
+    const threshold = parseInt(rawThreshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > MAX_THRESHOLD) {
+      return res.status(400).json({
+        success: false,
+        error: `threshold debe ser un número entre 0 y ${MAX_THRESHOLD}`
+      });
+    }
+
+    const saved = await databaseService.upsertProductThreshold(userId, target.targetType, target.targetId, threshold);
+
+    res.json({
+      success: true,
+      threshold: saved || { target_type: target.targetType, target_id: target.targetId, threshold },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error guardando umbral: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error guardando umbral',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar un override de umbral (?targetType=product|sku&targetId=...)
+ */
+async function deleteThreshold(req, res) {
+  try {
+    const userId = req.auth.userId;
+    const target = validateTarget(req.query?.targetType, req.query?.targetId);
+    if (target.error) {
+      return res.status(400).json({ success: false, error: target.error });
+    }
+
+    await databaseService.deleteProductThreshold(userId, target.targetType, target.targetId);
+
+    res.json({
+      success: true,
+      message: 'Umbral eliminado',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ Error eliminando umbral: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando umbral',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Manejador principal de rutas
+ */
+async function handleThresholds(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return await getThresholds(req, res);
+
+    case 'PUT':
+    case 'POST':
+      return await saveThreshold(req, res);
+
+    case 'DELETE':
+      return await deleteThreshold(req, res);
+
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Método no permitido',
+        allowedMethods: ['GET', 'PUT', 'POST', 'DELETE']
+      });
+  }
+}
+
+// Export con middleware de autenticación
+module.exports = withAuth(handleThresholds);
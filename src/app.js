@@ -184,6 +184,10 @@ function createApp() {
     }
   });
   
+  // API events (tiempo real por SSE; en Vercel responde fallback y el cliente hace polling)
+  const handleEvents = require('./api/events');
+  app.get('/api/events', handleEvents);
+  
   // API sync-next (sincronización inicial con prevención de duplicados)
   const handleSyncNext = require('./api/sync-next');
   app.get('/api/sync-next', handleSyncNext);
@@ -287,11 +291,14 @@ function createApp() {
       
       // Obtener productos y calcular estadísticas
       const products = await databaseService.getProducts(userId);
-      const lowStockProducts = await databaseService.getLowStockProducts(userId, 5);
+      const alertSettings = await databaseService.getUserAlertSettings(userId);
+      // Umbral efectivo por producto (override de producto/SKU, departamento o usuario)
+      const lowStockProducts = await databaseService.getLowStockProducts(userId);
       
       const stats = {
         totalProducts: products.length,
         lowStockProducts: lowStockProducts.length,
+        lowStockThreshold: alertSettings.lowStockThreshold,
         activeProducts: products.filter(p => p.status === 'active').length,
         pausedProducts: products.filter(p => p.status === 'paused').length,
         lastSync: products.length > 0 ? 
@@ -196,7 +196,10 @@ class AdminController {
       
       // Obtener sesiones detalladas con IP y User-Agent
       const databaseService = require('../services/databaseService');
-      const detailedSessions = await databaseService.getAllActiveSessions();
+      const [detailedSessions, lastRetention] = await Promise.all([
+        databaseService.getAllActiveSessions(),
+        databaseService.getLastAlertRetentionRun()
+      ]);
       
       // Formatear sesiones para el dashboard
       const userSessions = {
@@ -333,6 +336,29 @@ class AdminController {
                   });
                 }
               }
+
+              function runAlertRetention() {
+                if (confirm('¿Ejecutar ahora la retención de alertas? Se archivarán y purgarán las alertas antiguas de todos los usuarios.')) {
+                  fetch('/admin/api/run-retention', {
+                    method: 'POST',
+                    headers: {
+                      'Content-Type': 'application/json',
+                    }
+                  })
+                  .then(response => response.json())
+                  .then(data => {
+                    if (data.success) {
+                      alert('Retención ejecutada: ' + data.report.archived + ' alertas archivadas, ' + data.report.purged + ' purgadas');
+                      location.reload();
+                    } else {
+                      alert('Error: ' + data.error);
+                    }
+                  })
+                  .catch(error => {
+                    alert('Error de conexión: ' + error.message);
+                  });
+                }
+              }
             </script>
           </head>
           <body>
@@ -369,6 +395,35 @@ class AdminController {
               </div>
             </div>
 
+            <div class="sessions-table" style="margin-bottom: 20px;">
+              <h2>🗄️ Retención de Alertas</h2>
+              ${lastRetention?.ranAt ? `
+                <p>
+                  Última ejecución: <strong>${new Date(lastRetention.ranAt).toLocaleString()}</strong>
+                  (${lastRetention.users} usuarios con política propia${lastRetention.failed ? `, <span style="color: #dc3545;">${lastRetention.failed} con error</span>` : ''})
+                </p>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Alertas archivadas</th>
+                      <th>Filas de resumen</th>
+                      <th>Alertas purgadas</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr>
+                      <td>${lastRetention.archived}</td>
+                      <td>${lastRetention.summaryRows}</td>
+                      <td>${lastRetention.purged}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              ` : '<p><em>La retención de alertas todavía no se ejecutó</em></p>'}
+              <button class="btn btn-primary" style="margin-top: 10px;" onclick="runAlertRetention()">
+                Ejecutar ahora
+              </button>
+            </div>
+
             <div class="sessions-table">
               <h2>🔗 Sesiones de Usuarios Activas</h2>
               <table>
@@ -512,6 +567,30 @@ class AdminController {
     }
   }
 
+  /**
+   * API para ejecutar la retención de alertas (archivar y purgar) sin esperar al mantenimiento
+   */
+  async runAlertRetention(req, res) {
+    try {
+      const databaseService = require('../services/databaseService');
+      const report = await databaseService.applyAlertRetention();
+
+      logger.info(`🗄️ Admin ${req.admin.username} ejecutó la retención de alertas: ${report.archived} archivadas, ${report.purged} purgadas`);
+
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      logger.error(`❌ Error ejecutando retención de alertas: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: 'Error ejecutando retención de alertas'
+      });
+    }
+  }
+
   /**
    * Cerrar sesión de administrador
    */
@@ -134,7 +134,7 @@ class MonitorController {
       
       // Obtener productos y estadísticas desde BD
       const products = await databaseService.getAllProducts(userId);
-      const lowStockProducts = await databaseService.getLowStockProducts(userId, 5);
+      const lowStockProducts = await databaseService.getLowStockProducts(userId);
       const alertsCount = await databaseService.getAlertsCount(userId);
       
       // Estado del monitor en memoria
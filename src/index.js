@@ -70,10 +70,50 @@ async function initializeServices() {
   }
 }
 
+// Programar tareas periódicas (en Vercel las ejecuta Vercel Cron vía /api/cron/*)
+function scheduleJobs() {
+  const cron = require('node-cron');
+
+  // Mantenimiento: reintentos de notificaciones fallidas y limpieza
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await databaseService.runMaintenance();
+    } catch (error) {
+      logger.error(`❌ Error en mantenimiento programado: ${error.message}`);
+    }
+  });
+
+  // Resúmenes de alertas por email (diario 08:00, semanal lunes 08:00)
+  const alertDigest = require('./services/alertDigest');
+  const digestSchedules = { daily: '0 8 * * *', weekly: '0 8 * * 1' };
+  Object.entries(digestSchedules).forEach(([period, schedule]) => {
+    cron.schedule(schedule, async () => {
+      try {
+        await alertDigest.sendDigests(period);
+      } catch (error) {
+        logger.error(`❌ Error en resumen ${period} programado: ${error.message}`);
+      }
+    });
+  });
+
+  // Escalamiento de alertas LOW_STOCK sin resolver
+  const alertEscalation = require('./services/alertEscalation');
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await alertEscalation.evaluateEscalations();
+    } catch (error) {
+      logger.error(`❌ Error en escalamiento programado: ${error.message}`);
+    }
+  });
+
+  logger.info('⏰ Tareas programadas registradas (mantenimiento cada 5 minutos, resúmenes diario y semanal, escalamientos cada 15 minutos)');
+}
+
 // Función para iniciar servidor (para uso local)
 async function startServer() {
   try {
     await initializeServices();
+    scheduleJobs();
     
     app.listen(port, () => {
       logger.info(`🚀 Servidor iniciado en puerto ${port}`);
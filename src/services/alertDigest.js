@@ -0,0 +1,137 @@
+/**
+ * Resúmenes periódicos de alertas (diario / semanal)
+ * Agrupa las stock_alerts del período y las envía en un único email por usuario
+ * Se invoca desde node-cron (src/index.js) o desde Vercel Cron (/api/cron/digest)
+ */
+
+const databaseService = require('./databaseService');
+const notifier = require('../utils/notifier');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { classifyAlerts } = require('../utils/alertClassifier');
+
+const DIGEST_PERIODS = {
+  daily: { label: 'diario', days: 1 },
+  weekly: { label: 'semanal', days: 7 }
+};
+
+const TOP_DROPS_LIMIT = 10;
+
+class AlertDigest {
+  /**
+   * Períodos soportados
+   */
+  getPeriods() {
+    return Object.keys(DIGEST_PERIODS);
+  }
+
+  /**
+   * Construir el resumen de un usuario para un período
+   */
+  async buildDigest(userId, period) {
+    const periodConfig = DIGEST_PERIODS[period];
+    if (!periodConfig) {
+      throw new Error(`Período de resumen no soportado: ${period}`);
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - periodConfig.days * 24 * 60 * 60 * 1000);
+
+    const alerts = classifyAlerts(await databaseService.getStockAlertsSince(userId, from.toISOString()));
+
+    // Conteo por prioridad
+    const counts = { critical: 0, warning: 0, informative: 0, total: alerts.length };
+    alerts.forEach(alert => {
+      if (counts[alert.priority] !== undefined) {
+        counts[alert.priority]++;
+      }
+    });
+
+    // Caída acumulada de stock por producto (las alertas vienen de más nueva a más vieja)
+    const dropsByProduct = new Map();
+    alerts.forEach(alert => {
+      const drop = (alert.previous_stock || 0) - (alert.new_stock || 0);
+      const entry = dropsByProduct.get(alert.product_id) || {
+        productId: alert.product_id,
+        title: alert.product_title,
+        sku: alert.seller_sku,
+        drop: 0,
+        currentStock: alert.new_stock
+      };
+      if (drop > 0) {
+        entry.drop += drop;
+      }
+      dropsByProduct.set(alert.product_id, entry);
+    });
+
+    const topDrops = [...dropsByProduct.values()]
+      .filter(entry => entry.drop > 0)
+      .sort((a, b) => b.drop - a.drop)
+      .slice(0, TOP_DROPS_LIMIT);
+
+    // Productos actualmente en cero (excluye publicaciones eliminadas)
+    const zeroStock = (await databaseService.getLowStockProducts(userId, 0))
+      .filter(product => product.status !== 'deleted');
+
+    return {
+      userId,
+      period,
+      periodLabel: periodConfig.label,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      counts,
+      topDrops,
+      zeroStock
+    };
+  }
+
+  /**
+   * Enviar resúmenes a todos los usuarios suscritos al período
+   */
+  async sendDigests(period) {
+    const stats = { period, users: 0, sent: 0, skipped: 0, failed: 0 };
+
+    if (!DIGEST_PERIODS[period]) {
+      throw new Error(`Período de resumen no soportado: ${period}`);
+    }
+
+    if (!notifier.isChannelAvailable('email')) {
+      logger.warn(`⚠️ Resumen ${period} omitido: email no configurado en el servidor`);
+      return stats;
+    }
+
+    const subscribers = (await databaseService.getAllUserAlertSettings())
+      .filter(({ settings }) => settings.digest?.frequency === period);
+
+    stats.users = subscribers.length;
+    logger.info(`📊 Generando resumen ${period} para ${subscribers.length} usuarios...`);
+
+    for (const { userId, settings } of subscribers) {
+      try {
+        const digest = await this.buildDigest(userId, period);
+
+        // Sin alertas ni productos en cero no hay nada que contar
+        if (digest.counts.total === 0 && digest.zeroStock.length === 0) {
+          stats.skipped++;
+          continue;
+        }
+
+        const recipient = settings.digest.to || settings.channels?.email?.to || config.notification.email.user;
+        await notifier.sendDigestEmail(digest, recipient);
+        stats.sent++;
+
+      } catch (error) {
+        stats.failed++;
+        logger.error(`❌ Error enviando resumen ${period} a usuario ${userId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`📊 Resumen ${period} completado: ${stats.sent} enviados, ${stats.skipped} sin novedades, ${stats.failed} fallidos`);
+    return stats;
+  }
+}
+
+// Exportar instancia singleton
+const alertDigest = new AlertDigest();
+
+module.exports = alertDigest;
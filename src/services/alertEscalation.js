@@ -0,0 +1,139 @@
+/**
+ * Escalamiento de alertas LOW_STOCK sin resolver
+ * Si un producto sigue en o bajo su umbral más de afterHours sin que nadie reconozca la alerta,
+ * se escala: sube la prioridad y se re-notifica a los destinatarios de escalamiento con intervalos crecientes
+ * hasta que se repone el stock o alguien la reconoce
+ * Se invoca desde el ciclo de StockMonitor, node-cron (src/index.js) o Vercel Cron (/api/cron/escalations)
+ */
+
+const databaseService = require('./databaseService');
+const notificationDispatcher = require('./notificationDispatcher');
+const logger = require('../utils/logger');
+const { resolveThreshold } = require('../utils/thresholdResolver');
+const { isEscalationDue, getNextEscalationState } = require('../utils/escalationPolicy');
+
+// Solo se evalúan alertas recientes: las más viejas no se escalan ni se resuelven
+const MAX_OPEN_ALERT_AGE_DAYS = 30;
+
+class AlertEscalation {
+  /**
+   * Evaluar escalamientos de un usuario
+   * @returns {Promise<Object>} { open, escalated, resolved, acknowledged, snoozed }
+   */
+  async evaluateUser(userId, settings) {
+    const stats = { open: 0, escalated: 0, resolved: 0, acknowledged: 0, snoozed: 0 };
+    const since = new Date(Date.now() - MAX_OPEN_ALERT_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const openAlerts = await databaseService.getOpenLowStockAlerts(userId, since);
+    if (openAlerts.length === 0) {
+      return stats;
+    }
+
+    // Agrupar por producto (las alertas vienen de más vieja a más nueva)
+    const alertsByProduct = new Map();
+    openAlerts.forEach(alert => {
+      if (!alertsByProduct.has(alert.product_id)) {
+        alertsByProduct.set(alert.product_id, []);
+      }
+      alertsByProduct.get(alert.product_id).push(alert);
+    });
+    stats.open = alertsByProduct.size;
+
+    const productIds = [...alertsByProduct.keys()];
+    // getActiveProductSnoozes ya descarta los snoozes vencidos por fecha o stock
+    const [products, thresholdContext, snoozes] = await Promise.all([
+      databaseService.getProductsStock(userId, productIds),
+      databaseService.getThresholdContext(userId),
+      databaseService.getActiveProductSnoozes(userId)
+    ]);
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const snoozedProductIds = new Set(snoozes.map(snooze => snooze.product_id));
+
+    const resolvedAlertIds = [];
+
+    for (const [productId, alerts] of alertsByProduct) {
+      const product = productsById.get(productId);
+
+      // Stock repuesto o publicación eliminada: se resuelven todas las alertas abiertas del producto
+      if (!product || product.status === 'deleted' ||
+          product.available_quantity > resolveThreshold(product, thresholdContext).threshold) {
+        resolvedAlertIds.push(...alerts.map(alert => alert.id));
+        continue;
+      }
+
+      // Alguien ya lo sabe: no se escala (la alerta sigue abierta hasta reponer stock)
+      if (alerts.some(alert => alert.acknowledged_at)) {
+        stats.acknowledged++;
+        continue;
+      }
+
+      if (snoozedProductIds.has(productId)) {
+        stats.snoozed++;
+        continue;
+      }
+
+      // La alerta más vieja marca desde cuándo el producto está bajo el umbral
+      const alert = alerts[0];
+      if (!isEscalationDue(alert, settings.escalation)) {
+        continue;
+      }
+
+      const escalationState = getNextEscalationState(alert, settings.escalation);
+      await databaseService.updateAlertEscalation(alert.id, { ...escalationState, priority: 'critical' });
+
+      // Notificar con el stock actual, no el del momento en que se creó la alerta
+      await notificationDispatcher.dispatchEscalation({
+        ...alert,
+        ...escalationState,
+        new_stock: product.available_quantity
+      }, settings);
+
+      stats.escalated++;
+      logger.info(`⏫ Alerta LOW_STOCK de ${productId} escalada a nivel ${escalationState.escalation_level} (usuario ${userId})`);
+    }
+
+    await databaseService.resolveAlerts(resolvedAlertIds);
+    stats.resolved = resolvedAlertIds.length;
+
+    return stats;
+  }
+
+  /**
+   * Evaluar escalamientos de todos los usuarios con la política habilitada (o de uno solo)
+   * @param {Object} options - { userId }
+   */
+  async evaluateEscalations(options = {}) {
+    const stats = { users: 0, escalated: 0, resolved: 0, failed: 0 };
+
+    let users;
+    if (options.userId) {
+      users = [{ userId: options.userId, settings: await databaseService.getUserAlertSettings(options.userId) }];
+    } else {
+      users = await databaseService.getAllUserAlertSettings();
+    }
+
+    const enabledUsers = users.filter(({ settings }) => settings.escalation?.enabled);
+    stats.users = enabledUsers.length;
+
+    for (const { userId, settings } of enabledUsers) {
+      try {
+        const userStats = await this.evaluateUser(userId, settings);
+        stats.escalated += userStats.escalated;
+        stats.resolved += userStats.resolved;
+      } catch (error) {
+        stats.failed++;
+        logger.error(`❌ Error evaluando escalamientos de usuario ${userId}: ${error.message}`);
+      }
+    }
+
+    if (enabledUsers.length > 0) {
+      logger.info(`⏫ Escalamientos evaluados: ${stats.escalated} escaladas, ${stats.resolved} resueltas en ${stats.users} usuarios`);
+    }
+    return stats;
+  }
+}
+
+// Exportar instancia singleton
+const alertEscalation = new AlertEscalation();
+
+module.exports = alertEscalation;
@@ -5,6 +5,125 @@
 
 const supabaseClient = require('../utils/supabaseClient');
 const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { ALERT_TYPES, classifyAlert } = require('../utils/alertClassifier');
+const { resolveThreshold, getMaxThreshold } = require('../utils/thresholdResolver');
+const { isSnoozeActive } = require('../utils/alertSnooze');
+
+// Configuración de alertas por defecto (se combina con la guardada por usuario)
+const DEFAULT_ALERT_SETTINGS = {
+  popupsEnabled: true,
+  soundEnabled: false,
+  lowStockThreshold: config.monitoring.stockThreshold,
+  showCriticalOnly: false,
+  autoMarkAsRead: false,
+  enablePushNotifications: true,
+  // Cambios repetidos del mismo producto/tipo dentro de la ventana actualizan una sola alerta
+  burstWindowMinutes: 60,
+  // Horas sin volver a notificar el mismo producto/tipo
+  cooldownHours: 24,
+  // Canales de notificación inmediata: cada uno define qué tipos de alerta recibe
+  channels: {
+    console: { enabled: true, alertTypes: [...ALERT_TYPES] },
+    email: { enabled: false, alertTypes: ['LOW_STOCK'], to: '' },
+    telegram: { enabled: false, alertTypes: ['LOW_STOCK'], chatId: '' },
+    webhook: { enabled: false, alertTypes: ['LOW_STOCK'], url: '', secret: '' },
+    // Notificaciones del navegador: se envían a las suscripciones guardadas en push_subscriptions
+    push: { enabled: false, alertTypes: ['LOW_STOCK'] }
+  },
+  // Resumen periódico por email: 'off' | 'daily' | 'weekly'
+  digest: { frequency: 'off', to: '' },
+  // Horario de notificaciones: fuera de los días habilitados o en la franja de silencio se retienen las no críticas
+  schedule: {
+    enabled: false,
+    timezone: 'UTC',
+    quietStart: '22:00',
+    quietEnd: '08:00',
+    days: [0, 1, 2, 3, 4, 5, 6],
+    criticalOverride: true
+  },
+  // Escalamiento de LOW_STOCK sin resolver: pasado afterHours sin reconocer ni reponer se sube la prioridad
+  // y se re-notifica a otros destinatarios con intervalos crecientes (repeatHours, 2x, 4x... hasta maxRepeatHours)
+  escalation: {
+    enabled: false,
+    afterHours: 4,
+    email: '',
+    telegramChatId: '',
+    repeatHours: 2,
+    maxRepeatHours: 24
+  },
+  // Retención: alertas de más de hotDays días se resumen en stock_alert_archive (si archive) y se borran
+  retention: {
+    hotDays: 90,
+    archive: true
+  },
+  // Cobertura: alerta LOW_COVER cuando los días estimados hasta quedarse sin stock bajan de leadTimeDays
+  // targetCoverDays: días de venta que debe cubrir un pedido de reposición (valor general del planificador)
+  coverage: {
+    enabled: true,
+    leadTimeDays: 7,
+    targetCoverDays: 30
+  }
+};
+
+// Clave de app_config con el resultado de la última pasada de retención (panel de administración)
+const RETENTION_LAST_RUN_KEY = 'alert_retention_last_run';
+const RETENTION_INTERVAL_HOURS = 20;
+// Días de historial de stock que se conservan en stock_snapshots
+const STOCK_HISTORY_RETENTION_DAYS = 365;
+
+/**
+ * Combinar configuración de alertas (canales, resumen, horario, escalamiento, retención y cobertura se combinan campo a campo)
+ */
+function mergeAlertSettings(baseSettings, overrides) {
+  const safeOverrides = overrides && typeof overrides === 'object' ? overrides : {};
+  const channels = { ...baseSettings.channels };
+  
+  Object.entries(safeOverrides.channels || {}).forEach(([channel, channelSettings]) => {
+    channels[channel] = { ...(channels[channel] || {}), ...channelSettings };
+  });
+  
+  return {
+    ...baseSettings,
+    ...safeOverrides,
+    channels,
+    digest: { ...baseSettings.digest, ...(safeOverrides.digest || {}) },
+    schedule: { ...baseSettings.schedule, ...(safeOverrides.schedule || {}) },
+    escalation: { ...baseSettings.escalation, ...(safeOverrides.escalation || {}) },
+    retention: { ...baseSettings.retention, ...(safeOverrides.retention || {}) },
+    coverage: { ...baseSettings.coverage, ...(safeOverrides.coverage || {}) }
+  };
+}
+
+/**
+ * Aplicar filtros de la lista de alertas a una consulta de stock_alerts
+ * alertType puede ser un tipo o una lista de tipos
+ */
+function applyStockAlertFilters(query, { alertType, priority, since, onlyUnread, productIds }) {
+  if (Array.isArray(alertType)) {
+    query = query.in('alert_type', alertType);
+  } else if (alertType) {
+    query = query.eq('alert_type', alertType);
+  }
+  
+  if (priority) {
+    query = query.eq('priority', priority);
+  }
+  
+  if (since) {
+    query = query.gte('created_at', since);
+  }
+  
+  if (Array.isArray(productIds)) {
+    query = query.in('product_id', productIds);
+  }
+  
+  if (onlyUnread) {
+    query = query.is('read_at', null);
+  }
+  
+  return query;
+}
 
 class DatabaseService {
   constructor() {
@@ -90,9 +209,14 @@ class DatabaseService {
 
   /**
    * Obtener productos con stock bajo
+   * Sin threshold se resuelve el umbral efectivo de cada producto (producto → SKU → departamento → usuario)
+   * @param {number|null} threshold - Umbral fijo para todos los productos (opcional)
    */
-  async getLowStockProducts(userId, threshold = 5) {
+  async getLowStockProducts(userId, threshold = null) {
     try {
+      const thresholdContext = threshold === null ? await this.getThresholdContext(userId) : null;
+      const maxThreshold = thresholdContext ? getMaxThreshold(thresholdContext) : threshold;
+      
       const result = await supabaseClient.executeQuery(
         async (client) => {
           return await client
@@ -100,14 +224,22 @@ class DatabaseService {
             .select('*')
             .eq('user_id', userId)
             // Removed status filter - show all products regardless of status
-            .lte('available_quantity', threshold)
+            .lte('available_quantity', maxThreshold)
             .order('available_quantity', { ascending: true });
         },
         'get_low_stock_products'
       );
       
-      logger.info(`📉 Encontrados ${result.data?.length || 0} productos con stock bajo para usuario ${userId}`);
-      return result.data || [];
+      let products = result.data || [];
+      
+      if (thresholdContext) {
+        products = products
+          .map(product => ({ ...product, low_stock_threshold: resolveThreshold(product, thresholdContext).threshold }))
+          .filter(product => product.available_quantity <= product.low_stock_threshold);
+      }
+      
+      logger.info(`📉 Encontrados ${products.length} productos con stock bajo para usuario ${userId}`);
+      return products;
       
     } catch (error) {
       logger.error(`❌ Error obteniendo productos con stock bajo: ${error.message}`);
@@ -369,411 +501,1984 @@ class DatabaseService {
               updated_at: new Date().toISOString() 
             });
         },
-        'update_config'
+        'update_config'
+      );
+      
+      logger.info(`⚙️ Configuración '${key}' actualizada`);
+      return result;
+      
+    } catch (error) {
+      logger.error(`❌ Error actualizando configuración '${key}': ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener configuración de alertas de un usuario (combinada con valores por defecto)
+   */
+  async getUserAlertSettings(userId) {
+    const savedSettings = await this.getConfig(`alert_settings_${userId}`);
+    
+    return mergeAlertSettings(DEFAULT_ALERT_SETTINGS, savedSettings);
+  }
+
+  /**
+   * Actualizar configuración de alertas de un usuario (actualización parcial)
+   */
+  async updateUserAlertSettings(userId, settings) {
+    const currentSettings = await this.getUserAlertSettings(userId);
+    const updatedSettings = mergeAlertSettings(currentSettings, settings);
+    
+    await this.updateConfig(`alert_settings_${userId}`, updatedSettings);
+    
+    logger.info(`⚙️ Configuración de alertas guardada para usuario ${userId}`);
+    return updatedSettings;
+  }
+
+  /**
+   * Obtener configuración de alertas de todos los usuarios que la guardaron
+   * @returns {Promise<Array<{userId: string, settings: Object}>>}
+   */
+  async getAllUserAlertSettings() {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.configTableName)
+            .select('key, value')
+            .like('key', 'alert_settings_%');
+        },
+        'get_all_alert_settings'
+      );
+      
+      return (result.data || []).map(row => ({
+        userId: row.key.replace('alert_settings_', ''),
+        settings: mergeAlertSettings(DEFAULT_ALERT_SETTINGS, row.value)
+      }));
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo configuraciones de alertas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES UMBRALES POR PRODUCTO / SKU
+  // ==========================================
+
+  /**
+   * Obtener overrides de umbral de stock bajo de un usuario
+   */
+  async getProductThresholds(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('product_thresholds')
+            .select('target_type, target_id, threshold, updated_at')
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false });
+        },
+        'get_product_thresholds'
+      );
+      
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo umbrales por producto: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear o actualizar override de umbral
+   * @param {string} targetType - 'product' (id de publicación) o 'sku' (seller_sku)
+   */
+  async upsertProductThreshold(userId, targetType, targetId, threshold) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('product_thresholds')
+            .upsert({
+              user_id: userId,
+              target_type: targetType,
+              target_id: targetId,
+              threshold,
+              updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,target_type,target_id' })
+            .select('target_type, target_id, threshold, updated_at');
+        },
+        'upsert_product_threshold'
+      );
+      
+      logger.info(`🎚️ Umbral ${targetType}:${targetId} = ${threshold} para usuario ${userId}`);
+      return result.data?.[0];
+      
+    } catch (error) {
+      logger.error(`❌ Error guardando umbral ${targetType}:${targetId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar override de umbral (vuelve a aplicar departamento / usuario)
+   */
+  async deleteProductThreshold(userId, targetType, targetId) {
+    try {
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('product_thresholds')
+            .delete()
+            .eq('user_id', userId)
+            .eq('target_type', targetType)
+            .eq('target_id', targetId);
+        },
+        'delete_product_threshold'
+      );
+      
+      logger.info(`🗑️ Umbral ${targetType}:${targetId} eliminado para usuario ${userId}`);
+      
+    } catch (error) {
+      logger.error(`❌ Error eliminando umbral ${targetType}:${targetId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener departamentos configurados por el usuario (categorías, umbral y destinatarios)
+   */
+  async getUserDepartments(userId) {
+    const departments = await this.getConfig(`departments_${userId}`);
+    return Array.isArray(departments) ? departments : [];
+  }
+
+  /**
+   * Obtener reglas de alerta definidas por el usuario (ver utils/alertRules)
+   */
+  async getUserAlertRules(userId) {
+    const rules = await this.getConfig(`alert_rules_${userId}`);
+    return Array.isArray(rules) ? rules : [];
+  }
+
+  /**
+   * Guardar reglas de alerta del usuario (ya validadas)
+   */
+  async saveUserAlertRules(userId, rules) {
+    await this.updateConfig(`alert_rules_${userId}`, rules);
+    logger.info(`🧩 ${rules.length} reglas de alerta guardadas para usuario ${userId}`);
+    return rules;
+  }
+
+  /**
+   * Datos necesarios para resolver umbrales efectivos (ver utils/thresholdResolver)
+   */
+  async getThresholdContext(userId) {
+    const [settings, overrides, departments] = await Promise.all([
+      this.getUserAlertSettings(userId),
+      this.getProductThresholds(userId),
+      this.getUserDepartments(userId)
+    ]);
+    
+    const defaultThreshold = parseInt(settings.lowStockThreshold);
+    
+    return {
+      defaultThreshold: isNaN(defaultThreshold) ? config.monitoring.stockThreshold : defaultThreshold,
+      overrides,
+      departments
+    };
+  }
+
+  // ==========================================
+  // OPERACIONES REPOSICIÓN POR SKU
+  // ==========================================
+
+  /**
+   * Obtener parámetros de reposición por SKU (proveedor, lead time, cobertura objetivo, pedido mínimo)
+   */
+  async getSkuReorderSettings(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_reorder_settings')
+            .select('sku, supplier, lead_time_days, target_cover_days, min_order_qty, updated_at')
+            .eq('user_id', userId)
+            .order('sku', { ascending: true });
+        },
+        'get_sku_reorder_settings'
+      );
+      
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo reposición por SKU: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear o actualizar parámetros de reposición de un SKU (null = heredar departamento / usuario)
+   * @param {Object} reorder - { supplier, leadTimeDays, targetCoverDays, minOrderQty }
+   */
+  async upsertSkuReorderSetting(userId, sku, reorder) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_reorder_settings')
+            .upsert({
+              user_id: userId,
+              sku,
+              supplier: reorder.supplier,
+              lead_time_days: reorder.leadTimeDays,
+              target_cover_days: reorder.targetCoverDays,
+              min_order_qty: reorder.minOrderQty,
+              updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,sku' })
+            .select('sku, supplier, lead_time_days, target_cover_days, min_order_qty, updated_at');
+        },
+        'upsert_sku_reorder_setting'
+      );
+      
+      logger.info(`🛒 Reposición de SKU ${sku} guardada para usuario ${userId}`);
+      return result.data?.[0];
+      
+    } catch (error) {
+      logger.error(`❌ Error guardando reposición de SKU ${sku}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar parámetros de reposición de un SKU
+   */
+  async deleteSkuReorderSetting(userId, sku) {
+    try {
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_reorder_settings')
+            .delete()
+            .eq('user_id', userId)
+            .eq('sku', sku);
+        },
+        'delete_sku_reorder_setting'
+      );
+      
+      logger.info(`🗑️ Reposición de SKU ${sku} eliminada para usuario ${userId}`);
+      
+    } catch (error) {
+      logger.error(`❌ Error eliminando reposición de SKU ${sku}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Datos necesarios para resolver los parámetros de reposición (ver utils/reorderPlanner)
+   */
+  async getReorderContext(userId) {
+    const [settings, skuRows, departments] = await Promise.all([
+      this.getUserAlertSettings(userId),
+      this.getSkuReorderSettings(userId),
+      this.getUserDepartments(userId)
+    ]);
+    
+    const skuSettings = new Map(skuRows.map(row => [row.sku, {
+      supplier: row.supplier,
+      leadTimeDays: row.lead_time_days,
+      targetCoverDays: row.target_cover_days,
+      minOrderQty: row.min_order_qty
+    }]));
+    
+    return {
+      skuSettings,
+      departments,
+      defaults: {
+        leadTimeDays: settings.coverage?.leadTimeDays,
+        targetCoverDays: settings.coverage?.targetCoverDays
+      }
+    };
+  }
+
+  // ==========================================
+  // OPERACIONES COSTOS POR SKU
+  // ==========================================
+
+  /**
+   * Obtener costos unitarios cargados por SKU (valuación de inventario a costo)
+   */
+  async getSkuCosts(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_costs')
+            .select('sku, unit_cost, updated_at')
+            .eq('user_id', userId)
+            .order('sku', { ascending: true });
+        },
+        'get_sku_costs'
+      );
+
+      return result.data || [];
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo costos por SKU: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Costos por SKU como Map (sku → unit_cost)
+   */
+  async getSkuCostMap(userId) {
+    const rows = await this.getSkuCosts(userId);
+    return new Map(rows.map(row => [row.sku, Number(row.unit_cost)]));
+  }
+
+  /**
+   * Crear o actualizar el costo unitario de un SKU
+   */
+  async upsertSkuCost(userId, sku, unitCost) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_costs')
+            .upsert({
+              user_id: userId,
+              sku,
+              unit_cost: unitCost,
+              updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,sku' })
+            .select('sku, unit_cost, updated_at');
+        },
+        'upsert_sku_cost'
+      );
+
+      logger.info(`💲 Costo de SKU ${sku} guardado para usuario ${userId}`);
+      return result.data?.[0];
+
+    } catch (error) {
+      logger.error(`❌ Error guardando costo de SKU ${sku}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar el costo de un SKU
+   */
+  async deleteSkuCost(userId, sku) {
+    try {
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('sku_costs')
+            .delete()
+            .eq('user_id', userId)
+            .eq('sku', sku);
+        },
+        'delete_sku_cost'
+      );
+
+      logger.info(`🗑️ Costo de SKU ${sku} eliminado para usuario ${userId}`);
+
+    } catch (error) {
+      logger.error(`❌ Error eliminando costo de SKU ${sku}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES DE MANTENIMIENTO
+  // ==========================================
+
+  /**
+   * Aplicar la política de retención de alertas de cada usuario
+   * Los usuarios sin configuración guardada usan la retención por defecto
+   * @returns {Promise<Object>} { users, archived, summaryRows, purged, failed, ranAt }
+   */
+  async applyAlertRetention() {
+    const report = { users: 0, archived: 0, summaryRows: 0, purged: 0, failed: 0, ranAt: new Date().toISOString() };
+    
+    const configuredUsers = await this.getAllUserAlertSettings();
+    const runs = configuredUsers.map(({ userId, settings }) => ({ userId, retention: settings.retention }));
+    // Resto de usuarios (p_user_id null): política por defecto excluyendo a los configurados
+    runs.push({ userId: null, retention: DEFAULT_ALERT_SETTINGS.retention, exclude: configuredUsers.map(({ userId }) => userId) });
+    
+    for (const { userId, retention, exclude = [] } of runs) {
+      try {
+        // Corte a las 00:00 UTC: cada día se archiva completo en una sola pasada
+        const before = new Date(Date.now() - retention.hotDays * 24 * 60 * 60 * 1000);
+        before.setUTCHours(0, 0, 0, 0);
+        
+        const result = await supabaseClient.executeQuery(
+          async (client) => {
+            return await client.rpc('archive_old_stock_alerts', {
+              p_user_id: userId,
+              p_before: before.toISOString(),
+              p_archive: retention.archive !== false,
+              p_exclude: exclude
+            });
+          },
+          'archive_old_stock_alerts'
+        );
+        
+        const row = result.data?.[0] || {};
+        report.archived += Number(row.archived) || 0;
+        report.summaryRows += Number(row.summary_rows) || 0;
+        report.purged += Number(row.purged) || 0;
+        if (userId) {
+          report.users++;
+        }
+        
+      } catch (error) {
+        report.failed++;
+        logger.error(`❌ Error aplicando retención de alertas${userId ? ` de usuario ${userId}` : ''}: ${error.message}`);
+      }
+    }
+    
+    logger.info(`🗄️ Retención de alertas: ${report.archived} archivadas (${report.summaryRows} filas de resumen), ${report.purged} purgadas`);
+    
+    try {
+      await this.updateConfig(RETENTION_LAST_RUN_KEY, report);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo registrar el resultado de la retención: ${error.message}`);
+    }
+    
+    return report;
+  }
+
+  /**
+   * Resultado de la última pasada de retención (null si nunca se ejecutó)
+   */
+  async getLastAlertRetentionRun() {
+    return await this.getConfig(RETENTION_LAST_RUN_KEY);
+  }
+
+  /**
+   * Limpiar webhooks procesados más antiguos que X días
+   */
+  async cleanupProcessedWebhooks(daysOld = 7) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+      
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.webhookTableName)
+            .delete()
+            .eq('processed', true)
+            .lt('processed_at', cutoffDate.toISOString());
+        },
+        'cleanup_processed_webhooks'
+      );
+      
+      const deletedCount = result.count || 0;
+      logger.info(`🧹 Eliminados ${deletedCount} webhooks procesados antiguos (>${daysOld} días) - Optimización egress`);
+      return deletedCount;
+      
+    } catch (error) {
+      logger.error(`❌ Error limpiando webhooks procesados: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar snapshots de stock más antiguos que daysOld
+   */
+  async cleanupStockSnapshots(daysOld = STOCK_HISTORY_RETENTION_DAYS) {
+    try {
+      const cutoffDate = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000);
+      
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_snapshots')
+            .delete({ count: 'exact' })
+            .lt('recorded_at', cutoffDate.toISOString());
+        },
+        'cleanup_stock_snapshots'
+      );
+      
+      const deletedCount = result.count || 0;
+      logger.info(`🧹 Eliminados ${deletedCount} snapshots de stock antiguos (>${daysOld} días)`);
+      return deletedCount;
+      
+    } catch (error) {
+      logger.error(`❌ Error limpiando historial de stock: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Ejecutar limpieza automática
+   */
+  async runMaintenance() {
+    try {
+      logger.info('🧹 Iniciando mantenimiento automático...');
+      
+      // Reintentar notificaciones fallidas y liberar las retenidas por horario de silencio
+      // (require diferido: el despachador depende de este servicio)
+      // Un error en las entregas no debe frenar la limpieza de la base
+      const notificationDispatcher = require('./notificationDispatcher');
+      try {
+        await notificationDispatcher.retryFailedDeliveries();
+      } catch (deliveryError) {
+        logger.error(`❌ Error reintentando notificaciones fallidas: ${deliveryError.message}`);
+      }
+      try {
+        await notificationDispatcher.releaseHeldDeliveries();
+      } catch (deliveryError) {
+        logger.error(`❌ Error liberando notificaciones retenidas: ${deliveryError.message}`);
+      }
+      
+      // Ejecutar funciones de limpieza
+      await supabaseClient.executeQuery(
+        async (client) => await client.rpc('cleanup_old_webhooks'),
+        'cleanup_webhooks'
+      );
+      
+      await supabaseClient.executeQuery(
+        async (client) => await client.rpc('cleanup_old_scans'),
+        'cleanup_scans'
+      );
+      
+      // Limpiar webhooks procesados antiguos para optimizar egress
+      await this.cleanupProcessedWebhooks(7);
+      
+      // Retención de alertas: archivar y purgar las que superan los días configurados
+      // (el mantenimiento corre cada pocos minutos; la retención basta una vez por intervalo)
+      const lastRetention = await this.getLastAlertRetentionRun();
+      const retentionDue = !lastRetention?.ranAt ||
+        Date.now() - new Date(lastRetention.ranAt).getTime() >= RETENTION_INTERVAL_HOURS * 60 * 60 * 1000;
+      const retention = retentionDue ? await this.applyAlertRetention() : null;
+      if (retentionDue) {
+        await this.cleanupStockSnapshots();
+      }
+      
+      logger.info('✅ Mantenimiento automático completado');
+      return { retention };
+      
+    } catch (error) {
+      logger.error(`❌ Error en mantenimiento: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener estadísticas de la base de datos
+   */
+  async getStats() {
+    try {
+      const stats = await supabaseClient.getUsageStats();
+      
+      // Agregar estadísticas adicionales específicas
+      const lowStockCount = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.tableName)
+            .select('*', { count: 'exact', head: true })
+            .eq('status', 'active')
+            .lte('available_quantity', 5);
+        },
+        'count_low_stock'
+      );
+      
+      const pendingWebhooks = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.webhookTableName)
+            .select('*', { count: 'exact', head: true })
+            .eq('processed', false);
+        },
+        'count_pending_webhooks'
+      );
+      
+      // Contar productos totales
+      const totalProducts = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.tableName)
+            .select('*', { count: 'exact', head: true });
+        },
+        'count_total_products'
+      );
+
+      return {
+        ...stats,
+        totalProducts: totalProducts.count || 0,
+        lowStockProducts: lowStockCount.count || 0,
+        pendingWebhooks: pendingWebhooks.count || 0
+      };
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo estadísticas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES SCAN CONTROL
+  // ==========================================
+
+  /**
+   * Limpiar todos los webhooks de un usuario específico
+   */
+  async clearUserWebhooks(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.webhookTableName)
+            .delete({ count: 'exact' })
+            .eq('user_id', userId);
+        },
+        'clear_user_webhooks'
+      );
+      
+      const deletedCount = result.count || 0;
+      logger.info(`🧹 Eliminados ${deletedCount} webhooks para usuario ${userId} - Optimización egress Supabase`);
+      return deletedCount;
+      
+    } catch (error) {
+      logger.error(`❌ Error limpiando webhooks para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Inicializar o resetear scan para un usuario
+   * Incluye limpieza de webhooks para optimizar Supabase egress
+   */
+  async initUserScan(userId) {
+    try {
+      // 1. Limpiar webhooks existentes del usuario para reducir egress
+      logger.info(`🧹 Limpiando webhooks existentes para usuario ${userId}...`);
+      await this.clearUserWebhooks(userId);
+      
+      // 2. Inicializar scan
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('init_user_scan', { p_user_id: userId });
+        },
+        'init_user_scan'
+      );
+      
+      logger.info(`✅ Scan inicializado para usuario: ${userId} (webhooks limpiados para optimización)`);
+      
+    } catch (error) {
+      logger.error(`❌ Error inicializando scan para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener estado actual del scan
+   */
+  async getScanState(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('get_scan_state', { p_user_id: userId });
+        },
+        'get_scan_state'
+      );
+      
+      return result.data && result.data.length > 0 ? result.data[0] : null;
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo estado de scan para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar progreso del scan
+   */
+  async updateScanProgress(userId, scrollId, totalProducts, processedProducts, status = 'active') {
+    try {
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('update_scan_progress', {
+            p_user_id: userId,
+            p_scroll_id: scrollId,
+            p_total_products: totalProducts,
+            p_processed_products: processedProducts,
+            p_status: status
+          });
+        },
+        'update_scan_progress'
+      );
+      
+      logger.debug(`📊 Progreso actualizado para usuario ${userId}: ${processedProducts}/${totalProducts}`);
+      
+    } catch (error) {
+      logger.error(`❌ Error actualizando progreso de scan para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener productos por IDs (para filtrar existentes)
+   * OPTIMIZADO: Procesa en lotes para evitar límites de Supabase
+   */
+  async getProductsByIds(productIds, userId) {
+    try {
+      if (!productIds || productIds.length === 0) {
+        return [];
+      }
+
+      // Si hay muchos productos, dividir en lotes
+      const BATCH_SIZE = 500; // Límite seguro para Supabase IN clause
+      if (productIds.length > BATCH_SIZE) {
+        logger.info(`🔄 Procesando ${productIds.length} productos en lotes de ${BATCH_SIZE}`);
+        const batches = [];
+        for (let i = 0; i < productIds.length; i += BATCH_SIZE) {
+          batches.push(productIds.slice(i, i + BATCH_SIZE));
+        }
+        
+        const allResults = [];
+        for (let i = 0; i < batches.length; i++) {
+          const batch = batches[i];
+          logger.debug(`📦 Procesando lote ${i + 1}/${batches.length} (${batch.length} productos)`);
+          
+          const result = await supabaseClient.executeQuery(
+            async (client) => {
+              return await client
+                .from(this.tableName)
+                .select('id')
+                .eq('user_id', userId)
+                .in('id', batch);
+            },
+            `get_products_by_ids_batch_${i + 1}`
+          );
+          
+          if (result.data) {
+            allResults.push(...result.data);
+          }
+        }
+        
+        logger.info(`✅ Procesados ${batches.length} lotes, encontrados ${allResults.length} productos existentes`);
+        return allResults;
+      }
+
+      // Para lotes pequeños, usar consulta directa
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.tableName)
+            .select('id')
+            .eq('user_id', userId)
+            .in('id', productIds);
+        },
+        'get_products_by_ids'
+      );
+      
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo productos por IDs para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener conteo total de productos por usuario
+   */
+  async getProductCount(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.tableName)
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId);
+        },
+        'get_product_count'
+      );
+      
+      return result.count || 0;
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo conteo de productos para usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES ALERTAS DE STOCK
+  // ==========================================
+
+  /**
+   * Guardar una alerta o colapsarla en la última abierta del mismo producto y tipo si sigue dentro de la
+   * ventana de ráfaga (función SQL save_or_collapse_stock_alert: búsqueda y escritura atómicas, sin
+   * duplicados aunque los webhooks de una ráfaga lleguen en paralelo)
+   * Al colapsar se conserva el stock inicial, se actualiza el último valor y se incrementa change_count
+   * @returns {Promise<Object>} { id, collapsed, previous_stock, change_count, was_read, previous_changed_at }
+   */
+  async saveOrCollapseStockAlert(alertData, windowMinutes) {
+    try {
+      // La prioridad se guarda para filtrar y contar en BD sin clasificar en memoria
+      const priority = classifyAlert(alertData).priority;
+      
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('save_or_collapse_stock_alert', {
+            p_alert: { ...alertData, priority },
+            p_window_minutes: windowMinutes > 0 ? windowMinutes : 0
+          });
+        },
+        'save_or_collapse_stock_alert'
+      );
+      
+      const saved = result.data?.[0];
+      if (!saved) {
+        throw new Error('save_or_collapse_stock_alert no devolvió la alerta');
+      }
+      
+      if (!saved.collapsed) {
+        logger.info(`🚨 Alerta de stock guardada: ${alertData.alert_type} - ${alertData.product_id}`);
+        return saved;
+      }
+      
+      // Colapsada: la prioridad depende del primer valor de la alerta existente (p. ej. variación de precio)
+      const collapsedPriority = classifyAlert({
+        ...alertData,
+        previous_stock: saved.previous_stock,
+        previous_value: saved.previous_value
+      }).priority;
+      if (collapsedPriority !== priority) {
+        await supabaseClient.executeQuery(
+          async (client) => {
+            return await client
+              .from('stock_alerts')
+              .update({ priority: collapsedPriority })
+              .eq('id', saved.id);
+          },
+          'update_collapsed_alert_priority'
+        );
+      }
+      
+      logger.info(`🔁 Alerta ${alertData.alert_type} colapsada en #${saved.id}: ${saved.previous_stock} → ${alertData.new_stock} (${saved.change_count} cambios)`);
+      return saved;
+      
+    } catch (error) {
+      logger.error(`❌ Error guardando alerta de stock: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fecha de la última notificación enviada para un producto y tipo de alerta (cooldown)
+   * @param {string|null} ruleId - Para alertas de reglas, el cooldown es por regla
+   */
+  async getLastAlertNotification(userId, productId, alertType, ruleId = null) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          let query = client
+            .from('stock_alerts')
+            .select('notified_at')
+            .eq('user_id', userId)
+            .eq('product_id', productId)
+            .eq('alert_type', alertType)
+            .not('notified_at', 'is', null);
+          
+          if (ruleId) {
+            query = query.eq('rule_id', ruleId);
+          }
+          
+          return await query
+            .order('notified_at', { ascending: false })
+            .limit(1);
+        },
+        'get_last_alert_notification'
+      );
+      
+      return result.data?.[0]?.notified_at || null;
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo última notificación de ${productId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reclamar la notificación de una alerta (función SQL claim_stock_alert_notification)
+   * Si su producto y tipo no se notificó dentro del cooldown marca notified_at y devuelve true;
+   * la comprobación y la marca son atómicas, dos webhooks simultáneos no notifican ambos
+   */
+  async claimAlertNotification(alertId, cooldownHours) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('claim_stock_alert_notification', {
+            p_alert_id: alertId,
+            p_cooldown_hours: cooldownHours > 0 ? cooldownHours : 0
+          });
+        },
+        'claim_stock_alert_notification'
+      );
+      
+      return result.data === true;
+      
+    } catch (error) {
+      logger.error(`❌ Error reclamando notificación de alerta ${alertId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener alertas de un usuario creadas desde una fecha (para resúmenes)
+   */
+  async getStockAlertsSince(userId, since, limit = 5000) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_alerts')
+            .select('id, product_id, alert_type, previous_stock, new_stock, previous_value, new_value, product_title, seller_sku, created_at')
+            .eq('user_id', userId)
+            .gte('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        },
+        'get_stock_alerts_since'
+      );
+      
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo alertas desde ${since}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener alertas de stock por usuario
+   * orderBy: 'created_at' (lista de alertas) o 'last_changed_at' (centro de notificaciones, alertas colapsadas)
+   */
+  async getStockAlerts(userId, filters = {}) {
+    try {
+      const { limit = 50, offset = 0, alertType, priority, since, onlyUnread = false, productIds, orderBy } = filters;
+      const orderColumn = orderBy === 'last_changed_at' ? 'last_changed_at' : 'created_at';
+      
+      // Filtro por productos explícito sin productos: no hay alertas que devolver
+      if (Array.isArray(productIds) && productIds.length === 0) {
+        return [];
+      }
+      
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          let query = applyStockAlertFilters(
+            client.from('stock_alerts').select('*').eq('user_id', userId),
+            { alertType, priority, since, onlyUnread, productIds }
+          );
+          
+          query = query
+            .order(orderColumn, { ascending: false })
+            .range(offset, offset + limit - 1);
+          
+          return await query;
+        },
+        'get_stock_alerts'
+      );
+      
+      logger.info(`📋 Obtenidas ${result.data?.length || 0} alertas para usuario ${userId}`);
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo alertas de stock: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Recorrer todas las alertas que cumplen los filtros en lotes (exportación sin tope de filas)
+   * Pagina por id descendente para no saltear ni repetir filas si llegan alertas nuevas mientras tanto
+   * @param {Function} onBatch - async (alerts) => void, se invoca una vez por lote
+   * @returns {Promise<number>} Total de alertas recorridas
+   */
+  async forEachStockAlertBatch(userId, filters = {}, onBatch, batchSize = 1000) {
+    const { alertType, priority, since, onlyUnread = false, productIds } = filters;
+    
+    if (Array.isArray(productIds) && productIds.length === 0) {
+      return 0;
+    }
+    
+    let lastId = null;
+    let total = 0;
+    
+    try {
+      while (true) {
+        const result = await supabaseClient.executeQuery(
+          async (client) => {
+            let query = applyStockAlertFilters(
+              client
+                .from('stock_alerts')
+                .select('id, created_at, alert_type, priority, product_id, product_title, seller_sku, previous_stock, new_stock, previous_value, new_value, escalation_level, rule_priority')
+                .eq('user_id', userId),
+              { alertType, priority, since, onlyUnread, productIds }
+            );
+            
+            if (lastId !== null) {
+              query = query.lt('id', lastId);
+            }
+            
+            return await query
+              .order('id', { ascending: false })
+              .limit(batchSize);
+          },
+          'export_stock_alerts'
+        );
+        
+        const batch = result.data || [];
+        if (batch.length === 0) {
+          break;
+        }
+        
+        await onBatch(batch);
+        total += batch.length;
+        lastId = batch[batch.length - 1].id;
+        
+        if (batch.length < batchSize) {
+          break;
+        }
+      }
+      
+      return total;
+      
+    } catch (error) {
+      logger.error(`❌ Error recorriendo alertas para exportar: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Conteo agregado de alertas por tipo, prioridad y lectura (función SQL get_stock_alert_counts)
+   * @param {string|null} since - Solo alertas creadas desde esta fecha
+   * @param {string[]|null} productIds - Solo alertas de esos productos (null = todos)
+   * @returns {Promise<Array<{alert_type, priority, unread, total}>>}
+   */
+  async getAlertCountRows(userId, since = null, productIds = null) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client.rpc('get_stock_alert_counts', {
+            p_user_id: userId,
+            p_since: since,
+            p_product_ids: productIds
+          });
+        },
+        'get_stock_alert_counts'
+      );
+      
+      return result.data || [];
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo conteo agregado de alertas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener conteo de alertas por tipo
+   */
+  async getAlertsCount(userId) {
+    const rows = await this.getAlertCountRows(userId);
+    
+    const count = { total: 0, unread: 0 };
+    ALERT_TYPES.forEach(alertType => {
+      count[alertType] = 0;
+    });
+    
+    rows.forEach(row => {
+      const total = Number(row.total) || 0;
+      count.total += total;
+      if (row.unread) {
+        count.unread += total;
+      }
+      if (count[row.alert_type] !== undefined) {
+        count[row.alert_type] += total;
+      }
+    });
+    
+    return count;
+  }
+
+  /**
+   * Obtener contadores por prioridad (totales y no leídas) para la lista y la campana
+   * Acepta los mismos filtros que getStockAlerts: los contadores corresponden a la lista filtrada
+   * @param {Object} filters - { alertType, priority, since, onlyUnread, productIds }
+   */
+  async getAlertsSummary(userId, filters = {}) {
+    const { alertType, priority, since, onlyUnread = false, productIds } = filters;
+    
+    // Las prioridades se exponen como critical / warning / info
+    const summary = { total: 0, critical: 0, warning: 0, info: 0 };
+    const unread = { total: 0, critical: 0, warning: 0, info: 0 };
+    
+    // Filtro por productos explícito sin productos: nada que contar
+    if (Array.isArray(productIds) && productIds.length === 0) {
+      return { ...summary, unread };
+    }
+    
+    const rows = await this.getAlertCountRows(userId, since || null, productIds || null);
+    
+    // Tipo, prioridad y lectura ya vienen agrupados: se filtran sobre las filas del conteo
+    rows
+      .filter(row => !alertType || [].concat(alertType).includes(row.alert_type))
+      .filter(row => !priority || row.priority === priority)
+      .filter(row => !onlyUnread || row.unread)
+      .forEach(row => {
+        const total = Number(row.total) || 0;
+        const key = row.priority === 'informative' ? 'info' : row.priority;
+        
+        summary.total += total;
+        if (key in summary) {
+          summary[key] += total;
+        }
+        if (row.unread) {
+          unread.total += total;
+          if (key in unread) {
+            unread[key] += total;
+          }
+        }
+      });
+    
+    return { ...summary, unread };
+  }
+
+  /**
+   * Alertas no leídas con cambios desde una fecha (badge de la campana)
+   * Usa last_changed_at: una alerta colapsada con un cambio nuevo vuelve a contar aunque se haya creado antes
+   * @param {string|null} since - Marca "visto hasta" (null = todas las no leídas)
+   */
+  async countNewUnreadAlerts(userId, since = null) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          let query = client
+            .from('stock_alerts')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('read_at', null);
+          
+          if (since) {
+            query = query.gt('last_changed_at', since);
+          }
+          
+          return await query;
+        },
+        'count_new_unread_alerts'
+      );
+      
+      return result.count || 0;
+      
+    } catch (error) {
+      logger.error(`❌ Error contando alertas nuevas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Última vez que el usuario abrió el centro de notificaciones (ISO o null si nunca)
+   * La campana cuenta como nuevas las alertas no leídas creadas desde esta marca
+   */
+  async getAlertsLastSeen(userId) {
+    const saved = await this.getConfig(`alerts_last_seen_${userId}`);
+    return saved?.seenAt || null;
+  }
+
+  /**
+   * Guardar la marca de "visto hasta" del centro de notificaciones
+   */
+  async setAlertsLastSeen(userId, seenAt) {
+    await this.updateConfig(`alerts_last_seen_${userId}`, { seenAt });
+    return seenAt;
+  }
+
+  /**
+   * Marcar alertas como leídas (solo las del usuario indicado)
+   */
+  async markAlertsAsRead(userId, alertIds) {
+    try {
+      if (!alertIds || alertIds.length === 0) {
+        return 0;
+      }
+
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_alerts')
+            .update({
+              read_at: new Date().toISOString(),
+              read_by: userId
+            })
+            .eq('user_id', userId)
+            .in('id', alertIds)
+            .is('read_at', null)
+            .select('id');
+        },
+        'mark_alerts_as_read'
+      );
+
+      const markedCount = result.data?.length || 0;
+      logger.info(`📬 ${markedCount}/${alertIds.length} alertas marcadas como leídas para usuario ${userId}`);
+      return markedCount;
+
+    } catch (error) {
+      logger.error(`❌ Error marcando alertas como leídas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Marcar todas las alertas no leídas del usuario como leídas
+   */
+  async markAllAlertsAsRead(userId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_alerts')
+            .update({
+              read_at: new Date().toISOString(),
+              read_by: userId
+            })
+            .eq('user_id', userId)
+            .is('read_at', null)
+            .select('id');
+        },
+        'mark_all_alerts_as_read'
+      );
+
+      const markedCount = result.data?.length || 0;
+      logger.info(`📬 Todas las alertas marcadas como leídas para usuario ${userId}: ${markedCount}`);
+      return markedCount;
+
+    } catch (error) {
+      logger.error(`❌ Error marcando todas las alertas como leídas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconocer alertas ("ya lo sé"): por ids o todas las pendientes de un producto
+   * Reconocer también marca como leída
+   * @param {Object} target - { alertIds } o { productId }
+   * @returns {Promise<string[]>} IDs de alertas reconocidas
+   */
+  async acknowledgeAlerts(userId, target) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          let query = client
+            .from('stock_alerts')
+            .update({
+              acknowledged_at: new Date().toISOString(),
+              acknowledged_by: userId
+            })
+            .eq('user_id', userId)
+            .is('acknowledged_at', null);
+          
+          query = target.productId
+            ? query.eq('product_id', target.productId)
+            : query.in('id', target.alertIds);
+          
+          return await query.select('id');
+        },
+        'acknowledge_alerts'
+      );
+      
+      const alertIds = (result.data || []).map(row => String(row.id));
+      await this.markAlertsAsRead(userId, alertIds);
+      
+      logger.info(`🤝 ${alertIds.length} alertas reconocidas para usuario ${userId}`);
+      return alertIds;
+      
+    } catch (error) {
+      logger.error(`❌ Error reconociendo alertas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES HISTORIAL DE STOCK
+  // ==========================================
+
+  /**
+   * Guardar snapshots de stock (filas de buildStockSnapshot)
+   */
+  async saveStockSnapshots(snapshots) {
+    try {
+      if (!snapshots || snapshots.length === 0) {
+        return 0;
+      }
+      
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_snapshots')
+            .insert(snapshots);
+        },
+        'save_stock_snapshots'
+      );
+      
+      logger.debug(`📈 Guardados ${snapshots.length} snapshots de stock`);
+      return snapshots.length;
+      
+    } catch (error) {
+      logger.error(`❌ Error guardando snapshots de stock: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener el historial de un producto en un rango (ascendente por fecha)
+   * Pagina por id de a batchSize filas: PostgREST corta cada respuesta en 1000 y se perdería el final del rango
+   * @param {Object} range - { since, until }
+   */
+  async getStockSnapshots(userId, productId, range = {}, batchSize = 1000) {
+    const { since, until } = range;
+    const snapshots = [];
+    let lastId = null;
+    
+    try {
+      while (true) {
+        const result = await supabaseClient.executeQuery(
+          async (client) => {
+            let query = client
+              .from('stock_snapshots')
+              .select('id, recorded_at, available_quantity, previous_quantity, price, status, source')
+              .eq('user_id', userId)
+              .eq('product_id', productId);
+            
+            if (since) {
+              query = query.gte('recorded_at', since);
+            }
+            if (until) {
+              query = query.lte('recorded_at', until);
+            }
+            if (lastId !== null) {
+              query = query.gt('id', lastId);
+            }
+            
+            return await query
+              .order('id', { ascending: true })
+              .limit(batchSize);
+          },
+          'get_stock_snapshots'
+        );
+        
+        const batch = result.data || [];
+        snapshots.push(...batch);
+        
+        if (batch.length < batchSize) {
+          break;
+        }
+        lastId = batch[batch.length - 1].id;
+      }
+      
+      return snapshots.sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo historial de stock de ${productId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Último snapshot anterior a una fecha (valor vigente al inicio del rango pedido)
+   */
+  async getLastStockSnapshotBefore(userId, productId, before) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('stock_snapshots')
+            .select('recorded_at, available_quantity, price, status')
+            .eq('user_id', userId)
+            .eq('product_id', productId)
+            .lt('recorded_at', before)
+            .order('recorded_at', { ascending: false })
+            .limit(1);
+        },
+        'get_last_stock_snapshot'
+      );
+      
+      return result.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo snapshot previo de ${productId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Historial de stock de todos los productos del usuario desde una fecha (reportes)
+   * Se lee en lotes por id para no quedar limitado por el máximo de filas por consulta
+   * @returns {Map<string, Array>} product_id → snapshots en orden ascendente
+   */
+  async getStockSnapshotsByProduct(userId, since, batchSize = 1000) {
+    const snapshotsByProduct = new Map();
+    let lastId = null;
+
+    try {
+      while (true) {
+        const result = await supabaseClient.executeQuery(
+          async (client) => {
+            let query = client
+              .from('stock_snapshots')
+              .select('id, product_id, recorded_at, available_quantity, previous_quantity, price, status')
+              .eq('user_id', userId)
+              .gte('recorded_at', since);
+
+            if (lastId !== null) {
+              query = query.gt('id', lastId);
+            }
+
+            return await query
+              .order('id', { ascending: true })
+              .limit(batchSize);
+          },
+          'get_stock_snapshots_by_product'
+        );
+
+        const batch = result.data || [];
+        batch.forEach(snapshot => {
+          if (!snapshotsByProduct.has(snapshot.product_id)) {
+            snapshotsByProduct.set(snapshot.product_id, []);
+          }
+          snapshotsByProduct.get(snapshot.product_id).push(snapshot);
+        });
+
+        if (batch.length < batchSize) {
+          break;
+        }
+        lastId = batch[batch.length - 1].id;
+      }
+
+      snapshotsByProduct.forEach(snapshots => {
+        snapshots.sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+      });
+
+      return snapshotsByProduct;
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo historial de stock del usuario ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Unidades vendidas en 7/30/90 días por producto (función SQL get_product_sales_velocity)
+   * Se pagina de a batchSize filas: PostgREST corta las respuestas en 1000 filas aunque sea un RPC
+   * @param {string[]|null} productIds - Solo esos productos (null = todo el catálogo)
+   * @returns {Map<string, Object>} product_id → { sold_7d, sold_30d, sold_90d, tracked_since }
+   */
+  async getSalesVelocity(userId, productIds = null, batchSize = 1000) {
+    const velocityByProduct = new Map();
+    
+    if (Array.isArray(productIds) && productIds.length === 0) {
+      return velocityByProduct;
+    }
+    
+    try {
+      for (let from = 0; ; from += batchSize) {
+        const result = await supabaseClient.executeQuery(
+          async (client) => {
+            return await client
+              .rpc('get_product_sales_velocity', {
+                p_user_id: userId,
+                p_product_ids: productIds
+              })
+              .range(from, from + batchSize - 1);
+          },
+          'get_sales_velocity'
+        );
+        
+        const rows = result.data || [];
+        rows.forEach(row => velocityByProduct.set(row.product_id, row));
+        
+        if (rows.length < batchSize) {
+          break;
+        }
+      }
+
+      return velocityByProduct;
+
+    } catch (error) {
+      logger.error(`❌ Error obteniendo velocidad de ventas: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // OPERACIONES SNOOZE DE ALERTAS
+  // ==========================================
+
+  /**
+   * Obtener snooze de un producto (null si no tiene)
+   */
+  async getProductSnooze(userId, productId) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('alert_snoozes')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('product_id', productId)
+            .maybeSingle();
+        },
+        'get_product_snooze'
+      );
+      
+      return result.data || null;
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo snooze de ${productId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener snoozes vigentes de un usuario (evalúa fecha y stock actual de cada producto)
+   */
+  async getActiveProductSnoozes(userId) {
+    try {
+      const snoozesResult = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('alert_snoozes')
+            .select('*')
+            .eq('user_id', userId);
+        },
+        'get_alert_snoozes'
+      );
+      
+      const snoozes = snoozesResult.data || [];
+      if (snoozes.length === 0) {
+        return [];
+      }
+      
+      const productsResult = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from(this.tableName)
+            .select('id, available_quantity')
+            .eq('user_id', userId)
+            .in('id', snoozes.map(snooze => snooze.product_id));
+        },
+        'get_snoozed_products_stock'
+      );
+      
+      const stockByProduct = new Map((productsResult.data || []).map(p => [p.id, p.available_quantity]));
+      
+      return snoozes.filter(snooze => isSnoozeActive(snooze, stockByProduct.get(snooze.product_id) ?? null));
+      
+    } catch (error) {
+      logger.error(`❌ Error obteniendo snoozes vigentes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Posponer notificaciones de un producto
+   * @param {Object} snooze - { snoozedUntil, untilStockAbove, reason }
+   */
+  async upsertProductSnooze(userId, productId, snooze) {
+    try {
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('alert_snoozes')
+            .upsert({
+              user_id: userId,
+              product_id: productId,
+              snoozed_until: snooze.snoozedUntil || null,
+              until_stock_above: snooze.untilStockAbove ?? null,
+              reason: snooze.reason || null,
+              created_at: new Date().toISOString()
+            }, { onConflict: 'user_id,product_id' })
+            .select('*');
+        },
+        'upsert_product_snooze'
+      );
+      
+      logger.info(`😴 Producto ${productId} pospuesto para usuario ${userId}`);
+      return result.data?.[0];
+      
+    } catch (error) {
+      logger.error(`❌ Error posponiendo producto ${productId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Quitar snooze de un producto
+   */
+  async deleteProductSnooze(userId, productId) {
+    try {
+      await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('alert_snoozes')
+            .delete()
+            .eq('user_id', userId)
+            .eq('product_id', productId);
+        },
+        'delete_product_snooze'
       );
       
-      logger.info(`⚙️ Configuración '${key}' actualizada`);
-      return result;
+      logger.info(`⏰ Snooze de ${productId} eliminado para usuario ${userId}`);
       
     } catch (error) {
-      logger.error(`❌ Error actualizando configuración '${key}': ${error.message}`);
+      logger.error(`❌ Error eliminando snooze de ${productId}: ${error.message}`);
       throw error;
     }
   }
 
   // ==========================================
-  // OPERACIONES DE MANTENIMIENTO
+  // OPERACIONES SUSCRIPCIONES WEB PUSH
   // ==========================================
 
   /**
-   * Limpiar webhooks procesados más antiguos que X días
+   * Guardar la suscripción push de un navegador (una fila por usuario y endpoint)
+   * El conflicto se resuelve por user_id + endpoint: registrar un endpoint de otro usuario no se lo quita
+   * @param {Object} subscription - PushSubscription serializada { endpoint, keys: { p256dh, auth } }
    */
-  async cleanupProcessedWebhooks(daysOld = 7) {
+  async savePushSubscription(userId, subscription, userAgent = null) {
     try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-      
       const result = await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from(this.webhookTableName)
-            .delete()
-            .eq('processed', true)
-            .lt('processed_at', cutoffDate.toISOString());
+            .from('push_subscriptions')
+            .upsert({
+              user_id: userId,
+              endpoint: subscription.endpoint,
+              p256dh: subscription.keys.p256dh,
+              auth: subscription.keys.auth,
+              user_agent: userAgent,
+              updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,endpoint' })
+            .select('id, endpoint, user_agent, created_at');
         },
-        'cleanup_processed_webhooks'
+        'save_push_subscription'
       );
       
-      const deletedCount = result.count || 0;
-      logger.info(`🧹 Eliminados ${deletedCount} webhooks procesados antiguos (>${daysOld} días) - Optimización egress`);
-      return deletedCount;
+      logger.info(`🔔 Suscripción push guardada para usuario ${userId}`);
+      return result.data?.[0] || null;
       
     } catch (error) {
-      logger.error(`❌ Error limpiando webhooks procesados: ${error.message}`);
+      logger.error(`❌ Error guardando suscripción push: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Ejecutar limpieza automática
+   * Suscripciones push de un usuario (todos sus navegadores)
    */
-  async runMaintenance() {
+  async getPushSubscriptions(userId) {
     try {
-      logger.info('🧹 Iniciando mantenimiento automático...');
-      
-      // Ejecutar funciones de limpieza
-      await supabaseClient.executeQuery(
-        async (client) => await client.rpc('cleanup_old_webhooks'),
-        'cleanup_webhooks'
-      );
-      
-      await supabaseClient.executeQuery(
-        async (client) => await client.rpc('cleanup_old_scans'),
-        'cleanup_scans'
+      const result = await supabaseClient.executeQuery(
+        async (client) => {
+          return await client
+            .from('push_subscriptions')
+            .select('id, endpoint, p256dh, auth, user_agent, created_at')
+            .eq('user_id', userId);
+        },
+        'get_push_subscriptions'
       );
       
-      // Limpiar webhooks procesados antiguos para optimizar egress
-      await this.cleanupProcessedWebhooks(7);
-      
-      logger.info('✅ Mantenimiento automático completado');
+      return result.data || [];
       
     } catch (error) {
-      logger.error(`❌ Error en mantenimiento: ${error.message}`);
+      logger.error(`❌ Error obteniendo suscripciones push: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Obtener estadísticas de la base de datos
+   * Eliminar una suscripción push (el usuario la desactivó o el servicio push la dio por vencida)
    */
-  async getStats() {
+  async deletePushSubscription(userId, endpoint) {
     try {
-      const stats = await supabaseClient.getUsageStats();
-      
-      // Agregar estadísticas adicionales específicas
-      const lowStockCount = await supabaseClient.executeQuery(
-        async (client) => {
-          return await client
-            .from(this.tableName)
-            .select('*', { count: 'exact', head: true })
-            .eq('status', 'active')
-            .lte('available_quantity', 5);
-        },
-        'count_low_stock'
-      );
-      
-      const pendingWebhooks = await supabaseClient.executeQuery(
+      await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from(this.webhookTableName)
-            .select('*', { count: 'exact', head: true })
-            .eq('processed', false);
+            .from('push_subscriptions')
+            .delete()
+            .eq('user_id', userId)
+            .eq('endpoint', endpoint);
         },
-        'count_pending_webhooks'
+        'delete_push_subscription'
       );
       
-      // Contar productos totales
-      const totalProducts = await supabaseClient.executeQuery(
-        async (client) => {
-          return await client
-            .from(this.tableName)
-            .select('*', { count: 'exact', head: true });
-        },
-        'count_total_products'
-      );
-
-      return {
-        ...stats,
-        totalProducts: totalProducts.count || 0,
-        lowStockProducts: lowStockCount.count || 0,
-        pendingWebhooks: pendingWebhooks.count || 0
-      };
+      logger.info(`🔕 Suscripción push eliminada para usuario ${userId}`);
       
     } catch (error) {
-      logger.error(`❌ Error obteniendo estadísticas: ${error.message}`);
+      logger.error(`❌ Error eliminando suscripción push: ${error.message}`);
       throw error;
     }
   }
 
   // ==========================================
-  // OPERACIONES SCAN CONTROL
+  // OPERACIONES ESCALAMIENTO DE ALERTAS
   // ==========================================
 
   /**
-   * Limpiar todos los webhooks de un usuario específico
+   * Obtener alertas LOW_STOCK abiertas (sin resolver) creadas desde una fecha
+   * Incluye las reconocidas: reconocer frena el escalamiento pero la alerta sigue abierta hasta reponer stock
    */
-  async clearUserWebhooks(userId) {
+  async getOpenLowStockAlerts(userId, since, limit = 1000) {
     try {
       const result = await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from(this.webhookTableName)
-            .delete({ count: 'exact' })
-            .eq('user_id', userId);
+            .from('stock_alerts')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('alert_type', 'LOW_STOCK')
+            .is('resolved_at', null)
+            .gte('created_at', since)
+            .order('created_at', { ascending: true })
+            .limit(limit);
         },
-        'clear_user_webhooks'
+        'get_open_low_stock_alerts'
       );
       
-      const deletedCount = result.count || 0;
-      logger.info(`🧹 Eliminados ${deletedCount} webhooks para usuario ${userId} - Optimización egress Supabase`);
-      return deletedCount;
+      return result.data || [];
       
     } catch (error) {
-      logger.error(`❌ Error limpiando webhooks para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error obteniendo alertas LOW_STOCK abiertas: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Inicializar o resetear scan para un usuario
-   * Incluye limpieza de webhooks para optimizar Supabase egress
+   * Obtener stock actual y datos de resolución de umbral de un conjunto de productos
    */
-  async initUserScan(userId) {
+  async getProductsStock(userId, productIds) {
     try {
-      // 1. Limpiar webhooks existentes del usuario para reducir egress
-      logger.info(`🧹 Limpiando webhooks existentes para usuario ${userId}...`);
-      await this.clearUserWebhooks(userId);
+      if (productIds.length === 0) {
+        return [];
+      }
       
-      // 2. Inicializar scan
-      await supabaseClient.executeQuery(
+      const result = await supabaseClient.executeQuery(
         async (client) => {
-          return await client.rpc('init_user_scan', { p_user_id: userId });
+          return await client
+            .from(this.tableName)
+            .select('id, title, seller_sku, category_id, available_quantity, status')
+            .eq('user_id', userId)
+            .in('id', productIds);
         },
-        'init_user_scan'
+        'get_products_stock'
       );
       
-      logger.info(`✅ Scan inicializado para usuario: ${userId} (webhooks limpiados para optimización)`);
+      return result.data || [];
       
     } catch (error) {
-      logger.error(`❌ Error inicializando scan para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error obteniendo stock de productos: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Obtener estado actual del scan
+   * Obtener miniatura, título y stock de un conjunto de productos (centro de notificaciones)
    */
-  async getScanState(userId) {
+  async getProductsPreview(userId, productIds) {
     try {
+      if (productIds.length === 0) {
+        return [];
+      }
+      
       const result = await supabaseClient.executeQuery(
         async (client) => {
-          return await client.rpc('get_scan_state', { p_user_id: userId });
+          return await client
+            .from(this.tableName)
+            .select('id, title, thumbnail, permalink, available_quantity, status')
+            .eq('user_id', userId)
+            .in('id', productIds);
         },
-        'get_scan_state'
+        'get_products_preview'
       );
       
-      return result.data && result.data.length > 0 ? result.data[0] : null;
+      return result.data || [];
       
     } catch (error) {
-      logger.error(`❌ Error obteniendo estado de scan para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error obteniendo vista previa de productos: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Actualizar progreso del scan
+   * Actualizar estado de escalamiento de una alerta
+   * @param {Object} updates - { escalation_level, escalated_at, next_escalation_at }
    */
-  async updateScanProgress(userId, scrollId, totalProducts, processedProducts, status = 'active') {
+  async updateAlertEscalation(alertId, updates) {
     try {
       await supabaseClient.executeQuery(
         async (client) => {
-          return await client.rpc('update_scan_progress', {
-            p_user_id: userId,
-            p_scroll_id: scrollId,
-            p_total_products: totalProducts,
-            p_processed_products: processedProducts,
-            p_status: status
-          });
+          return await client
+            .from('stock_alerts')
+            .update(updates)
+            .eq('id', alertId);
         },
-        'update_scan_progress'
+        'update_alert_escalation'
       );
       
-      logger.debug(`📊 Progreso actualizado para usuario ${userId}: ${processedProducts}/${totalProducts}`);
-      
     } catch (error) {
-      logger.error(`❌ Error actualizando progreso de scan para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error actualizando escalamiento de alerta ${alertId}: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Obtener productos por IDs (para filtrar existentes)
-   * OPTIMIZADO: Procesa en lotes para evitar límites de Supabase
+   * Marcar alertas como resueltas (el stock se repuso o el producto ya no existe)
    */
-  async getProductsByIds(productIds, userId) {
+  async resolveAlerts(alertIds) {
     try {
-      if (!productIds || productIds.length === 0) {
-        return [];
-      }
-
-      // Si hay muchos productos, dividir en lotes
-      const BATCH_SIZE = 500; // Límite seguro para Supabase IN clause
-      if (productIds.length > BATCH_SIZE) {
-        logger.info(`🔄 Procesando ${productIds.length} productos en lotes de ${BATCH_SIZE}`);
-        const batches = [];
-        for (let i = 0; i < productIds.length; i += BATCH_SIZE) {
-          batches.push(productIds.slice(i, i + BATCH_SIZE));
-        }
-        
-        const allResults = [];
-        for (let i = 0; i < batches.length; i++) {
-          const batch = batches[i];
-          logger.debug(`📦 Procesando lote ${i + 1}/${batches.length} (${batch.length} productos)`);
-          
-          const result = await supabaseClient.executeQuery(
-            async (client) => {
-              return await client
-                .from(this.tableName)
-                .select('id')
-                .eq('user_id', userId)
-                .in('id', batch);
-            },
-            `get_products_by_ids_batch_${i + 1}`
-          );
-          
-          if (result.data) {
-            allResults.push(...result.data);
-          }
-        }
-        
-        logger.info(`✅ Procesados ${batches.length} lotes, encontrados ${allResults.length} productos existentes`);
-        return allResults;
+      if (alertIds.length === 0) {
+        return;
       }
-
-      // Para lotes pequeños, usar consulta directa
-      const result = await supabaseClient.executeQuery(
+      
+      await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from(this.tableName)
-            .select('id')
-            .eq('user_id', userId)
-            .in('id', productIds);
+            .from('stock_alerts')
+            .update({
+              resolved_at: new Date().toISOString(),
+              next_escalation_at: null
+            })
+            .in('id', alertIds);
         },
-        'get_products_by_ids'
+        'resolve_alerts'
       );
       
-      return result.data || [];
+      logger.info(`✅ ${alertIds.length} alertas marcadas como resueltas`);
       
     } catch (error) {
-      logger.error(`❌ Error obteniendo productos por IDs para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error resolviendo alertas: ${error.message}`);
       throw error;
     }
   }
 
+  // ==========================================
+  // OPERACIONES ENTREGAS DE NOTIFICACIONES
+  // ==========================================
+
   /**
-   * Obtener conteo total de productos por usuario
+   * Registrar un intento de entrega de notificación (una fila por alerta × canal)
    */
-  async getProductCount(userId) {
+  async saveNotificationDelivery(deliveryData) {
     try {
+      const now = new Date().toISOString();
       const result = await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from(this.tableName)
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
+            .from('notification_deliveries')
+            .insert([{ ...deliveryData, created_at: now, updated_at: now }])
+            .select('id');
         },
-        'get_product_count'
+        'save_notification_delivery'
       );
       
-      return result.count || 0;
+      return result.data?.[0];
       
     } catch (error) {
-      logger.error(`❌ Error obteniendo conteo de productos para usuario ${userId}: ${error.message}`);
+      logger.error(`❌ Error registrando entrega de notificación: ${error.message}`);
       throw error;
     }
   }
 
-  // ==========================================
-  // OPERACIONES ALERTAS DE STOCK
-  // ==========================================
-
   /**
-   * Guardar alerta de cambio de stock
+   * Actualizar estado de una entrega de notificación
    */
-  async saveStockAlert(alertData) {
+  async updateNotificationDelivery(deliveryId, updates) {
     try {
-      const result = await supabaseClient.executeQuery(
+      await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from('stock_alerts')
-            .insert([alertData])
-            .select('id');
+            .from('notification_deliveries')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', deliveryId);
         },
-        'save_stock_alert'
+        'update_notification_delivery'
       );
       
-      logger.info(`🚨 Alerta de stock guardada: ${alertData.alert_type} - ${alertData.product_id}`);
-      return result.data?.[0];
-      
     } catch (error) {
-      logger.error(`❌ Error guardando alerta de stock: ${error.message}`);
+      logger.error(`❌ Error actualizando entrega ${deliveryId}: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Obtener alertas de stock por usuario
+   * Obtener entregas cuyo próximo intento ya venció
+   * @param {string} status - 'failed' (reintentos) o 'held' (retenidas por horario de silencio)
+   * @param {string|null} userId - Solo las de un usuario (null = todos)
    */
-  async getStockAlerts(userId, filters = {}) {
+  async getDueNotificationDeliveries(status = 'failed', limit = 50, userId = null) {
     try {
-      const { limit = 50, offset = 0, alertType } = filters;
-      
       const result = await supabaseClient.executeQuery(
         async (client) => {
           let query = client
-            .from('stock_alerts')
+            .from('notification_deliveries')
             .select('*')
-            .eq('user_id', userId);
+            .eq('status', status)
+            .lte('next_retry_at', new Date().toISOString());
           
-          if (alertType) {
-            query = query.eq('alert_type', alertType);
+          if (userId) {
+            query = query.eq('user_id', userId);
           }
           
-          query = query
-            .order('created_at', { ascending: false })
-            .range(offset, offset + limit - 1);
-          
-          return await query;
+          return await query
+            .order('next_retry_at', { ascending: true })
+            .limit(limit);
         },
-        'get_stock_alerts'
+        'get_due_notification_deliveries'
       );
       
-      logger.info(`📋 Obtenidas ${result.data?.length || 0} alertas para usuario ${userId}`);
       return result.data || [];
       
     } catch (error) {
-      logger.error(`❌ Error obteniendo alertas de stock: ${error.message}`);
+      logger.error(`❌ Error obteniendo entregas pendientes (${status}): ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Obtener conteo de alertas por tipo
+   * Obtener entregas en dead-letter de un usuario (notificaciones que nunca llegaron)
    */
-  async getAlertsCount(userId) {
+  async getDeadLetterDeliveries(userId, filters = {}) {
     try {
+      const { limit = 50, offset = 0 } = filters;
+      
       const result = await supabaseClient.executeQuery(
         async (client) => {
           return await client
-            .from('stock_alerts')
-            .select('alert_type')
-            .eq('user_id', userId);
+            .from('notification_deliveries')
+            .select('id, alert_id, channel, attempts, last_error, alert_snapshot, created_at, updated_at', { count: 'exact' })
+            .eq('user_id', userId)
+            .eq('status', 'dead_letter')
+            .order('updated_at', { ascending: false })
+            .range(offset, offset + limit - 1);
         },
-        'get_alerts_count'
+        'get_dead_letter_deliveries'
       );
       
-      const alerts = result.data || [];
-      const count = {
-        total: alerts.length,
-        LOW_STOCK: alerts.filter(a => a.alert_type === 'LOW_STOCK').length,
-        STOCK_DECREASE: alerts.filter(a => a.alert_type === 'STOCK_DECREASE').length,
-        STOCK_INCREASE: alerts.filter(a => a.alert_type === 'STOCK_INCREASE').length
+      return {
+        deliveries: result.data || [],
+        total: result.count || 0
       };
       
-      return count;
-      
     } catch (error) {
-      logger.error(`❌ Error obteniendo conteo de alertas: ${error.message}`);
+      logger.error(`❌ Error obteniendo entregas en dead-letter: ${error.message}`);
       throw error;
     }
   }
@@ -1387,14 +3092,21 @@ class DatabaseService {
   /**
    * Obtener todos los productos de un usuario
    */
-  async getAllProducts(userId) {
+  async getAllProducts(userId, filters = {}) {
     try {
       const result = await supabaseClient.executeQuery(
         async (client) => {
-          return await client
+          let query = client
             .from(this.tableName)
             .select('*')
             .eq('user_id', userId);
+          
+          // Solo productos modificados desde una fecha (polling incremental del dashboard)
+          if (filters.updatedSince) {
+            query = query.gte('updated_at', filters.updatedSince);
+          }
+          
+          return await query;
         },
         'get_all_products'
       );
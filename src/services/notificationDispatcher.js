@@ -0,0 +1,659 @@
+/**
+ * Despachador de notificaciones inmediatas
+ * Se ejecuta después de guardar cada alerta y la envía a todos los canales
+ * que el usuario tiene habilitados para ese tipo de alerta, y a los destinatarios
+ * del departamento al que pertenece el producto
+ */
+
+const databaseService = require('./databaseService');
+const notifier = require('../utils/notifier');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { classifyAlert } = require('../utils/alertClassifier');
+const { getQuietWindowEnd } = require('../utils/notificationSchedule');
+const { findProductDepartment } = require('../utils/thresholdResolver');
+
+class NotificationDispatcher {
+  constructor() {
+    // Registro de canales: nombre -> función de envío
+    this.senders = {
+      console: (message) => notifier.sendConsole(message),
+      email: (message, alert, channelSettings) => notifier.sendEmail(
+        message,
+        {
+          id: alert.product_id,
+          title: alert.product_title,
+          seller_sku: alert.seller_sku,
+          available_quantity: alert.new_stock
+        },
+        channelSettings.to || undefined,
+        `${alert.icon} ${alert.title} - ${alert.product_title || alert.product_id}`
+      ),
+      telegram: (message, alert, channelSettings) => notifier.sendTelegram(message, channelSettings.chatId || undefined),
+      webhook: (message, alert, channelSettings) => notifier.sendWebhook(
+        channelSettings.url,
+        this.buildWebhookPayload(alert),
+        channelSettings.secret
+      ),
+      push: (message, alert) => this.sendPushToUser(alert.user_id, this.buildPushPayload(alert, message))
+    };
+
+    // Canales que envían un lote de alertas en un solo mensaje (el resto envía de a una)
+    this.batchSenders = {
+      console: (message) => notifier.sendConsole(message),
+      email: (message, channelSettings, count) => notifier.sendEmailMessage(
+        `🌅 ${count} alertas de stock retenidas durante el horario de silencio`,
+        message,
+        channelSettings.to || undefined
+      ),
+      telegram: (message, channelSettings) => notifier.sendTelegram(message, channelSettings.chatId || undefined),
+      push: (message, channelSettings, count, userId) => this.sendPushToUser(userId, {
+        title: `🌅 ${count} alertas retenidas`,
+        body: 'Alertas de stock acumuladas durante el horario de silencio',
+        url: '/dashboard/alerts',
+        tag: 'held-alerts'
+      })
+    };
+  }
+
+  /**
+   * Nombres de canales soportados
+   */
+  getChannelNames() {
+    return Object.keys(this.senders);
+  }
+
+  /**
+   * Construir mensaje de texto de una alerta clasificada
+   */
+  buildMessage(alert) {
+    const sku = alert.seller_sku ? ` (SKU: ${alert.seller_sku})` : '';
+    return `${alert.icon} ${alert.title}: ${alert.description}${sku}`;
+  }
+
+  /**
+   * Construir payload JSON para el canal webhook a partir de una alerta clasificada
+   */
+  buildWebhookPayload(alert) {
+    return {
+      event: 'stock_alert',
+      alert_id: alert.id || null,
+      alert_type: alert.alert_type,
+      priority: alert.priority,
+      product_id: alert.product_id,
+      seller_sku: alert.seller_sku || null,
+      product_title: alert.product_title || null,
+      previous_stock: alert.previous_stock,
+      new_stock: alert.new_stock,
+      previous_value: alert.previous_value ?? null,
+      new_value: alert.new_value ?? null,
+      escalation_level: alert.escalation_level || 0,
+      rule_id: alert.rule_id || null,
+      rule_name: alert.rule_name || null,
+      created_at: alert.created_at
+    };
+  }
+
+  /**
+   * Construir la notificación push (la muestra el service worker del dashboard)
+   * El tag agrupa en el navegador las notificaciones del mismo producto y tipo
+   */
+  buildPushPayload(alert, message) {
+    return {
+      title: `${alert.icon} ${alert.title}`,
+      body: alert.product_title ? `${alert.product_title}: ${alert.description}` : message,
+      url: '/dashboard/alerts',
+      tag: `${alert.alert_type}-${alert.product_id}`,
+      alertId: alert.id || null,
+      priority: alert.priority
+    };
+  }
+
+  /**
+   * Enviar una notificación push a todos los navegadores suscriptos del usuario
+   * Las suscripciones vencidas (404/410) se eliminan; falla solo si no llegó a ningún navegador
+   */
+  async sendPushToUser(userId, payload) {
+    const subscriptions = await databaseService.getPushSubscriptions(userId);
+    if (subscriptions.length === 0) {
+      logger.info(`🔕 Usuario ${userId} sin navegadores suscriptos - push omitido`);
+      return;
+    }
+
+    const results = await Promise.allSettled(subscriptions.map(subscription => notifier.sendPush(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      payload
+    )));
+
+    const errors = [];
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'fulfilled') {
+        continue;
+      }
+      if ([404, 410].includes(result.reason?.statusCode)) {
+        await databaseService.deletePushSubscription(userId, subscriptions[index].endpoint);
+      } else {
+        errors.push(result.reason);
+      }
+    }
+
+    if (errors.length > 0 && errors.length === results.length) {
+      throw errors[0];
+    }
+  }
+
+  /**
+   * Construir mensaje de un lote de alertas retenidas
+   */
+  buildBatchMessage(alerts) {
+    const lines = alerts.map(alert => `• ${this.buildMessage(classifyAlert(alert))}`);
+    return `🌅 ${alerts.length} alertas retenidas durante el horario de silencio:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Calcular hasta cuándo retener una alerta según el horario del usuario (null = enviar ya)
+   * Las alertas críticas ignoran el silencio si el usuario lo permite
+   */
+  getHoldUntil(schedule, alert) {
+    if (schedule?.criticalOverride && classifyAlert(alert).priority === 'critical') {
+      return null;
+    }
+    return getQuietWindowEnd(schedule);
+  }
+
+  /**
+   * Obtener canales habilitados para un tipo de alerta
+   * @returns {Array<[string, Object, null]>} [canal, configuración, departamento]
+   */
+  getTargetChannels(settings, alertType) {
+    return Object.entries(settings.channels || {})
+      .filter(([channel, channelSettings]) =>
+        this.senders[channel] &&
+        channelSettings?.enabled &&
+        Array.isArray(channelSettings.alertTypes) &&
+        channelSettings.alertTypes.includes(alertType)
+      )
+      .map(([channel, channelSettings]) => [channel, channelSettings, null]);
+  }
+
+  /**
+   * Configuración de canales hacia los destinatarios de un departamento
+   * @returns {Object} { email?: { enabled, to }, telegram?: { enabled, chatId } }
+   */
+  getDepartmentChannels(department) {
+    const recipients = department?.recipients || {};
+    const channels = {};
+
+    if (recipients.email) {
+      channels.email = { enabled: true, alertTypes: recipients.alertTypes || [], to: recipients.email };
+    }
+    if (recipients.telegramChatId) {
+      channels.telegram = { enabled: true, alertTypes: recipients.alertTypes || [], chatId: recipients.telegramChatId };
+    }
+
+    return channels;
+  }
+
+  /**
+   * Destinatarios del departamento para un tipo de alerta
+   * @returns {Array<[string, Object, string]>} [canal, configuración, id de departamento]
+   */
+  getDepartmentTargets(department, alertType) {
+    if (!department) {
+      return [];
+    }
+
+    return Object.entries(this.getDepartmentChannels(department))
+      .filter(([, channelSettings]) => channelSettings.alertTypes.includes(alertType))
+      .map(([channel, channelSettings]) => [channel, channelSettings, department.id]);
+  }
+
+  /**
+   * Canales de escalamiento: los destinatarios de escalamiento si hay alguno,
+   * si no los canales del usuario que reciben LOW_STOCK
+   * @returns {Object} { canal: configuración }
+   */
+  getEscalationChannels(settings) {
+    const escalation = settings.escalation || {};
+    const channels = {};
+
+    if (escalation.email) {
+      channels.email = { enabled: true, alertTypes: ['LOW_STOCK'], to: escalation.email };
+    }
+    if (escalation.telegramChatId) {
+      channels.telegram = { enabled: true, alertTypes: ['LOW_STOCK'], chatId: escalation.telegramChatId };
+    }
+
+    if (Object.keys(channels).length > 0) {
+      return channels;
+    }
+
+    return Object.fromEntries(
+      this.getTargetChannels(settings, 'LOW_STOCK').map(([channel, channelSettings]) => [channel, channelSettings])
+    );
+  }
+
+  /**
+   * Configuración vigente del canal de una entrega registrada (null = ya no debe enviarse)
+   */
+  getDeliveryChannelSettings(delivery, settings, departments) {
+    if (!delivery.department_id && delivery.alert_snapshot?.escalation_level > 0) {
+      return settings.escalation?.enabled ? this.getEscalationChannels(settings)[delivery.channel] || null : null;
+    }
+
+    if (!delivery.department_id) {
+      const channelSettings = settings.channels?.[delivery.channel];
+      return channelSettings?.enabled ? channelSettings : null;
+    }
+
+    const department = departments.find(dept => dept.id === delivery.department_id);
+    return this.getDepartmentChannels(department)[delivery.channel] || null;
+  }
+
+  /**
+   * Enviar una alerta por un canal concreto (lanza error si falla)
+   */
+  async sendToChannel(alert, channel, channelSettings) {
+    if (!notifier.isChannelAvailable(channel)) {
+      throw new Error(`Canal ${channel} no configurado en el servidor`);
+    }
+
+    const classifiedAlert = classifyAlert(alert);
+    await this.senders[channel](this.buildMessage(classifiedAlert), classifiedAlert, channelSettings);
+  }
+
+  /**
+   * Calcular próximo reintento con backoff exponencial
+   */
+  getNextRetryAt(attempts) {
+    const delay = config.notification.delivery.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+    return new Date(Date.now() + delay).toISOString();
+  }
+
+  /**
+   * Estado de una entrega fallida según los intentos realizados
+   */
+  getFailureUpdate(attempts, error) {
+    const deadLetter = attempts >= config.notification.delivery.maxAttempts;
+
+    return {
+      status: deadLetter ? 'dead_letter' : 'failed',
+      attempts,
+      last_error: error.message.substring(0, 1000),
+      next_retry_at: deadLetter ? null : this.getNextRetryAt(attempts)
+    };
+  }
+
+  /**
+   * Primer intento de entrega por un canal, registrado en notification_deliveries
+   */
+  async deliver(alert, channel, channelSettings, departmentId = null) {
+    let delivery;
+    let success = true;
+    let sendError = null;
+
+    try {
+      await this.sendToChannel(alert, channel, channelSettings);
+      delivery = { status: 'sent', attempts: 1, sent_at: new Date().toISOString() };
+      logger.info(`📨 Alerta ${alert.id || ''} enviada por ${channel}`);
+    } catch (error) {
+      success = false;
+      sendError = error.message;
+      delivery = this.getFailureUpdate(1, error);
+      logger.error(`❌ Error enviando alerta ${alert.id || ''} por ${channel}: ${error.message}`);
+    }
+
+    try {
+      await databaseService.saveNotificationDelivery({
+        alert_id: alert.id || null,
+        user_id: alert.user_id,
+        channel,
+        department_id: departmentId,
+        alert_snapshot: alert,
+        ...delivery
+      });
+    } catch (error) {
+      logger.error(`❌ No se pudo registrar la entrega por ${channel}: ${error.message}`);
+    }
+
+    return { channel, success, error: sendError };
+  }
+
+  /**
+   * Verificar si el producto/tipo de la alerta ya se notificó dentro del cooldown
+   * (solo alertas sin id; las guardadas usan claimAlertNotification)
+   */
+  async isInCooldown(alert, cooldownHours) {
+    if (!cooldownHours || cooldownHours <= 0) {
+      return false;
+    }
+
+    const lastNotifiedAt = await databaseService.getLastAlertNotification(alert.user_id, alert.product_id, alert.alert_type, alert.rule_id || null);
+    if (!lastNotifiedAt) {
+      return false;
+    }
+
+    return Date.now() - new Date(lastNotifiedAt).getTime() < cooldownHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Retener una alerta por horario de silencio (se libera en lote desde el mantenimiento)
+   */
+  async hold(alert, channel, holdUntil, departmentId = null) {
+    try {
+      await databaseService.saveNotificationDelivery({
+        alert_id: alert.id || null,
+        user_id: alert.user_id,
+        channel,
+        department_id: departmentId,
+        alert_snapshot: alert,
+        status: 'held',
+        attempts: 0,
+        next_retry_at: holdUntil.toISOString()
+      });
+      return { channel, success: true, held: true, error: null };
+    } catch (error) {
+      logger.error(`❌ No se pudo retener la alerta por ${channel}: ${error.message}`);
+      return { channel, success: false, held: true, error: error.message };
+    }
+  }
+
+  /**
+   * Enviar una alerta guardada a todos los canales habilitados del usuario
+   * y a los destinatarios del departamento del producto (según su category_id)
+   * Nunca lanza errores: un canal que falla no bloquea al resto ni al procesamiento del webhook
+   * @param {Object} options - { categoryId }
+   * @returns {Promise<Array>} Resultado por canal
+   */
+  async dispatchAlert(alert, options = {}) {
+    try {
+      const settings = await databaseService.getUserAlertSettings(alert.user_id);
+      const targets = this.getTargetChannels(settings, alert.alert_type);
+
+      if (options.categoryId) {
+        const departments = await databaseService.getUserDepartments(alert.user_id);
+        const department = findProductDepartment({ category_id: options.categoryId }, departments);
+        const departmentTargets = this.getDepartmentTargets(department, alert.alert_type);
+
+        if (departmentTargets.length > 0) {
+          logger.info(`📁 ${alert.alert_type} de ${alert.product_id} ruteada al departamento ${department.name}`);
+          targets.push(...departmentTargets);
+        }
+      }
+
+      if (targets.length === 0) {
+        logger.info(`🔕 Sin canales habilitados para ${alert.alert_type} (usuario ${alert.user_id})`);
+        return [];
+      }
+
+      // Cooldown: con id se comprueba y se marca en una sola operación atómica en BD
+      const inCooldown = alert.id
+        ? !(await databaseService.claimAlertNotification(alert.id, settings.cooldownHours))
+        : await this.isInCooldown(alert, settings.cooldownHours);
+      if (inCooldown) {
+        logger.info(`⏳ ${alert.alert_type} de ${alert.product_id} en cooldown (${settings.cooldownHours}h) - no se notifica`);
+        return [];
+      }
+
+      // Horario de silencio: retener alertas no críticas hasta que termine la ventana
+      const holdUntil = this.getHoldUntil(settings.schedule, alert);
+      if (holdUntil) {
+        logger.info(`🌙 ${alert.alert_type} de ${alert.product_id} retenida hasta ${holdUntil.toISOString()} (horario de silencio)`);
+      }
+
+      const results = await Promise.all(
+        targets.map(([channel, channelSettings, departmentId]) => holdUntil
+          ? this.hold(alert, channel, holdUntil, departmentId)
+          : this.deliver(alert, channel, channelSettings, departmentId))
+      );
+
+      return results;
+
+    } catch (error) {
+      logger.error(`❌ Error despachando notificaciones de alerta ${alert.id || ''}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Notificar un nuevo nivel de escalamiento de una alerta LOW_STOCK sin resolver
+   * No aplica cooldown (el intervalo lo define la política de escalamiento); respeta el horario de silencio
+   * Nunca lanza errores
+   * @param {Object} alert - Alerta con escalation_level ya actualizado
+   * @returns {Promise<Array>} Resultado por canal
+   */
+  async dispatchEscalation(alert, settings) {
+    try {
+      const targets = Object.entries(this.getEscalationChannels(settings))
+        .filter(([channel]) => this.senders[channel]);
+
+      if (targets.length === 0) {
+        logger.info(`🔕 Sin canales de escalamiento para ${alert.product_id} (usuario ${alert.user_id})`);
+        return [];
+      }
+
+      const holdUntil = this.getHoldUntil(settings.schedule, alert);
+      if (holdUntil) {
+        logger.info(`🌙 Escalamiento de ${alert.product_id} retenido hasta ${holdUntil.toISOString()} (horario de silencio)`);
+      }
+
+      return await Promise.all(
+        targets.map(([channel, channelSettings]) => holdUntil
+          ? this.hold(alert, channel, holdUntil)
+          : this.deliver(alert, channel, channelSettings))
+      );
+
+    } catch (error) {
+      logger.error(`❌ Error despachando escalamiento de alerta ${alert.id || ''}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Configuración, departamentos y productos pospuestos de un usuario (cacheados durante una pasada de mantenimiento)
+   */
+  async getUserDeliveryContext(userId, cache) {
+    if (!cache.has(userId)) {
+      const [settings, departments, snoozes] = await Promise.all([
+        databaseService.getUserAlertSettings(userId),
+        databaseService.getUserDepartments(userId),
+        databaseService.getActiveProductSnoozes(userId)
+      ]);
+      cache.set(userId, { settings, departments, snoozedProductIds: new Set(snoozes.map(snooze => snooze.product_id)) });
+    }
+    return cache.get(userId);
+  }
+
+  /**
+   * Cancelar entregas pendientes de productos que el usuario pospuso después de generarse la alerta
+   */
+  async cancelDeliveries(deliveries) {
+    for (const delivery of deliveries) {
+      await databaseService.updateNotificationDelivery(delivery.id, { status: 'cancelled', next_retry_at: null });
+    }
+  }
+
+  /**
+   * Reintentar entregas fallidas con el próximo reintento vencido
+   * Se ejecuta desde el mantenimiento periódico (databaseService.runMaintenance)
+   */
+  async retryFailedDeliveries(limit = 50) {
+    const stats = { retried: 0, sent: 0, failed: 0, deadLettered: 0, cancelled: 0 };
+    const dueDeliveries = await databaseService.getDueNotificationDeliveries('failed', limit);
+
+    if (dueDeliveries.length === 0) {
+      return stats;
+    }
+
+    logger.info(`🔁 Reintentando ${dueDeliveries.length} entregas de notificaciones...`);
+    const contextByUser = new Map();
+
+    for (const delivery of dueDeliveries) {
+      stats.retried++;
+
+      try {
+        const { settings, departments, snoozedProductIds } = await this.getUserDeliveryContext(delivery.user_id, contextByUser);
+        const channelSettings = this.getDeliveryChannelSettings(delivery, settings, departments);
+
+        // El usuario deshabilitó el canal (o quitó el destinatario del departamento) o pospuso el producto
+        // desde el fallo: no seguir reintentando
+        if (!channelSettings || snoozedProductIds.has(delivery.alert_snapshot?.product_id)) {
+          await this.cancelDeliveries([delivery]);
+          stats.cancelled++;
+          continue;
+        }
+
+        const attempts = (delivery.attempts || 0) + 1;
+
+        try {
+          await this.sendToChannel(delivery.alert_snapshot, delivery.channel, channelSettings);
+          await databaseService.updateNotificationDelivery(delivery.id, {
+            status: 'sent',
+            attempts,
+            last_error: null,
+            next_retry_at: null,
+            sent_at: new Date().toISOString()
+          });
+          stats.sent++;
+        } catch (error) {
+          const update = this.getFailureUpdate(attempts, error);
+          await databaseService.updateNotificationDelivery(delivery.id, update);
+
+          if (update.status === 'dead_letter') {
+            stats.deadLettered++;
+            logger.error(`☠️ Entrega ${delivery.id} por ${delivery.channel} enviada a dead-letter tras ${attempts} intentos: ${error.message}`);
+          } else {
+            stats.failed++;
+          }
+        }
+
+      } catch (error) {
+        logger.error(`❌ Error reintentando entrega ${delivery.id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`🔁 Reintentos completados: ${stats.sent} enviadas, ${stats.failed} fallidas, ${stats.deadLettered} dead-letter, ${stats.cancelled} canceladas`);
+    return stats;
+  }
+
+  /**
+   * Liberar en lote las alertas retenidas cuyo horario de silencio terminó
+   * Se ejecuta desde el mantenimiento periódico (databaseService.runMaintenance, todos los usuarios)
+   * y en cada verificación de stock del monitor (solo el usuario que monitorea)
+   * @param {number} limit - Máximo de entregas por ejecución
+   * @param {string|null} userId - Solo las de un usuario (null = todos)
+   */
+  async releaseHeldDeliveries(limit = 200, userId = null) {
+    const stats = { released: 0, sent: 0, failed: 0, stillQuiet: 0, cancelled: 0 };
+    const dueDeliveries = await databaseService.getDueNotificationDeliveries('held', limit, userId);
+
+    if (dueDeliveries.length === 0) {
+      return stats;
+    }
+
+    // Agrupar por usuario, canal, departamento y escalamiento: un mensaje por lote y destinatario
+    const groups = new Map();
+    dueDeliveries.forEach(delivery => {
+      const escalated = delivery.alert_snapshot?.escalation_level > 0 ? 'escalation' : '';
+      const key = `${delivery.user_id}:${delivery.channel}:${delivery.department_id || ''}:${escalated}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(delivery);
+    });
+
+    const contextByUser = new Map();
+
+    for (const groupDeliveries of groups.values()) {
+      const { user_id: userId, channel } = groupDeliveries[0];
+
+      try {
+        const { settings, departments, snoozedProductIds } = await this.getUserDeliveryContext(userId, contextByUser);
+        const channelSettings = this.getDeliveryChannelSettings(groupDeliveries[0], settings, departments);
+
+        if (!channelSettings) {
+          await this.cancelDeliveries(groupDeliveries);
+          stats.cancelled += groupDeliveries.length;
+          continue;
+        }
+
+        // Productos pospuestos durante el silencio: sus alertas retenidas ya no se envían
+        const snoozedDeliveries = groupDeliveries.filter(delivery => snoozedProductIds.has(delivery.alert_snapshot?.product_id));
+        if (snoozedDeliveries.length > 0) {
+          await this.cancelDeliveries(snoozedDeliveries);
+          stats.cancelled += snoozedDeliveries.length;
+        }
+        const deliveries = groupDeliveries.filter(delivery => !snoozedDeliveries.includes(delivery));
+        if (deliveries.length === 0) {
+          continue;
+        }
+
+        // El usuario pudo haber cambiado su horario: seguir reteniendo si corresponde
+        const holdUntil = getQuietWindowEnd(settings.schedule);
+        if (holdUntil) {
+          for (const delivery of deliveries) {
+            await databaseService.updateNotificationDelivery(delivery.id, { next_retry_at: holdUntil.toISOString() });
+          }
+          stats.stillQuiet += deliveries.length;
+          continue;
+        }
+
+        stats.released += deliveries.length;
+        const batchSender = this.batchSenders[channel];
+
+        if (batchSender && deliveries.length > 1) {
+          try {
+            if (!notifier.isChannelAvailable(channel)) {
+              throw new Error(`Canal ${channel} no configurado en el servidor`);
+            }
+            await batchSender(this.buildBatchMessage(deliveries.map(d => d.alert_snapshot)), channelSettings, deliveries.length, userId);
+            for (const delivery of deliveries) {
+              await databaseService.updateNotificationDelivery(delivery.id, {
+                status: 'sent',
+                attempts: 1,
+                next_retry_at: null,
+                sent_at: new Date().toISOString()
+              });
+            }
+            stats.sent += deliveries.length;
+          } catch (error) {
+            logger.error(`❌ Error enviando lote retenido por ${channel} a usuario ${userId}: ${error.message}`);
+            for (const delivery of deliveries) {
+              await databaseService.updateNotificationDelivery(delivery.id, this.getFailureUpdate(1, error));
+            }
+            stats.failed += deliveries.length;
+          }
+          continue;
+        }
+
+        // Canales sin envío en lote (p. ej. webhook): una entrega por alerta
+        for (const delivery of deliveries) {
+          try {
+            await this.sendToChannel(delivery.alert_snapshot, channel, channelSettings);
+            await databaseService.updateNotificationDelivery(delivery.id, {
+              status: 'sent',
+              attempts: 1,
+              next_retry_at: null,
+              sent_at: new Date().toISOString()
+            });
+            stats.sent++;
+          } catch (error) {
+            await databaseService.updateNotificationDelivery(delivery.id, this.getFailureUpdate(1, error));
+            stats.failed++;
+          }
+        }
+
+      } catch (error) {
+        logger.error(`❌ Error liberando alertas retenidas de usuario ${userId} por ${channel}: ${error.message}`);
+      }
+    }
+
+    logger.info(`🌅 Alertas retenidas liberadas: ${stats.sent} enviadas, ${stats.failed} fallidas, ${stats.stillQuiet} siguen en silencio, ${stats.cancelled} canceladas`);
+    return stats;
+  }
+}
+
+// Exportar instancia singleton
+const notificationDispatcher = new NotificationDispatcher();
+
+module.exports = notificationDispatcher;
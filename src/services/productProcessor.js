@@ -4,6 +4,8 @@
  * Optimizado para reducir egress de Supabase
  */
 
+const { buildStockSnapshot } = require('../utils/stockHistory');
+
 /**
  * Función auxiliar: Extraer información de fulfillment
  * Basada en documentación oficial de MercadoLibre
@@ -197,6 +199,7 @@ function mapProductForDB(productData, userId) {
     price: productData.price,
     status: productData.status,
     permalink: productData.permalink,
+    thumbnail: productData.thumbnail,
     category_id: productData.category_id,
     condition: productData.condition,
     listing_type_id: productData.listing_type_id,
@@ -306,6 +309,9 @@ async function processProductsBatch(productIds, userId, dependencies) {
       logger.info(`✅ PROCESS STEP 4B RESULT: Actualizados ${result.updatedProducts.length} productos con cambios`);
     }
     
+    // STEP 5: Historial de stock (productos nuevos y cambios de stock, precio o estado)
+    const snapshotsRecorded = await recordStockSnapshots(result, dbProducts, userId, dependencies);
+    
     const processingTime = Date.now() - startTime;
     logger.info(`📊 PROCESS RESUMEN: ${result.newProducts.length} nuevos, ${result.updatedProducts.length} actualizados, ${result.unchangedCount} sin cambios (${processingTime}ms)`);
     
@@ -318,7 +324,8 @@ async function processProductsBatch(productIds, userId, dependencies) {
         newProducts: result.newProducts.length,
         updatedProducts: result.updatedProducts.length,
         unchangedProducts: result.unchangedCount,
-        saved: totalSaved
+        saved: totalSaved,
+        snapshotsRecorded
       },
       processingTime
     };
@@ -337,6 +344,33 @@ async function processProductsBatch(productIds, userId, dependencies) {
   }
 }
 
+/**
+ * Función interna: Guardar en stock_snapshots los productos nuevos y los que cambiaron
+ * Un error al guardar el historial no corta la sincronización
+ */
+async function recordStockSnapshots(result, dbProducts, userId, dependencies) {
+  const { databaseService, logger } = dependencies;
+  const dbProductsMap = new Map(dbProducts.map(p => [p.id, p]));
+  const recordedAt = new Date().toISOString();
+  
+  const snapshots = [...result.newProducts, ...result.updatedProducts]
+    .map(product => buildStockSnapshot(userId, dbProductsMap.get(product.id) || null, product, 'sync', recordedAt))
+    .filter(Boolean);
+  
+  if (snapshots.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await databaseService.saveStockSnapshots(snapshots);
+    logger.info(`📈 PROCESS STEP 5: ${snapshots.length} cambios registrados en el historial de stock`);
+    return snapshots.length;
+  } catch (error) {
+    logger.warn(`⚠️ PROCESS STEP 5: No se pudo guardar el historial de stock: ${error.message}`);
+    return 0;
+  }
+}
+
 /**
  * Función para limpiar productos que ya no existen en ML API
  * Se ejecuta cuando el scan está completo
@@ -386,5 +420,7 @@ async function cleanupDeletedProducts(allCurrentMLIds, userId, dependencies) {
 
 module.exports = {
   processProductsBatch,
-  cleanupDeletedProducts
+  cleanupDeletedProducts,
+  extractManufacturingTime,
+  extractFulfillmentInfo
 };
\ No newline at end of file
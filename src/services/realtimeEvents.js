@@ -0,0 +1,70 @@
+/**
+ * Bus de eventos en memoria para actualizaciones en tiempo real del dashboard (SSE en /api/events)
+ * Tipos: 'alert' (nueva o colapsada), 'product' (cambio de stock/estado) y 'monitor' (estado del monitoreo)
+ *
+ * Solo funciona en un proceso persistente (servidor local / Node): en serverless cada invocación
+ * es un proceso distinto y las conexiones largas se cortan, así que el cliente pasa a polling
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const EVENT_NAME = 'realtime';
+
+class RealtimeEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Una conexión SSE = un listener; no hay límite razonable que avisar
+    this.emitter.setMaxListeners(0);
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Indicar si el runtime permite conexiones largas (false en Vercel)
+   */
+  isSupported() {
+    return !process.env.VERCEL;
+  }
+
+  /**
+   * Publicar un evento para un usuario (userId null = todos los conectados)
+   * Nunca lanza: un error de tiempo real no debe cortar el procesamiento del webhook
+   */
+  publish(userId, type, data) {
+    try {
+      if (this.emitter.listenerCount(EVENT_NAME) === 0) {
+        return;
+      }
+
+      this.emitter.emit(EVENT_NAME, {
+        id: ++this.lastEventId,
+        userId,
+        type,
+        data
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Error publicando evento en tiempo real ${type}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Suscribirse a los eventos de un usuario
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(userId, listener) {
+    const handler = (event) => {
+      if (event.userId === null || event.userId === userId) {
+        listener(event);
+      }
+    };
+
+    this.emitter.on(EVENT_NAME, handler);
+    return () => this.emitter.off(EVENT_NAME, handler);
+  }
+
+  getSubscriberCount() {
+    return this.emitter.listenerCount(EVENT_NAME);
+  }
+}
+
+module.exports = new RealtimeEvents();
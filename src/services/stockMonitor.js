@@ -5,10 +5,19 @@
 
 const products = require('../api/ml-api-products-service');
 const Product = require('../models/product');
-const notifier = require('../utils/notifier');
 const logger = require('../utils/logger');
 const config = require('../../config/config');
 const databaseService = require('./databaseService');
+const notificationDispatcher = require('./notificationDispatcher');
+const alertEscalation = require('./alertEscalation');
+const realtimeEvents = require('./realtimeEvents');
+const { extractManufacturingTime, extractFulfillmentInfo } = require('./productProcessor');
+const { classifyAlert } = require('../utils/alertClassifier');
+const { resolveThreshold } = require('../utils/thresholdResolver');
+const { isSnoozeActive } = require('../utils/alertSnooze');
+const { getTriggeredRules } = require('../utils/alertRules');
+const { buildStockSnapshot } = require('../utils/stockHistory');
+const { COVER_REFERENCE_WINDOW, computeSalesVelocity, getLowCoverCrossing } = require('../utils/salesVelocity');
 
 class StockMonitor {
   constructor() {
@@ -21,6 +30,7 @@ class StockMonitor {
     
     // Cache temporal para sesión actual (se reconstruye desde BD)
     this.sessionCache = {
+      userId: null,
       lowStockProducts: [],
       totalProducts: 0,
       lastScanInfo: null
@@ -219,6 +229,7 @@ class StockMonitor {
           price: productData.price,
           status: productData.status,
           permalink: productData.permalink,
+          thumbnail: productData.thumbnail,
           category_id: productData.category_id,
           condition: productData.condition,
           listing_type_id: productData.listing_type_id,
@@ -308,6 +319,7 @@ class StockMonitor {
                 currency_id: productData.currency_id,
                 status: productData.status,
                 permalink: productData.permalink,
+                thumbnail: productData.thumbnail,
                 category_id: productData.category_id,
                 condition: productData.condition,
                 listing_type_id: productData.listing_type_id,
@@ -389,18 +401,21 @@ class StockMonitor {
    */
   async updateSessionCache(userId) {
     try {
-      // Obtener productos con stock bajo
-      const lowStockProducts = await databaseService.getLowStockProducts(userId, this.stockThreshold);
+      // Obtener productos con stock bajo según el umbral efectivo de cada producto
+      const lowStockProducts = await databaseService.getLowStockProducts(userId);
       
       // Obtener total de productos (todos los estados)
       const allProducts = await databaseService.getProducts(userId, {});
       
       this.sessionCache = {
+        // Usuario dueño de estos datos: el estado solo se publica a ese usuario
+        userId,
         lowStockProducts: lowStockProducts.map(p => ({
           id: p.id,
           title: p.title,
           seller_sku: p.seller_sku,
           stock: p.available_quantity,
+          threshold: p.low_stock_threshold,
           status: p.status,
           permalink: p.permalink,
           productUrl: this.generateProductUrl(p.id),
@@ -472,6 +487,7 @@ class StockMonitor {
       
       this.lastCheckTime = new Date();
       this.scheduleNextCheck();
+      this.publishMonitorStatus(userId);
       
       logger.info(`✅ Monitoreo iniciado: ${this.sessionCache.totalProducts} productos, ${this.sessionCache.lowStockProducts.length} con stock bajo`);
       
@@ -530,14 +546,23 @@ class StockMonitor {
       }
       
       this.lastCheckTime = new Date();
+      this.publishMonitorStatus(userId);
       
-      // Enviar notificaciones para productos con stock bajo
-      for (const product of this.sessionCache.lowStockProducts) {
-        try {
-          await notifier.sendLowStockAlert(product);
-        } catch (notifyError) {
-          logger.error(`❌ Error enviando notificación para ${product.id}: ${notifyError.message}`);
-        }
+      // Las notificaciones salen al guardar cada alerta (notificationDispatcher, con canales, cooldown,
+      // silencio y snooze del usuario); la verificación no vuelve a notificar el stock bajo
+      
+      // Escalar alertas LOW_STOCK que siguen sin resolver (un error no frena la verificación)
+      try {
+        await alertEscalation.evaluateEscalations({ userId });
+      } catch (escalationError) {
+        logger.error(`❌ Error evaluando escalamientos: ${escalationError.message}`);
+      }
+      
+      // Liberar las alertas retenidas apenas termina el horario de silencio (sin esperar al mantenimiento)
+      try {
+        await notificationDispatcher.releaseHeldDeliveries(200, userId);
+      } catch (releaseError) {
+        logger.error(`❌ Error liberando alertas retenidas: ${releaseError.message}`);
       }
       
       const result = {
@@ -559,6 +584,16 @@ class StockMonitor {
     }
   }
 
+  /**
+   * Estado del monitoreo solo si pertenece al usuario indicado (null = el monitor es de otro usuario)
+   */
+  getStatusForUser(userId) {
+    if (!userId || this.sessionCache.userId !== userId) {
+      return null;
+    }
+    return this.getStatus();
+  }
+
   /**
    * Obtener estado actual del monitoreo
    */
@@ -613,6 +648,19 @@ class StockMonitor {
     }
     
     logger.info('⏹️ Monitoreo detenido');
+    this.publishMonitorStatus(this.sessionCache.userId);
+  }
+
+  /**
+   * Avisar al dashboard del usuario el estado de su monitoreo (SSE)
+   * Sin usuario no se publica: los contadores son de un usuario y no se difunden a todos los conectados
+   */
+  publishMonitorStatus(userId) {
+    if (!userId) {
+      return;
+    }
+    const { active, totalProducts, lowStockCount, lastCheckTime } = this.getStatus();
+    realtimeEvents.publish(userId, 'monitor', { active, totalProducts, lowStockCount, lastCheckTime });
   }
 
   /**
@@ -680,8 +728,12 @@ class StockMonitor {
           if (previousData) {
             logger.info(`🗑️ Producto ${productId} eliminado de ML - era "${previousData.title}"`);
             
-            // TODO: Podríamos generar una alerta especial de "PRODUCT_DELETED" aquí
-            // Por ahora, simplemente marcamos el producto como inactivo en BD
+            // Alertar solo la primera vez (webhooks repetidos de un producto ya eliminado no alertan)
+            if (previousData.status !== 'deleted') {
+              await this.generateDeletedAlert(userId, productId, previousData, webhookId);
+            }
+            
+            // Marcar el producto como eliminado en BD
             const deletedProduct = {
               id: productId,
               user_id: userId,
@@ -691,6 +743,7 @@ class StockMonitor {
               price: previousData.price,
               status: 'deleted',
               permalink: previousData.permalink,
+              thumbnail: previousData.thumbnail,
               category_id: previousData.category_id,
               condition: previousData.condition,
               listing_type_id: previousData.listing_type_id,
@@ -701,6 +754,8 @@ class StockMonitor {
             
             await databaseService.upsertProduct(deletedProduct);
             logger.info(`✅ Producto ${productId} marcado como eliminado en BD`);
+            await this.recordStockSnapshot(userId, previousData, deletedProduct, 'webhook');
+            realtimeEvents.publish(userId, 'product', deletedProduct);
             
             return deletedProduct;
           }
@@ -724,6 +779,7 @@ class StockMonitor {
       
       // Extraer SKU usando el método mejorado
       const extractedSKU = products.extractSKUFromProduct(productData);
+      const handlingTime = extractManufacturingTime(productData);
       
       logger.info(`📦 DATOS RECIBIDOS DE ML API:`);
       logger.info(`   • ID: ${productData.id}`);
@@ -760,6 +816,12 @@ class StockMonitor {
           logger.info(`📋 CAMBIO DE ESTADO DETECTADO: ${previousData.status} → ${productData.status}`);
         }
         
+        // Comparar tiempo de disponibilidad (manufacturing time)
+        if ((previousData.estimated_handling_time ?? null) !== handlingTime) {
+          changes.push(`Disponibilidad: ${previousData.estimated_handling_time ?? '-'}h → ${handlingTime ?? '-'}h`);
+          logger.info(`⏱️ CAMBIO DE DISPONIBILIDAD DETECTADO: ${previousData.estimated_handling_time ?? '-'}h → ${handlingTime ?? '-'}h`);
+        }
+        
         if (changes.length > 0) {
           logger.info(`🔄 CAMBIOS DETECTADOS en ${productId}:`);
           changes.forEach(change => logger.info(`   • ${change}`));
@@ -767,8 +829,16 @@ class StockMonitor {
           // 3.1. Generar alertas de cambio de stock
           logger.info(`🚨 STEP 3.1: Generando alertas de stock...`);
           // Pasar datos con SKU extraído
-          const productDataWithSKU = { ...productData, seller_sku: extractedSKU };
+          const { is_fulfillment, logistic_type } = extractFulfillmentInfo(productData);
+          const productDataWithSKU = {
+            ...productData,
+            seller_sku: extractedSKU,
+            estimated_handling_time: handlingTime,
+            is_fulfillment,
+            logistic_type
+          };
           await this.generateStockAlerts(userId, productId, previousData, productDataWithSKU, webhookId);
+          await this.generateChangeAlerts(userId, productId, previousData, productDataWithSKU, webhookId);
           logger.info(`✅ ALERTAS DE STOCK PROCESADAS`);
         } else {
           logger.info(`📊 STEP 3: Sin cambios detectados en ${productId} (webhook duplicado o interno)`);
@@ -787,10 +857,12 @@ class StockMonitor {
         price: productData.price,
         status: productData.status,
         permalink: productData.permalink,
+        thumbnail: productData.thumbnail,
         category_id: productData.category_id,
         condition: productData.condition,
         listing_type_id: productData.listing_type_id,
         health: productData.health,
+        estimated_handling_time: handlingTime,
         last_webhook_sync: new Date().toISOString(),
         webhook_source: 'ml_webhook'
       };
@@ -800,6 +872,8 @@ class StockMonitor {
       logger.info(`   • Datos a guardar: ${JSON.stringify(productToUpdate, null, 2)}`);
       await databaseService.upsertProduct(productToUpdate);
       logger.info(`✅ STEP 4: Producto ${productId} guardado en BD exitosamente`);
+      await this.recordStockSnapshot(userId, previousData, productToUpdate, 'webhook');
+      realtimeEvents.publish(userId, 'product', productToUpdate);
       
       // 6. Actualizar cache si es necesario
       if (this.monitoringActive) {
@@ -826,6 +900,22 @@ class StockMonitor {
     }
   }
 
+  /**
+   * Registrar en stock_snapshots el cambio de stock, precio o estado de un producto
+   * Un error al guardar el historial no interrumpe el procesamiento del webhook
+   */
+  async recordStockSnapshot(userId, previousData, currentData, source) {
+    try {
+      const snapshot = buildStockSnapshot(userId, previousData || null, currentData, source);
+      if (snapshot) {
+        await databaseService.saveStockSnapshots([snapshot]);
+        logger.info(`📈 Historial de stock: ${currentData.id} → ${snapshot.available_quantity} u. (${source})`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo guardar el historial de stock de ${currentData.id}: ${error.message}`);
+    }
+  }
+
   /**
    * Generar alertas basadas en cambios de stock detectados
    */
@@ -835,11 +925,24 @@ class StockMonitor {
       
       const previousStock = previousData?.available_quantity || 0;
       const currentStock = currentData?.available_quantity || 0;
+      const alertSettings = await databaseService.getUserAlertSettings(userId);
+      const thresholdContext = await databaseService.getThresholdContext(userId);
+      const { threshold: stockThreshold, source: thresholdSource } = resolveThreshold(
+        { id: productId, seller_sku: currentData?.seller_sku, category_id: currentData?.category_id },
+        thresholdContext
+      );
       
       logger.info(`📊 STOCK COMPARISON:`);
       logger.info(`   • Stock anterior: ${previousStock}`);
       logger.info(`   • Stock actual: ${currentStock}`);
-      logger.info(`   • Umbral configurado: ${this.stockThreshold}`);
+      logger.info(`   • Umbral configurado: ${stockThreshold} (${thresholdSource})`);
+      
+      // Reglas del usuario: se evalúan con cualquier cambio del producto, no solo de stock
+      await this.generateRuleAlerts(userId, productId, previousData, currentData, {
+        alertSettings,
+        departments: thresholdContext.departments,
+        webhookId
+      });
       
       // Solo procesar si hay cambio de stock
       if (previousStock === currentStock) {
@@ -852,9 +955,9 @@ class StockMonitor {
       // Determinar tipo de alerta
       if (currentStock < previousStock) {
         // Stock disminuyó
-        if (currentStock <= this.stockThreshold) {
+        if (currentStock <= stockThreshold) {
           alertType = 'LOW_STOCK'; // Stock bajo (crítico)
-          logger.info(`🚨 ALERTA CRÍTICA: Stock bajo detectado (${currentStock} <= ${this.stockThreshold})`);
+          logger.info(`🚨 ALERTA CRÍTICA: Stock bajo detectado (${currentStock} <= ${stockThreshold})`);
         } else {
           alertType = 'STOCK_DECREASE'; // Solo disminución
           logger.info(`📉 ALERTA: Disminución de stock detectada (${previousStock} → ${currentStock})`);
@@ -887,25 +990,19 @@ class StockMonitor {
         logger.info(`   • SKU: ${currentData.seller_sku || 'Sin SKU'}`);
         logger.info(`   • Webhook ID: ${webhookId || 'Sin webhook ID'}`);
         
-        // Guardar en base de datos
-        const savedAlert = await databaseService.saveStockAlert(alert);
-        
-        // Log de la alerta generada
-        const alertEmoji = alertType === 'LOW_STOCK' ? '🚨' : 
-                          alertType === 'STOCK_DECREASE' ? '📉' : '📈';
-        
-        logger.info(`${alertEmoji} ALERTA GENERADA Y GUARDADA: ${alertType} - ${productId}`);
-        logger.info(`   • ID de alerta: ${savedAlert?.id || 'No disponible'}`);
-        logger.info(`   • Stock: ${previousStock} → ${currentStock}`);
-        logger.info(`   • Producto: ${currentData.title?.substring(0, 50) || 'Sin título'}`);
-        logger.info(`   • Timestamp: ${alert.created_at}`);
-        
-        // TODO: Aquí se podrían agregar notificaciones inmediatas (email, telegram, etc.)
-        // await this.sendImmediateNotification(alert);
+        await this.saveAlert(alert, alertSettings, currentData?.category_id);
       } else {
         logger.info(`❌ No se determinó tipo de alerta válido`);
       }
       
+      // Cobertura: con LOW_STOCK ya hay una alerta crítica para el mismo cambio
+      if (alertType === 'STOCK_DECREASE') {
+        await this.generateCoverageAlert(userId, productId, previousStock, currentStock, currentData, {
+          alertSettings,
+          webhookId
+        });
+      }
+      
       logger.info(`🚨 GENERATE ALERTS END: ${productId}`);
       
     } catch (error) {
@@ -913,6 +1010,244 @@ class StockMonitor {
     }
   }
 
+  /**
+   * Generar alerta LOW_COVER si la baja de stock deja la cobertura (días hasta quedarse sin stock,
+   * según la velocidad de ventas de los últimos 30 días) por debajo del lead time configurado
+   * @param {Object} options - { alertSettings, webhookId }
+   */
+  async generateCoverageAlert(userId, productId, previousStock, currentStock, currentData, options = {}) {
+    try {
+      const coverage = options.alertSettings.coverage || {};
+      if (!coverage.enabled) {
+        return;
+      }
+      
+      const velocityRows = await databaseService.getSalesVelocity(userId, [productId]);
+      const velocity = computeSalesVelocity(velocityRows.get(productId) || null);
+      const unitsPerDay = velocity[`units_per_day_${COVER_REFERENCE_WINDOW}d`];
+      const crossing = getLowCoverCrossing(previousStock, currentStock, unitsPerDay, coverage.leadTimeDays);
+      if (!crossing) {
+        return;
+      }
+      
+      logger.info(`⏳ ALERTA: Cobertura baja ${productId} (${crossing.previousCover} → ${crossing.currentCover} días, lead time ${coverage.leadTimeDays}, ${unitsPerDay} u/día)`);
+      
+      await this.saveAlert({
+        user_id: userId,
+        product_id: productId,
+        alert_type: 'LOW_COVER',
+        previous_stock: previousStock,
+        new_stock: currentStock,
+        previous_value: String(crossing.previousCover),
+        new_value: String(crossing.currentCover),
+        product_title: currentData.title,
+        seller_sku: currentData.seller_sku,
+        webhook_id: options.webhookId || null,
+        created_at: new Date().toISOString()
+      }, options.alertSettings, currentData?.category_id);
+      
+    } catch (error) {
+      logger.error(`❌ Error evaluando cobertura de ${productId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generar alertas RULE_MATCH para las reglas del usuario que el cambio empieza a cumplir
+   * @param {Object} options - { alertSettings, departments, webhookId }
+   */
+  async generateRuleAlerts(userId, productId, previousData, currentData, options = {}) {
+    try {
+      const rules = await databaseService.getUserAlertRules(userId);
+      if (rules.length === 0) {
+        return;
+      }
+      
+      const triggeredRules = getTriggeredRules(rules, { id: productId, ...currentData }, previousData, options.departments);
+      
+      for (const rule of triggeredRules) {
+        logger.info(`🧩 REGLA CUMPLIDA: "${rule.name}" (${rule.id}) - ${productId}`);
+        
+        await this.saveAlert({
+          user_id: userId,
+          product_id: productId,
+          alert_type: 'RULE_MATCH',
+          rule_id: rule.id,
+          rule_name: rule.name,
+          rule_priority: rule.priority,
+          previous_stock: previousData?.available_quantity || 0,
+          new_stock: currentData?.available_quantity || 0,
+          product_title: currentData.title,
+          seller_sku: currentData.seller_sku,
+          webhook_id: options.webhookId || null,
+          created_at: new Date().toISOString()
+        }, options.alertSettings, currentData?.category_id);
+      }
+      
+    } catch (error) {
+      logger.error(`❌ Error evaluando reglas de alerta para ${productId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar si un producto tiene las notificaciones pospuestas
+   * Los snoozes vencidos (por fecha o porque el stock superó el valor indicado) se eliminan
+   */
+  async isProductSnoozed(userId, productId, currentStock) {
+    try {
+      const snooze = await databaseService.getProductSnooze(userId, productId);
+      if (!snooze) {
+        return false;
+      }
+      
+      if (isSnoozeActive(snooze, currentStock)) {
+        return true;
+      }
+      
+      await databaseService.deleteProductSnooze(userId, productId);
+      logger.info(`⏰ Snooze de ${productId} finalizado (stock actual: ${currentStock})`);
+      return false;
+      
+    } catch (error) {
+      // Ante la duda notificar: un error de snooze no debe silenciar alertas
+      logger.warn(`⚠️ No se pudo verificar snooze de ${productId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Guardar una alerta (colapsando ráfagas) y despachar sus notificaciones
+   * @param {string|null} categoryId - Categoría del producto (ruteo a destinatarios del departamento)
+   * @returns {Promise<Object|null>} Alerta guardada o null si se colapsó en una existente
+   */
+  async saveAlert(alert, alertSettings, categoryId = null) {
+    alert.change_count = 1;
+    alert.last_changed_at = alert.created_at;
+    
+    // Ráfaga: cambios repetidos del mismo producto/tipo actualizan la alerta existente (atómico en BD)
+    const saved = await databaseService.saveOrCollapseStockAlert(alert, alertSettings.burstWindowMinutes);
+    if (saved.collapsed) {
+      logger.info(`🔁 ALERTA COLAPSADA: ${alert.alert_type} - ${alert.product_id} (#${saved.id}, ${saved.change_count} cambios)`);
+      realtimeEvents.publish(alert.user_id, 'alert', {
+        updated: true,
+        alert: {
+          id: saved.id,
+          new_stock: alert.new_stock,
+          new_value: alert.new_value ?? null,
+          change_count: saved.change_count,
+          last_changed_at: alert.created_at,
+          read_at: null,
+          isRead: false
+        },
+        wasRead: saved.was_read,
+        previousChangedAt: saved.previous_changed_at
+      });
+      return null;
+    }
+    
+    const savedAlert = { id: saved.id };
+    
+    logger.info(`🚨 ALERTA GENERADA Y GUARDADA: ${alert.alert_type} - ${alert.product_id}`);
+    logger.info(`   • ID de alerta: ${savedAlert?.id || 'No disponible'}`);
+    logger.info(`   • Producto: ${alert.product_title?.substring(0, 50) || 'Sin título'}`);
+    logger.info(`   • Timestamp: ${alert.created_at}`);
+    
+    realtimeEvents.publish(alert.user_id, 'alert', {
+      updated: false,
+      alert: classifyAlert({ ...alert, id: savedAlert?.id })
+    });
+    
+    // Producto pospuesto: la alerta queda en el historial pero no se notifica
+    if (await this.isProductSnoozed(alert.user_id, alert.product_id, alert.new_stock)) {
+      logger.info(`😴 ${alert.alert_type} de ${alert.product_id} sin notificar (producto pospuesto)`);
+      return savedAlert;
+    }
+    
+    // Notificaciones inmediatas por los canales habilitados del usuario
+    await notificationDispatcher.dispatchAlert({ ...alert, id: savedAlert?.id }, { categoryId });
+    
+    return savedAlert;
+  }
+
+  /**
+   * Generar alertas de cambios que no son de stock: estado, precio y tiempo de disponibilidad
+   */
+  async generateChangeAlerts(userId, productId, previousData, currentData, webhookId = null) {
+    try {
+      const changes = [];
+      
+      if (previousData.status !== currentData.status) {
+        changes.push({ alertType: 'STATUS_CHANGE', previousValue: previousData.status, newValue: currentData.status });
+      }
+      
+      if (previousData.price !== undefined && currentData.price !== undefined &&
+          Number(previousData.price) !== Number(currentData.price)) {
+        changes.push({ alertType: 'PRICE_CHANGE', previousValue: previousData.price, newValue: currentData.price });
+      }
+      
+      if ((previousData.estimated_handling_time ?? null) !== (currentData.estimated_handling_time ?? null)) {
+        changes.push({
+          alertType: 'HANDLING_TIME_CHANGE',
+          previousValue: previousData.estimated_handling_time,
+          newValue: currentData.estimated_handling_time
+        });
+      }
+      
+      if (changes.length === 0) {
+        return;
+      }
+      
+      const alertSettings = await databaseService.getUserAlertSettings(userId);
+      const currentStock = currentData.available_quantity || 0;
+      
+      for (const change of changes) {
+        logger.info(`📋 ALERTA ${change.alertType}: ${change.previousValue ?? '-'} → ${change.newValue ?? '-'} (${productId})`);
+        
+        await this.saveAlert({
+          user_id: userId,
+          product_id: productId,
+          alert_type: change.alertType,
+          previous_stock: currentStock,
+          new_stock: currentStock,
+          previous_value: change.previousValue === null || change.previousValue === undefined ? null : String(change.previousValue),
+          new_value: change.newValue === null || change.newValue === undefined ? null : String(change.newValue),
+          product_title: currentData.title,
+          seller_sku: currentData.seller_sku,
+          webhook_id: webhookId,
+          created_at: new Date().toISOString()
+        }, alertSettings, currentData.category_id);
+      }
+      
+    } catch (error) {
+      logger.error(`❌ Error generando alertas de cambios para ${productId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generar alerta de publicación eliminada en Mercado Libre
+   */
+  async generateDeletedAlert(userId, productId, previousData, webhookId = null) {
+    try {
+      const alertSettings = await databaseService.getUserAlertSettings(userId);
+      
+      await this.saveAlert({
+        user_id: userId,
+        product_id: productId,
+        alert_type: 'PRODUCT_DELETED',
+        previous_stock: previousData.available_quantity || 0,
+        new_stock: 0,
+        previous_value: previousData.status || null,
+        new_value: 'deleted',
+        product_title: previousData.title,
+        seller_sku: previousData.seller_sku,
+        webhook_id: webhookId,
+        created_at: new Date().toISOString()
+      }, alertSettings, previousData.category_id);
+      
+    } catch (error) {
+      logger.error(`❌ Error generando alerta de eliminación para ${productId}: ${error.message}`);
+    }
+  }
+
   /**
    * Debug del estado actual
    */
@@ -0,0 +1,248 @@
+/**
+ * Clasificación de alertas de stock
+ * Compartido entre la API de alertas y el despacho de notificaciones
+ */
+
+// Tipos de alerta generados por el monitor de stock
+const ALERT_TYPES = [
+  'LOW_STOCK',
+  'LOW_COVER',
+  'STOCK_DECREASE',
+  'STOCK_INCREASE',
+  'PRODUCT_DELETED',
+  'STATUS_CHANGE',
+  'PRICE_CHANGE',
+  'HANDLING_TIME_CHANGE',
+  'RULE_MATCH'
+];
+
+// Estados de publicación que dejan de vender (cambio hacia ellos = advertencia)
+const NOT_SELLING_STATUSES = ['paused', 'under_review', 'inactive', 'closed'];
+
+// Presentación de las alertas de reglas del usuario según la prioridad elegida en la regla
+const RULE_PRIORITY_STYLES = {
+  critical: { color: '#dc3545', bgColor: '#f8d7da' },
+  warning: { color: '#fd7e14', bgColor: '#fdefd5' },
+  informative: { color: '#6c757d', bgColor: '#e9ecef' }
+};
+
+// Variación de precio (%) a partir de la cual el cambio es advertencia
+const PRICE_CHANGE_WARNING_PERCENT = 20;
+
+/**
+ * Formatear tiempo de disponibilidad (horas) para descripciones
+ */
+function formatHandlingTime(hours) {
+  if (hours === null || hours === undefined || hours === '') {
+    return 'sin demora';
+  }
+  const days = Math.round(Number(hours) / 24);
+  return `${days} día${days !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Clasificar una alerta por prioridad y agregar metadata
+ * Una alerta escalada (LOW_STOCK sin resolver) siempre es crítica
+ */
+function classifyAlert(alert) {
+  const classifiedAlert = classifyAlertByType(alert);
+
+  if (!alert.escalation_level) {
+    return classifiedAlert;
+  }
+
+  return {
+    ...classifiedAlert,
+    priority: 'critical',
+    isEscalated: true,
+    icon: '⏫',
+    title: `${classifiedAlert.title} (escalada, nivel ${alert.escalation_level})`,
+    description: `${classifiedAlert.description} - sin resolver desde ${new Date(alert.created_at).toLocaleString()}`,
+    actionRequired: true
+  };
+}
+
+/**
+ * Clasificar una alerta según su tipo
+ */
+function classifyAlertByType(alert) {
+  const baseAlert = {
+    ...alert,
+    isRead: !!alert.read_at,
+    isAcknowledged: !!alert.acknowledged_at,
+    isEscalated: false,
+    timeAgo: getTimeAgo(alert.created_at),
+    formattedTime: new Date(alert.created_at).toLocaleString()
+  };
+
+  // Clasificar por tipo y prioridad
+  switch (alert.alert_type) {
+    case 'LOW_STOCK':
+      return {
+        ...baseAlert,
+        priority: 'critical',
+        color: '#dc3545', // Rojo
+        bgColor: '#f8d7da',
+        icon: '🚨',
+        title: 'Stock Bajo',
+        description: `El producto "${alert.product_title}" tiene solo ${alert.new_stock} unidades disponibles`,
+        actionRequired: true
+      };
+    
+    case 'LOW_COVER':
+      return {
+        ...baseAlert,
+        priority: 'warning',
+        color: '#fd7e14',
+        bgColor: '#fdefd5',
+        icon: '⏳',
+        title: 'Cobertura Baja',
+        description: `Al ritmo de ventas actual, el stock de "${alert.product_title}" (${alert.new_stock} unidades) se agota en ~${alert.new_value} días`,
+        actionRequired: true
+      };
+    
+    case 'STOCK_DECREASE':
+      return {
+        ...baseAlert,
+        priority: alert.new_stock <= 10 ? 'warning' : 'informative',
+        color: alert.new_stock <= 10 ? '#fd7e14' : '#6c757d',
+        bgColor: alert.new_stock <= 10 ? '#fdefd5' : '#e9ecef',
+        icon: '📉',
+        title: 'Stock Disminuido',
+        description: `El stock del producto "${alert.product_title}" bajó de ${alert.previous_stock} a ${alert.new_stock} unidades`,
+        actionRequired: alert.new_stock <= 10
+      };
+    
+    case 'STOCK_INCREASE':
+      return {
+        ...baseAlert,
+        priority: 'informative',
+        color: '#28a745', // Verde
+        bgColor: '#d4edda',
+        icon: '📈',
+        title: 'Stock Aumentado',
+        description: `El stock del producto "${alert.product_title}" subió de ${alert.previous_stock} a ${alert.new_stock} unidades`,
+        actionRequired: false
+      };
+    
+    case 'PRODUCT_DELETED':
+      return {
+        ...baseAlert,
+        priority: 'critical',
+        color: '#dc3545',
+        bgColor: '#f8d7da',
+        icon: '🗑️',
+        title: 'Publicación Eliminada',
+        description: `La publicación "${alert.product_title}" ya no existe en Mercado Libre`,
+        actionRequired: true
+      };
+    
+    case 'STATUS_CHANGE': {
+      const stoppedSelling = NOT_SELLING_STATUSES.includes(alert.new_value);
+      return {
+        ...baseAlert,
+        priority: stoppedSelling ? 'warning' : 'informative',
+        color: stoppedSelling ? '#fd7e14' : '#6c757d',
+        bgColor: stoppedSelling ? '#fdefd5' : '#e9ecef',
+        icon: '📋',
+        title: 'Cambio de Estado',
+        description: `La publicación "${alert.product_title}" pasó de ${alert.previous_value || 'desconocido'} a ${alert.new_value}`,
+        actionRequired: stoppedSelling
+      };
+    }
+    
+    case 'PRICE_CHANGE': {
+      const previousPrice = Number(alert.previous_value);
+      const newPrice = Number(alert.new_value);
+      const changePercent = previousPrice > 0 ? ((newPrice - previousPrice) / previousPrice) * 100 : 0;
+      const significant = Math.abs(changePercent) >= PRICE_CHANGE_WARNING_PERCENT;
+      return {
+        ...baseAlert,
+        priority: significant ? 'warning' : 'informative',
+        color: significant ? '#fd7e14' : '#6c757d',
+        bgColor: significant ? '#fdefd5' : '#e9ecef',
+        icon: '💰',
+        title: 'Cambio de Precio',
+        description: `El precio de "${alert.product_title}" cambió de $${alert.previous_value} a $${alert.new_value} (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(1)}%)`,
+        actionRequired: significant
+      };
+    }
+    
+    case 'HANDLING_TIME_CHANGE': {
+      const longerDelay = Number(alert.new_value || 0) > Number(alert.previous_value || 0);
+      return {
+        ...baseAlert,
+        priority: longerDelay ? 'warning' : 'informative',
+        color: longerDelay ? '#fd7e14' : '#6c757d',
+        bgColor: longerDelay ? '#fdefd5' : '#e9ecef',
+        icon: '⏱️',
+        title: 'Cambio de Disponibilidad',
+        description: `La disponibilidad de "${alert.product_title}" cambió de ${formatHandlingTime(alert.previous_value)} a ${formatHandlingTime(alert.new_value)}`,
+        actionRequired: longerDelay
+      };
+    }
+    
+    case 'RULE_MATCH': {
+      const priority = RULE_PRIORITY_STYLES[alert.rule_priority] ? alert.rule_priority : 'warning';
+      return {
+        ...baseAlert,
+        priority,
+        ...RULE_PRIORITY_STYLES[priority],
+        icon: '🧩',
+        title: `Regla: ${alert.rule_name || 'sin nombre'}`,
+        description: `El producto "${alert.product_title}" cumple la regla "${alert.rule_name || alert.rule_id}" (stock ${alert.previous_stock} → ${alert.new_stock})`,
+        actionRequired: priority !== 'informative'
+      };
+    }
+    
+    default:
+      return {
+        ...baseAlert,
+        priority: 'informative',
+        color: '#6c757d',
+        bgColor: '#e9ecef',
+        icon: '📦',
+        title: 'Alerta de Stock',
+        description: `Cambio en el producto "${alert.product_title}"`,
+        actionRequired: false
+      };
+  }
+}
+
+/**
+ * Clasificar alertas por prioridad y agregar metadata
+ */
+function classifyAlerts(alerts) {
+  return alerts.map(classifyAlert);
+}
+
+/**
+ * Calcular tiempo transcurrido
+ */
+function getTimeAgo(dateString) {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffInMs = now - date;
+  const diffInMinutes = Math.floor(diffInMs / (1000 * 60));
+  const diffInHours = Math.floor(diffInMinutes / 60);
+  const diffInDays = Math.floor(diffInHours / 24);
+
+  if (diffInMinutes < 1) {
+    return 'Hace menos de 1 minuto';
+  } else if (diffInMinutes < 60) {
+    return `Hace ${diffInMinutes} minuto${diffInMinutes > 1 ? 's' : ''}`;
+  } else if (diffInHours < 24) {
+    return `Hace ${diffInHours} hora${diffInHours > 1 ? 's' : ''}`;
+  } else if (diffInDays < 7) {
+    return `Hace ${diffInDays} día${diffInDays > 1 ? 's' : ''}`;
+  } else {
+    return date.toLocaleDateString();
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  classifyAlert,
+  classifyAlerts,
+  getTimeAgo
+};
@@ -0,0 +1,72 @@
+/**
+ * Exportación de alertas a CSV / JSON (GET /api/stock-alerts/export)
+ * Una fila por alerta con las columnas que usa compras para planillas
+ */
+
+const { classifyAlert } = require('./alertClassifier');
+
+const EXPORT_COLUMNS = [
+  { key: 'created_at', label: 'Fecha' },
+  { key: 'alert_type', label: 'Tipo' },
+  { key: 'priority', label: 'Prioridad' },
+  { key: 'product_id', label: 'Publicación' },
+  { key: 'product_title', label: 'Producto' },
+  { key: 'seller_sku', label: 'SKU' },
+  { key: 'previous_stock', label: 'Stock anterior' },
+  { key: 'new_stock', label: 'Stock nuevo' },
+  { key: 'previous_value', label: 'Valor anterior' },
+  { key: 'new_value', label: 'Valor nuevo' }
+];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Fila exportable de una alerta (alertas antiguas sin prioridad guardada se clasifican al vuelo)
+ */
+function formatAlertForExport(alert) {
+  const row = {};
+  EXPORT_COLUMNS.forEach(({ key }) => {
+    row[key] = alert[key] ?? null;
+  });
+  row.priority = alert.priority || classifyAlert(alert).priority;
+  return row;
+}
+
+/**
+ * Escapar un valor CSV (RFC 4180); los textos que empiezan con = + - @ se prefijan
+ * con ' para que las planillas no los interpreten como fórmulas
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+function getCsvHeader() {
+  return toCsvLine(EXPORT_COLUMNS.map(column => column.label));
+}
+
+function toCsvRow(row) {
+  return toCsvLine(EXPORT_COLUMNS.map(column => row[column.key]));
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  formatAlertForExport,
+  escapeCsvValue,
+  toCsvLine,
+  getCsvHeader,
+  toCsvRow
+};
@@ -0,0 +1,268 @@
+/**
+ * Reglas de alerta definidas por el usuario
+ * Una regla es un JSON { id, name, enabled, match: 'all'|'any', priority, conditions: [{ field, operator, value }] }
+ * evaluado sobre los campos del producto guardados en BD y el cambio anterior → actual de un webhook
+ *
+ * Ejemplos:
+ *   stock < 10 AND Full AND departamento Hogar
+ *     { match: 'all', conditions: [
+ *       { field: 'available_quantity', operator: 'lt', value: 10 },
+ *       { field: 'is_fulfillment', operator: 'eq', value: true },
+ *       { field: 'department_name', operator: 'eq', value: 'Hogar' } ] }
+ *   stock cayó más de 50% en un webhook
+ *     { conditions: [{ field: 'stock_change_percent', operator: 'lte', value: -50 }] }
+ */
+
+const { findProductDepartment } = require('./thresholdResolver');
+
+// Campos disponibles; los "delta" solo existen al comparar un cambio (no en el catálogo actual)
+const RULE_FIELDS = {
+  available_quantity: { type: 'number', label: 'Stock disponible' },
+  price: { type: 'number', label: 'Precio' },
+  status: { type: 'string', label: 'Estado' },
+  is_fulfillment: { type: 'boolean', label: 'Mercado Libre Full' },
+  logistic_type: { type: 'string', label: 'Tipo logístico' },
+  estimated_handling_time: { type: 'number', label: 'Tiempo de disponibilidad (horas)' },
+  category_id: { type: 'string', label: 'Categoría' },
+  department: { type: 'string', label: 'Departamento (id)' },
+  department_name: { type: 'string', label: 'Departamento (nombre)' },
+  previous_available_quantity: { type: 'number', label: 'Stock anterior', delta: true },
+  stock_change: { type: 'number', label: 'Cambio de stock (unidades)', delta: true },
+  stock_change_percent: { type: 'number', label: 'Cambio de stock (%)', delta: true },
+  price_change_percent: { type: 'number', label: 'Cambio de precio (%)', delta: true }
+};
+
+// Operadores permitidos por tipo de campo
+const RULE_OPERATORS = {
+  number: ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'],
+  string: ['eq', 'neq', 'in', 'not_in'],
+  boolean: ['eq', 'neq']
+};
+
+const RULE_PRIORITIES = ['critical', 'warning', 'informative'];
+
+const MAX_RULE_CONDITIONS = 10;
+const MAX_LIST_VALUES = 50;
+
+/**
+ * Variación porcentual (null si no hay valor anterior con el que comparar)
+ */
+function getChangePercent(previous, current) {
+  const previousNumber = Number(previous);
+  if (previous === null || previous === undefined || isNaN(previousNumber) || previousNumber === 0) {
+    return null;
+  }
+  return ((Number(current) - previousNumber) / previousNumber) * 100;
+}
+
+/**
+ * Validar un valor de condición según el tipo de campo y el operador
+ * @returns {{ value } | { error }}
+ */
+function validateConditionValue(fieldType, operator, rawValue) {
+  if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(rawValue) || rawValue.length === 0 || rawValue.length > MAX_LIST_VALUES) {
+      return { error: `${operator} requiere una lista de 1 a ${MAX_LIST_VALUES} valores` };
+    }
+    const values = rawValue.map(value => String(value).trim()).filter(Boolean);
+    if (values.length !== rawValue.length || values.some(value => value.length > 100)) {
+      return { error: 'Valores de lista inválidos' };
+    }
+    return { value: [...new Set(values)] };
+  }
+
+  if (fieldType === 'number') {
+    const value = Number(rawValue);
+    if (rawValue === null || rawValue === '' || !isFinite(value)) {
+      return { error: 'El valor debe ser numérico' };
+    }
+    return { value };
+  }
+
+  if (fieldType === 'boolean') {
+    if (typeof rawValue !== 'boolean') {
+      return { error: 'El valor debe ser true o false' };
+    }
+    return { value: rawValue };
+  }
+
+  const value = String(rawValue ?? '').trim();
+  if (!value || value.length > 100) {
+    return { error: 'El valor debe ser un texto de hasta 100 caracteres' };
+  }
+  return { value };
+}
+
+/**
+ * Validar y sanitizar una regla recibida del cliente
+ * @returns {{ rule: Object } | { error: string }}
+ */
+function validateRule(rawRule) {
+  if (!rawRule || typeof rawRule !== 'object' || Array.isArray(rawRule)) {
+    return { error: 'La regla debe ser un objeto' };
+  }
+
+  const name = String(rawRule.name || '').trim();
+  if (!name || name.length > 80) {
+    return { error: 'name es requerido (máximo 80 caracteres)' };
+  }
+
+  const match = rawRule.match === undefined ? 'all' : rawRule.match;
+  if (!['all', 'any'].includes(match)) {
+    return { error: 'match debe ser all o any' };
+  }
+
+  const priority = rawRule.priority === undefined ? 'warning' : rawRule.priority;
+  if (!RULE_PRIORITIES.includes(priority)) {
+    return { error: `priority debe ser uno de: ${RULE_PRIORITIES.join(', ')}` };
+  }
+
+  if (!Array.isArray(rawRule.conditions) || rawRule.conditions.length === 0 ||
+      rawRule.conditions.length > MAX_RULE_CONDITIONS) {
+    return { error: `conditions debe tener entre 1 y ${MAX_RULE_CONDITIONS} condiciones` };
+  }
+
+  const conditions = [];
+  for (const [index, rawCondition] of rawRule.conditions.entries()) {
+    const fieldConfig = RULE_FIELDS[rawCondition?.field];
+    if (!fieldConfig) {
+      return { error: `Condición ${index + 1}: campo no soportado (${rawCondition?.field})` };
+    }
+
+    if (!RULE_OPERATORS[fieldConfig.type].includes(rawCondition.operator)) {
+      return { error: `Condición ${index + 1}: operador ${rawCondition.operator} no válido para ${rawCondition.field}` };
+    }
+
+    const { value, error } = validateConditionValue(fieldConfig.type, rawCondition.operator, rawCondition.value);
+    if (error) {
+      return { error: `Condición ${index + 1}: ${error}` };
+    }
+
+    conditions.push({ field: rawCondition.field, operator: rawCondition.operator, value });
+  }
+
+  return {
+    rule: {
+      id: typeof rawRule.id === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(rawRule.id) ? rawRule.id : null,
+      name,
+      enabled: rawRule.enabled === undefined ? true : Boolean(rawRule.enabled),
+      match,
+      priority,
+      conditions
+    }
+  };
+}
+
+/**
+ * Indicar si una regla usa campos de cambio (solo evaluables al procesar un webhook)
+ */
+function ruleUsesDeltaFields(rule) {
+  return rule.conditions.some(condition => RULE_FIELDS[condition.field]?.delta);
+}
+
+/**
+ * Construir los valores sobre los que se evalúan las reglas
+ * @param {Object} product - Producto actual (campos de mapProductForDB)
+ * @param {Object|null} previous - Producto anterior (null = sin cambio que comparar)
+ * @param {Array} departments - Departamentos del usuario
+ */
+function buildRuleContext(product, previous = null, departments = []) {
+  const department = findProductDepartment(product, departments);
+  const currentStock = product.available_quantity || 0;
+
+  const context = {
+    available_quantity: currentStock,
+    price: product.price ?? null,
+    status: product.status ?? null,
+    is_fulfillment: Boolean(product.is_fulfillment),
+    logistic_type: product.logistic_type ?? null,
+    estimated_handling_time: product.estimated_handling_time ?? null,
+    category_id: product.category_id ?? null,
+    department: department?.id ?? null,
+    department_name: department?.name ?? null
+  };
+
+  if (previous) {
+    const previousStock = previous.available_quantity || 0;
+    context.previous_available_quantity = previousStock;
+    context.stock_change = currentStock - previousStock;
+    context.stock_change_percent = getChangePercent(previousStock, currentStock);
+    context.price_change_percent = getChangePercent(previous.price, product.price);
+  }
+
+  return context;
+}
+
+/**
+ * Evaluar una condición (un campo sin valor nunca cumple la condición)
+ */
+function evaluateCondition(condition, context) {
+  const actual = context[condition.field];
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  const fieldType = RULE_FIELDS[condition.field].type;
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'eq': return fieldType === 'string' ? String(actual).toLowerCase() === String(expected).toLowerCase() : actual === expected;
+    case 'neq': return fieldType === 'string' ? String(actual).toLowerCase() !== String(expected).toLowerCase() : actual !== expected;
+    case 'in': return expected.some(value => value.toLowerCase() === String(actual).toLowerCase());
+    case 'not_in': return !expected.some(value => value.toLowerCase() === String(actual).toLowerCase());
+    default: return false;
+  }
+}
+
+/**
+ * Evaluar una regla sobre un contexto
+ * @param {Object} options - { ignoreDeltaFields } para probar contra el catálogo actual
+ */
+function evaluateRule(rule, context, options = {}) {
+  const conditions = options.ignoreDeltaFields
+    ? rule.conditions.filter(condition => !RULE_FIELDS[condition.field]?.delta)
+    : rule.conditions;
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  return rule.match === 'any'
+    ? conditions.some(condition => evaluateCondition(condition, context))
+    : conditions.every(condition => evaluateCondition(condition, context));
+}
+
+/**
+ * Reglas que se empiezan a cumplir con un cambio del producto
+ * Las reglas sin campos de cambio solo disparan al pasar de no cumplirse a cumplirse,
+ * así "stock < 10" avisa una vez y no en cada webhook mientras siga bajo
+ */
+function getTriggeredRules(rules, product, previous, departments = []) {
+  const context = buildRuleContext(product, previous, departments);
+  const previousContext = previous ? buildRuleContext(previous, null, departments) : null;
+
+  return rules.filter(rule => {
+    if (!rule.enabled || !evaluateRule(rule, context)) {
+      return false;
+    }
+    if (ruleUsesDeltaFields(rule) || !previousContext) {
+      return true;
+    }
+    return !evaluateRule(rule, previousContext);
+  });
+}
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_PRIORITIES,
+  validateRule,
+  ruleUsesDeltaFields,
+  buildRuleContext,
+  evaluateRule,
+  getTriggeredRules
+};
@@ -0,0 +1,31 @@
+/**
+ * Snooze de alertas por producto
+ * Un snooze termina al llegar su fecha o cuando el stock supera el valor indicado (lo que ocurra primero)
+ */
+
+/**
+ * Indicar si un snooze sigue vigente
+ * @param {Object} snooze - { snoozed_until, until_stock_above }
+ * @param {number|null} currentStock - Stock actual del producto (null = desconocido)
+ */
+function isSnoozeActive(snooze, currentStock = null, now = new Date()) {
+  if (!snooze) {
+    return false;
+  }
+
+  if (snooze.snoozed_until && new Date(snooze.snoozed_until) <= now) {
+    return false;
+  }
+
+  if (snooze.until_stock_above !== null && snooze.until_stock_above !== undefined &&
+      currentStock !== null && currentStock !== undefined &&
+      currentStock > snooze.until_stock_above) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  isSnoozeActive
+};
@@ -0,0 +1,51 @@
+/**
+ * Política de escalamiento de alertas LOW_STOCK sin resolver
+ * Una alerta se escala pasadas afterHours sin reposición ni reconocimiento,
+ * y se re-notifica con intervalos crecientes: repeatHours, 2x, 4x... hasta maxRepeatHours
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Horas hasta la próxima re-notificación después de alcanzar un nivel
+ * @param {number} level - Nivel de escalamiento alcanzado (1 = primer escalamiento)
+ * @param {Object} escalation - { repeatHours, maxRepeatHours }
+ */
+function getEscalationIntervalHours(level, escalation) {
+  const interval = escalation.repeatHours * Math.pow(2, Math.max(level - 1, 0));
+  return Math.min(interval, escalation.maxRepeatHours);
+}
+
+/**
+ * Indicar si corresponde escalar (o re-notificar) una alerta abierta
+ * @param {Object} alert - { created_at, escalation_level, next_escalation_at }
+ * @param {Object} escalation - { afterHours }
+ */
+function isEscalationDue(alert, escalation, now = new Date()) {
+  if (!alert.escalation_level) {
+    return now.getTime() - new Date(alert.created_at).getTime() >= escalation.afterHours * HOUR_MS;
+  }
+
+  return !alert.next_escalation_at || new Date(alert.next_escalation_at) <= now;
+}
+
+/**
+ * Estado de escalamiento tras notificar un nuevo nivel
+ * @returns {{escalation_level: number, escalated_at: string, next_escalation_at: string}}
+ */
+function getNextEscalationState(alert, escalation, now = new Date()) {
+  const level = (alert.escalation_level || 0) + 1;
+  const intervalHours = getEscalationIntervalHours(level, escalation);
+
+  return {
+    escalation_level: level,
+    escalated_at: now.toISOString(),
+    next_escalation_at: new Date(now.getTime() + intervalHours * HOUR_MS).toISOString()
+  };
+}
+
+module.exports = {
+  getEscalationIntervalHours,
+  isEscalationDue,
+  getNextEscalationState
+};
@@ -0,0 +1,168 @@
+/**
+ * Valuación de inventario (GET /api/reports/valuation)
+ * Valor = precio de lista × available_quantity y, para los SKUs con costo cargado (sku_costs), costo × available_quantity
+ * La evolución diaria se reconstruye con stock_snapshots usando el costo actual de cada SKU
+ */
+
+const { findProductDepartment } = require('./thresholdResolver');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_UNIT_COST = 100000000;
+
+const NO_DEPARTMENT = 'Sin departamento';
+
+const FULFILLMENT_LABELS = {
+  fulfillment: 'Full (depósito de Mercado Libre)',
+  own: 'Depósito propio'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isDeleted = (status) => status === 'deleted';
+
+/**
+ * Validar el costo unitario de un SKU (número >= 0, hasta 2 decimales)
+ * @returns {{ unitCost: number } | { error }}
+ */
+function sanitizeUnitCost(raw) {
+  const unitCost = Number(raw);
+  if (raw === null || raw === undefined || raw === '' || !Number.isFinite(unitCost) || unitCost < 0 || unitCost > MAX_UNIT_COST) {
+    return { error: `unitCost debe ser un número entre 0 y ${MAX_UNIT_COST}` };
+  }
+  return { unitCost: round(unitCost) };
+}
+
+/**
+ * Valor de lista y a costo de una cantidad (costValue null si el SKU no tiene costo)
+ */
+function valueOf(quantity, price, unitCost) {
+  return {
+    units: quantity,
+    listValue: quantity * (Number(price) || 0),
+    costValue: unitCost === null || unitCost === undefined ? null : quantity * unitCost
+  };
+}
+
+function emptyGroup(fields) {
+  return { ...fields, products: 0, units: 0, listValue: 0, costValue: 0, costedUnits: 0 };
+}
+
+function addToGroup(group, value) {
+  group.products++;
+  group.units += value.units;
+  group.listValue += value.listValue;
+  if (value.costValue !== null) {
+    group.costValue += value.costValue;
+    group.costedUnits += value.units;
+  }
+}
+
+function finishGroup(group) {
+  return { ...group, listValue: round(group.listValue), costValue: round(group.costValue) };
+}
+
+/**
+ * Valuación actual: totales y agregados por departamento, categoría, fulfillment y estado
+ * @param {Array} products - Productos del usuario (price, available_quantity, seller_sku, category_id, is_fulfillment, status)
+ * @param {Object} options - { departments, costsBySku: Map<sku, unitCost> }
+ */
+function buildInventoryValuation(products, { departments = [], costsBySku = new Map() } = {}) {
+  const totals = emptyGroup({});
+  const byDepartment = new Map();
+  const byCategory = new Map();
+  const byFulfillment = new Map();
+  const byStatus = new Map();
+
+  const addTo = (groups, key, fields, value) => {
+    if (!groups.has(key)) {
+      groups.set(key, emptyGroup(fields));
+    }
+    addToGroup(groups.get(key), value);
+  };
+
+  products
+    .filter(product => !isDeleted(product.status))
+    .forEach(product => {
+      const quantity = Math.max(product.available_quantity || 0, 0);
+      const value = valueOf(quantity, product.price, product.seller_sku ? costsBySku.get(product.seller_sku) : null);
+      const department = findProductDepartment(product, departments);
+      const fulfillmentKey = product.is_fulfillment ? 'fulfillment' : 'own';
+
+      addToGroup(totals, value);
+      addTo(byDepartment, department?.id || null, { departmentId: department?.id || null, department: department?.name || NO_DEPARTMENT }, value);
+      addTo(byCategory, product.category_id || null, { categoryId: product.category_id || null }, value);
+      addTo(byFulfillment, fulfillmentKey, { fulfillment: fulfillmentKey, label: FULFILLMENT_LABELS[fulfillmentKey] }, value);
+      addTo(byStatus, product.status || null, { status: product.status || null }, value);
+    });
+
+  const byListValue = (a, b) => b.listValue - a.listValue;
+
+  return {
+    totals: finishGroup(totals),
+    byDepartment: [...byDepartment.values()].map(finishGroup).sort(byListValue),
+    byCategory: [...byCategory.values()].map(finishGroup).sort(byListValue),
+    byFulfillment: [...byFulfillment.values()].map(finishGroup).sort(byListValue),
+    byStatus: [...byStatus.values()].map(finishGroup).sort(byListValue)
+  };
+}
+
+/**
+ * Evolución diaria del valor del inventario (al cierre de cada día UTC)
+ * Antes del primer snapshot del rango rige su previous_quantity; sin snapshots, el estado actual
+ * @param {Array} products - Productos del usuario
+ * @param {Map<string, Array>} snapshotsByProduct - product_id → snapshots ascendentes desde from
+ * @param {Object} options - { from, now, costsBySku }
+ * @returns {Array<{ date, units, listValue, costValue }>}
+ */
+function buildValuationTrend(products, snapshotsByProduct, { from, now = new Date(), costsBySku = new Map() }) {
+  const days = [];
+  for (let day = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()); day <= now.getTime(); day += DAY_MS) {
+    days.push({ date: new Date(day).toISOString().slice(0, 10), end: Math.min(day + DAY_MS, now.getTime()), units: 0, listValue: 0, costValue: 0 });
+  }
+
+  products.forEach(product => {
+    const snapshots = snapshotsByProduct.get(product.id) || [];
+    const unitCost = product.seller_sku ? costsBySku.get(product.seller_sku) : null;
+    if (snapshots.length === 0 && isDeleted(product.status)) {
+      return;
+    }
+
+    // Estado vigente antes del primer snapshot
+    let state = snapshots.length > 0
+      ? { quantity: snapshots[0].previous_quantity ?? 0, price: snapshots[0].price ?? product.price, deleted: false }
+      : { quantity: product.available_quantity || 0, price: product.price, deleted: false };
+    let next = 0;
+
+    days.forEach(day => {
+      while (next < snapshots.length && new Date(snapshots[next].recorded_at).getTime() <= day.end) {
+        const snapshot = snapshots[next];
+        state = { quantity: snapshot.available_quantity || 0, price: snapshot.price ?? state.price, deleted: isDeleted(snapshot.status) };
+        next++;
+      }
+      if (state.deleted) {
+        return;
+      }
+
+      const value = valueOf(Math.max(state.quantity, 0), state.price, unitCost);
+      day.units += value.units;
+      day.listValue += value.listValue;
+      day.costValue += value.costValue || 0;
+    });
+  });
+
+  return days.map(({ date, units, listValue, costValue }) => ({
+    date,
+    units,
+    listValue: round(listValue),
+    costValue: round(costValue)
+  }));
+}
+
+module.exports = {
+  NO_DEPARTMENT,
+  FULFILLMENT_LABELS,
+  sanitizeUnitCost,
+  buildInventoryValuation,
+  buildValuationTrend
+};
@@ -0,0 +1,106 @@
+/**
+ * Horarios de notificación por usuario (horas de silencio y días hábiles)
+ * Todas las comparaciones se hacen en la zona horaria configurada por el usuario
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Paso usado para buscar el fin del silencio (las ventanas se liberan en lotes, no al minuto exacto)
+const SEARCH_STEP_MINUTES = 5;
+const SEARCH_LIMIT_DAYS = 8;
+
+/**
+ * Validar identificador de zona horaria IANA
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convertir 'HH:MM' a minutos desde medianoche
+ */
+function parseTime(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Día de la semana y minutos locales de una fecha en una zona horaria
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type)?.value;
+
+  return {
+    weekday: WEEKDAYS[get('weekday')],
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+}
+
+/**
+ * Indicar si una fecha cae en horario de silencio
+ * Silencio = fuera de los días habilitados o dentro de la franja quietStart-quietEnd (puede cruzar medianoche)
+ */
+function isQuietTime(schedule, date = new Date()) {
+  if (!schedule?.enabled) {
+    return false;
+  }
+
+  const timezone = isValidTimezone(schedule.timezone) ? schedule.timezone : 'UTC';
+  const { weekday, minutes } = getLocalTime(date, timezone);
+
+  if (Array.isArray(schedule.days) && !schedule.days.includes(weekday)) {
+    return true;
+  }
+
+  const start = parseTime(schedule.quietStart);
+  const end = parseTime(schedule.quietEnd);
+
+  if (start === end) {
+    return false;
+  }
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Próximo momento en que se permite notificar (null si no está en silencio)
+ */
+function getQuietWindowEnd(schedule, date = new Date()) {
+  if (!isQuietTime(schedule, date)) {
+    return null;
+  }
+
+  const stepMs = SEARCH_STEP_MINUTES * 60 * 1000;
+  const limit = date.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * 60 * 1000;
+
+  for (let time = date.getTime() + stepMs; time <= limit; time += stepMs) {
+    const candidate = new Date(time);
+    if (!isQuietTime(schedule, candidate)) {
+      return candidate;
+    }
+  }
+
+  // Sin días habilitados: nunca termina, reintentar en un día para respetar cambios de configuración
+  return new Date(date.getTime() + 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  isValidTimezone,
+  isQuietTime,
+  getQuietWindowEnd
+};
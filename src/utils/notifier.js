@@ -1,14 +1,37 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const webpush = require('web-push');
 const axios = require('axios');
 const config = require('../../config/config');
 const logger = require('./logger');
+const { validateWebhookUrl, webhookHttpAgent, webhookHttpsAgent } = require('./webhookUrl');
+
+/**
+ * Escapar texto para insertarlo en HTML de emails
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 class Notifier {
   constructor() {
     this.method = config.notification.method;
     
-    // Configurar transporter para email si es necesario
-    if (this.method === 'email') {
+    // El transporter de email se crea bajo demanda (lo usan tanto el método global como los canales por usuario)
+    this.transporter = null;
+    this.vapidConfigured = false;
+  }
+
+  /**
+   * Obtiene (o crea) el transporter de email
+   * @returns {Object} Transporter de nodemailer
+   */
+  getTransporter() {
+    if (!this.transporter) {
       this.transporter = nodemailer.createTransport({
         service: config.notification.email.service,
         auth: {
@@ -17,6 +40,28 @@ class Notifier {
         }
       });
     }
+    return this.transporter;
+  }
+
+  /**
+   * Indica si un canal tiene las credenciales del servidor necesarias para enviar
+   * @param {string} channel - Nombre del canal
+   * @returns {boolean}
+   */
+  isChannelAvailable(channel) {
+    switch (channel) {
+      case 'email':
+        return !!(config.notification.email.user && config.notification.email.password);
+      case 'telegram':
+        return !!config.notification.telegram.botToken;
+      case 'push':
+        return !!(config.notification.push.vapidPublicKey && config.notification.push.vapidPrivateKey);
+      case 'console':
+      case 'webhook':
+        return true;
+      default:
+        return false;
+    }
   }
 
   /**
@@ -53,31 +98,60 @@ class Notifier {
    * Envía una notificación por email
    * @param {string} message - Mensaje a enviar
    * @param {Object} product - Objeto producto con la información
+   * @param {string} [to] - Destinatario (por defecto la cuenta configurada)
+   * @param {string} [subject] - Asunto del email
    * @returns {Promise<void>}
    */
-  async sendEmail(message, product) {
+  async sendEmail(message, product, to = config.notification.email.user, subject = '🚨 Alerta de Stock Bajo en Mercado Libre') {
     try {
+      const details = [
+        `<li><strong>ID:</strong> ${escapeHtml(product.id)}</li>`,
+        `<li><strong>Título:</strong> ${escapeHtml(product.title)}</li>`,
+        product.seller_sku ? `<li><strong>SKU:</strong> ${escapeHtml(product.seller_sku)}</li>` : '',
+        `<li><strong>Stock actual:</strong> ${escapeHtml(product.available_quantity)}</li>`,
+        product.price !== undefined ? `<li><strong>Precio:</strong> ${escapeHtml(product.price)} ${escapeHtml(product.currency_id || '')}</li>` : '',
+        product.permalink ? `<li><strong>Link:</strong> <a href="${escapeHtml(product.permalink)}">${escapeHtml(product.permalink)}</a></li>` : ''
+      ].filter(Boolean).join('\n            ');
+
       const mailOptions = {
         from: config.notification.email.user,
-        to: config.notification.email.user,
-        subject: '🚨 Alerta de Stock Bajo en Mercado Libre',
+        to,
+        subject,
         html: `
-          <h2>Alerta de Stock Bajo</h2>
-          <p>${message}</p>
+          <h2>${escapeHtml(subject)}</h2>
+          <p>${escapeHtml(message)}</p>
           <p><strong>Detalles del producto:</strong></p>
           <ul>
-            <li><strong>ID:</strong> ${product.id}</li>
-            <li><strong>Título:</strong> ${product.title}</li>
-            <li><strong>Stock actual:</strong> ${product.available_quantity}</li>
-            <li><strong>Precio:</strong> ${product.price} ${product.currency_id}</li>
-            <li><strong>Link:</strong> <a href="${product.permalink}">${product.permalink}</a></li>
+            ${details}
           </ul>
           <p>Por favor, actualiza el inventario lo antes posible.</p>
         `
       };
 
-      await this.transporter.sendMail(mailOptions);
-      logger.info(`Email de alerta enviado para el producto ${product.id}`);
+      await this.getTransporter().sendMail(mailOptions);
+      logger.info(`Email de alerta enviado para el producto ${product.id} a ${to}`);
+    } catch (error) {
+      logger.error(`Error al enviar email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Envía un mensaje de texto libre por email (p. ej. lotes de alertas retenidas)
+   * @param {string} subject - Asunto del email
+   * @param {string} message - Mensaje (una línea por alerta)
+   * @param {string} [to] - Destinatario (por defecto la cuenta configurada)
+   * @returns {Promise<void>}
+   */
+  async sendEmailMessage(subject, message, to = config.notification.email.user) {
+    try {
+      await this.getTransporter().sendMail({
+        from: config.notification.email.user,
+        to,
+        subject,
+        html: `<h2>${escapeHtml(subject)}</h2><p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>`
+      });
+      logger.info(`Email enviado a ${to}: ${subject}`);
     } catch (error) {
       logger.error(`Error al enviar email: ${error.message}`);
       throw error;
@@ -86,15 +160,17 @@ class Notifier {
 
   /**
    * Envía una notificación por Telegram
+   * El mensaje es texto plano: se escapa porque se envía con parse_mode HTML
    * @param {string} message - Mensaje a enviar
+   * @param {string} [chatId] - Chat destino (por defecto el configurado en el servidor)
    * @returns {Promise<void>}
    */
-  async sendTelegram(message) {
+  async sendTelegram(message, chatId = config.notification.telegram.chatId) {
     try {
       const telegramUrl = `https://api.telegram.org/bot${config.notification.telegram.botToken}/sendMessage`;
       await axios.post(telegramUrl, {
-        chat_id: config.notification.telegram.chatId,
-        text: message,
+        chat_id: chatId,
+        text: escapeHtml(message),
         parse_mode: 'HTML'
       });
       logger.info('Mensaje de Telegram enviado');
@@ -103,6 +179,155 @@ class Notifier {
       throw error;
     }
   }
+
+  /**
+   * Genera el HTML del resumen de alertas
+   * @param {Object} digest - Resumen generado por alertDigest.buildDigest
+   * @returns {string}
+   */
+  renderDigestHtml(digest) {
+    const cell = 'style="padding:6px 10px;border:1px solid #dee2e6"';
+    const topDropRows = digest.topDrops.map(product => `
+            <tr>
+              <td ${cell}>${escapeHtml(product.title || product.productId)}</td>
+              <td ${cell}>${escapeHtml(product.sku || '-')}</td>
+              <td ${cell} align="right">-${product.drop}</td>
+              <td ${cell} align="right">${product.currentStock}</td>
+            </tr>`).join('');
+    const zeroStockRows = digest.zeroStock.map(product => `
+            <tr>
+              <td ${cell}>${escapeHtml(product.title || product.id)}</td>
+              <td ${cell}>${escapeHtml(product.seller_sku || '-')}</td>
+              <td ${cell}>${escapeHtml(product.status || '-')}</td>
+            </tr>`).join('');
+
+    return `
+      <h2>📊 Resumen ${digest.periodLabel} de alertas de stock</h2>
+      <p>Del ${new Date(digest.from).toLocaleString()} al ${new Date(digest.to).toLocaleString()}</p>
+
+      <h3>Alertas del período</h3>
+      <table style="border-collapse:collapse">
+        <tr><td ${cell}>🚨 Críticas</td><td ${cell} align="right"><strong>${digest.counts.critical}</strong></td></tr>
+        <tr><td ${cell}>⚠️ Advertencias</td><td ${cell} align="right"><strong>${digest.counts.warning}</strong></td></tr>
+        <tr><td ${cell}>ℹ️ Informativas</td><td ${cell} align="right"><strong>${digest.counts.informative}</strong></td></tr>
+        <tr><td ${cell}>Total</td><td ${cell} align="right"><strong>${digest.counts.total}</strong></td></tr>
+      </table>
+
+      <h3>Productos con mayor caída de stock</h3>
+      ${digest.topDrops.length > 0 ? `
+      <table style="border-collapse:collapse">
+        <tr><th ${cell}>Producto</th><th ${cell}>SKU</th><th ${cell}>Caída</th><th ${cell}>Stock actual</th></tr>${topDropRows}
+      </table>` : '<p>Sin disminuciones de stock en el período.</p>'}
+
+      <h3>Productos sin stock (${digest.zeroStock.length})</h3>
+      ${digest.zeroStock.length > 0 ? `
+      <table style="border-collapse:collapse">
+        <tr><th ${cell}>Producto</th><th ${cell}>SKU</th><th ${cell}>Estado</th></tr>${zeroStockRows}
+      </table>` : '<p>No hay productos en cero. 🎉</p>'}
+    `;
+  }
+
+  /**
+   * Envía el resumen periódico de alertas como un único email HTML
+   * @param {Object} digest - Resumen generado por alertDigest.buildDigest
+   * @param {string} [to] - Destinatario (por defecto la cuenta configurada)
+   * @returns {Promise<void>}
+   */
+  async sendDigestEmail(digest, to = config.notification.email.user) {
+    try {
+      await this.getTransporter().sendMail({
+        from: config.notification.email.user,
+        to,
+        subject: `📊 Resumen ${digest.periodLabel} de stock: ${digest.counts.critical} críticas, ${digest.zeroStock.length} sin stock`,
+        html: this.renderDigestHtml(digest)
+      });
+      logger.info(`Resumen ${digest.period} enviado a ${to}`);
+    } catch (error) {
+      logger.error(`Error al enviar resumen por email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Envía una notificación a un webhook externo firmada con HMAC-SHA256
+   * La firma se calcula sobre `${timestamp}.${body}` para que el receptor pueda rechazar reenvíos
+   * Solo hosts públicos: la IP se valida al conectar y no se siguen redirecciones
+   * @param {string} url - URL destino configurada por el usuario
+   * @param {Object} payload - Cuerpo JSON a enviar
+   * @param {string} secret - Secreto del usuario para firmar
+   * @returns {Promise<void>}
+   */
+  async sendWebhook(url, payload, secret) {
+    try {
+      if (!url || !secret) {
+        throw new Error('Webhook sin URL o secreto configurado');
+      }
+
+      const { error: urlError } = validateWebhookUrl(url);
+      if (urlError) {
+        throw new Error(urlError);
+      }
+
+      const body = JSON.stringify(payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+      await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Stock-Monitor-Timestamp': timestamp,
+          'X-Stock-Monitor-Signature': `sha256=${signature}`
+        },
+        timeout: 10000,
+        maxRedirects: 0,
+        httpAgent: webhookHttpAgent,
+        httpsAgent: webhookHttpsAgent,
+        proxy: false
+      });
+      logger.info(`Webhook de alerta enviado a ${new URL(url).host}`);
+    } catch (error) {
+      logger.error(`Error al enviar webhook: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Envía una notificación Web Push a una suscripción del navegador
+   * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+   * @param {Object} payload - Datos que recibe el service worker (title, body, url, tag)
+   * @returns {Promise<void>} El error conserva statusCode (404/410 = suscripción vencida)
+   */
+  async sendPush(subscription, payload) {
+    if (!this.vapidConfigured) {
+      webpush.setVapidDetails(
+        config.notification.push.subject,
+        config.notification.push.vapidPublicKey,
+        config.notification.push.vapidPrivateKey
+      );
+      this.vapidConfigured = true;
+    }
+
+    try {
+      // Suscripciones guardadas antes de validar el host: no se envían a la red interna
+      const { error: urlError } = validateWebhookUrl(subscription.endpoint);
+      if (urlError) {
+        throw new Error('El endpoint push debe apuntar a un host público');
+      }
+
+      // El agente vuelve a comprobar la IP al conectar (DNS que apunta a la red interna)
+      await webpush.sendNotification(subscription, JSON.stringify(payload), {
+        TTL: 24 * 60 * 60,
+        agent: webhookHttpsAgent
+      });
+      logger.info(`Notificación push enviada a ${new URL(subscription.endpoint).host}`);
+    } catch (error) {
+      logger.error(`Error al enviar notificación push: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 module.exports = new Notifier();
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Planificador de reposición (GET /api/reorder)
+ * Por SKU sugiere cuánto pedir para cubrir el lead time del proveedor más los días de cobertura objetivo,
+ * a partir del stock actual y la velocidad de ventas de 30 días (ver utils/salesVelocity)
+ * Cada parámetro se resuelve por separado: SKU → departamento → valores generales del usuario
+ */
+
+const { findProductDepartment } = require('./thresholdResolver');
+
+const DEFAULT_TARGET_COVER_DAYS = 30;
+const DEFAULT_MIN_ORDER_QTY = 1;
+const MAX_REORDER_DAYS = 365;
+const MAX_MIN_ORDER_QTY = 100000;
+const NO_SUPPLIER = 'Sin proveedor';
+
+// Publicaciones que ya no venden y no se reponen
+const NOT_REORDERED_STATUSES = ['closed', 'deleted'];
+
+const REORDER_NUMBER_FIELDS = {
+  leadTimeDays: { min: 1, max: MAX_REORDER_DAYS },
+  targetCoverDays: { min: 1, max: MAX_REORDER_DAYS },
+  minOrderQty: { min: 1, max: MAX_MIN_ORDER_QTY }
+};
+
+/**
+ * Validar parámetros de reposición de un SKU o departamento
+ * Valores vacíos o null = heredar del nivel siguiente
+ * @returns {{ reorder: { supplier, leadTimeDays, targetCoverDays, minOrderQty } } | { error }}
+ */
+function sanitizeReorderSettings(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'reorder debe ser un objeto' };
+  }
+
+  const supplier = typeof raw.supplier === 'string' ? raw.supplier.trim().slice(0, 100) : '';
+  if (/[<>"']/.test(supplier)) {
+    return { error: 'supplier contiene caracteres inválidos' };
+  }
+
+  const reorder = { supplier: supplier || null };
+
+  for (const [field, { min, max }] of Object.entries(REORDER_NUMBER_FIELDS)) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') {
+      reorder[field] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { error: `${field} debe ser un número entre ${min} y ${max}` };
+    }
+    reorder[field] = number;
+  }
+
+  return { reorder };
+}
+
+/**
+ * Parámetros efectivos de un SKU
+ * @param {Object} item - { sku, products: [...] } (products con category_id)
+ * @param {Object} context - { skuSettings: Map<sku, reorder>, departments, defaults: { leadTimeDays, targetCoverDays, minOrderQty } }
+ * @returns {{ supplier, leadTimeDays, targetCoverDays, minOrderQty, sources }}
+ */
+function resolveReorderSettings(item, context) {
+  const skuSettings = (item.sku && context.skuSettings?.get(item.sku)) || {};
+  const productWithCategory = item.products.find(product => product.category_id);
+  const departmentSettings = findProductDepartment(productWithCategory, context.departments)?.reorder || {};
+  const defaults = {
+    supplier: null,
+    leadTimeDays: context.defaults?.leadTimeDays || 7,
+    targetCoverDays: context.defaults?.targetCoverDays || DEFAULT_TARGET_COVER_DAYS,
+    minOrderQty: context.defaults?.minOrderQty || DEFAULT_MIN_ORDER_QTY
+  };
+
+  const resolved = { sources: {} };
+  Object.keys(defaults).forEach(field => {
+    if (skuSettings[field] !== null && skuSettings[field] !== undefined) {
+      resolved[field] = skuSettings[field];
+      resolved.sources[field] = 'sku';
+    } else if (departmentSettings[field] !== null && departmentSettings[field] !== undefined) {
+      resolved[field] = departmentSettings[field];
+      resolved.sources[field] = 'department';
+    } else {
+      resolved[field] = defaults[field];
+      resolved.sources[field] = 'user';
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Agrupar publicaciones por SKU (las publicaciones sin SKU se planifican solas)
+ */
+function groupProductsBySku(products) {
+  const groups = new Map();
+
+  products
+    .filter(product => !NOT_REORDERED_STATUSES.includes(product.status))
+    .forEach(product => {
+      const key = product.seller_sku || `id:${product.id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { sku: product.seller_sku || null, products: [] });
+      }
+      groups.get(key).products.push(product);
+    });
+
+  return [...groups.values()];
+}
+
+/**
+ * Sugerencias de reposición
+ * Se sugiere pedir cuando el stock no alcanza para vender durante el lead time más la cobertura objetivo:
+ * cantidad = ventas/día × (leadTimeDays + targetCoverDays) − stock, como mínimo minOrderQty
+ * @param {Array} products - Productos con available_quantity, seller_sku, category_id y units_per_day_30d
+ * @returns {Array} Ordenadas por urgencia (se agotan antes de que llegue el pedido) y cobertura
+ */
+function buildReorderSuggestions(products, context, now = new Date()) {
+  const suggestions = [];
+
+  groupProductsBySku(products).forEach(item => {
+    const stock = item.products.reduce((sum, product) => sum + Math.max(product.available_quantity || 0, 0), 0);
+    const unitsPerDay = item.products.reduce((sum, product) => sum + (product.units_per_day_30d || 0), 0);
+    if (unitsPerDay <= 0) {
+      return;
+    }
+
+    const settings = resolveReorderSettings(item, context);
+    const demand = unitsPerDay * (settings.leadTimeDays + settings.targetCoverDays);
+    if (stock >= demand) {
+      return;
+    }
+
+    const daysOfCover = Math.round((stock / unitsPerDay) * 10) / 10;
+    suggestions.push({
+      sku: item.sku,
+      title: item.products[0].title,
+      productIds: item.products.map(product => product.id),
+      supplier: settings.supplier,
+      stock,
+      unitsPerDay: Math.round(unitsPerDay * 100) / 100,
+      daysOfCover,
+      stockoutDate: new Date(now.getTime() + daysOfCover * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      leadTimeDays: settings.leadTimeDays,
+      targetCoverDays: settings.targetCoverDays,
+      minOrderQty: settings.minOrderQty,
+      sources: settings.sources,
+      suggestedQuantity: Math.max(Math.ceil(demand - stock), settings.minOrderQty),
+      urgent: daysOfCover < settings.leadTimeDays
+    });
+  });
+
+  return suggestions.sort((a, b) => (b.urgent - a.urgent) || (a.daysOfCover - b.daysOfCover));
+}
+
+/**
+ * Agrupar sugerencias por proveedor (los SKUs sin proveedor van al final)
+ * @returns {Array<{ supplier, items, totalUnits, urgentCount }>}
+ */
+function groupSuggestionsBySupplier(suggestions) {
+  const groups = new Map();
+
+  suggestions.forEach(suggestion => {
+    const supplier = suggestion.supplier || NO_SUPPLIER;
+    if (!groups.has(supplier)) {
+      groups.set(supplier, { supplier, items: [], totalUnits: 0, urgentCount: 0 });
+    }
+    const group = groups.get(supplier);
+    group.items.push(suggestion);
+    group.totalUnits += suggestion.suggestedQuantity;
+    group.urgentCount += suggestion.urgent ? 1 : 0;
+  });
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.supplier === NO_SUPPLIER) return 1;
+    if (b.supplier === NO_SUPPLIER) return -1;
+    return a.supplier.localeCompare(b.supplier);
+  });
+}
+
+// Columnas de la lista de compras exportada (GET /api/reorder/export)
+const REORDER_EXPORT_COLUMNS = [
+  { key: 'supplier', label: 'Proveedor' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'title', label: 'Producto' },
+  { key: 'productIds', label: 'Publicaciones' },
+  { key: 'stock', label: 'Stock' },
+  { key: 'unitsPerDay', label: 'Ventas/día' },
+  { key: 'daysOfCover', label: 'Cobertura (días)' },
+  { key: 'stockoutDate', label: 'Sin stock aprox.' },
+  { key: 'leadTimeDays', label: 'Lead time (días)' },
+  { key: 'targetCoverDays', label: 'Cobertura objetivo (días)' },
+  { key: 'minOrderQty', label: 'Pedido mínimo' },
+  { key: 'suggestedQuantity', label: 'Cantidad sugerida' },
+  { key: 'urgent', label: 'Urgente' }
+];
+
+/**
+ * Fila exportable de una sugerencia
+ */
+function formatSuggestionForExport(suggestion) {
+  return {
+    ...Object.fromEntries(REORDER_EXPORT_COLUMNS.map(({ key }) => [key, suggestion[key] ?? null])),
+    supplier: suggestion.supplier || NO_SUPPLIER,
+    productIds: suggestion.productIds.join(' '),
+    urgent: suggestion.urgent ? 'Sí' : 'No'
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGET_COVER_DAYS,
+  DEFAULT_MIN_ORDER_QTY,
+  MAX_REORDER_DAYS,
+  NO_SUPPLIER,
+  REORDER_EXPORT_COLUMNS,
+  sanitizeReorderSettings,
+  resolveReorderSettings,
+  buildReorderSuggestions,
+  groupSuggestionsBySupplier,
+  formatSuggestionForExport
+};
@@ -0,0 +1,88 @@
+/**
+ * Velocidad de ventas y días de cobertura a partir del historial de stock (stock_snapshots)
+ * Las ventas son las bajas de stock: las reposiciones (subas) no restan unidades vendidas
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ventanas (días) de unidades vendidas que devuelve get_product_sales_velocity
+const VELOCITY_WINDOWS = [7, 30, 90];
+
+// Ventana usada para estimar los días hasta quedarse sin stock
+const COVER_REFERENCE_WINDOW = 30;
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Unidades vendidas por día en cada ventana
+ * Un producto con historial más corto que la ventana se promedia sobre los días registrados
+ * @param {Object|null} row - { sold_7d, sold_30d, sold_90d, tracked_since } (null = sin historial)
+ * @returns {{ units_per_day_7d, units_per_day_30d, units_per_day_90d }} null si no hay historial
+ */
+function computeSalesVelocity(row, now = new Date()) {
+  const velocity = {};
+  const trackedDays = row?.tracked_since
+    ? Math.max((now.getTime() - new Date(row.tracked_since).getTime()) / DAY_MS, 1)
+    : null;
+
+  VELOCITY_WINDOWS.forEach(windowDays => {
+    const sold = Number(row?.[`sold_${windowDays}d`]) || 0;
+    velocity[`units_per_day_${windowDays}d`] = trackedDays === null
+      ? null
+      : round(sold / Math.min(windowDays, trackedDays), 2);
+  });
+
+  return velocity;
+}
+
+/**
+ * Días estimados hasta quedarse sin stock (null = sin ventas registradas, no se agota)
+ */
+function computeDaysOfCover(stock, unitsPerDay) {
+  if (!unitsPerDay || unitsPerDay <= 0) {
+    return null;
+  }
+  return round(Math.max(stock, 0) / unitsPerDay, 1);
+}
+
+/**
+ * Campos de velocidad y cobertura de un producto (GET /api/products)
+ */
+function getVelocityFields(row, stock, now = new Date()) {
+  const velocity = computeSalesVelocity(row, now);
+  return {
+    ...velocity,
+    days_of_cover: computeDaysOfCover(stock, velocity[`units_per_day_${COVER_REFERENCE_WINDOW}d`])
+  };
+}
+
+/**
+ * Alerta LOW_COVER: la baja de stock hace que la cobertura cruce por debajo del lead time
+ * Solo al cruzar (no en cada venta posterior) y con stock > 0 (sin stock ya alerta LOW_STOCK)
+ * @returns {{ previousCover, currentCover } | null}
+ */
+function getLowCoverCrossing(previousStock, currentStock, unitsPerDay, leadTimeDays) {
+  if (!leadTimeDays || currentStock <= 0 || currentStock >= previousStock) {
+    return null;
+  }
+
+  const previousCover = computeDaysOfCover(previousStock, unitsPerDay);
+  const currentCover = computeDaysOfCover(currentStock, unitsPerDay);
+  if (currentCover === null || currentCover >= leadTimeDays || previousCover < leadTimeDays) {
+    return null;
+  }
+
+  return { previousCover, currentCover };
+}
+
+module.exports = {
+  VELOCITY_WINDOWS,
+  COVER_REFERENCE_WINDOW,
+  computeSalesVelocity,
+  computeDaysOfCover,
+  getVelocityFields,
+  getLowCoverCrossing
+};
@@ -0,0 +1,152 @@
+/**
+ * Historial de stock por producto (tabla stock_snapshots, GET /api/products/:id/history)
+ * Se guarda una fila por cada cambio de stock, precio o estado detectado por webhook o sincronización
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const HISTORY_INTERVALS = {
+  hour: HOUR_MS,
+  day: DAY_MS
+};
+
+// Con interval=auto se devuelve la serie completa mientras no supere esta cantidad de puntos
+const DEFAULT_MAX_POINTS = 500;
+
+// price llega como número desde ML y como string (DECIMAL) desde Supabase
+function isSamePrice(a, b) {
+  const left = a ?? null;
+  const right = b ?? null;
+  if (left === null || right === null) {
+    return left === right;
+  }
+  return Number(left) === Number(right);
+}
+
+/**
+ * Fila de stock_snapshots si cambió el stock, el precio o el estado (null si no hay cambios)
+ * previous null = producto nuevo: se registra el estado inicial como primer punto de la serie
+ * @param {string} source - 'webhook' | 'sync'
+ */
+function buildStockSnapshot(userId, previous, current, source, recordedAt = new Date().toISOString()) {
+  const quantity = current.available_quantity || 0;
+  const price = current.price ?? null;
+  const status = current.status || null;
+
+  if (previous &&
+      previous.available_quantity === quantity &&
+      isSamePrice(previous.price, price) &&
+      (previous.status || null) === status) {
+    return null;
+  }
+
+  return {
+    user_id: userId,
+    product_id: current.id,
+    available_quantity: quantity,
+    previous_quantity: previous ? previous.available_quantity : null,
+    price,
+    status,
+    source,
+    recorded_at: recordedAt
+  };
+}
+
+/**
+ * Intervalo efectivo para la respuesta
+ * auto = serie completa si entra en maxPoints; si no, por hora hasta 14 días y por día para rangos mayores
+ */
+function resolveHistoryInterval(interval, snapshotCount, rangeMs, maxPoints = DEFAULT_MAX_POINTS) {
+  if (interval !== 'auto') {
+    return interval;
+  }
+  if (snapshotCount <= maxPoints) {
+    return 'raw';
+  }
+  return rangeMs <= 14 * DAY_MS ? 'hour' : 'day';
+}
+
+/**
+ * Convertir los snapshots en puntos de la serie
+ * El stock es escalonado: cada punto guarda el último valor del intervalo (stock) y el mínimo y
+ * máximo alcanzados, contando el valor con el que empezó el intervalo
+ * @param {Array} snapshots - Ordenados por recorded_at ascendente
+ * @param {Object} options - { interval: 'raw'|'hour'|'day', from, initial }
+ *   initial = último snapshot anterior a from (valor vigente al inicio del rango)
+ * @returns {Array<{ at, stock, min, max, price, status, changes }>}
+ */
+function downsampleStockHistory(snapshots, { interval = 'raw', from = null, initial = null } = {}) {
+  const points = [];
+
+  if (initial && from) {
+    points.push({
+      at: new Date(from).toISOString(),
+      stock: initial.available_quantity,
+      min: initial.available_quantity,
+      max: initial.available_quantity,
+      price: initial.price ?? null,
+      status: initial.status || null,
+      changes: 0
+    });
+  }
+
+  if (interval === 'raw' || !HISTORY_INTERVALS[interval]) {
+    snapshots.forEach(snapshot => {
+      points.push({
+        at: snapshot.recorded_at,
+        stock: snapshot.available_quantity,
+        min: snapshot.available_quantity,
+        max: snapshot.available_quantity,
+        price: snapshot.price ?? null,
+        status: snapshot.status || null,
+        changes: 1
+      });
+    });
+    return points;
+  }
+
+  const bucketMs = HISTORY_INTERVALS[interval];
+  let lastStock = initial ? initial.available_quantity : null;
+  let bucket = null;
+
+  snapshots.forEach(snapshot => {
+    const bucketStart = Math.floor(new Date(snapshot.recorded_at).getTime() / bucketMs) * bucketMs;
+
+    if (!bucket || bucket.start !== bucketStart) {
+      bucket = {
+        start: bucketStart,
+        point: {
+          at: new Date(bucketStart).toISOString(),
+          stock: null,
+          min: lastStock,
+          max: lastStock,
+          price: null,
+          status: null,
+          changes: 0
+        }
+      };
+      points.push(bucket.point);
+    }
+
+    const point = bucket.point;
+    const stock = snapshot.available_quantity;
+    point.stock = stock;
+    point.min = point.min === null ? stock : Math.min(point.min, stock);
+    point.max = point.max === null ? stock : Math.max(point.max, stock);
+    point.price = snapshot.price ?? null;
+    point.status = snapshot.status || null;
+    point.changes++;
+    lastStock = stock;
+  });
+
+  return points;
+}
+
+module.exports = {
+  HISTORY_INTERVALS,
+  DEFAULT_MAX_POINTS,
+  buildStockSnapshot,
+  resolveHistoryInterval,
+  downsampleStockHistory
+};
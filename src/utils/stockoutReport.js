@@ -0,0 +1,206 @@
+/**
+ * Reporte de quiebres de stock (GET /api/reports/stockouts)
+ * Reconstruye con stock_snapshots los períodos en que cada producto estuvo en available_quantity = 0
+ * y estima las ventas perdidas con la velocidad de ventas de los 30 días previos al quiebre
+ */
+
+const { findProductDepartment } = require('./thresholdResolver');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Días previos al quiebre usados para estimar la velocidad de ventas
+const VELOCITY_LOOKBACK_DAYS = 30;
+
+const NO_DEPARTMENT = 'Sin departamento';
+
+// Publicaciones finalizadas: estar en 0 no es un quiebre
+const ENDED_STATUSES = ['closed', 'deleted'];
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const isOutOfStock = (quantity, status) => quantity === 0 && !ENDED_STATUSES.includes(status);
+
+/**
+ * Unidades vendidas por día en los 30 días previos al quiebre (null = sin historial previo)
+ */
+function getPreStockoutVelocity(snapshots, stockoutStart) {
+  const windowStart = stockoutStart - VELOCITY_LOOKBACK_DAYS * DAY_MS;
+  const previous = snapshots.filter(snapshot => new Date(snapshot.recorded_at).getTime() <= stockoutStart);
+  if (previous.length === 0) {
+    return null;
+  }
+
+  const firstRecorded = new Date(previous[0].recorded_at).getTime();
+  const windowDays = Math.min(VELOCITY_LOOKBACK_DAYS, Math.max((stockoutStart - firstRecorded) / DAY_MS, 1));
+  const sold = previous
+    .filter(snapshot => new Date(snapshot.recorded_at).getTime() >= windowStart && snapshot.status !== 'deleted')
+    .reduce((sum, snapshot) => sum + Math.max((snapshot.previous_quantity ?? snapshot.available_quantity) - snapshot.available_quantity, 0), 0);
+
+  return sold / windowDays;
+}
+
+/**
+ * Períodos sin stock de un producto dentro de [from, to]
+ * El estado anterior al primer snapshot sale de su previous_quantity; sin snapshots se usa el estado actual
+ * Si ya estaba en 0 al inicio del historial, el quiebre empieza como muy pronto en products.created_at;
+ * sin esa fecha el inicio es desconocido (unknownStart) y el período no suma a los totales
+ * @param {Array} snapshots - Del producto, orden ascendente, desde 30 días antes de from
+ * @param {Object} product - Producto actual (id, title, seller_sku, category_id, available_quantity, price, status, created_at)
+ * @param {Object} range - { from, to, now } (Date)
+ * @returns {Array<{ productId, title, sku, categoryId, start, end, startedBefore, unknownStart, ongoing, durationDays, unitsPerDay, price, lostUnits, lostRevenue }>}
+ */
+function findStockoutPeriods(snapshots, product, { from, to, now = new Date() }) {
+  const rawPeriods = [];
+  let openSince = null;
+  let openPrice = null;
+
+  // Estado al inicio del historial cargado
+  const first = snapshots[0];
+  const initialQuantity = first ? first.previous_quantity : product.available_quantity;
+  const initialStatus = first ? first.status : product.status;
+  if (initialQuantity !== null && initialQuantity !== undefined && isOutOfStock(initialQuantity, initialStatus)) {
+    const createdAt = product.created_at ? new Date(product.created_at).getTime() : NaN;
+    const firstRecorded = first ? new Date(first.recorded_at).getTime() : Infinity;
+    openSince = isNaN(createdAt) ? -Infinity : Math.min(createdAt, firstRecorded);
+    openPrice = first?.price ?? product.price ?? null;
+  }
+
+  snapshots.forEach(snapshot => {
+    const time = new Date(snapshot.recorded_at).getTime();
+    const out = isOutOfStock(snapshot.available_quantity, snapshot.status);
+
+    if (openSince !== null && !out) {
+      rawPeriods.push({ start: openSince, end: time, price: openPrice });
+      openSince = null;
+    } else if (openSince === null && out) {
+      openSince = time;
+      openPrice = snapshot.price ?? product.price ?? null;
+    }
+  });
+
+  if (openSince !== null) {
+    rawPeriods.push({ start: openSince, end: null, price: openPrice });
+  }
+
+  const fromMs = from.getTime();
+  const toMs = Math.min(to.getTime(), now.getTime());
+
+  return rawPeriods
+    .map(period => {
+      const start = Math.max(period.start, fromMs);
+      const end = Math.min(period.end ?? now.getTime(), toMs);
+      if (end <= start) {
+        return null;
+      }
+
+      const durationDays = (end - start) / DAY_MS;
+      const velocity = Number.isFinite(period.start) ? getPreStockoutVelocity(snapshots, period.start) : null;
+      const price = period.price === null ? null : Number(period.price);
+      const lostUnits = velocity === null ? null : round(velocity * durationDays, 1);
+
+      return {
+        productId: product.id,
+        title: product.title,
+        sku: product.seller_sku || null,
+        categoryId: product.category_id || null,
+        start: new Date(start).toISOString(),
+        end: period.end === null ? null : new Date(end).toISOString(),
+        startedBefore: period.start < fromMs,
+        unknownStart: !Number.isFinite(period.start),
+        ongoing: period.end === null,
+        durationDays: round(durationDays, 2),
+        unitsPerDay: velocity === null ? null : round(velocity, 2),
+        price,
+        lostUnits,
+        lostRevenue: lostUnits === null || price === null ? null : round(lostUnits * price, 2)
+      };
+    })
+    .filter(Boolean);
+}
+
+function emptyGroup(fields) {
+  return { ...fields, stockouts: 0, products: new Set(), days: 0, lostUnits: 0, lostRevenue: 0 };
+}
+
+function addToGroup(group, period) {
+  group.stockouts++;
+  group.products.add(period.productId);
+  group.days += period.durationDays;
+  group.lostUnits += period.lostUnits || 0;
+  group.lostRevenue += period.lostRevenue || 0;
+}
+
+function finishGroup(group) {
+  return {
+    ...group,
+    products: group.products.size,
+    days: round(group.days, 1),
+    lostUnits: round(group.lostUnits, 1),
+    lostRevenue: round(group.lostRevenue, 2)
+  };
+}
+
+/**
+ * Reporte completo: períodos, totales y agregados por departamento y categoría
+ * @param {Array} products - Productos del usuario
+ * @param {Map<string, Array>} snapshotsByProduct - product_id → snapshots ascendentes
+ * @param {Object} options - { from, to, now, departments }
+ */
+function buildStockoutReport(products, snapshotsByProduct, { from, to, now = new Date(), departments = [] }) {
+  const periods = [];
+  const byDepartment = new Map();
+  const byCategory = new Map();
+  const totals = emptyGroup({ withoutVelocity: 0, unknownStart: 0 });
+
+  // No se descartan productos por su estado actual: una publicación finalizada después del rango
+  // pudo quebrar dentro de él (findStockoutPeriods usa el estado de cada snapshot)
+  products.forEach(product => {
+    const productPeriods = findStockoutPeriods(snapshotsByProduct.get(product.id) || [], product, { from, to, now });
+    periods.push(...productPeriods);
+
+    // Sin fecha de inicio la duración sería todo el rango: se listan pero no suman
+    const knownPeriods = productPeriods.filter(period => !period.unknownStart);
+    totals.unknownStart += productPeriods.length - knownPeriods.length;
+    if (knownPeriods.length === 0) {
+      return;
+    }
+
+    const department = findProductDepartment(product, departments);
+    const departmentKey = department?.id || null;
+    if (!byDepartment.has(departmentKey)) {
+      byDepartment.set(departmentKey, emptyGroup({ departmentId: departmentKey, department: department?.name || NO_DEPARTMENT }));
+    }
+    const categoryKey = product.category_id || null;
+    if (!byCategory.has(categoryKey)) {
+      byCategory.set(categoryKey, emptyGroup({ categoryId: categoryKey }));
+    }
+
+    knownPeriods.forEach(period => {
+      addToGroup(totals, period);
+      addToGroup(byDepartment.get(departmentKey), period);
+      addToGroup(byCategory.get(categoryKey), period);
+      if (period.lostUnits === null) {
+        totals.withoutVelocity++;
+      }
+    });
+  });
+
+  const byLostRevenue = (a, b) => (b.lostRevenue - a.lostRevenue) || (b.days - a.days);
+
+  return {
+    totals: finishGroup(totals),
+    byDepartment: [...byDepartment.values()].map(finishGroup).sort(byLostRevenue),
+    byCategory: [...byCategory.values()].map(finishGroup).sort(byLostRevenue),
+    periods: periods.sort((a, b) => ((b.lostRevenue ?? -1) - (a.lostRevenue ?? -1)) || (b.durationDays - a.durationDays))
+  };
+}
+
+module.exports = {
+  VELOCITY_LOOKBACK_DAYS,
+  NO_DEPARTMENT,
+  findStockoutPeriods,
+  buildStockoutReport
+};
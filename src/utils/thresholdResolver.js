@@ -0,0 +1,76 @@
+/**
+ * Resolución del umbral de stock bajo efectivo de un producto
+ * Prioridad: override del producto → override del SKU → departamento → umbral del usuario
+ */
+
+const THRESHOLD_TARGET_TYPES = ['product', 'sku'];
+
+/**
+ * Departamento configurado al que pertenece un producto (por category_id)
+ */
+function findProductDepartment(product, departments = []) {
+  if (!product?.category_id || !Array.isArray(departments)) {
+    return null;
+  }
+
+  return departments.find(dept =>
+    Array.isArray(dept.categories) && dept.categories.some(cat => cat.id === product.category_id)
+  ) || null;
+}
+
+/**
+ * Umbral válido (entero >= 0) o null
+ */
+function parseThreshold(value) {
+  const threshold = parseInt(value);
+  return isNaN(threshold) || threshold < 0 ? null : threshold;
+}
+
+/**
+ * Resolver el umbral efectivo de un producto
+ * @param {Object} product - Producto con id, seller_sku y category_id
+ * @param {Object} context - { defaultThreshold, overrides: [{ target_type, target_id, threshold }], departments }
+ * @returns {{ threshold: number, source: 'product'|'sku'|'department'|'user' }}
+ */
+function resolveThreshold(product, context) {
+  const overrides = context.overrides || [];
+
+  const productOverride = overrides.find(o => o.target_type === 'product' && o.target_id === product.id);
+  if (productOverride && parseThreshold(productOverride.threshold) !== null) {
+    return { threshold: parseThreshold(productOverride.threshold), source: 'product' };
+  }
+
+  if (product.seller_sku) {
+    const skuOverride = overrides.find(o => o.target_type === 'sku' && o.target_id === product.seller_sku);
+    if (skuOverride && parseThreshold(skuOverride.threshold) !== null) {
+      return { threshold: parseThreshold(skuOverride.threshold), source: 'sku' };
+    }
+  }
+
+  const department = findProductDepartment(product, context.departments);
+  if (department && parseThreshold(department.lowStockThreshold) !== null) {
+    return { threshold: parseThreshold(department.lowStockThreshold), source: 'department' };
+  }
+
+  return { threshold: context.defaultThreshold, source: 'user' };
+}
+
+/**
+ * Mayor umbral posible del contexto (cota para filtrar en base de datos)
+ */
+function getMaxThreshold(context) {
+  const values = [
+    context.defaultThreshold,
+    ...(context.overrides || []).map(o => parseThreshold(o.threshold)),
+    ...(context.departments || []).map(dept => parseThreshold(dept.lowStockThreshold))
+  ].filter(value => value !== null && value !== undefined);
+
+  return Math.max(...values);
+}
+
+module.exports = {
+  THRESHOLD_TARGET_TYPES,
+  findProductDepartment,
+  resolveThreshold,
+  getMaxThreshold
+};
@@ -0,0 +1,176 @@
+/**
+ * Validación de destinos del canal webhook (protección contra SSRF)
+ * La URL la define el usuario: solo se permiten hosts públicos por HTTPS, y la IP se vuelve a
+ * comprobar al conectar (lookup del agente) para que un DNS que cambia no apunte a la red interna
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const MAX_URL_LENGTH = 2048;
+
+// Nombres que siempre resuelven a la red local o interna
+const BLOCKED_HOSTNAME_SUFFIXES = ['.localhost', '.local', '.internal', '.localdomain', '.home.arpa'];
+
+// Rangos IPv4 no públicos: [dirección base, bits de prefijo]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],       // "esta" red
+  ['10.0.0.0', 8],      // RFC1918
+  ['100.64.0.0', 10],   // CGNAT
+  ['127.0.0.0', 8],     // loopback
+  ['169.254.0.0', 16],  // link-local (metadata de clouds: 169.254.169.254)
+  ['172.16.0.0', 12],   // RFC1918
+  ['192.0.0.0', 24],    // asignaciones IETF
+  ['192.168.0.0', 16],  // RFC1918
+  ['198.18.0.0', 15],   // benchmarking
+  ['224.0.0.0', 4],     // multicast
+  ['240.0.0.0', 4]      // reservado y broadcast
+];
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+
+function isPrivateIPv4(ip) {
+  const value = ipv4ToNumber(ip);
+  return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(base);
+    return value >= start && value < start + size;
+  });
+}
+
+/**
+ * Indicar si una IP (v4 o v6) es loopback, privada, link-local o reservada
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return isPrivateIPv4(address);
+  }
+
+  if (!net.isIPv6(address)) {
+    return true;
+  }
+
+  const normalized = address.toLowerCase();
+
+  // IPv4 mapeada o embebida (::ffff:10.0.0.1, ::10.0.0.1)
+  const embeddedIPv4 = normalized.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+  if (embeddedIPv4) {
+    return isPrivateIPv4(embeddedIPv4[1]);
+  }
+
+  return normalized === '::' ||
+    normalized === '::1' ||
+    normalized.startsWith('::ffff:') ||
+    /^f[cd]/.test(normalized) ||      // fc00::/7 (ULA)
+    /^fe[89ab]/.test(normalized) ||   // fe80::/10 (link-local)
+    normalized.startsWith('ff');      // multicast
+}
+
+/**
+ * Validar una URL de webhook sin resolver DNS (formato, HTTPS y host)
+ * @returns {{ url: URL } | { error }}
+ */
+function validateWebhookUrl(rawUrl) {
+  const value = String(rawUrl || '').trim();
+  if (!value || value.length > MAX_URL_LENGTH) {
+    return { error: 'URL de webhook inválida' };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { error: 'URL de webhook inválida' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { error: 'La URL de webhook debe usar HTTPS' };
+  }
+  if (url.username || url.password) {
+    return { error: 'La URL de webhook no puede incluir credenciales' };
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      return { error: 'La URL de webhook debe apuntar a un host público' };
+    }
+    return { url };
+  }
+
+  // Sin punto = nombre de la red interna (p. ej. "metadata", "redis")
+  if (hostname === 'localhost' || !hostname.includes('.') ||
+      BLOCKED_HOSTNAME_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    return { error: 'La URL de webhook debe apuntar a un host público' };
+  }
+
+  return { url };
+}
+
+/**
+ * dns.lookup que falla si el host resuelve a alguna dirección no pública
+ * Se usa como lookup de los agentes HTTP, así la comprobación ocurre en cada conexión
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      const blockedError = new Error(`El webhook ${hostname} resuelve a una dirección no pública${blocked ? ` (${blocked.address})` : ''}`);
+      blockedError.code = 'EWEBHOOKPRIVATEADDRESS';
+      return callback(blockedError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Comprobar antes de guardar que el host del webhook resuelve solo a direcciones públicas
+ * @returns {Promise<string|null>} Mensaje de error o null si es válido
+ */
+function checkWebhookHostResolution(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    publicOnlyLookup(hostname, { all: true }, (error) => {
+      if (!error) {
+        return resolve(null);
+      }
+      resolve(error.code === 'EWEBHOOKPRIVATEADDRESS'
+        ? 'La URL de webhook debe apuntar a un host público'
+        : `No se pudo resolver el host del webhook (${hostname})`);
+    });
+  });
+}
+
+// Agentes para los envíos de webhooks: toda conexión pasa por publicOnlyLookup
+const webhookHttpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+module.exports = {
+  isPrivateAddress,
+  validateWebhookUrl,
+  publicOnlyLookup,
+  checkWebhookHostResolution,
+  webhookHttpAgent,
+  webhookHttpsAgent
+};
@@ -0,0 +1,33 @@
+const { escapeCsvValue, formatAlertForExport, getCsvHeader, toCsvRow } = require('../src/utils/alertExport');
+
+describe('Alert Export', () => {
+  test('debería escapar comillas, comas y saltos de línea', () => {
+    expect(escapeCsvValue('Remera "azul", talle M')).toBe('"Remera ""azul"", talle M"');
+    expect(escapeCsvValue('línea 1\nlínea 2')).toBe('"línea 1\nlínea 2"');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(0)).toBe('0');
+  });
+
+  test('debería neutralizar textos que una planilla tomaría como fórmula', () => {
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsvValue(-5)).toBe('-5');
+  });
+
+  test('debería generar una fila por alerta con las columnas del encabezado', () => {
+    const row = formatAlertForExport({
+      id: 1,
+      created_at: '2026-10-01T10:00:00Z',
+      alert_type: 'LOW_STOCK',
+      product_id: 'MLA1',
+      product_title: 'Taza',
+      seller_sku: 'SKU-1',
+      previous_stock: 8,
+      new_stock: 2
+    });
+
+    expect(row.priority).toBe('critical');
+    expect(row.id).toBeUndefined();
+    expect(getCsvHeader().split(',')).toHaveLength(10);
+    expect(toCsvRow(row)).toBe('2026-10-01T10:00:00Z,LOW_STOCK,critical,MLA1,Taza,SKU-1,8,2,,\r\n');
+  });
+});
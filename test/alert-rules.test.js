@@ -0,0 +1,48 @@
+const { validateRule, evaluateRule, buildRuleContext, getTriggeredRules } = require('../src/utils/alertRules');
+
+describe('Alert Rules', () => {
+  const departments = [{ id: 'hogar', name: 'Hogar', categories: [{ id: 'MLA1574', name: 'Hogar' }] }];
+
+  const fullLowStockRule = validateRule({
+    id: 'full-hogar',
+    name: 'Full de Hogar con poco stock',
+    conditions: [
+      { field: 'available_quantity', operator: 'lt', value: 10 },
+      { field: 'is_fulfillment', operator: 'eq', value: true },
+      { field: 'department_name', operator: 'eq', value: 'hogar' }
+    ]
+  }).rule;
+
+  const dropRule = validateRule({
+    id: 'caida-brusca',
+    name: 'Caída mayor al 50%',
+    priority: 'critical',
+    conditions: [{ field: 'stock_change_percent', operator: 'lte', value: -50 }]
+  }).rule;
+
+  test('debería rechazar campos y operadores no soportados', () => {
+    expect(validateRule({ name: 'x', conditions: [{ field: 'foo', operator: 'eq', value: 1 }] }).error).toMatch(/campo no soportado/);
+    expect(validateRule({ name: 'x', conditions: [{ field: 'status', operator: 'lt', value: 'active' }] }).error).toMatch(/operador/);
+    expect(validateRule({ name: 'x', conditions: [] }).error).toMatch(/conditions/);
+  });
+
+  test('debería evaluar condiciones combinadas sobre el producto', () => {
+    const product = { id: 'MLA1', available_quantity: 4, is_fulfillment: true, category_id: 'MLA1574' };
+    expect(evaluateRule(fullLowStockRule, buildRuleContext(product, null, departments))).toBe(true);
+    expect(evaluateRule(fullLowStockRule, buildRuleContext({ ...product, is_fulfillment: false }, null, departments))).toBe(false);
+  });
+
+  test('debería disparar reglas de cambio solo al comparar con el estado anterior', () => {
+    const previous = { id: 'MLA2', available_quantity: 20, category_id: 'MLA1574' };
+    const current = { ...previous, available_quantity: 8 };
+    expect(getTriggeredRules([dropRule], current, previous, departments)).toEqual([dropRule]);
+    expect(evaluateRule(dropRule, buildRuleContext(current, null, departments), { ignoreDeltaFields: true })).toBe(false);
+  });
+
+  test('debería disparar reglas de estado solo al empezar a cumplirse', () => {
+    const previous = { id: 'MLA3', available_quantity: 12, is_fulfillment: true, category_id: 'MLA1574' };
+    const current = { ...previous, available_quantity: 9 };
+    expect(getTriggeredRules([fullLowStockRule], current, previous, departments)).toHaveLength(1);
+    expect(getTriggeredRules([fullLowStockRule], { ...current, available_quantity: 7 }, current, departments)).toHaveLength(0);
+  });
+});
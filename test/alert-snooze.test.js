@@ -0,0 +1,23 @@
+const { isSnoozeActive } = require('../src/utils/alertSnooze');
+
+describe('Alert Snooze', () => {
+  const now = new Date('2026-10-20T12:00:00Z');
+
+  test('debería seguir vigente hasta la fecha indicada', () => {
+    const snooze = { snoozed_until: '2026-10-23T23:59:59Z', until_stock_above: null };
+    expect(isSnoozeActive(snooze, 2, now)).toBe(true);
+    expect(isSnoozeActive(snooze, 2, new Date('2026-10-24T00:00:00Z'))).toBe(false);
+  });
+
+  test('debería terminar cuando el stock supera el valor indicado', () => {
+    const snooze = { snoozed_until: null, until_stock_above: 5 };
+    expect(isSnoozeActive(snooze, 5, now)).toBe(true);
+    expect(isSnoozeActive(snooze, 6, now)).toBe(false);
+  });
+
+  test('debería terminar con la primera condición que se cumpla', () => {
+    const snooze = { snoozed_until: '2026-10-30T00:00:00Z', until_stock_above: 10 };
+    expect(isSnoozeActive(snooze, 20, now)).toBe(false);
+    expect(isSnoozeActive(snooze, null, now)).toBe(true);
+  });
+});
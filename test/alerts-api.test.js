@@ -0,0 +1,93 @@
+jest.mock('../src/services/databaseService', () => ({
+  getActiveProductSnoozes: jest.fn(),
+  getStockAlerts: jest.fn(),
+  getAlertsSummary: jest.fn(),
+  getAlertsCount: jest.fn()
+}));
+jest.mock('../src/services/notificationDispatcher', () => ({}));
+jest.mock('../src/middleware/serverlessAuth', () => ({
+  withAuth: (handler) => (req, res) => handler({ ...req, auth: { userId: 'user_1' } }, res)
+}));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const handleAlerts = require('../src/api/alerts');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('Alerts API - lista filtrada en BD', () => {
+  const now = new Date('2026-10-19T15:00:00Z');
+  const summary = { total: 3, critical: 1, warning: 0, info: 2, unread: { total: 1, critical: 1, warning: 0, info: 0 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now });
+    databaseService.getActiveProductSnoozes.mockResolvedValue([]);
+    databaseService.getAlertsSummary.mockResolvedValue(summary);
+    databaseService.getAlertsCount.mockResolvedValue({ total: 3, unread: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debería pasar prioridad, rango de tiempo y página a la consulta y detectar más páginas', async () => {
+    databaseService.getStockAlerts.mockResolvedValue([
+      { id: 3, product_id: 'MLA1', alert_type: 'STOCK_INCREASE' },
+      { id: 2, product_id: 'MLA2', alert_type: 'STOCK_INCREASE' },
+      { id: 1, product_id: 'MLA3', alert_type: 'STOCK_INCREASE' }
+    ]);
+    const res = createResponse();
+
+    await handleAlerts({
+      method: 'GET',
+      url: '/api/alerts?priority=info&timeRange=week&page=1&limit=2',
+      query: { priority: 'info', timeRange: 'week', page: '1', limit: '2' }
+    }, res);
+
+    const since = '2026-10-12T15:00:00.000Z';
+    expect(databaseService.getStockAlerts).toHaveBeenCalledWith('user_1', expect.objectContaining({
+      limit: 3,
+      offset: 2,
+      priority: 'informative',
+      since,
+      alertType: undefined
+    }));
+    // Los contadores usan los mismos filtros que la lista
+    expect(databaseService.getAlertsSummary).toHaveBeenCalledWith('user_1', expect.objectContaining({
+      alertType: undefined,
+      priority: 'informative',
+      since
+    }));
+
+    const response = res.json.mock.calls[0][0];
+    expect(response.alerts.map(alert => alert.id)).toEqual([3, 2]);
+    expect(response.pagination).toEqual({ limit: 2, offset: 2, page: 1, hasMore: true });
+    expect(response.summary).toBe(summary);
+  });
+
+  test('debería ignorar prioridad y rango inválidos y aceptar varios tipos de alerta', async () => {
+    databaseService.getStockAlerts.mockResolvedValue([]);
+    const res = createResponse();
+
+    await handleAlerts({
+      method: 'GET',
+      url: '/api/alerts',
+      query: { priority: 'urgent', timeRange: 'year', alertType: 'LOW_STOCK,NO_EXISTE,STOCK_DECREASE' }
+    }, res);
+
+    expect(databaseService.getStockAlerts).toHaveBeenCalledWith('user_1', expect.objectContaining({
+      limit: 51,
+      offset: 0,
+      priority: undefined,
+      since: null,
+      alertType: ['LOW_STOCK', 'STOCK_DECREASE']
+    }));
+    expect(res.json.mock.calls[0][0].pagination.hasMore).toBe(false);
+  });
+});
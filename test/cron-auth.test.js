@@ -0,0 +1,56 @@
+jest.mock('../src/services/databaseService', () => ({ runMaintenance: jest.fn() }));
+jest.mock('../src/services/alertDigest', () => ({ getPeriods: jest.fn(() => ['daily', 'weekly']), sendDigests: jest.fn() }));
+jest.mock('../src/services/alertEscalation', () => ({ evaluateEscalations: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const handleCron = require('../src/api/cron');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('Cron API auth', () => {
+  const originalSecret = process.env.CRON_SECRET;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CRON_SECRET = 'secreto-de-prueba';
+    databaseService.runMaintenance.mockResolvedValue({ retention: null });
+  });
+
+  afterAll(() => {
+    process.env.CRON_SECRET = originalSecret;
+  });
+
+  test('debería rechazar invocaciones sin el Bearer correcto', async () => {
+    for (const authorization of [undefined, 'Bearer otro-secreto', 'secreto-de-prueba']) {
+      const res = createResponse();
+      await handleCron({ method: 'GET', url: '/api/cron/maintenance', headers: { authorization } }, res);
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+    expect(databaseService.runMaintenance).not.toHaveBeenCalled();
+  });
+
+  test('debería rechazar todo si CRON_SECRET no está configurado', async () => {
+    delete process.env.CRON_SECRET;
+    const res = createResponse();
+
+    await handleCron({ method: 'GET', url: '/api/cron/maintenance', headers: { authorization: 'Bearer ' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(databaseService.runMaintenance).not.toHaveBeenCalled();
+  });
+
+  test('debería ejecutar la tarea con el secreto correcto', async () => {
+    const res = createResponse();
+
+    await handleCron({ method: 'GET', url: '/api/cron/maintenance', headers: { authorization: 'Bearer secreto-de-prueba' } }, res);
+
+    expect(databaseService.runMaintenance).toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, job: 'maintenance' }));
+  });
+});
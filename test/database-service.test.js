@@ -0,0 +1,326 @@
+jest.mock('../src/utils/supabaseClient', () => ({ executeQuery: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/services/notificationDispatcher', () => ({
+  retryFailedDeliveries: jest.fn(),
+  releaseHeldDeliveries: jest.fn()
+}));
+
+const supabaseClient = require('../src/utils/supabaseClient');
+const databaseService = require('../src/services/databaseService');
+const notificationDispatcher = require('../src/services/notificationDispatcher');
+
+/**
+ * Cliente de Supabase falso: registra la cadena de la consulta y responde con `data` (y `count`)
+ */
+function createClient(data, count = null) {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => {
+      if (method === 'then') {
+        return (resolve) => resolve({ data, count });
+      }
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  const start = (method) => (...args) => {
+    calls.push([method, ...args]);
+    return query;
+  };
+  return { calls, client: { from: start('from'), rpc: start('rpc') } };
+}
+
+function mockQuery(data, count = null) {
+  const fake = createClient(data, count);
+  supabaseClient.executeQuery.mockImplementationOnce(async (operation) => operation(fake.client));
+  return fake.calls;
+}
+
+describe('Database Service - consultas de alertas', () => {
+  const countRows = [
+    { alert_type: 'LOW_STOCK', priority: 'critical', unread: true, total: '4' },
+    { alert_type: 'LOW_STOCK', priority: 'critical', unread: false, total: '2' },
+    { alert_type: 'STOCK_DECREASE', priority: 'warning', unread: true, total: '3' },
+    { alert_type: 'STOCK_INCREASE', priority: 'informative', unread: false, total: '5' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('debería filtrar y paginar en la consulta de alertas', async () => {
+    const calls = mockQuery([{ id: 1 }]);
+
+    const alerts = await databaseService.getStockAlerts('user_1', {
+      limit: 26,
+      offset: 50,
+      alertType: ['LOW_STOCK', 'STOCK_DECREASE'],
+      priority: 'critical',
+      since: '2026-10-12T00:00:00.000Z',
+      onlyUnread: true
+    });
+
+    expect(alerts).toEqual([{ id: 1 }]);
+    expect(calls).toEqual(expect.arrayContaining([
+      ['eq', 'user_id', 'user_1'],
+      ['in', 'alert_type', ['LOW_STOCK', 'STOCK_DECREASE']],
+      ['eq', 'priority', 'critical'],
+      ['gte', 'created_at', '2026-10-12T00:00:00.000Z'],
+      ['is', 'read_at', null],
+      ['range', 50, 75]
+    ]));
+  });
+
+  test('debería ordenar por último cambio cuando se pide para el centro de notificaciones', async () => {
+    const byChange = mockQuery([]);
+    const byCreation = mockQuery([]);
+
+    await databaseService.getStockAlerts('user_1', { limit: 10, onlyUnread: true, orderBy: 'last_changed_at' });
+    await databaseService.getStockAlerts('user_1', { orderBy: 'title; drop table' });
+
+    expect(byChange).toContainEqual(['order', 'last_changed_at', { ascending: false }]);
+    expect(byCreation).toContainEqual(['order', 'created_at', { ascending: false }]);
+  });
+
+  test('no debería consultar si el filtro de productos está vacío', async () => {
+    expect(await databaseService.getStockAlerts('user_1', { productIds: [] })).toEqual([]);
+    expect(supabaseClient.executeQuery).not.toHaveBeenCalled();
+  });
+
+  test('debería armar los contadores por prioridad desde la función de conteo agregado', async () => {
+    const calls = mockQuery(countRows);
+
+    const summary = await databaseService.getAlertsSummary('user_1', { alertType: ['LOW_STOCK', 'STOCK_INCREASE'], since: '2026-10-19T00:00:00.000Z' });
+
+    expect(calls[0]).toEqual(['rpc', 'get_stock_alert_counts', { p_user_id: 'user_1', p_since: '2026-10-19T00:00:00.000Z', p_product_ids: null }]);
+    expect(summary).toEqual({
+      total: 11,
+      critical: 6,
+      warning: 0,
+      info: 5,
+      unread: { total: 4, critical: 4, warning: 0, info: 0 }
+    });
+  });
+
+  test('debería aplicar a los contadores los filtros de prioridad, no leídas y productos de la lista', async () => {
+    const calls = mockQuery(countRows);
+
+    const summary = await databaseService.getAlertsSummary('user_1', { priority: 'critical', onlyUnread: true, productIds: ['MLA1'] });
+
+    expect(calls[0][2]).toMatchObject({ p_product_ids: ['MLA1'] });
+    expect(summary).toEqual({
+      total: 4,
+      critical: 4,
+      warning: 0,
+      info: 0,
+      unread: { total: 4, critical: 4, warning: 0, info: 0 }
+    });
+
+    expect(await databaseService.getAlertsSummary('user_1', { productIds: [] })).toMatchObject({ total: 0 });
+    expect(supabaseClient.executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('debería contar por tipo y no leídas sin descargar las alertas', async () => {
+    mockQuery(countRows);
+
+    const count = await databaseService.getAlertsCount('user_1');
+
+    expect(count).toMatchObject({ total: 14, unread: 7, LOW_STOCK: 6, STOCK_DECREASE: 3, STOCK_INCREASE: 5, PRICE_CHANGE: 0 });
+  });
+
+  test('debería contar como nuevas las alertas no leídas con cambios posteriores a la marca de visto', async () => {
+    const calls = mockQuery(null, 3);
+
+    const newCount = await databaseService.countNewUnreadAlerts('user_1', '2026-10-19T12:00:00.000Z');
+
+    expect(newCount).toBe(3);
+    expect(calls).toEqual(expect.arrayContaining([
+      ['is', 'read_at', null],
+      ['gt', 'last_changed_at', '2026-10-19T12:00:00.000Z']
+    ]));
+    expect(calls).not.toContainEqual(expect.arrayContaining(['created_at']));
+  });
+});
+
+describe('Database Service - velocidad de ventas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('debería paginar el RPC hasta recibir una página incompleta', async () => {
+    const firstPage = mockQuery([{ product_id: 'MLA1', sold_7d: 1 }, { product_id: 'MLA2', sold_7d: 2 }]);
+    const secondPage = mockQuery([{ product_id: 'MLA3', sold_7d: 3 }]);
+
+    const velocity = await databaseService.getSalesVelocity('user_1', null, 2);
+
+    expect(firstPage).toEqual([
+      ['rpc', 'get_product_sales_velocity', { p_user_id: 'user_1', p_product_ids: null }],
+      ['range', 0, 1]
+    ]);
+    expect(secondPage[1]).toEqual(['range', 2, 3]);
+    expect(supabaseClient.executeQuery).toHaveBeenCalledTimes(2);
+    expect([...velocity.keys()]).toEqual(['MLA1', 'MLA2', 'MLA3']);
+  });
+
+  test('debería limitar el RPC a los productos pedidos y no consultar sin productos', async () => {
+    const calls = mockQuery([{ product_id: 'MLA2', sold_7d: 2 }]);
+
+    await databaseService.getSalesVelocity('user_1', ['MLA2']);
+    expect(await databaseService.getSalesVelocity('user_1', [])).toEqual(new Map());
+
+    expect(calls[0]).toEqual(['rpc', 'get_product_sales_velocity', { p_user_id: 'user_1', p_product_ids: ['MLA2'] }]);
+    expect(supabaseClient.executeQuery).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Database Service - historial de stock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('debería paginar más allá del tope de 1000 filas de PostgREST sin perder el final del rango', async () => {
+    const start = new Date('2026-08-01T00:00:00Z').getTime();
+    const rows = Array.from({ length: 2500 }, (_, index) => ({
+      id: index + 1,
+      recorded_at: new Date(start + index * 60000).toISOString(),
+      available_quantity: 2500 - index
+    }));
+    const pages = [rows.slice(0, 1000), rows.slice(1000, 2000), rows.slice(2000)].map(page => mockQuery(page));
+
+    const snapshots = await databaseService.getStockSnapshots('user_1', 'MLA1', { since: '2026-08-01T00:00:00.000Z' });
+
+    expect(snapshots).toHaveLength(2500);
+    expect(snapshots[2499].id).toBe(2500);
+    expect(pages[0]).toContainEqual(['limit', 1000]);
+    expect(pages[1]).toContainEqual(['gt', 'id', 1000]);
+    expect(pages[2]).toContainEqual(['gt', 'id', 2000]);
+  });
+});
+
+describe('Database Service - ráfagas y cooldown', () => {
+  const alertData = {
+    user_id: 'user_1',
+    product_id: 'MLA1',
+    alert_type: 'PRICE_CHANGE',
+    previous_value: '1000',
+    new_value: '1050',
+    created_at: '2026-10-19T12:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('debería guardar o colapsar la alerta en una sola llamada atómica', async () => {
+    const calls = mockQuery([{ id: 7, collapsed: false, previous_stock: null, previous_value: '1000', change_count: 1, was_read: false, previous_changed_at: null }]);
+
+    const saved = await databaseService.saveOrCollapseStockAlert(alertData, 60);
+
+    expect(saved).toMatchObject({ id: 7, collapsed: false });
+    expect(calls).toEqual([['rpc', 'save_or_collapse_stock_alert', {
+      p_alert: { ...alertData, priority: 'informative' },
+      p_window_minutes: 60
+    }]]);
+    expect(supabaseClient.executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('debería recalcular la prioridad con el primer valor de la alerta colapsada', async () => {
+    mockQuery([{ id: 7, collapsed: true, previous_stock: null, previous_value: '800', change_count: 3, was_read: true, previous_changed_at: '2026-10-19T11:50:00' }]);
+    const update = mockQuery(null);
+
+    const saved = await databaseService.saveOrCollapseStockAlert(alertData, 60);
+
+    // 800 → 1050 supera el 20%: pasa a advertencia aunque 1000 → 1050 no
+    expect(saved).toMatchObject({ collapsed: true, change_count: 3, was_read: true });
+    expect(update).toEqual(expect.arrayContaining([['update', { priority: 'warning' }], ['eq', 'id', 7]]));
+  });
+
+  test('no debería buscar ráfagas con la ventana deshabilitada', async () => {
+    const calls = mockQuery([{ id: 8, collapsed: false }]);
+
+    await databaseService.saveOrCollapseStockAlert(alertData, null);
+
+    expect(calls[0][2].p_window_minutes).toBe(0);
+  });
+
+  test('debería reclamar la notificación con el cooldown en la misma operación', async () => {
+    const granted = mockQuery(true);
+    mockQuery(false);
+
+    expect(await databaseService.claimAlertNotification(7, 24)).toBe(true);
+    expect(await databaseService.claimAlertNotification(8, 24)).toBe(false);
+    expect(granted).toEqual([['rpc', 'claim_stock_alert_notification', { p_alert_id: 7, p_cooldown_hours: 24 }]]);
+  });
+});
+
+describe('Database Service - retención de alertas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-10-19T15:30:00Z') });
+    jest.spyOn(databaseService, 'updateConfig').mockResolvedValue();
+    jest.spyOn(databaseService, 'getAllUserAlertSettings').mockResolvedValue([
+      { userId: 'user_1', settings: { retention: { hotDays: 30, archive: false } } },
+      { userId: 'user_2', settings: { retention: { hotDays: 365, archive: true } } }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('debería cortar a las 00:00 UTC y excluir de la política por defecto a los usuarios configurados', async () => {
+    const user1 = mockQuery([{ archived: 0, summary_rows: 0, purged: 4 }]);
+    const user2 = mockQuery([{ archived: 2, summary_rows: 1, purged: 2 }]);
+    const others = mockQuery([{ archived: 5, summary_rows: 3, purged: 5 }]);
+
+    const report = await databaseService.applyAlertRetention();
+
+    expect(user1).toEqual([['rpc', 'archive_old_stock_alerts', {
+      p_user_id: 'user_1', p_before: '2026-09-19T00:00:00.000Z', p_archive: false, p_exclude: []
+    }]]);
+    expect(user2[0][2]).toMatchObject({ p_user_id: 'user_2', p_before: '2025-10-19T00:00:00.000Z', p_archive: true });
+    expect(others).toEqual([['rpc', 'archive_old_stock_alerts', {
+      p_user_id: null, p_before: '2026-07-21T00:00:00.000Z', p_archive: true, p_exclude: ['user_1', 'user_2']
+    }]]);
+    expect(report).toMatchObject({ users: 2, archived: 7, summaryRows: 4, purged: 11, failed: 0 });
+  });
+
+  test('debería seguir con los demás usuarios si falla uno', async () => {
+    supabaseClient.executeQuery.mockRejectedValueOnce(new Error('timeout'));
+    mockQuery([{ archived: 1, summary_rows: 1, purged: 1 }]);
+    mockQuery([]);
+
+    const report = await databaseService.applyAlertRetention();
+
+    expect(report).toMatchObject({ users: 1, purged: 1, failed: 1 });
+    expect(databaseService.updateConfig).toHaveBeenCalledWith('alert_retention_last_run', report);
+  });
+});
+
+describe('Database Service - mantenimiento', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabaseClient.executeQuery.mockResolvedValue({ data: null });
+    jest.spyOn(databaseService, 'cleanupProcessedWebhooks').mockResolvedValue();
+    jest.spyOn(databaseService, 'getLastAlertRetentionRun').mockResolvedValue({ ranAt: new Date().toISOString() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    supabaseClient.executeQuery.mockReset();
+  });
+
+  test('debería seguir con la limpieza aunque fallen los reintentos de notificaciones', async () => {
+    notificationDispatcher.retryFailedDeliveries.mockRejectedValue(new Error('Telegram caído'));
+    notificationDispatcher.releaseHeldDeliveries.mockRejectedValue(new Error('SMTP caído'));
+
+    await expect(databaseService.runMaintenance()).resolves.toEqual({ retention: null });
+
+    expect(notificationDispatcher.releaseHeldDeliveries).toHaveBeenCalled();
+    expect(databaseService.cleanupProcessedWebhooks).toHaveBeenCalledWith(7);
+    expect(supabaseClient.executeQuery).toHaveBeenCalledWith(expect.any(Function), 'cleanup_webhooks');
+  });
+});
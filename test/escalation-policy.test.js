@@ -0,0 +1,25 @@
+const { getEscalationIntervalHours, isEscalationDue, getNextEscalationState } = require('../src/utils/escalationPolicy');
+
+describe('Escalation Policy', () => {
+  const escalation = { afterHours: 4, repeatHours: 2, maxRepeatHours: 12 };
+  const now = new Date('2026-10-20T12:00:00Z');
+
+  test('debería escalar recién pasadas las horas configuradas', () => {
+    expect(isEscalationDue({ created_at: '2026-10-20T09:00:00Z', escalation_level: 0 }, escalation, now)).toBe(false);
+    expect(isEscalationDue({ created_at: '2026-10-20T08:00:00Z', escalation_level: 0 }, escalation, now)).toBe(true);
+  });
+
+  test('debería re-notificar solo cuando vence el próximo escalamiento', () => {
+    const alert = { created_at: '2026-10-19T00:00:00Z', escalation_level: 2 };
+    expect(isEscalationDue({ ...alert, next_escalation_at: '2026-10-20T13:00:00Z' }, escalation, now)).toBe(false);
+    expect(isEscalationDue({ ...alert, next_escalation_at: '2026-10-20T11:00:00Z' }, escalation, now)).toBe(true);
+  });
+
+  test('debería duplicar el intervalo hasta el máximo', () => {
+    expect([1, 2, 3, 4].map(level => getEscalationIntervalHours(level, escalation))).toEqual([2, 4, 8, 12]);
+
+    const state = getNextEscalationState({ escalation_level: 1 }, escalation, now);
+    expect(state.escalation_level).toBe(2);
+    expect(state.next_escalation_at).toBe('2026-10-20T16:00:00.000Z');
+  });
+});
@@ -0,0 +1,48 @@
+const { sanitizeUnitCost, buildInventoryValuation, buildValuationTrend } = require('../src/utils/inventoryValuation');
+
+describe('Inventory Valuation', () => {
+  const departments = [{ id: 'dept_1', name: 'Herramientas', categories: [{ id: 'MLA100' }] }];
+  const products = [
+    { id: 'MLA1', seller_sku: 'TAL-1', category_id: 'MLA100', price: 1000, available_quantity: 5, is_fulfillment: true, status: 'active' },
+    { id: 'MLA2', seller_sku: 'SIE-1', category_id: 'MLA200', price: 200, available_quantity: 10, is_fulfillment: false, status: 'paused' },
+    { id: 'MLA3', seller_sku: 'VIE-1', category_id: 'MLA200', price: 50, available_quantity: 4, is_fulfillment: false, status: 'deleted' }
+  ];
+  const costsBySku = new Map([['TAL-1', 600]]);
+
+  test('debería sumar precio × stock y costo × stock por departamento, fulfillment y estado', () => {
+    const valuation = buildInventoryValuation(products, { departments, costsBySku });
+
+    // Los productos eliminados no cuentan
+    expect(valuation.totals).toMatchObject({ products: 2, units: 15, listValue: 7000, costValue: 3000, costedUnits: 5 });
+    expect(valuation.byDepartment).toEqual([
+      expect.objectContaining({ departmentId: 'dept_1', department: 'Herramientas', listValue: 5000 }),
+      expect.objectContaining({ departmentId: null, department: 'Sin departamento', listValue: 2000, costValue: 0 })
+    ]);
+    expect(valuation.byFulfillment.map(group => [group.fulfillment, group.units])).toEqual([['fulfillment', 5], ['own', 10]]);
+    expect(valuation.byStatus.map(group => group.status)).toEqual(['active', 'paused']);
+  });
+
+  test('debería reconstruir el valor diario con el historial de stock', () => {
+    const trend = buildValuationTrend(
+      [products[0]],
+      new Map([['MLA1', [
+        { recorded_at: '2026-10-02T10:00:00Z', available_quantity: 8, previous_quantity: 10, price: 900, status: 'active' },
+        { recorded_at: '2026-10-03T10:00:00Z', available_quantity: 5, previous_quantity: 8, price: 1000, status: 'active' }
+      ]]]),
+      { from: new Date('2026-10-01T00:00:00Z'), now: new Date('2026-10-03T18:00:00Z'), costsBySku }
+    );
+
+    expect(trend).toEqual([
+      { date: '2026-10-01', units: 10, listValue: 9000, costValue: 6000 },
+      { date: '2026-10-02', units: 8, listValue: 7200, costValue: 4800 },
+      { date: '2026-10-03', units: 5, listValue: 5000, costValue: 3000 }
+    ]);
+  });
+
+  test('debería validar el costo unitario', () => {
+    expect(sanitizeUnitCost('125.456')).toEqual({ unitCost: 125.46 });
+    expect(sanitizeUnitCost(0)).toEqual({ unitCost: 0 });
+    expect(sanitizeUnitCost(-1).error).toBeDefined();
+    expect(sanitizeUnitCost('').error).toBeDefined();
+  });
+});
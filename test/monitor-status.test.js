@@ -0,0 +1,36 @@
+jest.mock('../src/api/ml-api-products-service', () => ({}));
+jest.mock('../src/services/databaseService', () => ({
+  getLowStockProducts: jest.fn(),
+  getProducts: jest.fn()
+}));
+jest.mock('../src/services/notificationDispatcher', () => ({}));
+jest.mock('../src/services/alertEscalation', () => ({}));
+jest.mock('../src/services/realtimeEvents', () => ({ publish: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const realtimeEvents = require('../src/services/realtimeEvents');
+const stockMonitor = require('../src/services/stockMonitor');
+
+describe('Stock Monitor - estado por usuario', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    databaseService.getLowStockProducts.mockResolvedValue([{ id: 'MLA1', available_quantity: 1 }]);
+    databaseService.getProducts.mockResolvedValue([{ id: 'MLA1' }, { id: 'MLA2' }]);
+    await stockMonitor.updateSessionCache('user_1');
+  });
+
+  test('debería exponer el estado solo al usuario dueño de los datos', () => {
+    expect(stockMonitor.getStatusForUser('user_1')).toMatchObject({ totalProducts: 2, lowStockCount: 1 });
+    expect(stockMonitor.getStatusForUser('user_2')).toBeNull();
+    expect(stockMonitor.getStatusForUser(null)).toBeNull();
+  });
+
+  test('debería publicar la detención solo al usuario del monitoreo y nunca a todos', () => {
+    stockMonitor.stop();
+    stockMonitor.publishMonitorStatus(null);
+
+    expect(realtimeEvents.publish).toHaveBeenCalledTimes(1);
+    expect(realtimeEvents.publish).toHaveBeenCalledWith('user_1', 'monitor', expect.objectContaining({ active: false, totalProducts: 2 }));
+  });
+});
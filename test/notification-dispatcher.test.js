@@ -0,0 +1,154 @@
+jest.mock('../src/services/databaseService', () => ({
+  getUserAlertSettings: jest.fn(),
+  getUserDepartments: jest.fn(),
+  getActiveProductSnoozes: jest.fn(),
+  getLastAlertNotification: jest.fn(),
+  saveNotificationDelivery: jest.fn(),
+  updateNotificationDelivery: jest.fn(),
+  getDueNotificationDeliveries: jest.fn(),
+  claimAlertNotification: jest.fn()
+}));
+jest.mock('../src/utils/notifier', () => ({
+  isChannelAvailable: jest.fn(() => true),
+  sendConsole: jest.fn(),
+  sendTelegram: jest.fn(),
+  sendWebhook: jest.fn()
+}));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const notifier = require('../src/utils/notifier');
+const notificationDispatcher = require('../src/services/notificationDispatcher');
+
+describe('Notification Dispatcher', () => {
+  // Martes 01:00 en Buenos Aires: dentro del silencio de 22:00 a 08:00
+  const quietNow = new Date('2026-10-20T04:00:00Z');
+  const schedule = {
+    enabled: true,
+    timezone: 'America/Argentina/Buenos_Aires',
+    quietStart: '22:00',
+    quietEnd: '08:00',
+    days: [1, 2, 3, 4, 5],
+    criticalOverride: true
+  };
+  const settings = {
+    cooldownHours: 0,
+    schedule,
+    channels: { telegram: { enabled: true, alertTypes: ['STOCK_DECREASE'], chatId: '123' } }
+  };
+  const alert = {
+    id: 1,
+    user_id: 'user_1',
+    product_id: 'MLA1',
+    product_title: 'Taladro',
+    alert_type: 'STOCK_DECREASE',
+    previous_stock: 10,
+    new_stock: 8
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: quietNow });
+    databaseService.getUserAlertSettings.mockResolvedValue(settings);
+    databaseService.getUserDepartments.mockResolvedValue([]);
+    databaseService.getActiveProductSnoozes.mockResolvedValue([]);
+    databaseService.claimAlertNotification.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debería retener en horario de silencio y registrar el fallo con backoff fuera de él', async () => {
+    await notificationDispatcher.dispatchAlert(alert);
+
+    expect(notifier.sendTelegram).not.toHaveBeenCalled();
+    expect(databaseService.saveNotificationDelivery).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'telegram',
+      status: 'held',
+      next_retry_at: '2026-10-20T11:00:00.000Z' // 08:00 local
+    }));
+
+    databaseService.getUserAlertSettings.mockResolvedValue({ ...settings, schedule: { ...schedule, enabled: false } });
+    notifier.sendTelegram.mockRejectedValueOnce(new Error('Telegram caído'));
+    await notificationDispatcher.dispatchAlert(alert);
+
+    expect(databaseService.saveNotificationDelivery).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: 'failed',
+      attempts: 1,
+      last_error: 'Telegram caído',
+      next_retry_at: new Date(quietNow.getTime() + 60000).toISOString()
+    }));
+  });
+
+  test('no debería notificar si la BD no concede la notificación por cooldown', async () => {
+    databaseService.getUserAlertSettings.mockResolvedValue({ ...settings, cooldownHours: 24, schedule: { ...schedule, enabled: false } });
+    databaseService.claimAlertNotification.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await notificationDispatcher.dispatchAlert(alert);
+    await notificationDispatcher.dispatchAlert({ ...alert, id: 2 });
+
+    expect(databaseService.claimAlertNotification).toHaveBeenNthCalledWith(1, 1, 24);
+    expect(databaseService.claimAlertNotification).toHaveBeenNthCalledWith(2, 2, 24);
+    expect(notifier.sendTelegram).toHaveBeenCalledTimes(1);
+    expect(databaseService.getLastAlertNotification).not.toHaveBeenCalled();
+  });
+
+  test('debería reintentar entregas vencidas, pasar a dead-letter al agotar intentos y cancelar canales deshabilitados', async () => {
+    databaseService.getUserAlertSettings.mockImplementation(async (userId) => userId === 'user_2'
+      ? { ...settings, channels: { telegram: { enabled: false } } }
+      : settings);
+    databaseService.getDueNotificationDeliveries.mockResolvedValue([
+      { id: 10, user_id: 'user_1', channel: 'telegram', attempts: 1, alert_snapshot: alert },
+      { id: 11, user_id: 'user_1', channel: 'telegram', attempts: 4, alert_snapshot: alert },
+      { id: 12, user_id: 'user_2', channel: 'telegram', attempts: 1, alert_snapshot: alert }
+    ]);
+    notifier.sendTelegram
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Telegram caído'));
+
+    const stats = await notificationDispatcher.retryFailedDeliveries();
+
+    expect(stats).toMatchObject({ retried: 3, sent: 1, deadLettered: 1, cancelled: 1 });
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(10, expect.objectContaining({ status: 'sent', attempts: 2 }));
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(11, expect.objectContaining({ status: 'dead_letter', attempts: 5, next_retry_at: null }));
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(12, { status: 'cancelled', next_retry_at: null });
+  });
+
+  test('debería liberar en un solo mensaje las alertas retenidas cuando termina el silencio', async () => {
+    jest.setSystemTime(new Date('2026-10-20T11:05:00Z')); // martes 08:05 local
+    databaseService.getDueNotificationDeliveries.mockResolvedValue([
+      { id: 20, user_id: 'user_1', channel: 'telegram', attempts: 0, alert_snapshot: alert },
+      { id: 21, user_id: 'user_1', channel: 'telegram', attempts: 0, alert_snapshot: { ...alert, product_id: 'MLA2' } }
+    ]);
+
+    const stats = await notificationDispatcher.releaseHeldDeliveries(200, 'user_1');
+
+    expect(databaseService.getDueNotificationDeliveries).toHaveBeenCalledWith('held', 200, 'user_1');
+    expect(stats).toMatchObject({ released: 2, sent: 2, stillQuiet: 0 });
+    expect(notifier.sendTelegram).toHaveBeenCalledTimes(1);
+    expect(notifier.sendTelegram.mock.calls[0][0]).toContain('2 alertas retenidas');
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(21, expect.objectContaining({ status: 'sent' }));
+  });
+
+  test('debería cancelar las alertas retenidas o fallidas de productos pospuestos', async () => {
+    jest.setSystemTime(new Date('2026-10-20T11:05:00Z'));
+    databaseService.getActiveProductSnoozes.mockResolvedValue([{ product_id: 'MLA2' }]);
+    databaseService.getDueNotificationDeliveries.mockImplementation(async (status) => status === 'held'
+      ? [
+        { id: 30, user_id: 'user_1', channel: 'telegram', attempts: 0, alert_snapshot: alert },
+        { id: 31, user_id: 'user_1', channel: 'telegram', attempts: 0, alert_snapshot: { ...alert, product_id: 'MLA2' } }
+      ]
+      : [{ id: 32, user_id: 'user_1', channel: 'telegram', attempts: 1, alert_snapshot: { ...alert, product_id: 'MLA2' } }]);
+
+    const releaseStats = await notificationDispatcher.releaseHeldDeliveries();
+    const retryStats = await notificationDispatcher.retryFailedDeliveries();
+
+    expect(releaseStats).toMatchObject({ released: 1, sent: 1, cancelled: 1 });
+    expect(retryStats).toMatchObject({ sent: 0, cancelled: 1 });
+    expect(notifier.sendTelegram).toHaveBeenCalledTimes(1);
+    expect(notifier.sendTelegram.mock.calls[0][0]).not.toContain('retenidas');
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(31, { status: 'cancelled', next_retry_at: null });
+    expect(databaseService.updateNotificationDelivery).toHaveBeenCalledWith(32, { status: 'cancelled', next_retry_at: null });
+  });
+});
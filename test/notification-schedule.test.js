@@ -0,0 +1,47 @@
+const { isQuietTime, getQuietWindowEnd, isValidTimezone } = require('../src/utils/notificationSchedule');
+
+describe('Notification Schedule', () => {
+  // Lunes a viernes, silencio de 22:00 a 08:00 hora de Buenos Aires (UTC-3)
+  const schedule = {
+    enabled: true,
+    timezone: 'America/Argentina/Buenos_Aires',
+    quietStart: '22:00',
+    quietEnd: '08:00',
+    days: [1, 2, 3, 4, 5],
+    criticalOverride: true
+  };
+
+  test('no debería silenciar si el horario está deshabilitado', () => {
+    const date = new Date('2026-10-20T04:00:00Z'); // martes 01:00 local
+    expect(isQuietTime({ ...schedule, enabled: false }, date)).toBe(false);
+  });
+
+  test('debería silenciar dentro de una franja que cruza medianoche', () => {
+    expect(isQuietTime(schedule, new Date('2026-10-20T04:00:00Z'))).toBe(true);  // martes 01:00
+    expect(isQuietTime(schedule, new Date('2026-10-21T01:30:00Z'))).toBe(true);  // martes 22:30
+    expect(isQuietTime(schedule, new Date('2026-10-20T15:00:00Z'))).toBe(false); // martes 12:00
+  });
+
+  test('debería silenciar todo el día fuera de los días habilitados', () => {
+    expect(isQuietTime(schedule, new Date('2026-10-24T15:00:00Z'))).toBe(true); // sábado 12:00
+  });
+
+  test('debería calcular el fin de la ventana de silencio en la zona del usuario', () => {
+    const end = getQuietWindowEnd(schedule, new Date('2026-10-20T04:00:00Z')); // martes 01:00
+    expect(end.toISOString()).toBe('2026-10-20T11:00:00.000Z'); // martes 08:00 local
+  });
+
+  test('debería saltar el fin de semana hasta el lunes', () => {
+    const end = getQuietWindowEnd(schedule, new Date('2026-10-24T15:00:00Z')); // sábado 12:00
+    expect(end.toISOString()).toBe('2026-10-26T11:00:00.000Z'); // lunes 08:00 local
+  });
+
+  test('debería devolver null fuera del horario de silencio', () => {
+    expect(getQuietWindowEnd(schedule, new Date('2026-10-20T15:00:00Z'))).toBeNull();
+  });
+
+  test('debería validar zonas horarias IANA', () => {
+    expect(isValidTimezone('America/Mexico_City')).toBe(true);
+    expect(isValidTimezone('Marte/Olympus')).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('axios');
+jest.mock('web-push');
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const axios = require('axios');
+const webpush = require('web-push');
+const notifier = require('../src/utils/notifier');
+const { webhookHttpsAgent } = require('../src/utils/webhookUrl');
+
+describe('Notifier', () => {
+  const product = {
+    id: 'MLA1',
+    title: 'Taladro <b>Pro</b> & "Plus"',
+    seller_sku: 'TAL<1>',
+    available_quantity: 2,
+    permalink: 'https://articulo.mercadolibre.com.ar/MLA-1"><script>'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ status: 200 });
+  });
+
+  test('debería escapar los datos del producto en el HTML del email', async () => {
+    const sendMail = jest.fn().mockResolvedValue();
+    jest.spyOn(notifier, 'getTransporter').mockReturnValue({ sendMail });
+
+    await notifier.sendEmail(`Stock bajo en ${product.title}`, product, 'compras@example.com', 'Alerta');
+
+    const { html } = sendMail.mock.calls[0][0];
+    expect(html).toContain('Taladro &lt;b&gt;Pro&lt;/b&gt; &amp; &quot;Plus&quot;');
+    expect(html).toContain('TAL&lt;1&gt;');
+    expect(html).not.toContain('<b>Pro</b>');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('debería escapar el mensaje de Telegram enviado con parse_mode HTML', async () => {
+    await notifier.sendTelegram(`Stock bajo: ${product.title}`, '123');
+
+    expect(axios.post).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      chat_id: '123',
+      text: 'Stock bajo: Taladro &lt;b&gt;Pro&lt;/b&gt; &amp; &quot;Plus&quot;',
+      parse_mode: 'HTML'
+    }));
+  });
+
+  test('debería firmar el webhook con HMAC-SHA256 de `${timestamp}.${body}` y no seguir redirecciones', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1760000000123);
+
+    await notifier.sendWebhook('https://hooks.example.com/stock', { event: 'stock_alert', new_stock: 2 }, 'secreto');
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/stock');
+    expect(body).toBe('{"event":"stock_alert","new_stock":2}');
+    expect(options.headers['X-Stock-Monitor-Timestamp']).toBe('1760000000');
+    // HMAC-SHA256('secreto', '1760000000.{"event":"stock_alert","new_stock":2}')
+    expect(options.headers['X-Stock-Monitor-Signature'])
+      .toBe('sha256=982766320b50db2bab5044545d52905e1a543a4e31fa505c08bf8d1c4722e0cf');
+    expect(options.maxRedirects).toBe(0);
+
+    Date.now.mockRestore();
+  });
+
+  test('debería rechazar webhooks hacia hosts internos sin enviarlos', async () => {
+    await expect(notifier.sendWebhook('https://169.254.169.254/latest', { event: 'stock_alert' }, 'secreto'))
+      .rejects.toThrow('host público');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('debería enviar push con el agente que bloquea IPs internas y rechazar endpoints internos', async () => {
+    const keys = { p256dh: 'p256dh-clave-de-prueba', auth: 'auth-clave-de-prueba' };
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+    await notifier.sendPush({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys }, { title: 'Stock bajo' });
+    await expect(notifier.sendPush({ endpoint: 'https://10.0.0.5/push', keys }, { title: 'Stock bajo' }))
+      .rejects.toThrow('host público');
+
+    expect(webpush.sendNotification).toHaveBeenCalledTimes(1);
+    expect(webpush.sendNotification.mock.calls[0][2]).toEqual({ TTL: 24 * 60 * 60, agent: webhookHttpsAgent });
+  });
+});
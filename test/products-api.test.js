@@ -0,0 +1,66 @@
+jest.mock('../src/services/databaseService', () => ({
+  getAllProducts: jest.fn(),
+  getSalesVelocity: jest.fn(),
+  getStockSnapshots: jest.fn()
+}));
+jest.mock('../src/middleware/serverlessAuth', () => ({
+  withAuth: (handler) => (req, res) => handler({ ...req, auth: { userId: 'user_1' } }, res)
+}));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const handleProducts = require('../src/api/products-reader');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('Products API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getSalesVelocity.mockResolvedValue(new Map());
+  });
+
+  test('debería responder 400 si el id del historial está mal codificado', async () => {
+    const res = createResponse();
+
+    await handleProducts({ method: 'GET', url: '/api/products/MLA%E0%A4%A/history', query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(databaseService.getStockSnapshots).not.toHaveBeenCalled();
+  });
+
+  test('debería devolver solo los productos modificados desde updatedSince', async () => {
+    databaseService.getAllProducts.mockResolvedValue([]);
+    const res = createResponse();
+
+    await handleProducts({ method: 'GET', url: '/api/products', query: { updatedSince: '2026-10-19T12:00:00.000Z' } }, res);
+
+    expect(databaseService.getAllProducts).toHaveBeenCalledWith('user_1', { updatedSince: '2026-10-19T12:00:00.000Z' });
+    expect(databaseService.getSalesVelocity).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ products: [], timestamp: expect.any(String) }));
+  });
+
+  test('debería calcular la velocidad solo de los productos modificados en el polling', async () => {
+    databaseService.getAllProducts.mockResolvedValue([{ id: 'MLA1', available_quantity: 4 }, { id: 'MLA2', available_quantity: 0 }]);
+    const res = createResponse();
+
+    await handleProducts({ method: 'GET', url: '/api/products', query: { updatedSince: '2026-10-19T12:00:00.000Z' } }, res);
+    await handleProducts({ method: 'GET', url: '/api/products', query: {} }, res);
+
+    expect(databaseService.getSalesVelocity).toHaveBeenNthCalledWith(1, 'user_1', ['MLA1', 'MLA2']);
+    expect(databaseService.getSalesVelocity).toHaveBeenNthCalledWith(2, 'user_1', null);
+  });
+
+  test('debería rechazar un updatedSince inválido', async () => {
+    const res = createResponse();
+
+    await handleProducts({ method: 'GET', url: '/api/products', query: { updatedSince: 'ayer' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(databaseService.getAllProducts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../src/services/databaseService', () => ({
+  getPushSubscriptions: jest.fn(),
+  savePushSubscription: jest.fn()
+}));
+jest.mock('../src/services/notificationDispatcher', () => ({}));
+jest.mock('../src/utils/notifier', () => ({ isChannelAvailable: jest.fn(() => true) }));
+jest.mock('../src/middleware/serverlessAuth', () => ({
+  withAuth: (handler) => (req, res) => handler({ ...req, auth: { userId: 'user_1' } }, res)
+}));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const databaseService = require('../src/services/databaseService');
+const handlePush = require('../src/api/push');
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('Push API - suscripciones', () => {
+  const keys = { p256dh: 'p256dh-clave-de-prueba', auth: 'auth-clave-de-prueba' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getPushSubscriptions.mockResolvedValue([]);
+    databaseService.savePushSubscription.mockImplementation(async (userId, subscription) => ({ id: 1, ...subscription }));
+  });
+
+  test.each([
+    'https://169.254.169.254/latest/meta-data',
+    'https://localhost/push',
+    'https://redis/push',
+    'http://fcm.googleapis.com/fcm/send/abc'
+  ])('debería rechazar el endpoint %s', async (endpoint) => {
+    const res = createResponse();
+
+    await handlePush({ method: 'POST', url: '/api/push/subscribe', headers: {}, body: { subscription: { endpoint, keys } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(databaseService.savePushSubscription).not.toHaveBeenCalled();
+  });
+
+  test('debería guardar un endpoint público por HTTPS', async () => {
+    const res = createResponse();
+    const endpoint = 'https://fcm.googleapis.com/fcm/send/abc';
+
+    await handlePush({ method: 'POST', url: '/api/push/subscribe', headers: {}, body: { subscription: { endpoint, keys } } }, res);
+
+    expect(databaseService.savePushSubscription).toHaveBeenCalledWith('user_1', { endpoint, keys }, null);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  sanitizeReorderSettings,
+  buildReorderSuggestions,
+  groupSuggestionsBySupplier,
+  formatSuggestionForExport
+} = require('../src/utils/reorderPlanner');
+
+describe('Reorder Planner', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const context = {
+    skuSettings: new Map([['SKU-A', { supplier: 'Acme', leadTimeDays: 10, targetCoverDays: null, minOrderQty: 50 }]]),
+    departments: [{ id: 'dept_1', categories: [{ id: 'MLA1' }], reorder: { supplier: 'Depto SA', targetCoverDays: 20 } }],
+    defaults: { leadTimeDays: 7, targetCoverDays: 30 }
+  };
+
+  test('debería validar parámetros y tratar vacíos como heredados', () => {
+    expect(sanitizeReorderSettings({ supplier: ' Acme ', leadTimeDays: '10', targetCoverDays: '', minOrderQty: null })).toEqual({
+      reorder: { supplier: 'Acme', leadTimeDays: 10, targetCoverDays: null, minOrderQty: null }
+    });
+    expect(sanitizeReorderSettings({ leadTimeDays: 0 }).error).toMatch(/leadTimeDays/);
+    expect(sanitizeReorderSettings({ minOrderQty: 1.5 }).error).toMatch(/minOrderQty/);
+    expect(sanitizeReorderSettings('x').error).toBeDefined();
+  });
+
+  test('debería sumar publicaciones del mismo SKU y resolver cada parámetro por separado', () => {
+    const suggestions = buildReorderSuggestions([
+      { id: 'MLA10', seller_sku: 'SKU-A', category_id: 'MLA1', title: 'A', available_quantity: 10, units_per_day_30d: 1.5 },
+      { id: 'MLA11', seller_sku: 'SKU-A', category_id: 'MLA1', title: 'A full', available_quantity: 5, units_per_day_30d: 0.5 },
+      { id: 'MLA12', seller_sku: 'SKU-B', title: 'B', available_quantity: 100, units_per_day_30d: 1 },
+      { id: 'MLA13', seller_sku: 'SKU-C', title: 'C', available_quantity: 0, units_per_day_30d: null },
+      { id: 'MLA14', title: 'Sin SKU', status: 'closed', available_quantity: 0, units_per_day_30d: 3 }
+    ], context, now);
+
+    expect(suggestions).toHaveLength(1);
+    // 2 u/día × (10 lead time del SKU + 20 objetivo del departamento) − 15 = 45 → mínimo 50
+    expect(suggestions[0]).toMatchObject({
+      sku: 'SKU-A',
+      productIds: ['MLA10', 'MLA11'],
+      supplier: 'Acme',
+      stock: 15,
+      unitsPerDay: 2,
+      daysOfCover: 7.5,
+      stockoutDate: '2026-10-27',
+      leadTimeDays: 10,
+      targetCoverDays: 20,
+      minOrderQty: 50,
+      sources: { supplier: 'sku', leadTimeDays: 'sku', targetCoverDays: 'department', minOrderQty: 'sku' },
+      suggestedQuantity: 50,
+      urgent: true
+    });
+  });
+
+  test('debería agrupar por proveedor con los SKUs sin proveedor al final', () => {
+    const groups = groupSuggestionsBySupplier([
+      { sku: 'X', supplier: null, suggestedQuantity: 5, urgent: false },
+      { sku: 'Y', supplier: 'Zeta', suggestedQuantity: 10, urgent: true },
+      { sku: 'Z', supplier: 'Alfa', suggestedQuantity: 3, urgent: false },
+      { sku: 'W', supplier: 'Zeta', suggestedQuantity: 7, urgent: false }
+    ]);
+
+    expect(groups.map(group => group.supplier)).toEqual(['Alfa', 'Zeta', 'Sin proveedor']);
+    expect(groups[1]).toMatchObject({ totalUnits: 17, urgentCount: 1 });
+    expect(formatSuggestionForExport({ supplier: null, productIds: ['MLA1', 'MLA2'], urgent: false })).toMatchObject({
+      supplier: 'Sin proveedor',
+      productIds: 'MLA1 MLA2',
+      urgent: 'No'
+    });
+  });
+});
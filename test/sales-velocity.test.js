@@ -0,0 +1,43 @@
+const { computeSalesVelocity, computeDaysOfCover, getVelocityFields, getLowCoverCrossing } = require('../src/utils/salesVelocity');
+
+describe('Sales Velocity', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('debería promediar sobre la ventana o sobre los días con historial si son menos', () => {
+    const velocity = computeSalesVelocity({
+      sold_7d: 14,
+      sold_30d: 45,
+      sold_90d: 60,
+      tracked_since: '2026-09-04T12:00:00Z' // 45 días
+    }, now);
+
+    expect(velocity).toEqual({
+      units_per_day_7d: 2,
+      units_per_day_30d: 1.5,
+      units_per_day_90d: 1.33
+    });
+  });
+
+  test('debería devolver null sin historial y cobertura null sin ventas', () => {
+    expect(getVelocityFields(null, 10, now)).toEqual({
+      units_per_day_7d: null,
+      units_per_day_30d: null,
+      units_per_day_90d: null,
+      days_of_cover: null
+    });
+    expect(computeDaysOfCover(10, 0)).toBeNull();
+    expect(computeDaysOfCover(7, 2)).toBe(3.5);
+  });
+
+  test('debería alertar solo cuando la cobertura cruza el lead time', () => {
+    // 2 u/día, lead time 5 días: 12 u (6 días) → 8 u (4 días) cruza
+    expect(getLowCoverCrossing(12, 8, 2, 5)).toEqual({ previousCover: 6, currentCover: 4 });
+    // Ya estaba por debajo
+    expect(getLowCoverCrossing(8, 6, 2, 5)).toBeNull();
+    // Reposición o sin stock
+    expect(getLowCoverCrossing(8, 20, 2, 5)).toBeNull();
+    expect(getLowCoverCrossing(12, 0, 2, 5)).toBeNull();
+    // Sin ventas registradas
+    expect(getLowCoverCrossing(12, 8, null, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+const { buildStockSnapshot, resolveHistoryInterval, downsampleStockHistory } = require('../src/utils/stockHistory');
+
+describe('Stock History', () => {
+  const at = '2026-10-01T10:00:00.000Z';
+
+  test('debería registrar solo cambios de stock, precio o estado', () => {
+    const previous = { id: 'MLA1', available_quantity: 8, price: '1500.00', status: 'active' };
+
+    expect(buildStockSnapshot('u1', previous, { id: 'MLA1', available_quantity: 8, price: 1500, status: 'active', title: 'Otro' }, 'sync', at)).toBeNull();
+
+    const snapshot = buildStockSnapshot('u1', previous, { id: 'MLA1', available_quantity: 5, price: 1500, status: 'active' }, 'webhook', at);
+    expect(snapshot).toEqual({
+      user_id: 'u1',
+      product_id: 'MLA1',
+      available_quantity: 5,
+      previous_quantity: 8,
+      price: 1500,
+      status: 'active',
+      source: 'webhook',
+      recorded_at: at
+    });
+
+    expect(buildStockSnapshot('u1', previous, { id: 'MLA1', available_quantity: 8, price: 1500, status: 'paused' }, 'sync', at)).not.toBeNull();
+    expect(buildStockSnapshot('u1', null, { id: 'MLA1', price: 10, status: 'active' }, 'sync', at).previous_quantity).toBeNull();
+  });
+
+  test('debería elegir el intervalo según la cantidad de puntos y el rango', () => {
+    expect(resolveHistoryInterval('day', 10, 1000)).toBe('day');
+    expect(resolveHistoryInterval('auto', 100, 90 * 86400000)).toBe('raw');
+    expect(resolveHistoryInterval('auto', 800, 7 * 86400000)).toBe('hour');
+    expect(resolveHistoryInterval('auto', 800, 90 * 86400000)).toBe('day');
+  });
+
+  test('debería agrupar por día con último valor, mínimo y máximo incluyendo el valor de arrastre', () => {
+    const snapshots = [
+      { recorded_at: '2026-10-01T08:00:00Z', available_quantity: 7, price: 100, status: 'active' },
+      { recorded_at: '2026-10-01T15:00:00Z', available_quantity: 12, price: 100, status: 'active' },
+      { recorded_at: '2026-10-03T09:00:00Z', available_quantity: 4, price: 110, status: 'active' }
+    ];
+
+    const points = downsampleStockHistory(snapshots, {
+      interval: 'day',
+      from: '2026-09-30T00:00:00Z',
+      initial: { available_quantity: 10, price: 100, status: 'active' }
+    });
+
+    expect(points).toHaveLength(3);
+    expect(points[0]).toMatchObject({ at: '2026-09-30T00:00:00.000Z', stock: 10, changes: 0 });
+    expect(points[1]).toMatchObject({ at: '2026-10-01T00:00:00.000Z', stock: 12, min: 7, max: 12, changes: 2 });
+    expect(points[2]).toMatchObject({ at: '2026-10-03T00:00:00.000Z', stock: 4, min: 4, max: 12, price: 110 });
+  });
+});
@@ -0,0 +1,95 @@
+const { findStockoutPeriods, buildStockoutReport } = require('../src/utils/stockoutReport');
+
+describe('Stockout Report', () => {
+  const now = new Date('2026-10-19T00:00:00Z');
+  const from = new Date('2026-10-01T00:00:00Z');
+  const to = new Date('2026-10-19T00:00:00Z');
+  const product = { id: 'MLA1', title: 'Taladro', seller_sku: 'TAL-1', category_id: 'MLA100', available_quantity: 0, price: 1000, status: 'active' };
+
+  // 20 unidades vendidas en 10 días (2 u/día), quiebre del 5 al 8 y de nuevo desde el 15 (sigue sin stock)
+  const snapshots = [
+    { recorded_at: '2026-09-25T00:00:00Z', available_quantity: 20, previous_quantity: 20, price: 1000, status: 'active' },
+    { recorded_at: '2026-09-30T00:00:00Z', available_quantity: 10, previous_quantity: 20, price: 1000, status: 'active' },
+    { recorded_at: '2026-10-05T00:00:00Z', available_quantity: 0, previous_quantity: 10, price: 1000, status: 'active' },
+    { recorded_at: '2026-10-08T00:00:00Z', available_quantity: 8, previous_quantity: 0, price: 1200, status: 'active' },
+    { recorded_at: '2026-10-15T00:00:00Z', available_quantity: 0, previous_quantity: 8, price: 1200, status: 'paused' }
+  ];
+
+  test('debería encontrar los períodos en 0 y estimar ventas perdidas con la velocidad previa', () => {
+    const periods = findStockoutPeriods(snapshots, product, { from, to, now });
+
+    expect(periods).toHaveLength(2);
+    expect(periods[0]).toMatchObject({
+      start: '2026-10-05T00:00:00.000Z',
+      end: '2026-10-08T00:00:00.000Z',
+      ongoing: false,
+      startedBefore: false,
+      durationDays: 3,
+      unitsPerDay: 2,
+      lostUnits: 6,
+      lostRevenue: 6000
+    });
+    // Sigue sin stock: termina en "to"; se usa el precio al momento del quiebre
+    expect(periods[1]).toMatchObject({ end: null, ongoing: true, durationDays: 4, price: 1200 });
+  });
+
+  test('debería recortar al rango y no estimar sin historial previo al quiebre', () => {
+    const periods = findStockoutPeriods(
+      [{ recorded_at: '2026-10-10T00:00:00Z', available_quantity: 5, previous_quantity: 0, price: 50, status: 'active' }],
+      { ...product, price: 50 },
+      { from, to, now }
+    );
+
+    expect(periods).toHaveLength(1);
+    expect(periods[0]).toMatchObject({ start: '2026-10-01T00:00:00.000Z', startedBefore: true, unknownStart: true, durationDays: 9, lostUnits: null, lostRevenue: null });
+    expect(findStockoutPeriods([], { ...product, status: 'closed' }, { from, to, now })).toHaveLength(0);
+  });
+
+  test('debería empezar el quiebre sin historial en la creación del producto', () => {
+    const periods = findStockoutPeriods([], { ...product, created_at: '2026-10-12T00:00:00Z' }, { from, to, now });
+
+    expect(periods).toHaveLength(1);
+    expect(periods[0]).toMatchObject({ start: '2026-10-12T00:00:00.000Z', startedBefore: false, unknownStart: false, ongoing: true, durationDays: 7 });
+  });
+
+  test('no debería sumar a los totales un quiebre sin inicio conocido', () => {
+    const report = buildStockoutReport([{ ...product, id: 'MLA4' }], new Map(), { from, to, now });
+
+    expect(report.periods).toEqual([expect.objectContaining({ productId: 'MLA4', unknownStart: true, durationDays: 18 })]);
+    expect(report.totals).toMatchObject({ stockouts: 0, products: 0, days: 0, unknownStart: 1 });
+    expect(report.byDepartment).toEqual([]);
+    expect(report.byCategory).toEqual([]);
+  });
+
+  test('debería agregar por departamento y categoría', () => {
+    const report = buildStockoutReport(
+      [product, { ...product, id: 'MLA2', category_id: 'MLA200', available_quantity: 3 }],
+      new Map([['MLA1', snapshots]]),
+      { from, to, now, departments: [{ id: 'dept_1', name: 'Herramientas', categories: [{ id: 'MLA100' }] }] }
+    );
+
+    expect(report.totals).toMatchObject({ stockouts: 2, products: 1, days: 7, withoutVelocity: 0 });
+    expect(report.byDepartment).toEqual([
+      expect.objectContaining({ departmentId: 'dept_1', department: 'Herramientas', stockouts: 2, products: 1 })
+    ]);
+    expect(report.byCategory[0]).toMatchObject({ categoryId: 'MLA100', days: 7 });
+    expect(report.periods[0].lostRevenue).toBeGreaterThanOrEqual(report.periods[1].lostRevenue);
+  });
+
+  test('debería incluir quiebres dentro del rango de productos que hoy están finalizados', () => {
+    const closedProduct = { ...product, id: 'MLA3', status: 'closed' };
+    const report = buildStockoutReport(
+      [closedProduct],
+      new Map([['MLA3', [
+        ...snapshots.slice(0, 4),
+        { recorded_at: '2026-10-12T00:00:00Z', available_quantity: 0, previous_quantity: 8, price: 1200, status: 'active' },
+        // Al finalizar la publicación el quiebre termina: estar en 0 ya no cuenta
+        { recorded_at: '2026-10-14T00:00:00Z', available_quantity: 0, previous_quantity: 0, price: 1200, status: 'closed' }
+      ]]]),
+      { from, to, now }
+    );
+
+    expect(report.totals).toMatchObject({ stockouts: 2, products: 1, days: 5 });
+    expect(report.periods.map(period => period.end)).toEqual(expect.arrayContaining(['2026-10-14T00:00:00.000Z']));
+  });
+});
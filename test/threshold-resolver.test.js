@@ -0,0 +1,41 @@
+const { resolveThreshold, getMaxThreshold, findProductDepartment } = require('../src/utils/thresholdResolver');
+
+describe('Threshold Resolver', () => {
+  const context = {
+    defaultThreshold: 5,
+    overrides: [
+      { target_type: 'product', target_id: 'MLA1', threshold: 50 },
+      { target_type: 'sku', target_id: 'SKU-LENTO', threshold: 1 }
+    ],
+    departments: [
+      { id: 'electronica', name: 'Electrónica', lowStockThreshold: 10, categories: [{ id: 'MLA1051', name: 'Celulares' }] },
+      { id: 'hogar', name: 'Hogar', categories: [{ id: 'MLA1574', name: 'Hogar' }] }
+    ]
+  };
+
+  test('debería priorizar el override del producto', () => {
+    const product = { id: 'MLA1', seller_sku: 'SKU-LENTO', category_id: 'MLA1051' };
+    expect(resolveThreshold(product, context)).toEqual({ threshold: 50, source: 'product' });
+  });
+
+  test('debería usar el override del SKU si no hay override del producto', () => {
+    const product = { id: 'MLA2', seller_sku: 'SKU-LENTO', category_id: 'MLA1051' };
+    expect(resolveThreshold(product, context)).toEqual({ threshold: 1, source: 'sku' });
+  });
+
+  test('debería usar el umbral del departamento según category_id', () => {
+    const product = { id: 'MLA3', category_id: 'MLA1051' };
+    expect(resolveThreshold(product, context)).toEqual({ threshold: 10, source: 'department' });
+  });
+
+  test('debería caer al umbral del usuario si el departamento no define umbral', () => {
+    const product = { id: 'MLA4', category_id: 'MLA1574' };
+    expect(findProductDepartment(product, context.departments).id).toBe('hogar');
+    expect(resolveThreshold(product, context)).toEqual({ threshold: 5, source: 'user' });
+  });
+
+  test('debería calcular el mayor umbral posible', () => {
+    expect(getMaxThreshold(context)).toBe(50);
+    expect(getMaxThreshold({ defaultThreshold: 5 })).toBe(5);
+  });
+});